@@ -1,6 +1,27 @@
 // controllers/AdminController.js
+import crypto from "crypto";
+import fs from "fs";
+import fsPromises from "fs/promises";
+import { Readable } from "stream";
 import * as AdminModel from "../models/AdminModel.js";
 import * as userModel from "../models/userModel.js"; // Pour findUserById et findRoleByName
+import * as sessionModel from "../models/sessionModel.js";
+import * as roleModel from "../models/roleModel.js";
+import { invalidateUserState } from "../utils/userStateCache.js";
+import * as emailOutboxModel from "../models/emailOutboxModel.js";
+import { queueEmail, deliverOutboxEntry } from "../mail/mailer.js";
+import { localeFromRequest } from "../mail/templates/index.js";
+import * as privacyModel from "../models/privacyModel.js";
+import { EXPORT_FORMATS, sendPersonalDataExport, eraseUserAccount } from "../utils/personalData.js";
+import { PERMISSIONS, SUPER_ADMIN_ROLE } from "../utils/permissions.js";
+import { issueImpersonationToken } from "../utils/authTokens.js";
+import * as bookFileModel from "../models/bookFileModel.js";
+import { getStorageDriver } from "../storage/storage.js";
+import { inspectFile } from "../storage/fileInspection.js";
+import { extractEbookMetadata } from "../storage/ebookMetadata.js";
+import { processCoverImage, storeCoverVariants } from "../storage/coverImages.js";
+import { canWatermark } from "../storage/watermark.js";
+import { UPLOAD_RULES } from "../middleware/uploadMiddleware.js";
 
 /**
  * Récupère la liste de tous les utilisateurs avec leurs rôles.
@@ -14,7 +35,7 @@ export const getAllUsers = async (req, res) => {
         res.status(200).json(users);
     } catch (error) {
         console.error("Erreur dans AdminController.getAllUsers:", error.message);
-        res.status(500).json({ message: "Erreur interne du serveur lors de la récupération des utilisateurs." });
+        res.status(500).json({ message: req.t("admin.usersListFailed") });
     }
 };
 
@@ -30,34 +51,35 @@ export const updateUserRole = async (req, res) => {
 
     try {
         if (!newRoleId) {
-            return res.status(400).json({ message: "Le nouvel ID de rôle est requis." });
+            return res.status(400).json({ message: req.t("admin.roleIdRequired") });
         }
 
         // Vérifier si l'utilisateur existe
         const userExists = await userModel.findUserById(userId);
         if (!userExists) {
-            return res.status(404).json({ message: "Utilisateur non trouvé." });
+            return res.status(404).json({ message: req.t("users.notFound") });
         }
 
         // Vérifier si le rôle existe
         const roleExists = await userModel.findRoleById(newRoleId); // Supposons que findRoleById existe ou crée-le
         if (!roleExists) {
-            return res.status(404).json({ message: "Rôle non trouvé." });
+            return res.status(404).json({ message: req.t("roles.notFound") });
         }
 
         const updatedUser = await AdminModel.updateUserRole(userId, newRoleId);
 
         if (!updatedUser) {
-            return res.status(404).json({ message: "Utilisateur non trouvé ou rôle inchangé." });
+            return res.status(404).json({ message: req.t("admin.userRoleUnchanged") });
         }
+        invalidateUserState(userId); // Le nouveau rôle s'applique dès la prochaine requête
 
-        res.status(200).json({ message: "Rôle utilisateur mis à jour avec succès.", user: updatedUser });
+        res.status(200).json({ message: req.t("admin.userRoleUpdated"), user: updatedUser });
     } catch (error) {
         console.error("Erreur dans AdminController.updateUserRole:", error.message);
         if (error.code === '22P02') { // Invalid UUID format
-            return res.status(400).json({ message: "Format d'ID utilisateur ou de rôle invalide." });
+            return res.status(400).json({ message: req.t("admin.invalidUserOrRoleId") });
         }
-        res.status(500).json({ message: "Erreur interne du serveur lors de la mise à jour du rôle utilisateur." });
+        res.status(500).json({ message: req.t("admin.userRoleUpdateFailed") });
     }
 };
 
@@ -73,7 +95,7 @@ export const getAllRoles = async (req, res) => {
         res.status(200).json(roles);
     } catch (error) {
         console.error("Erreur dans AdminController.getAllRoles:", error.message);
-        res.status(500).json({ message: "Erreur interne du serveur lors de la récupération des rôles." });
+        res.status(500).json({ message: req.t("admin.rolesListFailed") });
     }
 };
 
@@ -88,7 +110,7 @@ export const getDashboardStats = async (req, res) => {
         res.status(200).json(stats);
     } catch (error) {
         console.error("Erreur dans AdminController.getDashboardStats:", error.message);
-        res.status(500).json({ message: "Erreur interne du serveur lors de la récupération des statistiques du tableau de bord." });
+        res.status(500).json({ message: req.t("admin.dashboardFailed") });
     }
 };
 
@@ -103,7 +125,7 @@ export const getSalesChartData = async (req, res) => {
         res.status(200).json(salesData);
     } catch (error) {
         console.error("Erreur dans AdminController.getSalesChartData:", error.message);
-        res.status(500).json({ message: "Erreur interne du serveur lors de la récupération des données de ventes." });
+        res.status(500).json({ message: req.t("admin.salesDataFailed") });
     }
 };
 
@@ -118,7 +140,7 @@ export const getTopBooks = async (req, res) => {
         res.status(200).json(topBooks);
     } catch (error) {
         console.error("Erreur dans AdminController.getTopBooks:", error.message);
-        res.status(500).json({ message: "Erreur interne du serveur lors de la récupération des livres les plus vendus." });
+        res.status(500).json({ message: req.t("admin.topBooksFailed") });
     }
 };
 
@@ -133,7 +155,7 @@ export const getRecentOrders = async (req, res) => {
         res.status(200).json(recentOrders);
     } catch (error) {
         console.error("Erreur dans AdminController.getRecentOrders:", error.message);
-        res.status(500).json({ message: "Erreur interne du serveur lors de la récupération des commandes récentes." });
+        res.status(500).json({ message: req.t("admin.recentOrdersFailed") });
     }
 };
 
@@ -156,7 +178,7 @@ export const getAllBooksAdmin = async (req, res) => {
         });
     } catch (error) {
         console.error("Erreur dans AdminController.getAllBooksAdmin:", error.message);
-        res.status(500).json({ message: "Erreur interne du serveur lors de la récupération des livres." });
+        res.status(500).json({ message: req.t("admin.booksListFailed") });
     }
 };
 
@@ -170,16 +192,18 @@ export const addBookAdmin = async (req, res) => {
     try {
         // Validation basique des données obligatoires (peut être étendue)
         if (!bookData.title || !bookData.author_name || !bookData.category_id || bookData.price === undefined || !bookData.book_file_url) {
-            return res.status(400).json({ message: "Veuillez fournir tous les champs obligatoires : titre, nom de l'auteur, ID de catégorie, prix, et URL du fichier du livre." });
+            return res.status(400).json({ message: req.t("admin.bookFieldsRequired") });
         }
         const newBook = await AdminModel.addBook(bookData);
-        res.status(201).json({ message: "Livre ajouté avec succès.", book: newBook });
+        // Un ebook uploadé avant le livre (sans bookId) devient le fichier téléchargeable de ce livre
+        await bookFileModel.attachEbookFileByUrl(newBook.book_id, bookData.book_file_url);
+        res.status(201).json({ message: req.t("admin.bookCreated"), book: newBook });
     } catch (error) {
         console.error("Erreur dans AdminController.addBookAdmin:", error.message);
         if (error.code === '23503') { // Foreign key violation
-            return res.status(400).json({ message: "L'ID de catégorie fourni n'existe pas." });
+            return res.status(400).json({ message: req.t("admin.unknownCategoryId") });
         }
-        res.status(500).json({ message: "Erreur interne du serveur lors de l'ajout du livre." });
+        res.status(500).json({ message: req.t("admin.bookCreateFailed") });
     }
 };
 
@@ -193,12 +217,12 @@ export const getBookDetailsAdmin = async (req, res) => {
     try {
         const book = await AdminModel.getBookByIdAdmin(bookId);
         if (!book) {
-            return res.status(404).json({ message: "Livre non trouvé." });
+            return res.status(404).json({ message: req.t("books.notFound") });
         }
         res.status(200).json(book);
     } catch (error) {
         console.error("Erreur dans AdminController.getBookDetailsAdmin:", error.message);
-        res.status(500).json({ message: "Erreur interne du serveur lors de la récupération des détails du livre." });
+        res.status(500).json({ message: req.t("admin.bookDetailsFailed") });
     }
 };
 
@@ -212,22 +236,25 @@ export const updateBookAdmin = async (req, res) => {
     const bookData = req.body;
     try {
         if (Object.keys(bookData).length === 0) {
-            return res.status(400).json({ message: "Aucune donnée fournie pour la mise à jour." });
+            return res.status(400).json({ message: req.t("admin.noUpdateData") });
         }
         const updatedBook = await AdminModel.updateBookAdmin(bookId, bookData);
         if (!updatedBook) {
-            return res.status(404).json({ message: "Livre non trouvé ou aucune donnée valide fournie pour la mise à jour." });
+            return res.status(404).json({ message: req.t("admin.bookNotUpdated") });
         }
-        res.status(200).json({ message: "Livre mis à jour avec succès.", book: updatedBook });
+        if (bookData.book_file_url) {
+            await bookFileModel.attachEbookFileByUrl(bookId, bookData.book_file_url);
+        }
+        res.status(200).json({ message: req.t("admin.bookUpdated"), book: updatedBook });
     } catch (error) {
         console.error("Erreur dans AdminController.updateBookAdmin:", error.message);
         if (error.code === '23503') { // Foreign key violation
-            return res.status(400).json({ message: "L'ID de catégorie fourni n'existe pas." });
+            return res.status(400).json({ message: req.t("admin.unknownCategoryId") });
         }
         if (error.code === '22P02') { // Invalid UUID format
-            return res.status(400).json({ message: "Format d'ID de livre invalide." });
+            return res.status(400).json({ message: req.t("admin.invalidBookId") });
         }
-        res.status(500).json({ message: "Erreur interne du serveur lors de la mise à jour du livre." });
+        res.status(500).json({ message: req.t("admin.bookUpdateFailed") });
     }
 };
 
@@ -241,15 +268,15 @@ export const deleteBookAdmin = async (req, res) => {
     try {
         const rowCount = await AdminModel.deleteBookAdmin(bookId);
         if (rowCount === 0) {
-            return res.status(404).json({ message: "Livre non trouvé ou déjà supprimé." });
+            return res.status(404).json({ message: req.t("admin.bookNotDeleted") });
         }
-        res.status(200).json({ message: "Livre supprimé avec succès." });
+        res.status(200).json({ message: req.t("admin.bookDeleted") });
     } catch (error) {
         console.error("Erreur dans AdminController.deleteBookAdmin:", error.message);
         if (error.code === '22P02') { // Invalid UUID format
-            return res.status(400).json({ message: "Format d'ID de livre invalide." });
+            return res.status(400).json({ message: req.t("admin.invalidBookId") });
         }
-        res.status(500).json({ message: "Erreur interne du serveur lors de la suppression du livre." });
+        res.status(500).json({ message: req.t("admin.bookDeleteFailed") });
     }
 };
 
@@ -261,14 +288,14 @@ export const deleteBookAdmin = async (req, res) => {
 export const searchBooksAdmin = async (req, res) => {
     const { q } = req.query;
     if (!q) {
-        return res.status(400).json({ message: "Le terme de recherche est requis." });
+        return res.status(400).json({ message: req.t("admin.searchTermRequired") });
     }
     try {
         const books = await AdminModel.searchBooksAdmin(q);
         res.status(200).json(books);
     } catch (error) {
         console.error("Erreur dans AdminController.searchBooksAdmin:", error.message);
-        res.status(500).json({ message: "Erreur interne du serveur lors de la recherche des livres." });
+        res.status(500).json({ message: req.t("admin.bookSearchFailed") });
     }
 };
 
@@ -282,12 +309,12 @@ export const getBookSalesStats = async (req, res) => {
     try {
         const stats = await AdminModel.getBookSalesStats(bookId);
         if (!stats) {
-            return res.status(404).json({ message: "Livre non trouvé ou aucune statistique de vente disponible." });
+            return res.status(404).json({ message: req.t("admin.bookSalesNotFound") });
         }
         res.status(200).json(stats);
     } catch (error) {
         console.error("Erreur dans AdminController.getBookSalesStats:", error.message);
-        res.status(500).json({ message: "Erreur interne du serveur lors de la récupération des statistiques de vente du livre." });
+        res.status(500).json({ message: req.t("admin.bookSalesFailed") });
     }
 };
 
@@ -310,7 +337,7 @@ export const getAllOrdersAdmin = async (req, res) => {
         });
     } catch (error) {
         console.error("Erreur dans AdminController.getAllOrdersAdmin:", error.message);
-        res.status(500).json({ message: "Erreur interne du serveur lors de la récupération des commandes." });
+        res.status(500).json({ message: req.t("admin.ordersListFailed") });
     }
 };
 
@@ -324,12 +351,12 @@ export const getOrderDetailsAdmin = async (req, res) => {
     try {
         const order = await AdminModel.getOrderDetailsAdmin(orderId);
         if (!order) {
-            return res.status(404).json({ message: "Commande non trouvée." });
+            return res.status(404).json({ message: req.t("admin.orderNotFound") });
         }
         res.status(200).json(order);
     } catch (error) {
         console.error("Erreur dans AdminController.getOrderDetailsAdmin:", error.message);
-        res.status(500).json({ message: "Erreur interne du serveur lors de la récupération des détails de la commande." });
+        res.status(500).json({ message: req.t("admin.orderDetailsFailed") });
     }
 };
 
@@ -343,19 +370,19 @@ export const updateOrderStatusAdmin = async (req, res) => {
     const { newStatus } = req.body;
     try {
         if (!newStatus) {
-            return res.status(400).json({ message: "Le nouveau statut est requis." });
+            return res.status(400).json({ message: req.t("admin.statusRequired") });
         }
         const updatedOrder = await AdminModel.updateOrderStatusAdmin(orderId, newStatus);
         if (!updatedOrder) {
-            return res.status(404).json({ message: "Commande non trouvée ou statut inchangé." });
+            return res.status(404).json({ message: req.t("admin.orderStatusUnchanged") });
         }
-        res.status(200).json({ message: "Statut de la commande mis à jour avec succès.", order: updatedOrder });
+        res.status(200).json({ message: req.t("admin.orderStatusUpdated"), order: updatedOrder });
     } catch (error) {
         console.error("Erreur dans AdminController.updateOrderStatusAdmin:", error.message);
         if (error.code === '22P02') { // Invalid UUID format
-            return res.status(400).json({ message: "Format d'ID de commande invalide." });
+            return res.status(400).json({ message: req.t("admin.invalidOrderId") });
         }
-        res.status(500).json({ message: "Erreur interne du serveur lors de la mise à jour du statut de la commande." });
+        res.status(500).json({ message: req.t("admin.orderStatusUpdateFailed") });
     }
 };
 
@@ -372,7 +399,7 @@ export const exportOrders = async (req, res) => {
         res.status(200).json(orders);
     } catch (error) {
         console.error("Erreur dans AdminController.exportOrders:", error.message);
-        res.status(500).json({ message: "Erreur interne du serveur lors de l'exportation des commandes." });
+        res.status(500).json({ message: req.t("admin.ordersExportFailed") });
     }
 };
 
@@ -387,7 +414,7 @@ export const getOrderStats = async (req, res) => {
         res.status(200).json(stats);
     } catch (error) {
         console.error("Erreur dans AdminController.getOrderStats:", error.message);
-        res.status(500).json({ message: "Erreur interne du serveur lors de la récupération des statistiques de commande." });
+        res.status(500).json({ message: req.t("admin.orderStatsFailed") });
     }
 };
 
@@ -410,7 +437,7 @@ export const getAllClientsAdmin = async (req, res) => {
         });
     } catch (error) {
         console.error("Erreur dans AdminController.getAllClientsAdmin:", error.message);
-        res.status(500).json({ message: "Erreur interne du serveur lors de la récupération des clients." });
+        res.status(500).json({ message: req.t("admin.clientsListFailed") });
     }
 };
 
@@ -424,12 +451,12 @@ export const getClientDetailsAdmin = async (req, res) => {
     try {
         const client = await AdminModel.getClientDetailsAdmin(userId);
         if (!client) {
-            return res.status(404).json({ message: "Client non trouvé." });
+            return res.status(404).json({ message: req.t("admin.clientNotFound") });
         }
         res.status(200).json(client);
     } catch (error) {
         console.error("Erreur dans AdminController.getClientDetailsAdmin:", error.message);
-        res.status(500).json({ message: "Erreur interne du serveur lors de la récupération des détails du client." });
+        res.status(500).json({ message: req.t("admin.clientDetailsFailed") });
     }
 };
 
@@ -443,19 +470,24 @@ export const updateClientAdmin = async (req, res) => {
     const clientData = req.body;
     try {
         if (Object.keys(clientData).length === 0) {
-            return res.status(400).json({ message: "Aucune donnée fournie pour la mise à jour." });
+            return res.status(400).json({ message: req.t("admin.noUpdateData") });
+        }
+        // Changer le rôle via cette route ne doit pas contourner la permission dédiée
+        if (clientData.role_id !== undefined && !req.user.permissions.includes(PERMISSIONS.ROLES_MANAGE)) {
+            return res.status(403).json({ message: req.t("admin.roleChangeForbidden") });
         }
         const updatedClient = await AdminModel.updateClientAdmin(userId, clientData);
         if (!updatedClient) {
-            return res.status(404).json({ message: "Client non trouvé ou aucune donnée valide fournie pour la mise à jour." });
+            return res.status(404).json({ message: req.t("admin.clientNotUpdated") });
         }
-        res.status(200).json({ message: "Client mis à jour avec succès.", client: updatedClient });
+        invalidateUserState(userId); // is_active ou role_id ont pu changer
+        res.status(200).json({ message: req.t("admin.clientUpdated"), client: updatedClient });
     } catch (error) {
         console.error("Erreur dans AdminController.updateClientAdmin:", error.message);
         if (error.code === '22P02') { // Invalid UUID format
-            return res.status(400).json({ message: "Format d'ID client invalide." });
+            return res.status(400).json({ message: req.t("admin.invalidClientId") });
         }
-        res.status(500).json({ message: "Erreur interne du serveur lors de la mise à jour du client." });
+        res.status(500).json({ message: req.t("admin.clientUpdateFailed") });
     }
 };
 
@@ -469,15 +501,142 @@ export const deactivateClientAccount = async (req, res) => {
     try {
         const deactivatedClient = await AdminModel.deactivateClientAccount(userId);
         if (!deactivatedClient) {
-            return res.status(404).json({ message: "Client non trouvé ou déjà désactivé." });
+            return res.status(404).json({ message: req.t("admin.clientNotDeactivated") });
         }
-        res.status(200).json({ message: "Compte client désactivé avec succès.", client: deactivatedClient });
+        invalidateUserState(userId);
+        await sessionModel.revokeAllUserSessions(userId); // Déconnecter le client de tous ses appareils
+        res.status(200).json({ message: req.t("admin.clientDeactivated"), client: deactivatedClient });
     } catch (error) {
         console.error("Erreur dans AdminController.deactivateClientAccount:", error.message);
         if (error.code === '22P02') { // Invalid UUID format
-            return res.status(400).json({ message: "Format d'ID client invalide." });
+            return res.status(400).json({ message: req.t("admin.invalidClientId") });
+        }
+        res.status(500).json({ message: req.t("admin.clientDeactivateFailed") });
+    }
+};
+
+/**
+ * Exporte toutes les données personnelles d'un utilisateur (demande d'accès traitée par le support).
+ * @param {object} req - L'objet requête Express. Contient userId dans req.params et req.query.format ('json' ou 'zip').
+ * @param {object} res - L'objet réponse Express.
+ */
+export const exportUserDataAdmin = async (req, res) => {
+    const { userId } = req.params;
+    const format = req.query.format || "json";
+    try {
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ message: req.t("privacy.invalidExportFormat", { formats: EXPORT_FORMATS.join(", ") }) });
+        }
+        const data = await privacyModel.collectUserData(userId);
+        if (!data) {
+            return res.status(404).json({ message: req.t("users.notFound") });
+        }
+        await AdminModel.logActivity(req.user.userId, 'PERSONAL_DATA_EXPORTED', "Export des données personnelles d'un utilisateur", { userId, format });
+        await sendPersonalDataExport(res, data, format);
+    } catch (error) {
+        console.error("Erreur dans AdminController.exportUserDataAdmin:", error.message);
+        if (res.headersSent) {
+            return;
+        }
+        if (error.code === '22P02') { // Invalid UUID format
+            return res.status(400).json({ message: req.t("admin.invalidUserId") });
+        }
+        res.status(500).json({ message: req.t("privacy.exportFailed") });
+    }
+};
+
+/**
+ * Supprime (anonymise) le compte d'un utilisateur (demande d'effacement traitée par le support).
+ * Les commandes et paiements sont conservés. Les comptes administrateurs ne peuvent pas être supprimés.
+ * @param {object} req - L'objet requête Express. Contient userId dans req.params.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const deleteUserAccountAdmin = async (req, res) => {
+    const { userId } = req.params;
+    try {
+        const user = await userModel.findUserById(userId);
+        if (!user) {
+            return res.status(404).json({ message: req.t("users.notFound") });
+        }
+        if (user.role_name === SUPER_ADMIN_ROLE) {
+            return res.status(403).json({ message: req.t("privacy.adminMustBeDemoted") });
+        }
+
+        const deletedUser = await eraseUserAccount(user, req.user.userId);
+        if (!deletedUser) {
+            return res.status(404).json({ message: req.t("admin.userNotDeleted") });
+        }
+        res.status(200).json({ message: req.t("admin.userAnonymized"), user: deletedUser });
+    } catch (error) {
+        console.error("Erreur dans AdminController.deleteUserAccountAdmin:", error.message);
+        if (error.code === '22P02') { // Invalid UUID format
+            return res.status(400).json({ message: req.t("admin.invalidUserId") });
         }
-        res.status(500).json({ message: "Erreur interne du serveur lors de la désactivation du compte client." });
+        res.status(500).json({ message: req.t("admin.userDeleteFailed") });
+    }
+};
+
+/**
+ * Démarre une impersonation ("voir en tant que client") : renvoie un jeton d'accès court, en lecture seule,
+ * portant l'ID du client et celui de l'auteur. Chaque requête faite avec ce jeton est journalisée.
+ * Impossible pour un compte dont le rôle porte des permissions (personnel, administrateurs), son propre compte
+ * ou un compte désactivé : l'impersonation ne donne accès qu'à l'espace client.
+ * @param {object} req - L'objet requête Express. Contient userId dans req.params.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const impersonateUser = async (req, res) => {
+    const { userId } = req.params;
+    const impersonatorId = req.user.userId;
+    try {
+        if (req.user.impersonatorId || req.user.apiKeyId) {
+            return res.status(403).json({ message: req.t("impersonation.personalSessionRequired") });
+        }
+        if (userId === impersonatorId) {
+            return res.status(400).json({ message: req.t("impersonation.self") });
+        }
+        const targetUser = await userModel.findUserById(userId);
+        if (!targetUser) {
+            return res.status(404).json({ message: req.t("users.notFound") });
+        }
+        const targetPermissions = await roleModel.findPermissionKeysByRoleId(targetUser.role_id);
+        if (targetUser.role_name === SUPER_ADMIN_ROLE || targetPermissions.length > 0) {
+            return res.status(403).json({ message: req.t("impersonation.adminForbidden") });
+        }
+        if (!targetUser.is_active) {
+            return res.status(409).json({ message: req.t("impersonation.accountDisabled") });
+        }
+
+        const { token, expiresAt, sessionId } = await issueImpersonationToken(targetUser, impersonatorId, req);
+        await AdminModel.logActivity(impersonatorId, 'IMPERSONATION_STARTED', `Impersonation de l'utilisateur ${userId}`, {
+            targetUserId: userId,
+            sessionId,
+            expiresAt,
+        });
+
+        res.status(200).json({
+            message: req.t("impersonation.started"),
+            token,
+            expiresAt,
+            impersonation: {
+                impersonatorId,
+                targetUserId: userId,
+                sessionId,
+                scope: "read-only",
+            },
+            user: {
+                user_id: targetUser.user_id,
+                first_name: targetUser.first_name,
+                last_name: targetUser.last_name,
+                email: targetUser.email,
+                role_name: targetUser.role_name,
+            },
+        });
+    } catch (error) {
+        console.error("Erreur dans AdminController.impersonateUser:", error.message);
+        if (error.code === '22P02') { // Invalid UUID format
+            return res.status(400).json({ message: req.t("admin.invalidUserId") });
+        }
+        res.status(500).json({ message: req.t("impersonation.startFailed") });
     }
 };
 
@@ -489,14 +648,14 @@ export const deactivateClientAccount = async (req, res) => {
 export const searchClientsAdmin = async (req, res) => {
     const { q } = req.query;
     if (!q) {
-        return res.status(400).json({ message: "Le terme de recherche est requis." });
+        return res.status(400).json({ message: req.t("admin.searchTermRequired") });
     }
     try {
         const clients = await AdminModel.searchClientsAdmin(q);
         res.status(200).json(clients);
     } catch (error) {
         console.error("Erreur dans AdminController.searchClientsAdmin:", error.message);
-        res.status(500).json({ message: "Erreur interne du serveur lors de la recherche des clients." });
+        res.status(500).json({ message: req.t("admin.clientSearchFailed") });
     }
 };
 
@@ -510,21 +669,21 @@ export const getClientOrders = async (req, res) => {
     try {
         const orders = await AdminModel.getClientOrders(userId);
         if (!orders || orders.length === 0) {
-            return res.status(404).json({ message: "Aucune commande trouvée pour ce client." });
+            return res.status(404).json({ message: req.t("admin.clientOrdersNotFound") });
         }
         res.status(200).json(orders);
     } catch (error) {
         console.error("Erreur dans AdminController.getClientOrders:", error.message);
         if (error.code === '22P02') { // Invalid UUID format
-            return res.status(400).json({ message: "Format d'ID client invalide." });
+            return res.status(400).json({ message: req.t("admin.invalidClientId") });
         }
-        res.status(500).json({ message: "Erreur interne du serveur lors de la récupération des commandes du client." });
+        res.status(500).json({ message: req.t("admin.clientOrdersFailed") });
     }
 };
 
 /**
- * Envoie un email à un client.
- * @param {object} req - L'objet requête Express. Contient userId dans req.params et subject, body dans req.body.
+ * Envoie un email à un client via la file d'attente des emails.
+ * @param {object} req - L'objet requête Express. Contient userId dans req.params et subject, body (et locale optionnelle) dans req.body.
  * @param {object} res - L'objet réponse Express.
  */
 export const sendEmailToClient = async (req, res) => {
@@ -533,29 +692,91 @@ export const sendEmailToClient = async (req, res) => {
 
     try {
         if (!subject || !body) {
-            return res.status(400).json({ message: "Le sujet et le corps de l'email sont requis." });
+            return res.status(400).json({ message: req.t("admin.emailFieldsRequired") });
         }
 
         // Récupérer l'email du client
         const client = await AdminModel.getClientDetailsAdmin(userId);
         if (!client) {
-            return res.status(404).json({ message: "Client non trouvé." });
+            return res.status(404).json({ message: req.t("admin.clientNotFound") });
         }
 
-        // Simuler l'envoi d'email
-        const emailSent = await AdminModel.sendEmailToClient(client.email, subject, body);
+        // L'email passe par la file d'attente : en cas d'échec il sera retenté automatiquement
+        const entry = await queueEmail({
+            to: client.email,
+            template: "adminMessage",
+            locale: req.body.locale || localeFromRequest(req),
+            userId: client.user_id,
+            data: { firstName: client.first_name, subject, body },
+        });
+        await AdminModel.logActivity(req.user.userId, 'EMAIL_SENT_TO_CLIENT', `Email envoyé au client ${client.email}`, { userId, outboxId: entry.outbox_id });
 
-        if (emailSent) {
-            res.status(200).json({ message: "Email envoyé avec succès (simulation)." });
+        if (entry.status === 'sent') {
+            res.status(200).json({ message: req.t("admin.emailSent"), outboxId: entry.outbox_id });
         } else {
-            res.status(500).json({ message: "Échec de l'envoi de l'email." });
+            res.status(202).json({ message: req.t("admin.emailRetryScheduled"), outboxId: entry.outbox_id });
         }
     } catch (error) {
         console.error("Erreur dans AdminController.sendEmailToClient:", error.message);
         if (error.code === '22P02') { // Invalid UUID format
-            return res.status(400).json({ message: "Format d'ID client invalide." });
+            return res.status(400).json({ message: req.t("admin.invalidClientId") });
+        }
+        res.status(500).json({ message: req.t("admin.emailSendFailed") });
+    }
+};
+
+/**
+ * Récupère les emails de la file d'attente avec pagination, filtrables par statut.
+ * @param {object} req - L'objet requête Express. Peut contenir req.query.page, req.query.limit et req.query.status.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const getEmailOutbox = async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { status } = req.query;
+    try {
+        if (status && !['pending', 'sending', 'sent', 'failed'].includes(status)) {
+            return res.status(400).json({ message: req.t("admin.invalidOutboxStatus") });
+        }
+        const { entries, total, page: currentPage, limit: currentLimit } = await emailOutboxModel.getOutboxEntries(page, limit, status);
+        res.status(200).json({
+            entries,
+            total,
+            page: currentPage,
+            limit: currentLimit,
+            totalPages: Math.ceil(total / currentLimit),
+        });
+    } catch (error) {
+        console.error("Erreur dans AdminController.getEmailOutbox:", error.message);
+        res.status(500).json({ message: req.t("admin.outboxListFailed") });
+    }
+};
+
+/**
+ * Renvoie immédiatement un email de la file d'attente en attente ou en échec (409 s'il est en cours d'envoi ou déjà remis).
+ * @param {object} req - L'objet requête Express. Contient outboxId dans req.params.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const resendOutboxEmail = async (req, res) => {
+    const { outboxId } = req.params;
+    try {
+        const existing = await emailOutboxModel.findOutboxEntryById(outboxId);
+        if (!existing) {
+            return res.status(404).json({ message: req.t("admin.outboxEntryNotFound") });
+        }
+        const requeued = await emailOutboxModel.requeueOutboxEntry(outboxId);
+        if (!requeued) { // En cours d'envoi, ou déjà remis (contenu effacé)
+            return res.status(409).json({ message: req.t("admin.emailNotResendable") });
+        }
+        const entry = await deliverOutboxEntry(requeued);
+        await AdminModel.logActivity(req.user.userId, 'EMAIL_RESENT', `Email ${outboxId} renvoyé à ${entry.recipient}`, { outboxId, status: entry.status });
+        res.status(200).json({ message: req.t("admin.emailResent"), entry });
+    } catch (error) {
+        console.error("Erreur dans AdminController.resendOutboxEmail:", error.message);
+        if (error.code === '22P02') { // Invalid UUID format
+            return res.status(400).json({ message: req.t("admin.invalidOutboxId") });
         }
-        res.status(500).json({ message: "Erreur interne du serveur lors de l'envoi de l'email." });
+        res.status(500).json({ message: req.t("admin.emailResendFailed") });
     }
 };
 
@@ -568,13 +789,13 @@ export const getSalesReport = async (req, res) => {
     const { startDate, endDate } = req.query;
     try {
         if (!startDate || !endDate) {
-            return res.status(400).json({ message: "Les dates de début et de fin (startDate, endDate) sont requises." });
+            return res.status(400).json({ message: req.t("reports.datesRequired") });
         }
         const report = await AdminModel.getSalesReport(startDate, endDate);
         res.status(200).json(report);
     } catch (error) {
         console.error("Erreur dans AdminController.getSalesReport:", error.message);
-        res.status(500).json({ message: "Erreur interne du serveur lors de la génération du rapport des ventes." });
+        res.status(500).json({ message: req.t("reports.salesFailed") });
     }
 };
 
@@ -589,7 +810,7 @@ export const getSalesByCategoryReport = async (req, res) => {
         res.status(200).json(report);
     } catch (error) {
         console.error("Erreur dans AdminController.getSalesByCategoryReport:", error.message);
-        res.status(500).json({ message: "Erreur interne du serveur lors de la génération du rapport des ventes par catégorie." });
+        res.status(500).json({ message: req.t("reports.categorySalesFailed") });
     }
 };
 
@@ -604,7 +825,7 @@ export const getPaymentMethodsReport = async (req, res) => {
         res.status(200).json(report);
     } catch (error) {
         console.error("Erreur dans AdminController.getPaymentMethodsReport:", error.message);
-        res.status(500).json({ message: "Erreur interne du serveur lors de la génération du rapport des méthodes de paiement." });
+        res.status(500).json({ message: req.t("reports.paymentMethodsFailed") });
     }
 };
 
@@ -619,7 +840,7 @@ export const getConversionRateReport = async (req, res) => {
         res.status(200).json(report);
     } catch (error) {
         console.error("Erreur dans AdminController.getConversionRateReport:", error.message);
-        res.status(500).json({ message: "Erreur interne du serveur lors du calcul du taux de conversion." });
+        res.status(500).json({ message: req.t("reports.conversionRateFailed") });
     }
 };
 
@@ -632,7 +853,7 @@ export const exportReport = async (req, res) => {
     const { reportType, filters } = req.body;
     try {
         if (!reportType) {
-            return res.status(400).json({ message: "Le type de rapport à exporter (reportType) est requis." });
+            return res.status(400).json({ message: req.t("reports.typeRequired") });
         }
 
         const data = await AdminModel.getExportData(reportType, filters);
@@ -640,43 +861,224 @@ export const exportReport = async (req, res) => {
         // Dans une application réelle, vous généreriez ici un fichier CSV/Excel
         // et l'enverriez en réponse. Pour cet exemple, nous renvoyons les données JSON.
         res.status(200).json({
-            message: `Données pour l'exportation du rapport ${reportType} récupérées avec succès.`, 
+            message: req.t("reports.exportReady", { reportType }), 
             data,
             reportType,
         });
     } catch (error) {
         console.error("Erreur dans AdminController.exportReport:", error.message);
-        res.status(500).json({ message: `Erreur interne du serveur lors de l'exportation du rapport ${reportType}.` });
+        res.status(500).json({ message: req.t("reports.exportFailed", { reportType }) });
     }
 };
 
 /**
- * Simule l'upload d'une couverture de livre.
- * Dans une vraie application, cela utiliserait 'multer' ou un service de stockage cloud.
- * @param {object} req - L'objet requête Express.
+ * Copie un fichier dans le stockage et l'enregistre dans BookFiles. Pour une couverture, ses déclinaisons
+ * (voir storage/coverImages.js) sont stockées à côté de l'original. Si l'enregistrement échoue, les objets stockés
+ * sont supprimés : ils ne seraient référencés nulle part.
+ * @param {object} req - L'objet requête Express (utilisateur qui uploade).
+ * @param {object} fileData - { kind, bookId, body (flux lisible), mimeType, extension, size, checksum, originalName },
+ * et coverImage (résultat de processCoverImage) pour une couverture.
+ * @returns {Promise<object>} Le fichier enregistré.
+ */
+const saveBookFile = async (req, { kind, bookId, body, mimeType, extension, size, checksum, originalName, coverImage }) => {
+    const storage = getStorageDriver();
+    const storageKey = `${kind}s/${new Date().getFullYear()}/${crypto.randomUUID()}.${extension}`;
+    await storage.put(storageKey, body, { contentType: mimeType, size, checksum });
+    const storedKeys = [storageKey];
+    try {
+        let variants = null;
+        if (coverImage) {
+            const stored = await storeCoverVariants(storage, storageKey, coverImage.renditions);
+            storedKeys.push(...stored.storageKeys);
+            variants = stored.variants;
+        }
+        return await bookFileModel.insertBookFile({
+            bookId: bookId || null,
+            kind,
+            storageDriver: storage.name,
+            storageKey,
+            url: storage.url(storageKey),
+            originalName,
+            mimeType,
+            sizeBytes: size,
+            checksum,
+            uploadedBy: req.user.userId,
+            width: coverImage?.width,
+            height: coverImage?.height,
+            dominantColor: coverImage?.dominantColor,
+            blurhash: coverImage?.blurhash,
+            variants,
+        });
+    } catch (error) {
+        storedKeys.push(...(error.storageKeys ?? [])); // Déclinaisons écrites avant une erreur de stockage
+        for (const key of storedKeys) {
+            await storage.delete(key).catch((deleteError) => {
+                console.error("Erreur lors de la suppression d'un upload orphelin:", deleteError.message);
+            });
+        }
+        throw error;
+    }
+};
+
+/**
+ * Lit les métadonnées d'un ebook uploadé et enregistre sa couverture embarquée comme fichier 'cover', avec ses déclinaisons.
+ * Un fichier illisible n'empêche pas l'upload : les métadonnées valent alors null (et la couverture est ignorée si
+ * l'image ne peut pas être décodée).
+ * @param {object} req - L'objet requête Express. Contient req.file.
+ * @param {string} mimeType - Le type réel du fichier.
+ * @param {string | undefined} bookId - Le livre auquel rattacher la couverture.
+ * @returns {Promise<{ metadata: object | null, coverFile: object | null }>} metadata sans l'image de couverture.
+ */
+const readUploadedEbookMetadata = async (req, mimeType, bookId) => {
+    let extracted;
+    try {
+        extracted = await extractEbookMetadata(await fsPromises.readFile(req.file.path), mimeType);
+    } catch (error) {
+        console.error("Erreur dans AdminController.readUploadedEbookMetadata:", error.message);
+        return { metadata: null, coverFile: null };
+    }
+    const { cover, ...metadata } = extracted;
+
+    let coverFile = null;
+    const coverRules = UPLOAD_RULES.cover;
+    const coverImage = cover && coverRules.allowedTypes.includes(cover.mimeType) && cover.buffer.length <= coverRules.maxBytes
+        ? await processCoverImage(cover.buffer).catch((error) => {
+            console.error("Erreur dans AdminController.readUploadedEbookMetadata (couverture):", error.message);
+            return null;
+        })
+        : null;
+    if (coverImage) {
+        coverFile = await saveBookFile(req, {
+            kind: "cover",
+            bookId,
+            body: Readable.from([cover.buffer]),
+            mimeType: cover.mimeType,
+            extension: cover.extension,
+            size: cover.buffer.length,
+            checksum: crypto.createHash("sha256").update(cover.buffer).digest("hex"),
+            originalName: null,
+            coverImage,
+        });
+    }
+    return { metadata, coverFile };
+};
+
+/**
+ * Enregistre un fichier reçu par receiveUpload : vérifie son type réel, le copie dans le stockage et consigne
+ * sa taille et son empreinte SHA-256. Si book_id est fourni, le fichier est rattaché au livre via AdminModel.updateBookAdmin
+ * (cover_image_url pour une couverture, book_file_url et file_size_mb pour un ebook). Le fichier temporaire est toujours supprimé.
+ * Une couverture est déclinée en plusieurs tailles WebP et JPEG, avec sa couleur dominante et son blurhash.
+ * Pour un ebook, la réponse contient aussi les métadonnées lues dans l'OPF (EPUB) ou le dictionnaire d'informations (PDF),
+ * les champs pré-remplis pour addBookAdmin (suggestedFields) et la couverture embarquée, enregistrée dans le stockage ;
+ * avec use_embedded_cover=true, elle devient la couverture du livre book_id.
+ * @param {object} req - L'objet requête Express. Contient req.file, book_id et use_embedded_cover (facultatifs) dans req.body.
  * @param {object} res - L'objet réponse Express.
+ * @param {string} kind - Le type d'upload ('cover' ou 'ebook').
  */
-export const uploadCover = async (req, res) => {
-    // Ici, vous auriez la logique de traitement du fichier uploadé
-    // Pour la simulation, nous allons juste renvoyer une URL fictive.
-    const dummyUrl = `https://example.com/covers/${Date.now()}_cover.jpg`;
-    await AdminModel.logActivity(req.user.userId, 'COVER_UPLOAD', `Couverture de livre uploadée (simulé): ${dummyUrl}`, { url: dummyUrl });
-    res.status(200).json({ message: "Couverture de livre uploadée avec succès (simulé).", url: dummyUrl });
+const storeUpload = async (req, res, kind) => {
+    const { book_id: bookId, use_embedded_cover: useEmbeddedCover } = req.body;
+    const { allowedTypes } = UPLOAD_RULES[kind];
+    try {
+        const { mimeType, extension, size, checksum } = await inspectFile(req.file.path);
+        if (!allowedTypes.includes(mimeType)) {
+            return res.status(415).json({ message: req.t("uploads.unsupportedType", { types: allowedTypes.join(", ") }) });
+        }
+        if (bookId && !(await AdminModel.getBookByIdAdmin(bookId))) {
+            return res.status(404).json({ message: req.t("books.notFound") });
+        }
+        // Chaque téléchargement sert une copie tatouée : un ebook qui ne peut pas l'être ne pourrait jamais être téléchargé
+        if (kind === "ebook" && !(await canWatermark(await fsPromises.readFile(req.file.path), mimeType))) {
+            return res.status(415).json({ message: req.t("uploads.notWatermarkable") });
+        }
+        let coverImage;
+        if (kind === "cover") {
+            try {
+                coverImage = await processCoverImage(await fsPromises.readFile(req.file.path));
+            } catch (error) {
+                console.error("Erreur dans AdminController.storeUpload (décodage de la couverture):", error.message);
+                return res.status(415).json({ message: req.t("uploads.invalidImage") });
+            }
+        }
+
+        const file = await saveBookFile(req, {
+            kind,
+            bookId,
+            body: fs.createReadStream(req.file.path),
+            mimeType,
+            extension,
+            size,
+            checksum,
+            originalName: req.file.originalname,
+            coverImage,
+        });
+        const fileSizeMb = Math.round(size / 10485.76) / 100;
+        const { metadata, coverFile } = kind === "ebook"
+            ? await readUploadedEbookMetadata(req, mimeType, bookId)
+            : { metadata: undefined, coverFile: null };
+
+        const bookUpdate = kind === "cover"
+            ? { cover_image_url: file.url }
+            : { book_file_url: file.url, file_size_mb: fileSizeMb };
+        if (coverFile && String(useEmbeddedCover) === "true") {
+            bookUpdate.cover_image_url = coverFile.url;
+        }
+        const book = bookId ? await AdminModel.updateBookAdmin(bookId, bookUpdate) : undefined;
+        await AdminModel.logActivity(
+            req.user.userId,
+            kind === "cover" ? 'COVER_UPLOAD' : 'EBOOK_UPLOAD',
+            `${kind === "cover" ? "Couverture" : "Fichier ebook"} uploadé${bookId ? ` pour le livre ${bookId}` : ""} : ${file.url}`,
+            { fileId: file.file_id, bookId: bookId || null, mimeType, size, checksum, embeddedCoverFileId: coverFile?.file_id }
+        );
+
+        const response = {
+            message: req.t(kind === "cover" ? "uploads.coverUploaded" : "uploads.ebookUploaded"),
+            url: file.url,
+            file,
+            book,
+        };
+        if (kind === "ebook") {
+            // Champs à reprendre tels quels dans POST /api/admin/books (category_id et price restent à saisir)
+            response.suggestedFields = {
+                title: metadata?.title ?? null,
+                author_name: metadata?.creators.join(", ") || null,
+                description: metadata?.description ?? null,
+                format: mimeType === "application/pdf" ? "PDF" : "EPUB",
+                file_size_mb: fileSizeMb,
+                book_file_url: file.url,
+                cover_image_url: coverFile?.url ?? null,
+            };
+            response.metadata = metadata;
+            response.embeddedCover = coverFile;
+            if (!metadata) {
+                response.warning = req.t("uploads.metadataUnreadable");
+            }
+        }
+        res.status(201).json(response);
+    } catch (error) {
+        console.error("Erreur dans AdminController.storeUpload:", error.message);
+        if (error.code === '22P02') { // Invalid UUID format
+            return res.status(400).json({ message: req.t("admin.invalidBookId") });
+        }
+        res.status(500).json({ message: req.t("uploads.uploadFailed") });
+    } finally {
+        await fsPromises.rm(req.file.path, { force: true });
+    }
 };
 
 /**
- * Simule l'upload d'un fichier ebook.
- * Dans une vraie application, cela utiliserait 'multer' ou un service de stockage cloud.
+ * Upload d'une couverture de livre (POST /api/admin/upload/cover, multipart : file et book_id facultatif).
  * @param {object} req - L'objet requête Express.
  * @param {object} res - L'objet réponse Express.
  */
-export const uploadEbook = async (req, res) => {
-    // Ici, vous auriez la logique de traitement du fichier uploadé
-    // Pour la simulation, nous allons juste renvoyer une URL fictive.
-    const dummyUrl = `https://example.com/ebooks/${Date.now()}_ebook.pdf`;
-    await AdminModel.logActivity(req.user.userId, 'EBOOK_UPLOAD', `Fichier ebook uploadé (simulé): ${dummyUrl}`, { url: dummyUrl });
-    res.status(200).json({ message: "Fichier ebook uploadé avec succès (simulé).", url: dummyUrl });
-};
+export const uploadCover = (req, res) => storeUpload(req, res, "cover");
+
+/**
+ * Upload d'un fichier ebook, PDF ou EPUB, avec extraction de ses métadonnées
+ * (POST /api/admin/upload/ebook, multipart : file, book_id et use_embedded_cover facultatifs).
+ * @param {object} req - L'objet requête Express.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const uploadEbook = (req, res) => storeUpload(req, res, "ebook");
 
 /**
  * Génère les détails d'une facture pour une commande donnée.
@@ -688,16 +1090,16 @@ export const generateInvoice = async (req, res) => {
     try {
         const invoiceDetails = await AdminModel.getInvoiceDetails(orderId);
         if (!invoiceDetails) {
-            return res.status(404).json({ message: "Commande non trouvée pour générer la facture." });
+            return res.status(404).json({ message: req.t("admin.invoiceOrderNotFound") });
         }
         await AdminModel.logActivity(req.user.userId, 'INVOICE_GENERATED', `Facture générée pour la commande ${orderId}`, { orderId });
-        res.status(200).json({ message: "Détails de la facture récupérés avec succès.", invoice: invoiceDetails });
+        res.status(200).json({ message: req.t("admin.invoiceRetrieved"), invoice: invoiceDetails });
     } catch (error) {
         console.error("Erreur dans AdminController.generateInvoice:", error.message);
         if (error.code === '22P02') { // Invalid UUID format
-            return res.status(400).json({ message: "Format d'ID de commande invalide." });
+            return res.status(400).json({ message: req.t("admin.invalidOrderId") });
         }
-        res.status(500).json({ message: "Erreur interne du serveur lors de la génération de la facture." });
+        res.status(500).json({ message: req.t("admin.invoiceFailed") });
     }
 };
 
@@ -720,6 +1122,6 @@ export const getActivityLogsController = async (req, res) => {
         });
     } catch (error) {
         console.error("Erreur dans AdminController.getActivityLogsController:", error.message);
-        res.status(500).json({ message: "Erreur interne du serveur lors de la récupération du journal d'activité." });
+        res.status(500).json({ message: req.t("admin.activityLogFailed") });
     }
 };
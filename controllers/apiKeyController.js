@@ -0,0 +1,111 @@
+// controllers/apiKeyController.js
+import * as apiKeyModel from "../models/apiKeyModel.js";
+import * as roleModel from "../models/roleModel.js";
+import { logActivity } from "../models/AdminModel.js";
+import { generateApiKey, isValidIpAllowListEntry } from "../utils/apiKeys.js";
+
+/**
+ * Liste toutes les clés API (sans les clés elles-mêmes, qui ne sont jamais stockées en clair).
+ * @param {object} req - L'objet requête Express.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const getApiKeys = async (req, res) => {
+    try {
+        const apiKeys = await apiKeyModel.getApiKeys();
+        res.status(200).json(apiKeys);
+    } catch (error) {
+        console.error("Erreur dans apiKeyController.getApiKeys:", error.message);
+        res.status(500).json({ message: req.t("apiKeys.listFailed") });
+    }
+};
+
+/**
+ * Crée une clé API. La clé en clair n'est renvoyée qu'une seule fois, dans cette réponse.
+ * Une clé ne peut recevoir que des permissions détenues par son créateur.
+ * @param {object} req - L'objet requête Express. Contient name, permissions, allowedIps et expiresAt dans req.body.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const createApiKey = async (req, res) => {
+    const { name, permissions, allowedIps, expiresAt } = req.body;
+    try {
+        if (req.user.apiKeyId) {
+            return res.status(403).json({ message: req.t("apiKeys.cannotCreateFromKey") });
+        }
+        if (!name || typeof name !== "string" || !name.trim()) {
+            return res.status(400).json({ message: req.t("apiKeys.nameRequired") });
+        }
+        if (!Array.isArray(permissions) || permissions.length === 0) {
+            return res.status(400).json({ message: req.t("apiKeys.permissionsRequired") });
+        }
+
+        const knownKeys = (await roleModel.getAllPermissions()).map((permission) => permission.permission_key);
+        const unknownKeys = permissions.filter((permission) => !knownKeys.includes(permission));
+        if (unknownKeys.length > 0) {
+            return res.status(400).json({ message: req.t("roles.unknownPermissions", { keys: unknownKeys.join(", ") }) });
+        }
+        const notGranted = permissions.filter((permission) => !req.user.permissions.includes(permission));
+        if (notGranted.length > 0) {
+            return res.status(403).json({ message: req.t("apiKeys.permissionsNotGranted", { keys: notGranted.join(", ") }) });
+        }
+
+        if (allowedIps !== undefined && allowedIps !== null
+            && (!Array.isArray(allowedIps) || !allowedIps.every(isValidIpAllowListEntry))) {
+            return res.status(400).json({ message: req.t("apiKeys.invalidAllowedIps") });
+        }
+
+        let expirationDate = null;
+        if (expiresAt) {
+            expirationDate = new Date(expiresAt);
+            if (Number.isNaN(expirationDate.getTime()) || expirationDate <= new Date()) {
+                return res.status(400).json({ message: req.t("apiKeys.invalidExpiresAt") });
+            }
+        }
+
+        const { apiKey, keyPrefix, keyHash } = generateApiKey();
+        const createdKey = await apiKeyModel.createApiKey({
+            name: name.trim(),
+            keyPrefix,
+            keyHash,
+            permissions: [...new Set(permissions)],
+            allowedIps: allowedIps && allowedIps.length > 0 ? allowedIps : null,
+            expiresAt: expirationDate,
+            createdBy: req.user.userId,
+        });
+        await logActivity(req.user.userId, 'API_KEY_CREATED', `Clé API ${createdKey.name} créée`, {
+            apiKeyId: createdKey.api_key_id,
+            permissions: createdKey.permissions,
+        });
+
+        res.status(201).json({
+            message: req.t("apiKeys.created"),
+            apiKey,
+            key: createdKey,
+        });
+    } catch (error) {
+        console.error("Erreur dans apiKeyController.createApiKey:", error.message);
+        res.status(500).json({ message: req.t("apiKeys.createFailed") });
+    }
+};
+
+/**
+ * Révoque une clé API. Elle est refusée dès la requête suivante.
+ * @param {object} req - L'objet requête Express. Contient apiKeyId dans req.params.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const revokeApiKey = async (req, res) => {
+    const { apiKeyId } = req.params;
+    try {
+        const revokedKey = await apiKeyModel.revokeApiKey(apiKeyId);
+        if (!revokedKey) {
+            return res.status(404).json({ message: req.t("apiKeys.notFound") });
+        }
+        await logActivity(req.user.userId, 'API_KEY_REVOKED', `Clé API ${revokedKey.name} révoquée`, { apiKeyId });
+        res.status(200).json({ message: req.t("apiKeys.revoked"), key: revokedKey });
+    } catch (error) {
+        console.error("Erreur dans apiKeyController.revokeApiKey:", error.message);
+        if (error.code === '22P02') { // Invalid UUID format
+            return res.status(400).json({ message: req.t("apiKeys.invalidId") });
+        }
+        res.status(500).json({ message: req.t("apiKeys.revokeFailed") });
+    }
+};
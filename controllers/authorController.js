@@ -0,0 +1,253 @@
+// controllers/authorController.js
+import * as authorModel from "../models/authorModel.js";
+import * as bookModel from "../models/bookModel.js";
+import { logActivity } from "../models/AdminModel.js";
+import { parsePagination, buildPaginatedResponse } from "../utils/pagination.js";
+import { localizeRecord, localizeRecords, normalizeLocalizedInput } from "../utils/i18n.js";
+
+/**
+ * Lit et valide les champs d'un auteur envoyés par l'administration.
+ * name et bio acceptent une chaîne (toutes langues) ou un objet { fr, en }.
+ * @param {object} req - L'objet requête Express (corps et langue des messages).
+ * @param {boolean} partial - true pour une mise à jour (champs facultatifs), false pour une création.
+ * @returns {{ authorData?: object, error?: string }}
+ */
+const parseAuthorInput = (req, partial) => {
+    const { name, bio, photo_url } = req.body;
+    const authorData = {};
+
+    if (name !== undefined || !partial) {
+        authorData.name = normalizeLocalizedInput(name);
+        if (!authorData.name) {
+            return { error: req.t("authors.invalidName") };
+        }
+    }
+    if (bio !== undefined && bio !== null) {
+        authorData.bio = normalizeLocalizedInput(bio);
+        if (!authorData.bio) {
+            return { error: req.t("authors.invalidBio") };
+        }
+    }
+    if (photo_url !== undefined && photo_url !== null) {
+        if (typeof photo_url !== "string" || !photo_url.trim()) {
+            return { error: req.t("authors.invalidPhotoUrl") };
+        }
+        authorData.photo_url = photo_url.trim();
+    }
+    if (partial && Object.keys(authorData).length === 0) {
+        return { error: req.t("admin.noUpdateData") };
+    }
+    return { authorData };
+};
+
+/**
+ * Liste les auteurs du catalogue (ceux qui ont au moins un livre), triés par nom : GET /api/authors?search=&page=&limit=.
+ * Les noms et biographies sont renvoyés dans la langue demandée.
+ * @param {object} req - L'objet requête Express.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const getAuthors = async (req, res) => {
+    try {
+        if (req.query.cursor !== undefined) {
+            return res.status(400).json({ message: req.t("authors.pageOnly") });
+        }
+        const pagination = parsePagination(req);
+        if (pagination.error) {
+            return res.status(400).json({ message: pagination.error });
+        }
+
+        const { authors, total } = await authorModel.findAuthors({
+            locale: req.locale,
+            search: typeof req.query.search === "string" ? req.query.search.trim() : undefined,
+            limit: pagination.limit,
+            offset: pagination.offset,
+        });
+        res.status(200).json(buildPaginatedResponse(req, localizeRecords(authors, req.locale), { total, pagination }));
+    } catch (error) {
+        console.error("Erreur dans authorController.getAuthors:", error.message);
+        res.status(500).json({ message: req.t("authors.listFailed") });
+    }
+};
+
+/**
+ * Renvoie la page d'un auteur : sa fiche et sa bibliographie (GET /api/authors/:authorId).
+ * @param {object} req - L'objet requête Express. Contient authorId dans req.params.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const getAuthor = async (req, res) => {
+    const { authorId } = req.params;
+    try {
+        const author = await authorModel.findAuthorById(authorId);
+        if (!author) {
+            return res.status(404).json({ message: req.t("authors.notFound") });
+        }
+        const books = await bookModel.findBooksByAuthorId(authorId);
+
+        res.status(200).json({
+            message: req.t("authors.retrieved"),
+            author: { ...localizeRecord(author, req.locale), books: localizeRecords(books, req.locale) },
+        });
+    } catch (error) {
+        console.error("Erreur dans authorController.getAuthor:", error.message);
+        if (error.code === '22P02') { // Invalid UUID format
+            return res.status(400).json({ message: req.t("authors.invalidId") });
+        }
+        res.status(500).json({ message: req.t("authors.retrieveFailed") });
+    }
+};
+
+/**
+ * Liste tous les auteurs pour l'administration, avec leurs champs { fr, en } non aplatis (GET /api/admin/authors).
+ * @param {object} req - L'objet requête Express.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const getAuthorsAdmin = async (req, res) => {
+    try {
+        if (req.query.cursor !== undefined) {
+            return res.status(400).json({ message: req.t("authors.pageOnly") });
+        }
+        const pagination = parsePagination(req);
+        if (pagination.error) {
+            return res.status(400).json({ message: pagination.error });
+        }
+
+        const { authors, total } = await authorModel.findAuthors({
+            locale: req.locale,
+            search: typeof req.query.search === "string" ? req.query.search.trim() : undefined,
+            limit: pagination.limit,
+            offset: pagination.offset,
+            includeWithoutBooks: true,
+        });
+        res.status(200).json(buildPaginatedResponse(req, authors, { total, pagination }));
+    } catch (error) {
+        console.error("Erreur dans authorController.getAuthorsAdmin:", error.message);
+        res.status(500).json({ message: req.t("authors.listFailed") });
+    }
+};
+
+/**
+ * Crée un auteur (POST /api/admin/authors).
+ * @param {object} req - L'objet requête Express. Contient name, bio et photo_url dans req.body.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const createAuthor = async (req, res) => {
+    try {
+        const { authorData, error } = parseAuthorInput(req, false);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const author = await authorModel.createAuthor(authorData);
+        await logActivity(req.user.userId, 'AUTHOR_CREATED', `Auteur ${author.name.fr || author.name.en} créé`, { authorId: author.author_id });
+
+        res.status(201).json({ message: req.t("authors.created"), author });
+    } catch (error) {
+        console.error("Erreur dans authorController.createAuthor:", error.message);
+        if (error.code === '23505') {
+            return res.status(409).json({ message: req.t("authors.alreadyExists") });
+        }
+        res.status(500).json({ message: req.t("authors.createFailed") });
+    }
+};
+
+/**
+ * Met à jour un auteur (PUT /api/admin/authors/:authorId). Un changement de nom est répercuté sur ses livres.
+ * @param {object} req - L'objet requête Express. Contient authorId dans req.params, name, bio et photo_url dans req.body.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const updateAuthor = async (req, res) => {
+    const { authorId } = req.params;
+    try {
+        const { authorData, error } = parseAuthorInput(req, true);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const author = await authorModel.updateAuthor(authorId, authorData);
+        if (!author) {
+            return res.status(404).json({ message: req.t("authors.notFound") });
+        }
+        await logActivity(req.user.userId, 'AUTHOR_UPDATED', `Auteur ${author.name.fr || author.name.en} modifié`, { authorId, fields: Object.keys(authorData) });
+
+        res.status(200).json({ message: req.t("authors.updated"), author });
+    } catch (error) {
+        console.error("Erreur dans authorController.updateAuthor:", error.message);
+        if (error.code === '22P02') { // Invalid UUID format
+            return res.status(400).json({ message: req.t("authors.invalidId") });
+        }
+        if (error.code === '23505') {
+            return res.status(409).json({ message: req.t("authors.alreadyExists") });
+        }
+        res.status(500).json({ message: req.t("authors.updateFailed") });
+    }
+};
+
+/**
+ * Supprime un auteur qui n'est plus lié à aucun livre (DELETE /api/admin/authors/:authorId).
+ * @param {object} req - L'objet requête Express. Contient authorId dans req.params.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const deleteAuthor = async (req, res) => {
+    const { authorId } = req.params;
+    try {
+        const author = await authorModel.deleteAuthor(authorId);
+        if (!author) {
+            return res.status(404).json({ message: req.t("authors.notFound") });
+        }
+        await logActivity(req.user.userId, 'AUTHOR_DELETED', `Auteur ${author.name.fr || author.name.en} supprimé`, { authorId });
+
+        res.status(200).json({ message: req.t("authors.deleted"), author });
+    } catch (error) {
+        console.error("Erreur dans authorController.deleteAuthor:", error.message);
+        if (error.code === '22P02') { // Invalid UUID format
+            return res.status(400).json({ message: req.t("authors.invalidId") });
+        }
+        if (error.code === '23503') { // Encore lié à des livres
+            return res.status(409).json({ message: req.t("authors.stillLinked") });
+        }
+        res.status(500).json({ message: req.t("authors.deleteFailed") });
+    }
+};
+
+/**
+ * Remplace les contributeurs d'un livre (PUT /api/admin/books/:bookId/authors), dans l'ordre d'affichage.
+ * Corps : { authors: [{ author_id, role }] } avec role parmi author, translator, illustrator (author par défaut).
+ * @param {object} req - L'objet requête Express. Contient bookId dans req.params.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const setBookAuthors = async (req, res) => {
+    const { bookId } = req.params;
+    const { authors } = req.body;
+    try {
+        if (!Array.isArray(authors) || authors.length === 0) {
+            return res.status(400).json({ message: req.t("authors.contributorsRequired") });
+        }
+        const contributors = authors.map((entry) => ({ author_id: entry?.author_id, role: entry?.role ?? "author" }));
+        if (contributors.some(({ author_id, role }) => typeof author_id !== "string" || !authorModel.AUTHOR_ROLES.includes(role))) {
+            return res.status(400).json({ message: req.t("authors.invalidContributors", { roles: authorModel.AUTHOR_ROLES.join(", ") }) });
+        }
+        if (!contributors.some(({ role }) => role === "author")) {
+            return res.status(400).json({ message: req.t("authors.mainAuthorRequired") });
+        }
+        if (!(await bookModel.findBookById(bookId))) {
+            return res.status(404).json({ message: req.t("books.notFound") });
+        }
+
+        await authorModel.setBookAuthors(bookId, contributors);
+        await logActivity(req.user.userId, 'BOOK_AUTHORS_UPDATED', `Contributeurs du livre ${bookId} modifiés`, { bookId, authors: contributors });
+
+        res.status(200).json({ message: req.t("authors.contributorsUpdated"), authors: await authorModel.findAuthorsByBookId(bookId) });
+    } catch (error) {
+        console.error("Erreur dans authorController.setBookAuthors:", error.message);
+        if (error.code === '22P02') { // Invalid UUID format
+            return res.status(400).json({ message: req.t("authors.invalidBookOrAuthorId") });
+        }
+        if (error.code === '23503') { // Auteur inexistant
+            return res.status(400).json({ message: req.t("authors.unknownAuthor") });
+        }
+        if (error.code === '23505') { // Même auteur deux fois avec le même rôle
+            return res.status(400).json({ message: req.t("authors.duplicateContributor") });
+        }
+        res.status(500).json({ message: req.t("authors.contributorsUpdateFailed") });
+    }
+};
@@ -1,5 +1,11 @@
 // controllers/bookController.js
 import * as bookModel from "../models/bookModel.js"; // Importe toutes les fonctions du modèle
+import { findAuthorsByBookId } from "../models/authorModel.js";
+import { findSeriesPositionByBookId } from "../models/seriesModel.js";
+import * as categoryModel from "../models/categoryModel.js";
+import { attachEbookFileByUrl } from "../models/bookFileModel.js";
+import { parsePagination, buildPaginatedResponse, encodeCursor } from "../utils/pagination.js";
+import { localizeRecord, localizeRecords, localizeValue } from "../utils/i18n.js";
 /**
  * Gère la requête pour créer un nouveau livre.
  * @param {object} req - L'objet requête Express.
@@ -22,11 +28,12 @@ export const createBook = async (req, res) => {
                 .status(400)
                 .json({
                     message:
-                        "Veuillez fournir tous les champs obligatoires : titre, nom de l'auteur, ID de catégorie, prix, et URL du fichier du livre.",
+                        req.t("books.missingRequiredFields"),
                 });
         }
         // Appelle la fonction du modèle pour insérer le livre
         const newBook = await bookModel.insertBook(bookData);
+        await attachEbookFileByUrl(newBook.book_id, bookData.book_file_url);
         // Renvoie le livre créé avec un statut 201 (Created)
         res.status(201).json(newBook);
     } catch (error) {
@@ -37,7 +44,7 @@ export const createBook = async (req, res) => {
                 return res
                     .status(400)
                     .json({
-                        message: "L'ID de catégorie fourni n'existe pas.",
+                        message: req.t("books.categoryNotFound"),
                     });
             }
         }
@@ -45,29 +52,109 @@ export const createBook = async (req, res) => {
             return res
                 .status(400)
                 .json({
-                    message:
-                        "Un champ obligatoire est manquant. " + error.detail,
+                    message: req.t("books.missingField", { detail: error.detail }),
                 });
         }
         res.status(500).json({
-            message: "Erreur interne du serveur lors de la création du livre.",
+            message: req.t("books.createFailed"),
         });
     }
 };
+// Reconnaît un ID de catégorie (UUID) dans le filtre ?category=.
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 /**
- * Gère la requête pour récupérer tous les livres.
+ * Lit et valide les filtres du catalogue depuis la query string.
+ * @param {object} req - L'objet requête Express (pour traduire les erreurs).
+ * @param {object} [query] - Les paramètres à lire (req.query par défaut).
+ * @returns {{ filters?: object, error?: string }}
+ */
+const parseBookFilters = (req, query = req.query) => {
+    const { category, minPrice, maxPrice, minRating, format, availability, author } = query;
+    const filters = {};
+
+    if (category) {
+        // Une catégorie peut être désignée par son ID ou par son nom (fr ou en)
+        if (UUID_PATTERN.test(category)) {
+            filters.categoryId = category;
+        } else {
+            filters.categoryName = category;
+        }
+    }
+    for (const [name, value] of [["minPrice", minPrice], ["maxPrice", maxPrice]]) {
+        if (value !== undefined && value !== "") {
+            const parsedPrice = Number(value);
+            if (Number.isNaN(parsedPrice) || parsedPrice < 0) {
+                return { error: req.t("books.invalidPrice", { name }) };
+            }
+            filters[name] = parsedPrice;
+        }
+    }
+    if (filters.minPrice !== undefined && filters.maxPrice !== undefined && filters.minPrice > filters.maxPrice) {
+        return { error: req.t("books.invalidPriceRange") };
+    }
+    if (minRating !== undefined && minRating !== "") {
+        const parsedRating = Number(minRating);
+        if (Number.isNaN(parsedRating) || parsedRating < 0 || parsedRating > 5) {
+            return { error: req.t("books.invalidMinRating") };
+        }
+        filters.minRating = parsedRating;
+    }
+    if (format) filters.format = String(format);
+    if (availability) filters.availability = String(availability);
+    if (author) filters.author = String(author).trim();
+
+    return { filters };
+};
+
+/**
+ * Gère la requête pour récupérer le catalogue : paginé (?page= ou ?cursor=, ?limit=), trié
+ * (?sort=price|creation_date|rating|popularity, ?order=asc|desc) et filtré
+ * (?category=, ?minPrice=, ?maxPrice=, ?minRating=, ?format=, ?availability=, ?author=).
+ * Répond avec l'enveloppe { data, pagination, links } ; l'URL du fichier du livre n'est jamais exposée.
  * @param {object} req - L'objet requête Express.
  * @param {object} res - L'objet réponse Express.
  */
 export const getAllBooks = async (req, res) => {
+    const { sort = "creation_date", order = "desc" } = req.query;
     try {
-        const books = await bookModel.findAllBooks();
-        res.status(200).json(books);
+        if (!Object.keys(bookModel.BOOK_SORTS).includes(sort)) {
+            return res.status(400).json({ message: req.t("books.invalidSort", { sorts: Object.keys(bookModel.BOOK_SORTS).join(", ") }) });
+        }
+        if (!["asc", "desc"].includes(order)) {
+            return res.status(400).json({ message: req.t("books.invalidOrder") });
+        }
+        const pagination = parsePagination(req);
+        if (pagination.error) {
+            return res.status(400).json({ message: pagination.error });
+        }
+        const { filters, error } = parseBookFilters(req);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const { books, total, nextPosition } = await bookModel.findBooks({
+            filters,
+            sort,
+            order,
+            limit: pagination.limit,
+            offset: pagination.offset,
+            cursor: pagination.cursor,
+        });
+
+        res.status(200).json(buildPaginatedResponse(req, localizeRecords(books, req.locale), {
+            total,
+            pagination,
+            nextCursor: nextPosition ? encodeCursor(nextPosition) : null,
+        }));
     } catch (error) {
         console.error("Erreur dans le contrôleur getAllBooks :", error.message);
+        if (error.code === "22P02") { // Curseur forgé (valeur ou ID invalide)
+            return res.status(400).json({ message: req.t("pagination.invalidCursor") });
+        }
         res.status(500).json({
             message:
-                "Erreur interne du serveur lors de la récupération des livres.",
+                req.t("books.listFailed"),
         });
     }
 };
@@ -93,24 +180,23 @@ export const findBooksByCategoryName = async (categoryName) => {
         throw error;
     }
 };
-//afficher les livres par categories
+//afficher les livres par categories (sous-catégories comprises), la catégorie étant désignée par son slug
 export const getBooksByCategory = async (req, res) => {
-    const { categoryName } = req.params;
+    const { slug } = req.params;
     try {
-        if (!categoryName) {
+        if (!slug) {
             return res
                 .status(400)
-                .json({ message: "Le nom de la catégorie est requis." });
+                .json({ message: req.t("books.categoryNameRequired") });
         }
-        const books = await bookModel.findBooksByCategoryName(categoryName);
-        if (books.length === 0) {
+        const category = await categoryModel.findCategoryBySlug(slug, req.locale);
+        if (!category) {
             return res
                 .status(404)
-                .json({
-                    message: `Aucun livre trouvé pour la catégorie '${categoryName}'.`,
-                });
+                .json({ message: req.t("categories.notFound") });
         }
-        res.status(200).json(books);
+        const books = await bookModel.findBooksByCategoryId(category.category_id, req.locale);
+        res.status(200).json(localizeRecords(books, req.locale));
     } catch (error) {
         console.error(
             "Erreur dans le contrôleur getBooksByCategory :",
@@ -118,7 +204,7 @@ export const getBooksByCategory = async (req, res) => {
         );
         res.status(500).json({
             message:
-                "Erreur interne du serveur lors de la récupération des livres par catégorie.",
+                req.t("books.categoryListFailed"),
         });
     }
 };
@@ -126,6 +212,18 @@ export const getBooksByCategory = async (req, res) => {
 
 // ... (other imports and functions) ...
 
+/**
+ * Aplatit la position d'un livre dans sa série (titre de la série et des tomes voisins) dans la langue demandée.
+ * @param {object | null} position - Le résultat de findSeriesPositionByBookId.
+ * @param {string} locale - La langue demandée.
+ * @returns {object | null}
+ */
+const localizeSeriesPosition = (position, locale) => position && {
+    ...localizeRecord(position, locale),
+    previous: localizeRecord(position.previous, locale),
+    next: localizeRecord(position.next, locale),
+};
+
 export const getBookDetails = async (req, res) => {
     const { bookId } = req.params; // Correctly extracting bookId from URL parameters
 
@@ -134,14 +232,14 @@ export const getBookDetails = async (req, res) => {
             // This check might be redundant if your route is /books/:bookId,
             // as bookId would typically always be present.
             // However, it doesn't hurt to keep it for robustness.
-            return res.status(400).json({ message: "L'ID du livre est requis." });
+            return res.status(400).json({ message: req.t("books.idRequired") });
         }
 
         const book = await bookModel.findBookById(bookId); // Using bookId here
         const comments = await bookModel.getCommentsForBook(bookId); 
 
         if (!book) {
-            return res.status(404).json({ message: "Livre non trouvé." });
+            return res.status(404).json({ message: req.t("books.notFound") });
         }
 
         // --- THE IMPORTANT FIX IS HERE ---
@@ -150,11 +248,15 @@ export const getBookDetails = async (req, res) => {
 
         // Also, you'll want to include the likesCount in the response
         // Currently, you're just sending `book`. Let's add the likesCount to it.
+        // L'URL du fichier téléchargeable est réservée à la bibliothèque de l'acheteur
+        const { book_file_url, ...publicBook } = book;
         res.status(200).json({
-            message: "Détails du livre récupérés avec succès.",
+            message: req.t("books.detailsRetrieved"),
             book: {
-                ...book, // Spread all existing book properties
+                ...localizeRecord(publicBook, req.locale), // Champs { fr, en } aplatis dans la langue demandée
                 likes_count: likesCount, // Add the likes_count property
+                authors: localizeRecords(await findAuthorsByBookId(bookId), req.locale), // Liens vers les pages auteur
+                series: localizeSeriesPosition(await findSeriesPositionByBookId(bookId), req.locale), // Tomes précédent et suivant
                 comments: comments
             }
         });
@@ -165,7 +267,7 @@ export const getBookDetails = async (req, res) => {
             error.message
         );
         res.status(500).json({
-            message: "Erreur interne du serveur lors de la récupération des détails du livre.",
+            message: req.t("books.detailsFailed"),
         });
     }
 };
@@ -180,81 +282,149 @@ export const updateBook = async (req, res) => {
 
     try {
         if (!bookId) {
-            return res.status(400).json({ message: "L'ID du livre est requis pour la mise à jour." });
+            return res.status(400).json({ message: req.t("books.idRequiredForUpdate") });
         }
         if (Object.keys(bookData).length === 0) {
-            return res.status(400).json({ message: "Aucune donnée fournie pour la mise à jour." });
+            return res.status(400).json({ message: req.t("books.noUpdateData") });
         }
 
         const updatedBook = await bookModel.updateBookById(bookId, bookData);
 
         if (!updatedBook) {
-            return res.status(404).json({ message: "Livre non trouvé ou aucune donnée valide fournie pour la mise à jour." });
+            return res.status(404).json({ message: req.t("books.notFoundOrNoValidData") });
+        }
+        if (bookData.book_file_url) {
+            await attachEbookFileByUrl(bookId, bookData.book_file_url);
         }
         res.status(200).json(updatedBook); 
     } catch (error) {
         console.error("Erreur dans le contrôleur updateBook :", error.message);
         if (error.code === "23503") { 
             if (error.constraint === "books_category_id_fkey") {
-                return res.status(400).json({ message: "L'ID de catégorie fourni n'existe pas." });
+                return res.status(400).json({ message: req.t("books.categoryNotFound") });
             }
         }
         if (error.code === "22P02") { 
-             return res.status(400).json({ message: "Format d'ID de livre ou de données invalide." });
+             return res.status(400).json({ message: req.t("books.invalidIdOrData") });
         }
         if (error.code === "23502") { 
-            return res.status(400).json({ message: `Un champ obligatoire est manquant ou ne peut être null: ${error.detail}` });
+            return res.status(400).json({ message: req.t("books.missingOrNullField", { detail: error.detail }) });
         }
         res.status(500).json({
-            message: "Erreur interne du serveur lors de la mise à jour du livre.",
+            message: req.t("books.updateFailed"),
         });
     }
 };
+// Nombre maximum de suggestions d'autocomplétion.
+const MAX_SUGGESTIONS = 20;
+
+/**
+ * Aplatit les valeurs d'une facette dans la langue demandée. Des valeurs stockées différemment
+ * (ex: { fr: 'Broché', en: 'Paperback' } et 'Paperback') sont regroupées si elles s'affichent pareil.
+ * @param {Array<{ value: *, count: number }>} entries - Les valeurs et leurs nombres de livres.
+ * @param {string} locale - La langue demandée.
+ * @returns {Array<{ value: *, count: number }>} Triées par nombre décroissant.
+ */
+const localizeFacetValues = (entries, locale) => {
+    const counts = new Map();
+    for (const { value, count } of entries) {
+        const label = localizeValue(value, locale);
+        counts.set(label, (counts.get(label) || 0) + count);
+    }
+    return [...counts].map(([value, count]) => ({ value, count })).sort((a, b) => b.count - a.count);
+};
+
 /**
- * Gère la requête pour rechercher des livres par titre et/ou prix maximum.
- * Les termes de recherche sont passés via des paramètres de requête (ex: /api/books/search?title=dune&price=25).
- * @param {object} req - L'objet requête Express. Contient req.query.title et/ou req.query.price.
+ * Met en forme les facettes de recherche pour la barre de filtres : chaque valeur peut être renvoyée
+ * telle quelle dans le filtre correspondant (category_id → ?category=, value → ?format= / ?availability=,
+ * min/max → ?minPrice= / ?maxPrice=, minRating → ?minRating=).
+ * @param {object} facets - Les facettes calculées par bookModel.searchBooks.
+ * @param {string} locale - La langue demandée.
+ * @returns {object}
+ */
+const localizeFacets = (facets, locale) => ({
+    categories: localizeRecords(facets.categories, locale),
+    formats: localizeFacetValues(facets.formats, locale),
+    availability: localizeFacetValues(facets.availability, locale),
+    price: facets.price,
+    rating: facets.rating,
+});
+
+/**
+ * Gère la recherche plein texte (titre, auteur, description, en français et en anglais, tolérante aux fautes).
+ * Le texte est passé via ?q= (ou ?title=, ancien nom) ; ?price= reste accepté comme prix maximum et les filtres
+ * de GET /api/books s'appliquent. Les résultats sont triés par pertinence, paginés par page et accompagnés
+ * d'extraits surlignés dans la langue demandée (?lang=).
+ * Avec ?facets=true, la réponse contient aussi les facettes de l'ensemble des résultats (voir localizeFacets).
+ * @param {object} req - L'objet requête Express.
  * @param {object} res - L'objet réponse Express.
  */
 export const searchBooks = async (req, res) => {
-    const { title, price } = req.query; // Récupère les deux paramètres 'title' et 'price'
+    const query = String(req.query.q ?? req.query.title ?? "").trim();
 
     try {
-        // Vérifie qu'au moins un critère de recherche est fourni
-        if ((!title || title.trim() === '') && (price === undefined || price === null || price.trim() === '')) {
-            return res.status(400).json({ message: "Veuillez fournir un titre et/ou un prix maximum pour la recherche." });
+        if (!query) {
+            return res.status(400).json({ message: req.t("books.searchQueryRequired") });
         }
-
-        const filters = {};
-        if (title && title.trim() !== '') {
-            filters.title = title.trim();
+        if (req.query.cursor !== undefined) {
+            return res.status(400).json({ message: req.t("books.searchPageOnly") });
         }
-
-        if (price !== undefined && price !== null && price.trim() !== '') {
-            const parsedPrice = parseFloat(price);
-            if (isNaN(parsedPrice) || parsedPrice < 0) {
-                 return res.status(400).json({ message: "Le prix maximum doit être un nombre positif." });
-            }
-            filters.maxPrice = parsedPrice;
+        const pagination = parsePagination(req);
+        if (pagination.error) {
+            return res.status(400).json({ message: pagination.error });
         }
+        const { filters, error } = parseBookFilters(req, { maxPrice: req.query.price, ...req.query });
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const { locale } = req;
+        const { books, total, facets } = await bookModel.searchBooks({
+            query,
+            locale,
+            filters,
+            limit: pagination.limit,
+            offset: pagination.offset,
+            facets: req.query.facets === "true",
+        });
+
+        res.status(200).json({
+            ...buildPaginatedResponse(req, localizeRecords(books, locale), { total, pagination }),
+            query,
+            locale,
+            ...(facets && { facets: localizeFacets(facets, locale) }),
+        });
+    } catch (error) {
+        console.error("Erreur dans le contrôleur searchBooks :", error.message);
+        res.status(500).json({
+            message: req.t("books.searchFailed"),
+        });
+    }
+};
 
-        // Appelle la fonction du modèle avec l'objet filters
-        const books = await bookModel.searchBooks(filters);
+/**
+ * Gère l'autocomplétion de la recherche : GET /api/books/search/suggest?q=har&limit=8.
+ * @param {object} req - L'objet requête Express.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const suggestBooks = async (req, res) => {
+    const query = String(req.query.q ?? "").trim();
+    const limit = req.query.limit === undefined ? 8 : Number(req.query.limit);
 
-        if (books.length === 0) {
-            let message = "Aucun livre trouvé correspondant à vos critères.";
-            // Optionnel : affiner le message d'erreur pour l'utilisateur
-            // if (title && price) message = `Aucun livre trouvé avec le titre contenant '${title}' et un prix inférieur ou égal à ${price}.`;
-            // else if (title) message = `Aucun livre trouvé avec le titre contenant '${title}'.`;
-            // else if (price) message = `Aucun livre trouvé avec un prix inférieur ou égal à ${price}.`;
-            return res.status(404).json({ message });
+    try {
+        if (query.length < 2) {
+            return res.status(400).json({ message: req.t("books.suggestQueryTooShort") });
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SUGGESTIONS) {
+            return res.status(400).json({ message: req.t("pagination.invalidLimit", { max: MAX_SUGGESTIONS }) });
         }
 
-        res.status(200).json(books);
+        const suggestions = await bookModel.suggestBooks(query, req.locale, limit);
+        res.status(200).json({ query, suggestions: localizeRecords(suggestions, req.locale) });
     } catch (error) {
-        console.error("Erreur dans le contrôleur searchBooks :", error.message);
+        console.error("Erreur dans le contrôleur suggestBooks :", error.message);
         res.status(500).json({
-            message: "Erreur interne du serveur lors de la recherche des livres.",
+            message: req.t("books.suggestFailed"),
         });
     }
 };
@@ -268,13 +438,13 @@ export const deleteBook = async (req, res) => {
 
     try {
         if (!bookId) {
-            return res.status(400).json({ message: "L'ID du livre est requis pour la suppression." });
+            return res.status(400).json({ message: req.t("books.idRequiredForDelete") });
         }
 
         const rowCount = await bookModel.deleteBookById(bookId);
 
         if (rowCount === 0) {
-            return res.status(404).json({ message: "Livre non trouvé ou déjà supprimé." });
+            return res.status(404).json({ message: req.t("books.notFoundOrDeleted") });
         }
 
         // Standard pour une suppression réussie sans contenu à renvoyer
@@ -287,11 +457,11 @@ export const deleteBook = async (req, res) => {
 
         // Gérer les erreurs spécifiques de PostgreSQL (par ex. si l'ID n'est pas un UUID valide)
         if (error.code === "22P02") { // invalid_text_representation (si bookId n'est pas un UUID valide)
-             return res.status(400).json({ message: "Format d'ID de livre invalide." });
+             return res.status(400).json({ message: req.t("books.invalidId") });
         }
 
         res.status(500).json({
-            message: "Erreur interne du serveur lors de la suppression du livre.",
+            message: req.t("books.deleteFailed"),
         });
     }
 };
@@ -346,14 +516,14 @@ export const postBookComment = async (req, res) => {
                 .status(400)
                 .json({
                     message:
-                        "L'ID du livre, le texte du commentaire et l'ID utilisateur sont requis.",
+                        req.t("comments.missingFields"),
                 });
         }
 
         // Optionnel: Vérifier si le livre existe (recommandé)
         const bookExists = await bookModel.findBookById(bookId);
         if (!bookExists) {
-            return res.status(404).json({ message: "Livre non trouvé." });
+            return res.status(404).json({ message: req.t("books.notFound") });
         }
 
         const newComment = await bookModel.addBookComment(
@@ -363,7 +533,7 @@ export const postBookComment = async (req, res) => {
         );
 
         res.status(201).json({
-            message: "Commentaire ajouté avec succès !",
+            message: req.t("comments.created"),
             comment: newComment,
         });
     } catch (error) {
@@ -372,11 +542,11 @@ export const postBookComment = async (req, res) => {
             // ID invalide ou FK non trouvée
             return res
                 .status(400)
-                .json({ message: "ID de livre ou d'utilisateur invalide." });
+                .json({ message: req.t("comments.invalidIds") });
         }
         res.status(500).json({
             message:
-                "Erreur interne du serveur lors de l'ajout du commentaire.",
+                req.t("comments.createFailed"),
         });
     }
 };
@@ -411,40 +581,17 @@ export const getCommentsForBook = async (bookId) => {
 };
 
 /**
- * Récupère toutes les catégories de livres de la base de données.
+ * Récupère toutes les catégories de livres dans l'ordre de l'arbre, avec parent_id, depth, slug et nombres de livres.
  * @returns {Promise<Array>} Un tableau de toutes les catégories.
  */
 export const getAllCategories = async (req, res) => {
     try {
-        const categories = await bookModel.findAllCategories();
-        res.status(200).json(categories);
+        const categories = await categoryModel.findAllCategories();
+        res.status(200).json(localizeRecords(categories, req.locale));
     } catch (error) {
         console.error("Erreur dans le contrôleur getAllCategories :", error.message);
         res.status(500).json({
-            message: "Erreur interne du serveur lors de la récupération des catégories.",
+            message: req.t("categories.listFailed"),
         });
     }
-};
-
-/**
- * Gère la requête pour créer une nouvelle catégorie.
- * @param {object} req - L'objet requête Express. Contient req.body avec category_name, category_description, category_icon.
- * @param {object} res - L'objet réponse Express.
- */
-export const createCategory = async (req, res) => {
-    console.log("Attempting to create category..."); // Added for debugging
-    const { category_name, category_description, category_icon } = req.body;
-    try {
-        if (!category_name) {
-            return res.status(400).json({ message: "Le nom de la catégorie est obligatoire." });
-        }
-        const newCategory = await bookModel.insertCategory({ category_name, category_description, category_icon });
-        res.status(201).json(newCategory);
-    } catch (error) {
-        console.error("Erreur dans le contrôleur createCategory :", error.message);
-        if (error.code === '23505') { // Unique violation
-            return res.status(409).json({ message: "Une catégorie avec ce nom existe déjà." });
-        }
-        res.status(500).json({ message: "Erreur interne du serveur lors de la création de la catégorie." });
-    }
 };
\ No newline at end of file
@@ -2,6 +2,7 @@
 import * as cartModel from "../models/cartModel.js";
 import * as bookModel from "../models/bookModel.js";
 // Pour vérifier l'existence du livre
+import { localizeRecords } from "../utils/i18n.js";
 /**
  * Affiche le contenu du panier de l'utilisateur authentifié.
  * @param {object} req - L'objet requête Express (req.user.userId sera présent).
@@ -19,10 +20,10 @@ export const getCartContent = async (req, res) => {
         );
 
         res.status(200).json({
-            message: "Contenu du panier récupéré avec succès.",
+            message: req.t("cart.retrieved"),
             cart: {
                 cart_id: cart.cart_id,
-                items: cartItems,
+                items: localizeRecords(cartItems, req.locale),
                 total_items_count: totalItemsInCart,
             },
         });
@@ -33,7 +34,7 @@ export const getCartContent = async (req, res) => {
         );
         res.status(500).json({
             message:
-                "Erreur interne du serveur lors de la récupération du panier.",
+                req.t("cart.retrieveFailed"),
         });
     }
 };
@@ -52,18 +53,18 @@ export const addItemToCart = async (req, res) => {
         if (!bookId) {
             return res
                 .status(400)
-                .json({ message: "L'ID du livre est requis." });
+                .json({ message: req.t("books.idRequired") });
         }
         if (typeof quantity !== "number" || quantity <= 0) {
             return res
                 .status(400)
-                .json({ message: "La quantité doit être un nombre positif." });
+                .json({ message: req.t("cart.invalidQuantity") });
         }
 
         // 1. Vérifier si le livre existe réellement
         const bookExists = await bookModel.findBookById(bookId);
         if (!bookExists) {
-            return res.status(404).json({ message: "Livre non trouvé." });
+            return res.status(404).json({ message: req.t("books.notFound") });
         }
 
         // 2. Récupérer ou créer le panier de l'utilisateur
@@ -77,7 +78,7 @@ export const addItemToCart = async (req, res) => {
         );
 
         res.status(200).json({
-            message: "Livre ajouté/mis à jour dans le panier avec succès.",
+            message: req.t("cart.itemAdded"),
             cartItem: cartItem,
         });
     } catch (error) {
@@ -90,10 +91,10 @@ export const addItemToCart = async (req, res) => {
             // ID invalide ou FK non trouvée
             return res
                 .status(400)
-                .json({ message: "ID de livre ou de panier invalide." });
+                .json({ message: req.t("cart.invalidIds") });
         }
         res.status(500).json({
-            message: "Erreur interne du serveur lors de l'ajout au panier.",
+            message: req.t("cart.addFailed"),
         });
     }
 };
@@ -112,14 +113,14 @@ export const updateCartItem = async (req, res) => {
         if (!book_id) {
             return res
                 .status(400)
-                .json({ message: "L'ID du livre est requis dans l'URL." });
+                .json({ message: req.t("cart.bookIdRequiredInUrl") });
         }
         if (typeof quantity !== "number" || quantity < 0) {
             // La quantité peut être 0 pour retirer l'article
             return res
                 .status(400)
                 .json({
-                    message: "La quantité doit être un nombre positif ou zéro.",
+                    message: req.t("cart.invalidQuantityOrZero"),
                 });
         }
 
@@ -135,12 +136,12 @@ export const updateCartItem = async (req, res) => {
                 .status(404)
                 .json({
                     message:
-                        "Livre non trouvé dans le panier ou quantité à zéro.",
+                        req.t("cart.itemNotFoundOrZero"),
                 });
         }
 
         res.status(200).json({
-            message: "Quantité du livre mise à jour dans le panier.",
+            message: req.t("cart.quantityUpdated"),
             cartItem: updatedItem,
         });
     } catch (error) {
@@ -150,7 +151,7 @@ export const updateCartItem = async (req, res) => {
         );
         res.status(500).json({
             message:
-                "Erreur interne du serveur lors de la mise à jour du panier.",
+                req.t("cart.updateFailed"),
         });
     }
 };
@@ -168,7 +169,7 @@ export const deleteCartItem = async (req, res) => {
         if (!book_id) {
             return res
                 .status(400)
-                .json({ message: "L'ID du livre est requis dans l'URL." });
+                .json({ message: req.t("cart.bookIdRequiredInUrl") });
         }
 
         const cart = await cartModel.getOrCreateCart(userId);
@@ -177,11 +178,11 @@ export const deleteCartItem = async (req, res) => {
         if (!removed) {
             return res
                 .status(404)
-                .json({ message: "Livre non trouvé dans le panier." });
+                .json({ message: req.t("cart.itemNotFound") });
         }
 
         res.status(200).json({
-            message: "Livre retiré du panier avec succès.",
+            message: req.t("cart.itemRemoved"),
         });
     } catch (error) {
         console.error(
@@ -189,7 +190,7 @@ export const deleteCartItem = async (req, res) => {
             error.message
         );
         res.status(500).json({
-            message: "Erreur interne du serveur lors du retrait du panier.",
+            message: req.t("cart.removeFailed"),
         });
     }
 };
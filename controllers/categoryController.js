@@ -0,0 +1,212 @@
+// controllers/categoryController.js
+import * as categoryModel from "../models/categoryModel.js";
+import { logActivity } from "../models/AdminModel.js";
+import { SUPPORTED_LOCALES, normalizeLocalizedInput } from "../utils/i18n.js";
+import { SLUG_PATTERN } from "../utils/slug.js";
+
+/**
+ * Lit et valide les champs d'une catégorie envoyés par l'administration.
+ * category_name et category_description acceptent une chaîne (toutes langues) ou un objet { fr, en } ;
+ * slug est un objet { fr?, en? } ; parent_id vaut l'ID du parent ou null pour une catégorie racine.
+ * @param {object} req - L'objet requête Express (corps et langue des messages).
+ * @param {boolean} partial - true pour une mise à jour (champs facultatifs), false pour une création.
+ * @returns {{ categoryData?: object, error?: string }}
+ */
+const parseCategoryInput = (req, partial) => {
+    const { category_name, category_description, category_icon, parent_id, slug } = req.body;
+    const categoryData = {};
+
+    if (category_name !== undefined || !partial) {
+        categoryData.category_name = normalizeLocalizedInput(category_name);
+        if (!categoryData.category_name) {
+            return { error: req.t("categories.nameRequired") };
+        }
+    }
+    if (category_description !== undefined && category_description !== null) {
+        categoryData.category_description = normalizeLocalizedInput(category_description);
+        if (!categoryData.category_description) {
+            return { error: req.t("categories.invalidDescription") };
+        }
+    }
+    if (category_icon !== undefined && category_icon !== null) {
+        if (typeof category_icon !== "string") {
+            return { error: req.t("categories.invalidIcon") };
+        }
+        categoryData.category_icon = category_icon.trim();
+    }
+    if (parent_id !== undefined) {
+        if (parent_id !== null && typeof parent_id !== "string") {
+            return { error: req.t("categories.invalidParent") };
+        }
+        categoryData.parent_id = parent_id;
+    }
+    if (slug !== undefined) {
+        const entries = slug && typeof slug === "object" && !Array.isArray(slug) ? Object.entries(slug) : null;
+        if (!entries || entries.length === 0
+            || entries.some(([locale, value]) => !SUPPORTED_LOCALES.includes(locale) || typeof value !== "string" || !SLUG_PATTERN.test(value))) {
+            return { error: req.t("categories.invalidSlug", { locales: SUPPORTED_LOCALES.join(", ") }) };
+        }
+        categoryData.slug = Object.fromEntries(entries);
+    }
+    if (partial && Object.keys(categoryData).length === 0) {
+        return { error: req.t("admin.noUpdateData") };
+    }
+    return { categoryData };
+};
+
+/**
+ * Liste toutes les catégories pour l'administration, dans l'ordre de l'arbre et avec leurs champs { fr, en } non aplatis
+ * (GET /api/admin/categories).
+ * @param {object} req - L'objet requête Express.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const getCategoriesAdmin = async (req, res) => {
+    try {
+        const categories = await categoryModel.findAllCategories();
+        res.status(200).json({ message: req.t("categories.retrieved"), categories });
+    } catch (error) {
+        console.error("Erreur dans categoryController.getCategoriesAdmin:", error.message);
+        res.status(500).json({ message: req.t("categories.listFailed") });
+    }
+};
+
+/**
+ * Crée une catégorie, éventuellement sous une catégorie parente (POST /api/admin/categories).
+ * @param {object} req - L'objet requête Express. Contient category_name, category_description, category_icon,
+ * parent_id et slug dans req.body.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const createCategory = async (req, res) => {
+    try {
+        const { categoryData, error } = parseCategoryInput(req, false);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const category = await categoryModel.createCategory(categoryData);
+        await logActivity(req.user.userId, 'CATEGORY_CREATED', `Catégorie ${category.category_name.fr || category.category_name.en} créée`, { categoryId: category.category_id, parentId: category.parent_id });
+
+        res.status(201).json({ message: req.t("categories.created"), category });
+    } catch (error) {
+        console.error("Erreur dans categoryController.createCategory:", error.message);
+        if (error.code === '22P02' || error.code === '23503') { // Parent mal formé ou inexistant
+            return res.status(400).json({ message: req.t("categories.invalidParent") });
+        }
+        if (error.code === '23505') { // Slug déjà pris
+            return res.status(409).json({ message: req.t("categories.slugTaken") });
+        }
+        res.status(500).json({ message: req.t("categories.createFailed") });
+    }
+};
+
+/**
+ * Met à jour une catégorie (PUT /api/admin/categories/:categoryId). Un renommage conserve les slugs ;
+ * un changement de parent ne peut pas placer la catégorie sous elle-même ou sous l'une de ses sous-catégories.
+ * @param {object} req - L'objet requête Express. Contient categoryId dans req.params et les champs à modifier dans req.body.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const updateCategory = async (req, res) => {
+    const { categoryId } = req.params;
+    try {
+        const { categoryData, error } = parseCategoryInput(req, true);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        if (categoryData.parent_id && await categoryModel.isInCategorySubtree(categoryId, categoryData.parent_id)) {
+            return res.status(400).json({ message: req.t("categories.parentCycle") });
+        }
+
+        const category = await categoryModel.updateCategory(categoryId, categoryData);
+        if (!category) {
+            return res.status(404).json({ message: req.t("categories.notFound") });
+        }
+        await logActivity(req.user.userId, 'CATEGORY_UPDATED', `Catégorie ${category.category_name.fr || category.category_name.en} modifiée`, { categoryId, fields: Object.keys(categoryData) });
+
+        res.status(200).json({ message: req.t("categories.updated"), category });
+    } catch (error) {
+        console.error("Erreur dans categoryController.updateCategory:", error.message);
+        if (error.code === '22P02') { // Invalid UUID format
+            return res.status(400).json({ message: req.t("categories.invalidId") });
+        }
+        if (error.code === '23503') { // Parent inexistant
+            return res.status(400).json({ message: req.t("categories.invalidParent") });
+        }
+        if (error.code === '23505') { // Slug déjà pris
+            return res.status(409).json({ message: req.t("categories.slugTaken") });
+        }
+        res.status(500).json({ message: req.t("categories.updateFailed") });
+    }
+};
+
+/**
+ * Supprime une catégorie (DELETE /api/admin/categories/:categoryId?reassignTo=). Ses sous-catégories sont rattachées
+ * à son parent ; si elle contient encore des livres, ?reassignTo= doit désigner la catégorie qui les reçoit.
+ * @param {object} req - L'objet requête Express. Contient categoryId dans req.params et reassignTo dans req.query.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const deleteCategory = async (req, res) => {
+    const { categoryId } = req.params;
+    const reassignTo = typeof req.query.reassignTo === "string" && req.query.reassignTo ? req.query.reassignTo : null;
+    try {
+        const existing = await categoryModel.findCategoryById(categoryId);
+        if (!existing) {
+            return res.status(404).json({ message: req.t("categories.notFound") });
+        }
+        if (reassignTo === categoryId) {
+            return res.status(400).json({ message: req.t("categories.invalidReassignTarget") });
+        }
+        if (existing.book_count > 0 && !reassignTo) {
+            return res.status(409).json({ message: req.t("categories.reassignRequired", { count: existing.book_count }) });
+        }
+
+        const deleted = await categoryModel.deleteCategory(categoryId, existing.book_count > 0 ? reassignTo : null);
+        if (!deleted) {
+            return res.status(404).json({ message: req.t("categories.notFound") });
+        }
+        const { category, movedBooks, movedChildren } = deleted;
+        await logActivity(req.user.userId, 'CATEGORY_DELETED', `Catégorie ${category.category_name.fr || category.category_name.en} supprimée`, { categoryId, reassignTo, movedBooks, movedChildren });
+
+        res.status(200).json({ message: req.t("categories.deleted"), category, movedBooks, movedChildren });
+    } catch (error) {
+        console.error("Erreur dans categoryController.deleteCategory:", error.message);
+        if (error.code === '22P02') { // Invalid UUID format
+            return res.status(400).json({ message: req.t("categories.invalidId") });
+        }
+        if (error.code === '23503') { // Catégorie de réaffectation inexistante, ou livres ajoutés entre-temps
+            return res.status(409).json({ message: req.t("categories.invalidReassignTarget") });
+        }
+        res.status(500).json({ message: req.t("categories.deleteFailed") });
+    }
+};
+
+/**
+ * Réordonne les sous-catégories d'un parent, ou les catégories racines (PUT /api/admin/categories/reorder).
+ * Corps : { parent_id, category_ids } où category_ids liste exactement les catégories sœurs, dans le nouvel ordre.
+ * @param {object} req - L'objet requête Express.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const reorderCategories = async (req, res) => {
+    const { parent_id: parentId = null, category_ids: categoryIds } = req.body;
+    try {
+        if (!Array.isArray(categoryIds) || categoryIds.length === 0 || categoryIds.some((id) => typeof id !== "string")) {
+            return res.status(400).json({ message: req.t("categories.orderRequired") });
+        }
+        const siblingIds = await categoryModel.findChildCategoryIds(parentId);
+        if (new Set(categoryIds).size !== categoryIds.length
+            || categoryIds.length !== siblingIds.length
+            || !categoryIds.every((id) => siblingIds.includes(id))) {
+            return res.status(400).json({ message: req.t("categories.orderMismatch") });
+        }
+
+        await categoryModel.reorderCategories(categoryIds);
+        await logActivity(req.user.userId, 'CATEGORY_REORDERED', `Catégories réordonnées`, { parentId, categoryIds });
+
+        res.status(200).json({ message: req.t("categories.reordered"), categories: await categoryModel.findAllCategories() });
+    } catch (error) {
+        console.error("Erreur dans categoryController.reorderCategories:", error.message);
+        if (error.code === '22P02') { // Invalid UUID format
+            return res.status(400).json({ message: req.t("categories.invalidParent") });
+        }
+        res.status(500).json({ message: req.t("categories.reorderFailed") });
+    }
+};
@@ -2,6 +2,10 @@
 import * as checkoutModel from "../models/checkoutModel.js";
 import * as cartModel from "../models/cartModel.js";
 import * as bookModel from "../models/bookModel.js"; // Pour le prix des livres, etc.
+import * as userModel from "../models/userModel.js";
+import { queueEmail } from "../mail/mailer.js";
+import { localeFromRequest } from "../mail/templates/index.js";
+import { localizeValue } from "../utils/i18n.js";
 
 // Stockage temporaire pour les sessions de checkout non finalisées.
 // Dans une vraie application, ceci serait stocké de manière persistante (base de données, Redis, etc.)
@@ -32,7 +36,7 @@ export const setShippingInformation = async (req, res) => {
 
     try {
         let selectedAddressId = addressId;
-        let message = "Informations de livraison mises à jour avec succès.";
+        let message = req.t("checkout.shippingUpdated");
 
         if (addressId) {
             // Optionnel: Vérifier que l'adresse appartient bien à l'utilisateur
@@ -45,12 +49,12 @@ export const setShippingInformation = async (req, res) => {
                     .status(404)
                     .json({
                         message:
-                            "Adresse de livraison non trouvée pour cet utilisateur.",
+                            req.t("checkout.addressNotFound"),
                     });
             }
             // Si l'adresse est trouvée, on utilise son ID
             selectedAddressId = foundAddress.address_id;
-            message = "Adresse de livraison sélectionnée avec succès.";
+            message = req.t("checkout.addressSelected");
         } else if (
             address_line1 &&
             city &&
@@ -69,14 +73,13 @@ export const setShippingInformation = async (req, res) => {
                 is_default,
             });
             selectedAddressId = newAddress.address_id;
-            message =
-                "Nouvelle adresse de livraison enregistrée et sélectionnée avec succès.";
+            message = req.t("checkout.addressSavedAndSelected");
         } else {
             return res
                 .status(400)
                 .json({
                     message:
-                        "Veuillez fournir un addressId existant ou les détails complets d'une nouvelle adresse.",
+                        req.t("checkout.addressRequired"),
                 });
         }
 
@@ -91,7 +94,7 @@ export const setShippingInformation = async (req, res) => {
                 .status(400)
                 .json({
                     message:
-                        "Votre panier est vide. Impossible de démarrer le checkout.",
+                        req.t("checkout.emptyCartStart"),
                 });
         }
 
@@ -127,7 +130,7 @@ export const setShippingInformation = async (req, res) => {
         );
         res.status(500).json({
             message:
-                "Erreur interne du serveur lors de l'enregistrement des informations de livraison.",
+                req.t("checkout.shippingFailed"),
         });
     }
 };
@@ -146,7 +149,7 @@ export const setPaymentMethod = async (req, res) => {
         if (!paymentMethod) {
             return res
                 .status(400)
-                .json({ message: "La méthode de paiement est requise." });
+                .json({ message: req.t("checkout.paymentMethodRequired") });
         }
         // Vérifiez si shippingAddressId est fourni si la livraison physique est activée
         // Ou si c'est pour des ebooks, shippingAddressId peut être null ou non requis.
@@ -160,7 +163,7 @@ export const setPaymentMethod = async (req, res) => {
                 .status(400)
                 .json({
                     message:
-                        "Votre panier est vide. Impossible de procéder au paiement.",
+                        req.t("checkout.emptyCartPayment"),
                 });
         }
 
@@ -183,7 +186,7 @@ export const setPaymentMethod = async (req, res) => {
         } else {
             return res
                 .status(400)
-                .json({ message: "Méthode de paiement non supportée." });
+                .json({ message: req.t("checkout.paymentMethodUnsupported") });
         }
         // --- FIN SIMULATION ---
 
@@ -217,7 +220,7 @@ export const setPaymentMethod = async (req, res) => {
             );
             res.status(200).json({
                 message:
-                    "Méthode de paiement enregistrée et paiement simulé réussi.",
+                    req.t("checkout.paymentSucceeded"),
                 paymentId: payment.payment_id,
                 orderId: order.order_id, // Retourne l'ID de la commande pour la prochaine étape
                 status: "Payment_Success",
@@ -230,7 +233,7 @@ export const setPaymentMethod = async (req, res) => {
             );
             res.status(402).json({
                 // 402 Payment Required
-                message: "Paiement échoué. Veuillez réessayer.",
+                message: req.t("checkout.paymentFailed"),
                 paymentId: payment.payment_id,
                 orderId: order.order_id,
                 status: "Payment_Failed",
@@ -243,7 +246,7 @@ export const setPaymentMethod = async (req, res) => {
         );
         res.status(500).json({
             message:
-                "Erreur interne du serveur lors du traitement du paiement.",
+                req.t("checkout.paymentError"),
         });
     }
 };
@@ -264,7 +267,7 @@ export const confirmOrder = async (req, res) => {
                 .status(400)
                 .json({
                     message:
-                        "L'ID de la commande est requis pour la confirmation.",
+                        req.t("checkout.orderIdRequired"),
                 });
         }
 
@@ -275,17 +278,14 @@ export const confirmOrder = async (req, res) => {
                 .status(404)
                 .json({
                     message:
-                        "Commande non trouvée ou n'appartient pas à cet utilisateur.",
+                        req.t("checkout.orderNotFound"),
                 });
         }
         if (order.status !== "Payment_Success") {
             return res
                 .status(400)
                 .json({
-                    message:
-                        "La commande n'est pas prête à être confirmée (statut: " +
-                        order.status +
-                        ").",
+                    message: req.t("checkout.orderNotReady", { status: order.status }),
                 });
         }
 
@@ -298,7 +298,7 @@ export const confirmOrder = async (req, res) => {
                 .status(400)
                 .json({
                     message:
-                        "Votre panier est vide. Impossible de confirmer une commande sans articles.",
+                        req.t("checkout.emptyCartConfirm"),
                 });
         }
 
@@ -330,13 +330,37 @@ export const confirmOrder = async (req, res) => {
             await cartModel.removeCartItem(cart.cart_id, item.book_id);
         }
 
+        // Envoyer l'email de confirmation de commande (un échec ne doit pas annuler la commande)
+        try {
+            const locale = localeFromRequest(req);
+            const user = await userModel.findUserById(userId);
+            await queueEmail({
+                to: user.email,
+                template: "orderConfirmation",
+                locale,
+                userId,
+                data: {
+                    firstName: user.first_name,
+                    orderId: order.order_id,
+                    totalAmount: order.total_amount,
+                    items: cartItems.map((item) => ({
+                        title: localizeValue(item.title, locale),
+                        quantity: item.quantity,
+                        price: item.price,
+                    })),
+                },
+            });
+        } catch (mailError) {
+            console.error("Erreur lors de l'envoi de l'email de confirmation de commande :", mailError.message);
+        }
+
         // Optionnel : Ajouter les livres achetés à la table UserBooks
         for (const item of itemsForOrder) {
             await bookModel.purchaseBook(userId, item.book_id); // Réutilise ta fonction purchaseBook existante
         }
 
         res.status(200).json({
-            message: "Commande finalisée avec succès !",
+            message: req.t("checkout.orderCompleted"),
             orderId: order.order_id,
             status: "Completed",
         });
@@ -347,7 +371,7 @@ export const confirmOrder = async (req, res) => {
         );
         res.status(500).json({
             message:
-                "Erreur interne du serveur lors de la confirmation de la commande.",
+                req.t("checkout.confirmFailed"),
         });
     }
 };
@@ -378,7 +402,7 @@ export const getCheckoutSessionStatus = async (req, res) => {
         // Pour l'instant, on se contente de donner un aperçu.
 
         res.status(200).json({
-            message: "État actuel de la session de checkout.",
+            message: req.t("checkout.status"),
             userId: userId,
             cart: {
                 cart_id: cart.cart_id,
@@ -396,7 +420,7 @@ export const getCheckoutSessionStatus = async (req, res) => {
         );
         res.status(500).json({
             message:
-                "Erreur interne du serveur lors de la récupération de l'état du checkout.",
+                req.t("checkout.statusFailed"),
         });
     }
 };
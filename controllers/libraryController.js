@@ -0,0 +1,140 @@
+// controllers/libraryController.js
+import path from "path";
+import { pipeline } from "stream/promises";
+import * as libraryModel from "../models/libraryModel.js";
+import { findBookEbookFile } from "../models/bookFileModel.js";
+import { getStorageDriver } from "../storage/storage.js";
+import { getWatermarkedCopy } from "../storage/watermark.js";
+import {
+    DOWNLOAD_LIMIT_PER_BOOK,
+    signDownload,
+    verifyDownloadSignature,
+    parseRangeHeader,
+} from "../utils/downloadLinks.js";
+import { localizeValue } from "../utils/i18n.js";
+import { slugify } from "../utils/slug.js";
+
+// Délai conseillé (en secondes) avant de réessayer un lien dont la copie tatouée est en cours de préparation.
+const COPY_RETRY_AFTER_SECONDS = 15;
+
+/**
+ * Délivre un lien de téléchargement signé et de courte durée pour un ebook acheté (GET /api/library/:bookId/download).
+ * Chaque lien délivré compte comme un téléchargement dans la limite DOWNLOAD_LIMIT_PER_BOOK.
+ * @param {object} req - L'objet requête Express. Contient bookId dans req.params.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const requestDownload = async (req, res) => {
+    const { bookId } = req.params;
+    const { userId } = req.user;
+    try {
+        if (!(await libraryModel.userOwnsBook(userId, bookId))) {
+            return res.status(403).json({ message: req.t("library.notOwned") });
+        }
+        const file = await findBookEbookFile(bookId);
+        if (!file) {
+            return res.status(404).json({ message: req.t("library.fileUnavailable") });
+        }
+
+        const { download_id: downloadId, previous_count: previousCount } = await libraryModel.createDownload({
+            userId,
+            bookId,
+            fileId: file.file_id,
+            ipAddress: req.ip,
+            userAgent: req.get("user-agent") || null,
+        }, DOWNLOAD_LIMIT_PER_BOOK);
+        if (!downloadId) {
+            return res.status(403).json({ message: req.t("library.downloadLimitReached", { limit: DOWNLOAD_LIMIT_PER_BOOK }) });
+        }
+
+        const { expires, signature } = signDownload(downloadId);
+        const query = new URLSearchParams({ expires: String(expires), signature });
+        res.status(200).json({
+            message: req.t("library.downloadReady"),
+            url: `${req.protocol}://${req.get("host")}/api/library/downloads/${downloadId}?${query}`,
+            expiresAt: new Date(expires * 1000).toISOString(),
+            downloadsUsed: previousCount + 1,
+            downloadLimit: DOWNLOAD_LIMIT_PER_BOOK || null,
+        });
+    } catch (error) {
+        console.error("Erreur dans libraryController.requestDownload:", error.message);
+        if (error.code === '22P02') { // Invalid UUID format
+            return res.status(400).json({ message: req.t("library.invalidBookId") });
+        }
+        res.status(500).json({ message: req.t("library.downloadFailed") });
+    }
+};
+
+/**
+ * Sert le fichier d'un lien de téléchargement signé (GET /api/library/downloads/:downloadId?expires=&signature=),
+ * en entier ou sur une plage d'octets (en-tête Range, réponse 206) pour la reprise des téléchargements.
+ * Le fichier servi est une copie tatouée au nom de l'acheteur, générée à la première demande puis gardée en cache ;
+ * pour un gros fichier, la première demande répond 503 (Retry-After) le temps que la copie soit préparée.
+ * @param {object} req - L'objet requête Express. Contient downloadId dans req.params, expires et signature dans req.query.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const streamDownload = async (req, res) => {
+    const { downloadId } = req.params;
+    try {
+        const linkStatus = verifyDownloadSignature(downloadId, req.query.expires, req.query.signature);
+        if (linkStatus === "invalid") {
+            return res.status(403).json({ message: req.t("library.invalidLink") });
+        }
+        if (linkStatus === "expired") {
+            return res.status(410).json({ message: req.t("library.linkExpired") });
+        }
+        const download = await libraryModel.findDownloadById(downloadId);
+        if (!download) {
+            return res.status(404).json({ message: req.t("library.fileUnavailable") });
+        }
+        if (!download.owned) {
+            return res.status(403).json({ message: req.t("library.notOwned") });
+        }
+
+        let copy;
+        try {
+            copy = await getWatermarkedCopy(download, req.locale);
+        } catch (copyError) {
+            // La copie n'a pas pu être générée : le lien ne doit pas coûter un téléchargement à l'acheteur
+            console.error("Erreur lors de la génération d'une copie tatouée:", copyError.message);
+            await libraryModel.cancelDownload(downloadId);
+            return res.status(500).json({ message: req.t("library.copyFailed") });
+        }
+        if (!copy) { // Gros fichier : copie tatouée en cours de préparation
+            res.set("Retry-After", String(COPY_RETRY_AFTER_SECONDS));
+            return res.status(503).json({ message: req.t("library.copyInPreparation"), retryAfter: COPY_RETRY_AFTER_SECONDS });
+        }
+        const { storageKey, size } = copy;
+        const range = parseRangeHeader(req.get("range"), size);
+        if (range === "unsatisfiable") {
+            res.set("Content-Range", `bytes */${size}`);
+            return res.status(416).json({ message: req.t("library.rangeNotSatisfiable") });
+        }
+
+        const stream = await getStorageDriver().createReadStream(storageKey, range || {});
+        await libraryModel.markDownloadStreamed(downloadId);
+
+        const fileName = `${slugify(localizeValue(download.title, req.locale)) || "ebook"}${path.extname(download.storage_key)}`;
+        res.attachment(fileName);
+        res.set({
+            "Content-Type": download.mime_type,
+            "Accept-Ranges": "bytes",
+            "Cache-Control": "private, no-store",
+        });
+        if (range) {
+            res.status(206).set({
+                "Content-Range": `bytes ${range.start}-${range.end}/${size}`,
+                "Content-Length": String(range.end - range.start + 1),
+            });
+        } else {
+            res.status(200).set("Content-Length", String(size));
+        }
+        await pipeline(stream, res);
+    } catch (error) {
+        console.error("Erreur dans libraryController.streamDownload:", error.message);
+        if (res.headersSent) {
+            // Le transfert a commencé : on ne peut plus que couper la connexion
+            return res.destroy();
+        }
+        res.status(500).json({ message: req.t("library.downloadFailed") });
+    }
+};
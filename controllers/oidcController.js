@@ -0,0 +1,308 @@
+// controllers/oidcController.js
+import bcrypt from "bcrypt";
+import crypto from "crypto";
+import * as userModel from "../models/userModel.js";
+import * as oidcModel from "../models/oidcModel.js";
+import { logActivity } from "../models/AdminModel.js";
+import { buildLoginPayload, createTwoFactorChallengeToken, hashToken } from "../utils/authTokens.js";
+import { getProviderConfig, getOidcProviders, buildAuthorizationRequest, exchangeCodeForIdentity } from "../utils/oidc.js";
+
+// Durée de validité d'une demande d'autorisation (aller-retour chez le fournisseur).
+const AUTH_STATE_TTL_MS = 10 * 60000;
+
+/**
+ * Démarre une demande d'autorisation et mémorise le state, le code_verifier et le nonce.
+ * @param {object} provider - La configuration du fournisseur.
+ * @param {string | null} userId - L'utilisateur à qui lier le compte externe (null pour une connexion).
+ * @returns {Promise<string>} L'URL d'autorisation vers laquelle rediriger le navigateur.
+ */
+const startAuthorization = async (provider, userId) => {
+    const { authorizationUrl, state, codeVerifier, nonce } = await buildAuthorizationRequest(provider);
+    await oidcModel.saveAuthState({
+        stateHash: hashToken(state),
+        provider: provider.name,
+        codeVerifier,
+        nonce,
+        userId,
+        expiresAt: new Date(Date.now() + AUTH_STATE_TTL_MS),
+    });
+    return authorizationUrl;
+};
+
+/**
+ * Trouve ou crée l'utilisateur correspondant à une identité externe lors d'une connexion.
+ * Un compte externe déjà lié est prioritaire ; sinon un email vérifié par le fournisseur permet
+ * de rattacher un compte existant dont l'email est lui aussi vérifié, ou d'en créer un.
+ * @param {object} req - L'objet requête Express (pour la langue des messages).
+ * @param {string} providerName - Le nom du fournisseur.
+ * @param {object} identity - L'identité renvoyée par exchangeCodeForIdentity.
+ * @returns {Promise<{ user?: object, identityId?: string, error?: { status: number, message: string } }>}
+ */
+const resolveLoginUser = async (req, providerName, identity) => {
+    const linkedIdentity = await oidcModel.findIdentity(providerName, identity.subject);
+    if (linkedIdentity) {
+        const linkedUser = await userModel.findUserById(linkedIdentity.user_id);
+        return { user: linkedUser, identityId: linkedIdentity.identity_id };
+    }
+
+    // Sans email vérifié, rattacher un compte par email permettrait une prise de contrôle
+    if (!identity.email || !identity.emailVerified) {
+        return {
+            error: {
+                status: 403,
+                message: req.t("oidc.emailNotVerified"),
+            },
+        };
+    }
+
+    let user = await userModel.findUserByEmail(identity.email);
+    // Un compte local à l'email non vérifié a pu être créé par un tiers (pré-enregistrement) : le rattacher lui laisserait
+    // l'accès (mot de passe, sessions) au compte de la victime. La liaison doit alors se faire depuis le profil, une fois connecté.
+    if (user && !user.email_verified) {
+        return {
+            error: {
+                status: 409,
+                message: req.t("oidc.localEmailNotVerified"),
+            },
+        };
+    }
+    if (!user) {
+        const userRole = await userModel.findRoleByName("Utilisateur");
+        if (!userRole) {
+            throw new Error("Le rôle 'Utilisateur' n'existe pas dans la base de données.");
+        }
+        // Mot de passe aléatoire inutilisable : l'utilisateur pourra en définir un via la réinitialisation
+        const password_hash = await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10);
+        const newUser = await userModel.insertUser({
+            first_name: identity.firstName || identity.email.split("@")[0],
+            last_name: identity.lastName,
+            email: identity.email,
+            password_hash,
+            role_id: userRole.role_id,
+            email_verified: true,
+            has_password: false,
+        });
+        await logActivity(newUser.user_id, 'USER_REGISTERED_OIDC', `Compte créé via ${providerName}`, { provider: providerName });
+    }
+    user = await userModel.findUserByEmail(identity.email);
+
+    const createdIdentity = await oidcModel.linkIdentity(user.user_id, providerName, identity.subject, identity.email);
+    await logActivity(user.user_id, 'OIDC_IDENTITY_LINKED', `Compte ${providerName} lié`, { provider: providerName });
+    return { user, identityId: createdIdentity.identity_id };
+};
+
+/**
+ * Liste les fournisseurs d'identité disponibles.
+ * @param {object} req - L'objet requête Express.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const getProviders = (req, res) => {
+    res.status(200).json(getOidcProviders());
+};
+
+/**
+ * Démarre une connexion via un fournisseur : renvoie l'URL d'autorisation (PKCE S256).
+ * @param {object} req - L'objet requête Express. Contient provider dans req.params.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const authorize = async (req, res) => {
+    const provider = getProviderConfig(req.params.provider);
+    if (!provider) {
+        return res.status(404).json({ message: req.t("oidc.unknownProvider") });
+    }
+    try {
+        const authorizationUrl = await startAuthorization(provider, null);
+        res.status(200).json({ authorizationUrl });
+    } catch (error) {
+        console.error("Erreur dans oidcController.authorize:", error.message);
+        res.status(502).json({ message: req.t("oidc.providerUnreachable") });
+    }
+};
+
+/**
+ * Démarre la liaison d'un compte externe au compte connecté ; le retour du fournisseur est ensuite
+ * transmis à POST /oidc/:provider/link/callback, avec le même utilisateur connecté.
+ * @param {object} req - L'objet requête Express. Contient provider dans req.params.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const startLink = async (req, res) => {
+    const provider = getProviderConfig(req.params.provider);
+    if (!provider) {
+        return res.status(404).json({ message: req.t("oidc.unknownProvider") });
+    }
+    try {
+        const authorizationUrl = await startAuthorization(provider, req.user.userId);
+        res.status(200).json({ authorizationUrl });
+    } catch (error) {
+        console.error("Erreur dans oidcController.startLink:", error.message);
+        res.status(502).json({ message: req.t("oidc.providerUnreachable") });
+    }
+};
+
+/**
+ * Vérifie le retour du fournisseur : consomme le state (usage unique), contrôle qu'il a été émis pour
+ * le même parcours (connexion, ou liaison par l'utilisateur connecté), puis échange le code contre l'identité externe.
+ * @param {object} req - L'objet requête Express. Contient code et state dans req.body.
+ * @param {object} provider - La configuration du fournisseur.
+ * @param {string | null} userId - L'utilisateur connecté qui a démarré la liaison, ou null pour une connexion.
+ * @returns {Promise<{ identity?: object, error?: { status: number, message: string } }>}
+ */
+const completeAuthorization = async (req, provider, userId) => {
+    const { code, state } = req.body;
+    if (!code || !state) {
+        return { error: { status: 400, message: req.t("oidc.codeAndStateRequired") } };
+    }
+    const authState = await oidcModel.consumeAuthState(hashToken(state), provider.name);
+    if (!authState) {
+        return { error: { status: 400, message: req.t("oidc.invalidState") } };
+    }
+    // Un state de liaison n'est accepté que de l'utilisateur qui l'a demandé : sinon, la personne qui termine
+    // le parcours lierait son compte externe au compte d'un autre.
+    if ((authState.user_id || null) !== userId) {
+        return userId
+            ? { error: { status: 403, message: req.t("oidc.linkStateMismatch") } }
+            : { error: { status: 400, message: req.t("oidc.invalidState") } };
+    }
+    try {
+        return { identity: await exchangeCodeForIdentity(provider, code, authState.code_verifier, authState.nonce) };
+    } catch (exchangeError) {
+        console.error("Erreur lors de l'échange du code OIDC:", exchangeError.message);
+        return { error: { status: 401, message: req.t("oidc.authenticationFailed") } };
+    }
+};
+
+/**
+ * Termine une liaison démarrée depuis le profil (POST /oidc/:provider/link) : seul l'utilisateur connecté
+ * qui l'a démarrée peut la terminer.
+ * @param {object} req - L'objet requête Express. Contient provider dans req.params, code et state dans req.body.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const linkCallback = async (req, res) => {
+    const provider = getProviderConfig(req.params.provider);
+    if (!provider) {
+        return res.status(404).json({ message: req.t("oidc.unknownProvider") });
+    }
+    const { userId } = req.user;
+    try {
+        const { identity, error } = await completeAuthorization(req, provider, userId);
+        if (error) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        const existingIdentity = await oidcModel.findIdentity(provider.name, identity.subject);
+        if (existingIdentity && existingIdentity.user_id !== userId) {
+            return res.status(409).json({ message: req.t("oidc.identityLinkedElsewhere") });
+        }
+        if (!existingIdentity) {
+            await oidcModel.linkIdentity(userId, provider.name, identity.subject, identity.email);
+            await logActivity(userId, 'OIDC_IDENTITY_LINKED', `Compte ${provider.name} lié`, { provider: provider.name });
+        }
+        res.status(200).json({
+            message: req.t("oidc.linked", { provider: provider.label }),
+            identities: await oidcModel.findIdentitiesByUserId(userId),
+        });
+    } catch (error) {
+        console.error("Erreur dans oidcController.linkCallback:", error.message);
+        if (error.code === '23505') { // Liaison concurrente du même compte externe ou du même fournisseur
+            return res.status(409).json({ message: req.t("oidc.providerAlreadyLinked") });
+        }
+        res.status(500).json({ message: req.t("oidc.callbackFailed") });
+    }
+};
+
+/**
+ * Termine une connexion via un fournisseur : échange le code, vérifie l'ID token, puis
+ * connecte l'utilisateur (réponse identique à /login). Les liaisons se terminent par linkCallback.
+ * @param {object} req - L'objet requête Express. Contient provider dans req.params, code et state dans req.body.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const callback = async (req, res) => {
+    const provider = getProviderConfig(req.params.provider);
+    if (!provider) {
+        return res.status(404).json({ message: req.t("oidc.unknownProvider") });
+    }
+
+    try {
+        const { identity, error: authorizationError } = await completeAuthorization(req, provider, null);
+        if (authorizationError) {
+            return res.status(authorizationError.status).json({ message: authorizationError.message });
+        }
+
+        const { user, identityId, error } = await resolveLoginUser(req, provider.name, identity);
+        if (error) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        if (!user.is_active) {
+            return res.status(403).json({ message: req.t("auth.accountDisabled") });
+        }
+        await oidcModel.touchIdentity(identityId, identity.email);
+
+        // La 2FA s'applique aussi aux connexions externes
+        if (user.totp_enabled) {
+            return res.status(200).json({
+                message: req.t("auth.twoFactorRequired"),
+                twoFactorRequired: true,
+                challengeToken: createTwoFactorChallengeToken(user.user_id),
+            });
+        }
+
+        const payload = await buildLoginPayload(user, req);
+        await logActivity(user.user_id, 'OIDC_LOGIN', `Connexion via ${provider.name}`, { provider: provider.name });
+
+        res.status(200).json({
+            message: req.t("auth.loginSucceeded"),
+            ...payload,
+        });
+    } catch (error) {
+        console.error("Erreur dans oidcController.callback:", error.message);
+        if (error.code === '23505') { // Liaison concurrente du même compte externe ou du même fournisseur
+            return res.status(409).json({ message: req.t("oidc.providerAlreadyLinked") });
+        }
+        res.status(500).json({ message: req.t("oidc.callbackFailed") });
+    }
+};
+
+/**
+ * Liste les comptes externes liés au compte connecté.
+ * @param {object} req - L'objet requête Express.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const getIdentities = async (req, res) => {
+    try {
+        const identities = await oidcModel.findIdentitiesByUserId(req.user.userId);
+        res.status(200).json(identities);
+    } catch (error) {
+        console.error("Erreur dans oidcController.getIdentities:", error.message);
+        res.status(500).json({ message: req.t("oidc.identitiesFailed") });
+    }
+};
+
+/**
+ * Délie un compte externe. Refusé s'il s'agit du dernier moyen de connexion (aucun mot de passe défini).
+ * @param {object} req - L'objet requête Express. Contient provider dans req.params.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const unlinkIdentity = async (req, res) => {
+    const { provider } = req.params;
+    const { userId } = req.user;
+    try {
+        const [user, identities] = await Promise.all([
+            userModel.findUserById(userId),
+            oidcModel.findIdentitiesByUserId(userId),
+        ]);
+        if (!identities.some((identity) => identity.provider === provider)) {
+            return res.status(404).json({ message: req.t("oidc.identityNotFound") });
+        }
+        if (!user.has_password && identities.length === 1) {
+            return res.status(409).json({
+                message: req.t("oidc.lastLoginMethod"),
+            });
+        }
+
+        const removedIdentity = await oidcModel.unlinkIdentity(userId, provider);
+        await logActivity(userId, 'OIDC_IDENTITY_UNLINKED', `Compte ${provider} délié`, { provider });
+        res.status(200).json({ message: req.t("oidc.unlinked"), identity: removedIdentity });
+    } catch (error) {
+        console.error("Erreur dans oidcController.unlinkIdentity:", error.message);
+        res.status(500).json({ message: req.t("oidc.unlinkFailed") });
+    }
+};
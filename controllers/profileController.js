@@ -0,0 +1,453 @@
+// controllers/profileController.js
+import * as userModel from "../models/userModel.js";
+import * as checkoutModel from "../models/checkoutModel.js";
+import * as sessionModel from "../models/sessionModel.js";
+import * as privacyModel from "../models/privacyModel.js";
+import { logActivity } from "../models/AdminModel.js";
+import bcrypt from "bcrypt";
+import crypto from "crypto";
+import { hashToken } from "../utils/authTokens.js";
+import { invalidateUserState } from "../utils/userStateCache.js";
+import { queueEmail } from "../mail/mailer.js";
+import { localeFromRequest } from "../mail/templates/index.js";
+import { EXPORT_FORMATS, sendPersonalDataExport, eraseUserAccount } from "../utils/personalData.js";
+import { SUPER_ADMIN_ROLE } from "../utils/permissions.js";
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
+// Durée de validité du lien de confirmation d'une nouvelle adresse email (1 heure).
+const EMAIL_CHANGE_EXPIRES_MS = 3600000;
+
+/**
+ * Vérifie le mot de passe actuel d'un utilisateur.
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @param {string} password - Le mot de passe saisi.
+ * @returns {Promise<object | null>} Les identifiants de l'utilisateur si le mot de passe est correct, sinon null.
+ */
+const verifyCurrentPassword = async (userId, password) => {
+    const credentials = await userModel.findUserCredentialsById(userId);
+    if (!credentials || !password) {
+        return null;
+    }
+    return (await bcrypt.compare(password, credentials.password_hash)) ? credentials : null;
+};
+
+/**
+ * Enregistre une demande de changement d'email et envoie le lien de confirmation à la nouvelle adresse.
+ * L'adresse actuelle reste utilisée tant que la nouvelle n'est pas confirmée.
+ * @param {object} user - L'utilisateur (user_id, first_name).
+ * @param {string} newEmail - La nouvelle adresse.
+ * @param {string} locale - La langue de l'email ('fr' ou 'en').
+ */
+const requestEmailChange = async (user, newEmail, locale) => {
+    const token = crypto.randomBytes(32).toString("hex");
+    await userModel.setPendingEmailChange(user.user_id, newEmail, hashToken(token), Date.now() + EMAIL_CHANGE_EXPIRES_MS);
+    await queueEmail({
+        to: newEmail,
+        template: "emailChange",
+        locale,
+        userId: user.user_id,
+        data: { firstName: user.first_name, newEmail, confirmationUrl: `${FRONTEND_URL}/confirm-email-change/${token}` },
+    });
+};
+
+/**
+ * Valide une nouvelle adresse email avant une demande de changement.
+ * @param {object} req - L'objet requête Express (pour la langue des messages).
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @param {string} currentEmail - L'adresse actuelle.
+ * @param {string} newEmail - La nouvelle adresse.
+ * @returns {Promise<{ status: number, message: string } | null>} L'erreur à renvoyer, ou null si l'adresse est acceptable.
+ */
+const validateNewEmail = async (req, userId, currentEmail, newEmail) => {
+    if (typeof newEmail !== "string" || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(newEmail)) {
+        return { status: 400, message: req.t("profile.invalidEmail") };
+    }
+    if (newEmail === currentEmail) {
+        return { status: 400, message: req.t("profile.sameEmail") };
+    }
+    const existingUser = await userModel.findUserByEmail(newEmail);
+    if (existingUser && existingUser.user_id !== userId) {
+        return { status: 409, message: req.t("auth.emailInUse") };
+    }
+    return null;
+};
+
+/**
+ * Met à jour le profil de l'utilisateur authentifié (prénom, nom).
+ * Si un nouvel email est fourni, le mot de passe actuel est exigé et un lien de confirmation
+ * est envoyé à la nouvelle adresse ; l'email n'est modifié qu'après confirmation.
+ * @param {object} req - L'objet requête Express (first_name, last_name, email, currentPassword dans le corps).
+ * @param {object} res - L'objet réponse Express.
+ */
+export const updateProfile = async (req, res) => {
+    const { userId } = req.user;
+    const { first_name, last_name, email, currentPassword, password } = req.body;
+
+    try {
+        if (password !== undefined) {
+            return res.status(400).json({ message: req.t("profile.useChangePassword") });
+        }
+        if (first_name === undefined && last_name === undefined && email === undefined) {
+            return res.status(400).json({ message: req.t("profile.noFields") });
+        }
+        if (first_name !== undefined && (typeof first_name !== "string" || !first_name.trim())) {
+            return res.status(400).json({ message: req.t("profile.emptyFirstName") });
+        }
+
+        const currentUser = await userModel.findUserById(userId);
+        if (!currentUser) {
+            return res.status(404).json({ message: req.t("profile.notFound") });
+        }
+
+        // Le changement d'email est validé avant toute modification pour ne pas appliquer une mise à jour partielle
+        const emailChangeRequested = email !== undefined && email !== currentUser.email;
+        if (emailChangeRequested) {
+            const emailError = await validateNewEmail(req, userId, currentUser.email, email);
+            if (emailError) {
+                return res.status(emailError.status).json({ message: emailError.message });
+            }
+            if (!(await verifyCurrentPassword(userId, currentPassword))) {
+                return res.status(401).json({ message: req.t("profile.passwordRequiredForEmail") });
+            }
+        }
+
+        const updatedUser = await userModel.updateUserProfile(userId, {
+            first_name: first_name?.trim(),
+            last_name,
+        });
+        if (first_name !== undefined || last_name !== undefined) {
+            await logActivity(userId, 'PROFILE_UPDATED', "Profil mis à jour", { first_name, last_name });
+        }
+
+        let message = req.t("profile.updated");
+        if (emailChangeRequested) {
+            await requestEmailChange(updatedUser, email, localeFromRequest(req));
+            updatedUser.pending_email = email;
+            message = req.t("profile.updatedEmailPending");
+        }
+
+        res.status(200).json({ message, user: updatedUser });
+    } catch (error) {
+        console.error("Erreur dans profileController.updateProfile:", error.message);
+        res.status(500).json({ message: req.t("profile.updateFailed") });
+    }
+};
+
+/**
+ * Change le mot de passe de l'utilisateur authentifié. Exige le mot de passe actuel.
+ * Les autres sessions de l'utilisateur sont révoquées ; la session courante est conservée.
+ * @param {object} req - L'objet requête Express (currentPassword et newPassword dans le corps).
+ * @param {object} res - L'objet réponse Express.
+ */
+export const changePassword = async (req, res) => {
+    const { userId, sessionId } = req.user;
+    const { currentPassword, newPassword } = req.body;
+
+    try {
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({ message: req.t("profile.passwordsRequired") });
+        }
+        if (newPassword.length < 6) {
+            return res.status(400).json({ message: req.t("auth.newPasswordTooShort") });
+        }
+
+        if (!(await verifyCurrentPassword(userId, currentPassword))) {
+            return res.status(401).json({ message: req.t("profile.wrongPassword") });
+        }
+
+        const saltRounds = 10;
+        const password_hash = await bcrypt.hash(newPassword, saltRounds);
+        await userModel.updateUserPassword(userId, password_hash);
+        await userModel.clearUserPasswordResetToken(userId); // Un lien de réinitialisation en cours devient inutile
+        const revokedSessions = await sessionModel.revokeOtherUserSessions(userId, sessionId);
+        await logActivity(userId, 'PASSWORD_CHANGED', "Mot de passe modifié", { revokedSessions });
+
+        res.status(200).json({ message: req.t("profile.passwordChanged"), revokedSessions });
+    } catch (error) {
+        console.error("Erreur dans profileController.changePassword:", error.message);
+        res.status(500).json({ message: req.t("profile.passwordChangeFailed") });
+    }
+};
+
+/**
+ * Démarre un changement d'adresse email : envoie un lien de confirmation à la nouvelle adresse.
+ * @param {object} req - L'objet requête Express (newEmail et currentPassword dans le corps).
+ * @param {object} res - L'objet réponse Express.
+ */
+export const changeEmail = async (req, res) => {
+    const { userId } = req.user;
+    const { newEmail, currentPassword } = req.body;
+
+    try {
+        if (!newEmail || !currentPassword) {
+            return res.status(400).json({ message: req.t("profile.emailChangeFieldsRequired") });
+        }
+
+        const credentials = await verifyCurrentPassword(userId, currentPassword);
+        if (!credentials) {
+            return res.status(401).json({ message: req.t("profile.wrongPassword") });
+        }
+
+        const emailError = await validateNewEmail(req, userId, credentials.email, newEmail);
+        if (emailError) {
+            return res.status(emailError.status).json({ message: emailError.message });
+        }
+
+        await requestEmailChange(credentials, newEmail, localeFromRequest(req));
+
+        res.status(200).json({
+            message: req.t("profile.emailChangeSent"),
+            pendingEmail: newEmail,
+        });
+    } catch (error) {
+        console.error("Erreur dans profileController.changeEmail:", error.message);
+        res.status(500).json({ message: req.t("profile.emailChangeFailed") });
+    }
+};
+
+/**
+ * Confirme un changement d'adresse email à partir du jeton reçu sur la nouvelle adresse.
+ * @param {object} req - L'objet requête Express (token dans les params).
+ * @param {object} res - L'objet réponse Express.
+ */
+export const confirmEmailChange = async (req, res) => {
+    const { token } = req.params;
+
+    try {
+        const user = await userModel.findUserByEmailChangeToken(hashToken(token));
+        if (!user) {
+            return res.status(400).json({ message: req.t("profile.confirmationInvalid") });
+        }
+
+        const updatedUser = await userModel.applyPendingEmailChange(user.user_id);
+        if (!updatedUser) {
+            return res.status(400).json({ message: req.t("profile.confirmationInvalid") });
+        }
+        invalidateUserState(user.user_id);
+        await logActivity(user.user_id, 'EMAIL_CHANGED', "Adresse email modifiée", {
+            previousEmail: user.email,
+            newEmail: updatedUser.email,
+        });
+
+        res.status(200).json({ message: req.t("profile.emailChanged"), user: updatedUser });
+    } catch (error) {
+        console.error("Erreur dans profileController.confirmEmailChange:", error.message);
+        if (error.code === "23505") {
+            // L'adresse a été prise par un autre compte entre la demande et la confirmation
+            return res.status(409).json({ message: req.t("auth.emailInUse") });
+        }
+        res.status(500).json({ message: req.t("profile.emailConfirmFailed") });
+    }
+};
+
+/**
+ * Liste les adresses de livraison de l'utilisateur authentifié (adresse par défaut en premier).
+ * @param {object} req - L'objet requête Express (req.user attaché par le middleware d'auth).
+ * @param {object} res - L'objet réponse Express.
+ */
+export const getAddresses = async (req, res) => {
+    const { userId } = req.user;
+
+    try {
+        const addresses = await checkoutModel.getShippingAddresses(userId);
+        res.status(200).json({ message: req.t("addresses.listed"), addresses });
+    } catch (error) {
+        console.error("Erreur dans profileController.getAddresses:", error.message);
+        res.status(500).json({ message: req.t("addresses.listFailed") });
+    }
+};
+
+/**
+ * Récupère une adresse de livraison de l'utilisateur authentifié.
+ * @param {object} req - L'objet requête Express (addressId dans les params).
+ * @param {object} res - L'objet réponse Express.
+ */
+export const getAddress = async (req, res) => {
+    const { userId } = req.user;
+    const { addressId } = req.params;
+
+    try {
+        const address = await checkoutModel.getShippingAddressById(userId, addressId);
+        if (!address) {
+            return res.status(404).json({ message: req.t("addresses.notFound") });
+        }
+        res.status(200).json({ message: req.t("addresses.retrieved"), address });
+    } catch (error) {
+        console.error("Erreur dans profileController.getAddress:", error.message);
+        if (error.code === "22P02") {
+            return res.status(400).json({ message: req.t("addresses.invalidId") });
+        }
+        res.status(500).json({ message: req.t("addresses.retrieveFailed") });
+    }
+};
+
+/**
+ * Ajoute une adresse de livraison pour l'utilisateur authentifié.
+ * @param {object} req - L'objet requête Express (address_line1, address_line2, city, province, postal_code, country, is_default).
+ * @param {object} res - L'objet réponse Express.
+ */
+export const createAddress = async (req, res) => {
+    const { userId } = req.user;
+    const { address_line1, address_line2, city, province, postal_code, country, is_default } = req.body;
+
+    try {
+        if (!address_line1 || !city || !province || !postal_code || !country) {
+            return res.status(400).json({
+                message: req.t("addresses.incomplete"),
+            });
+        }
+
+        // Une première adresse devient automatiquement l'adresse par défaut
+        const existingAddresses = await checkoutModel.getShippingAddresses(userId);
+        const address = await checkoutModel.saveShippingAddress(userId, {
+            address_line1,
+            address_line2,
+            city,
+            province,
+            postal_code,
+            country,
+            is_default: existingAddresses.length === 0 || is_default === true,
+        });
+
+        res.status(201).json({ message: req.t("addresses.created"), address });
+    } catch (error) {
+        console.error("Erreur dans profileController.createAddress:", error.message);
+        res.status(500).json({ message: req.t("addresses.createFailed") });
+    }
+};
+
+/**
+ * Met à jour une adresse de livraison de l'utilisateur authentifié. Seuls les champs fournis sont modifiés.
+ * @param {object} req - L'objet requête Express (addressId dans les params, champs de l'adresse dans le corps).
+ * @param {object} res - L'objet réponse Express.
+ */
+export const updateAddress = async (req, res) => {
+    const { userId } = req.user;
+    const { addressId } = req.params;
+    const { address_line1, address_line2, city, province, postal_code, country, is_default } = req.body;
+
+    try {
+        const requiredFields = { address_line1, city, province, postal_code, country };
+        const emptyField = Object.keys(requiredFields).find(
+            (field) => requiredFields[field] !== undefined && !requiredFields[field]
+        );
+        if (emptyField) {
+            return res.status(400).json({ message: req.t("addresses.emptyField", { field: emptyField }) });
+        }
+        if (is_default !== undefined && typeof is_default !== "boolean") {
+            return res.status(400).json({ message: req.t("addresses.invalidIsDefault") });
+        }
+
+        const address = await checkoutModel.updateShippingAddress(userId, addressId, {
+            address_line1,
+            address_line2,
+            city,
+            province,
+            postal_code,
+            country,
+            is_default,
+        });
+        if (!address) {
+            return res.status(404).json({ message: req.t("addresses.notFound") });
+        }
+
+        res.status(200).json({ message: req.t("addresses.updated"), address });
+    } catch (error) {
+        console.error("Erreur dans profileController.updateAddress:", error.message);
+        if (error.code === "22P02") {
+            return res.status(400).json({ message: req.t("addresses.invalidId") });
+        }
+        res.status(500).json({ message: req.t("addresses.updateFailed") });
+    }
+};
+
+/**
+ * Supprime une adresse de livraison de l'utilisateur authentifié.
+ * @param {object} req - L'objet requête Express (addressId dans les params).
+ * @param {object} res - L'objet réponse Express.
+ */
+export const deleteAddress = async (req, res) => {
+    const { userId } = req.user;
+    const { addressId } = req.params;
+
+    try {
+        const address = await checkoutModel.deleteShippingAddress(userId, addressId);
+        if (!address) {
+            return res.status(404).json({ message: req.t("addresses.notFound") });
+        }
+        res.status(200).json({ message: req.t("addresses.deleted"), address });
+    } catch (error) {
+        console.error("Erreur dans profileController.deleteAddress:", error.message);
+        if (error.code === "22P02") {
+            return res.status(400).json({ message: req.t("addresses.invalidId") });
+        }
+        if (error.code === "23503") {
+            return res.status(409).json({ message: req.t("addresses.linkedToOrder") });
+        }
+        res.status(500).json({ message: req.t("addresses.deleteFailed") });
+    }
+};
+
+/**
+ * Exporte toutes les données personnelles de l'utilisateur authentifié en téléchargement.
+ * @param {object} req - L'objet requête Express (req.query.format : 'json' par défaut, ou 'zip').
+ * @param {object} res - L'objet réponse Express.
+ */
+export const exportMyData = async (req, res) => {
+    const { userId } = req.user;
+    const format = req.query.format || "json";
+
+    try {
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ message: req.t("privacy.invalidExportFormat", { formats: EXPORT_FORMATS.join(", ") }) });
+        }
+
+        const data = await privacyModel.collectUserData(userId);
+        if (!data) {
+            return res.status(404).json({ message: req.t("profile.notFound") });
+        }
+
+        await logActivity(userId, 'PERSONAL_DATA_EXPORTED', "Export des données personnelles", { format });
+        await sendPersonalDataExport(res, data, format);
+    } catch (error) {
+        console.error("Erreur dans profileController.exportMyData:", error.message);
+        if (!res.headersSent) {
+            res.status(500).json({ message: req.t("privacy.exportFailed") });
+        }
+    }
+};
+
+/**
+ * Supprime le compte de l'utilisateur authentifié. Exige le mot de passe actuel.
+ * Le compte est anonymisé : commandes et paiements sont conservés pour la comptabilité.
+ * @param {object} req - L'objet requête Express (currentPassword dans le corps).
+ * @param {object} res - L'objet réponse Express.
+ */
+export const deleteMyAccount = async (req, res) => {
+    const { userId, roleName } = req.user;
+    const { currentPassword } = req.body || {};
+
+    try {
+        if (roleName === SUPER_ADMIN_ROLE) {
+            return res.status(403).json({ message: req.t("privacy.adminMustBeDemoted") });
+        }
+        if (!currentPassword) {
+            return res.status(400).json({ message: req.t("privacy.passwordRequired") });
+        }
+
+        const credentials = await verifyCurrentPassword(userId, currentPassword);
+        if (!credentials) {
+            return res.status(401).json({ message: req.t("profile.wrongPassword") });
+        }
+
+        const deletedUser = await eraseUserAccount(credentials, userId);
+        if (!deletedUser) {
+            return res.status(404).json({ message: req.t("privacy.accountNotFound") });
+        }
+
+        res.status(200).json({ message: req.t("privacy.accountDeleted") });
+    } catch (error) {
+        console.error("Erreur dans profileController.deleteMyAccount:", error.message);
+        res.status(500).json({ message: req.t("privacy.deleteFailed") });
+    }
+};
@@ -0,0 +1,214 @@
+// controllers/roleController.js
+import * as roleModel from "../models/roleModel.js";
+import { logActivity } from "../models/AdminModel.js";
+import { invalidateAllUserStates } from "../utils/userStateCache.js";
+import { SUPER_ADMIN_ROLE } from "../utils/permissions.js";
+
+/**
+ * Vérifie qu'une liste de permissions est un tableau de clés existantes.
+ * @param {object} req - L'objet requête Express (pour la langue des messages).
+ * @param {*} permissions - La valeur reçue dans le corps de la requête.
+ * @returns {Promise<string | null>} Un message d'erreur, ou null si la liste est valide.
+ */
+const validatePermissionKeys = async (req, permissions) => {
+    if (!Array.isArray(permissions) || permissions.some((permission) => typeof permission !== "string")) {
+        return req.t("roles.permissionsNotArray");
+    }
+    const knownKeys = (await roleModel.getAllPermissions()).map((permission) => permission.permission_key);
+    const unknownKeys = permissions.filter((permission) => !knownKeys.includes(permission));
+    if (unknownKeys.length > 0) {
+        return req.t("roles.unknownPermissions", { keys: unknownKeys.join(", ") });
+    }
+    return null;
+};
+
+/**
+ * Liste les permissions disponibles.
+ * @param {object} req - L'objet requête Express.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const getPermissions = async (req, res) => {
+    try {
+        const permissions = await roleModel.getAllPermissions();
+        res.status(200).json(permissions);
+    } catch (error) {
+        console.error("Erreur dans roleController.getPermissions:", error.message);
+        res.status(500).json({ message: req.t("roles.permissionsListFailed") });
+    }
+};
+
+/**
+ * Récupère un rôle avec ses permissions.
+ * @param {object} req - L'objet requête Express. Contient roleId dans req.params.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const getRole = async (req, res) => {
+    const { roleId } = req.params;
+    try {
+        const role = await roleModel.findRoleWithPermissionsById(roleId);
+        if (!role) {
+            return res.status(404).json({ message: req.t("roles.notFound") });
+        }
+        res.status(200).json(role);
+    } catch (error) {
+        console.error("Erreur dans roleController.getRole:", error.message);
+        if (error.code === '22P02') { // Invalid UUID format
+            return res.status(400).json({ message: req.t("roles.invalidId") });
+        }
+        res.status(500).json({ message: req.t("roles.retrieveFailed") });
+    }
+};
+
+/**
+ * Crée un rôle et lui attribue des permissions.
+ * @param {object} req - L'objet requête Express. Contient role_name, description et permissions dans req.body.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const createRole = async (req, res) => {
+    const { role_name, description, permissions = [] } = req.body;
+    try {
+        if (!role_name || typeof role_name !== "string" || !role_name.trim()) {
+            return res.status(400).json({ message: req.t("roles.nameRequired") });
+        }
+        const permissionError = await validatePermissionKeys(req, permissions);
+        if (permissionError) {
+            return res.status(400).json({ message: permissionError });
+        }
+
+        const role = await roleModel.createRole({ role_name: role_name.trim(), description });
+        await roleModel.setRolePermissions(role.role_id, permissions);
+        await logActivity(req.user.userId, 'ROLE_CREATED', `Rôle ${role.role_name} créé`, { roleId: role.role_id, permissions });
+
+        res.status(201).json({
+            message: req.t("roles.created"),
+            role: await roleModel.findRoleWithPermissionsById(role.role_id),
+        });
+    } catch (error) {
+        console.error("Erreur dans roleController.createRole:", error.message);
+        if (error.code === '23505') {
+            return res.status(409).json({ message: req.t("roles.nameTaken") });
+        }
+        res.status(500).json({ message: req.t("roles.createFailed") });
+    }
+};
+
+/**
+ * Met à jour le nom et/ou la description d'un rôle. Les rôles système ne peuvent pas être renommés.
+ * @param {object} req - L'objet requête Express. Contient roleId dans req.params, role_name et description dans req.body.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const updateRole = async (req, res) => {
+    const { roleId } = req.params;
+    const { role_name, description } = req.body;
+    try {
+        const role = await roleModel.findRoleWithPermissionsById(roleId);
+        if (!role) {
+            return res.status(404).json({ message: req.t("roles.notFound") });
+        }
+        if (role_name !== undefined && (typeof role_name !== "string" || !role_name.trim())) {
+            return res.status(400).json({ message: req.t("roles.emptyName") });
+        }
+        if (role.is_system && role_name !== undefined && role_name.trim() !== role.role_name) {
+            return res.status(403).json({ message: req.t("roles.systemRename") });
+        }
+
+        await roleModel.updateRole(roleId, { role_name: role_name?.trim(), description });
+        invalidateAllUserStates(); // Le nom du rôle est rechargé dans req.user
+        await logActivity(req.user.userId, 'ROLE_UPDATED', `Rôle ${role.role_name} modifié`, { roleId, role_name, description });
+
+        res.status(200).json({
+            message: req.t("roles.updated"),
+            role: await roleModel.findRoleWithPermissionsById(roleId),
+        });
+    } catch (error) {
+        console.error("Erreur dans roleController.updateRole:", error.message);
+        if (error.code === '22P02') { // Invalid UUID format
+            return res.status(400).json({ message: req.t("roles.invalidId") });
+        }
+        if (error.code === '23505') {
+            return res.status(409).json({ message: req.t("roles.nameTaken") });
+        }
+        res.status(500).json({ message: req.t("roles.updateFailed") });
+    }
+};
+
+/**
+ * Remplace les permissions d'un rôle. Les permissions du rôle Admin ne sont pas modifiables,
+ * pour qu'il reste toujours possible d'administrer les rôles.
+ * @param {object} req - L'objet requête Express. Contient roleId dans req.params et permissions dans req.body.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const updateRolePermissions = async (req, res) => {
+    const { roleId } = req.params;
+    const { permissions } = req.body;
+    try {
+        const role = await roleModel.findRoleWithPermissionsById(roleId);
+        if (!role) {
+            return res.status(404).json({ message: req.t("roles.notFound") });
+        }
+        if (role.role_name === SUPER_ADMIN_ROLE) {
+            return res.status(403).json({ message: req.t("roles.superAdminLocked", { role: SUPER_ADMIN_ROLE }) });
+        }
+        const permissionError = await validatePermissionKeys(req, permissions);
+        if (permissionError) {
+            return res.status(400).json({ message: permissionError });
+        }
+
+        await roleModel.setRolePermissions(roleId, permissions);
+        invalidateAllUserStates(); // Les nouvelles permissions s'appliquent dès la prochaine requête
+        await logActivity(req.user.userId, 'ROLE_PERMISSIONS_UPDATED', `Permissions du rôle ${role.role_name} modifiées`, {
+            roleId,
+            previousPermissions: role.permissions,
+            permissions,
+        });
+
+        res.status(200).json({
+            message: req.t("roles.permissionsUpdated"),
+            role: await roleModel.findRoleWithPermissionsById(roleId),
+        });
+    } catch (error) {
+        console.error("Erreur dans roleController.updateRolePermissions:", error.message);
+        if (error.code === '22P02') { // Invalid UUID format
+            return res.status(400).json({ message: req.t("roles.invalidId") });
+        }
+        res.status(500).json({ message: req.t("roles.permissionsUpdateFailed") });
+    }
+};
+
+/**
+ * Supprime un rôle. Refusé pour les rôles système et les rôles encore attribués à des utilisateurs.
+ * @param {object} req - L'objet requête Express. Contient roleId dans req.params.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const deleteRole = async (req, res) => {
+    const { roleId } = req.params;
+    try {
+        const role = await roleModel.findRoleWithPermissionsById(roleId);
+        if (!role) {
+            return res.status(404).json({ message: req.t("roles.notFound") });
+        }
+        if (role.is_system) {
+            return res.status(403).json({ message: req.t("roles.systemDelete") });
+        }
+        if (role.user_count > 0) {
+            return res.status(409).json({
+                message: req.t("roles.stillAssigned"),
+                userCount: role.user_count,
+            });
+        }
+
+        await roleModel.deleteRole(roleId);
+        await logActivity(req.user.userId, 'ROLE_DELETED', `Rôle ${role.role_name} supprimé`, { roleId });
+
+        res.status(200).json({ message: req.t("roles.deleted"), role });
+    } catch (error) {
+        console.error("Erreur dans roleController.deleteRole:", error.message);
+        if (error.code === '22P02') { // Invalid UUID format
+            return res.status(400).json({ message: req.t("roles.invalidId") });
+        }
+        if (error.code === '23503') { // Un utilisateur a reçu ce rôle entre-temps
+            return res.status(409).json({ message: req.t("roles.stillAssigned") });
+        }
+        res.status(500).json({ message: req.t("roles.deleteFailed") });
+    }
+};
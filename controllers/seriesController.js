@@ -0,0 +1,235 @@
+// controllers/seriesController.js
+import * as seriesModel from "../models/seriesModel.js";
+import * as bookModel from "../models/bookModel.js";
+import { logActivity } from "../models/AdminModel.js";
+import { parsePagination, buildPaginatedResponse } from "../utils/pagination.js";
+import { localizeRecord, localizeRecords, normalizeLocalizedInput } from "../utils/i18n.js";
+
+/**
+ * Lit et valide les champs d'une série envoyés par l'administration.
+ * title et description acceptent une chaîne (toutes langues) ou un objet { fr, en }.
+ * @param {object} req - L'objet requête Express (corps et langue des messages).
+ * @param {boolean} partial - true pour une mise à jour (champs facultatifs), false pour une création.
+ * @returns {{ seriesData?: object, error?: string }}
+ */
+const parseSeriesInput = (req, partial) => {
+    const { title, description } = req.body;
+    const seriesData = {};
+
+    if (title !== undefined || !partial) {
+        seriesData.title = normalizeLocalizedInput(title);
+        if (!seriesData.title) {
+            return { error: req.t("series.invalidTitle") };
+        }
+    }
+    if (description !== undefined && description !== null) {
+        seriesData.description = normalizeLocalizedInput(description);
+        if (!seriesData.description) {
+            return { error: req.t("series.invalidDescription") };
+        }
+    }
+    if (partial && Object.keys(seriesData).length === 0) {
+        return { error: req.t("admin.noUpdateData") };
+    }
+    return { seriesData };
+};
+
+/**
+ * Renvoie une série et ses tomes dans l'ordre de lecture (GET /api/series/:seriesId).
+ * @param {object} req - L'objet requête Express. Contient seriesId dans req.params.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const getSeries = async (req, res) => {
+    const { seriesId } = req.params;
+    try {
+        const series = await seriesModel.findSeriesById(seriesId);
+        if (!series) {
+            return res.status(404).json({ message: req.t("series.notFound") });
+        }
+        const books = await bookModel.findBooksBySeriesId(seriesId);
+
+        res.status(200).json({
+            message: req.t("series.retrieved"),
+            series: { ...localizeRecord(series, req.locale), volumes: localizeRecords(books, req.locale) },
+        });
+    } catch (error) {
+        console.error("Erreur dans seriesController.getSeries:", error.message);
+        if (error.code === '22P02') { // Invalid UUID format
+            return res.status(400).json({ message: req.t("series.invalidId") });
+        }
+        res.status(500).json({ message: req.t("series.retrieveFailed") });
+    }
+};
+
+/**
+ * Liste les séries pour l'administration, avec leurs champs { fr, en } non aplatis (GET /api/admin/series).
+ * @param {object} req - L'objet requête Express.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const getSeriesListAdmin = async (req, res) => {
+    try {
+        if (req.query.cursor !== undefined) {
+            return res.status(400).json({ message: req.t("series.pageOnly") });
+        }
+        const pagination = parsePagination(req);
+        if (pagination.error) {
+            return res.status(400).json({ message: pagination.error });
+        }
+
+        const { series, total } = await seriesModel.findSeries({
+            locale: req.locale,
+            search: typeof req.query.search === "string" ? req.query.search.trim() : undefined,
+            limit: pagination.limit,
+            offset: pagination.offset,
+        });
+        res.status(200).json(buildPaginatedResponse(req, series, { total, pagination }));
+    } catch (error) {
+        console.error("Erreur dans seriesController.getSeriesListAdmin:", error.message);
+        res.status(500).json({ message: req.t("series.listFailed") });
+    }
+};
+
+/**
+ * Renvoie une série et ses tomes pour l'administration, champs non aplatis (GET /api/admin/series/:seriesId).
+ * @param {object} req - L'objet requête Express. Contient seriesId dans req.params.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const getSeriesAdmin = async (req, res) => {
+    const { seriesId } = req.params;
+    try {
+        const series = await seriesModel.findSeriesById(seriesId);
+        if (!series) {
+            return res.status(404).json({ message: req.t("series.notFound") });
+        }
+        const volumes = await bookModel.findBooksBySeriesId(seriesId);
+        res.status(200).json({ message: req.t("series.retrieved"), series: { ...series, volumes } });
+    } catch (error) {
+        console.error("Erreur dans seriesController.getSeriesAdmin:", error.message);
+        if (error.code === '22P02') { // Invalid UUID format
+            return res.status(400).json({ message: req.t("series.invalidId") });
+        }
+        res.status(500).json({ message: req.t("series.retrieveFailed") });
+    }
+};
+
+/**
+ * Crée une série (POST /api/admin/series).
+ * @param {object} req - L'objet requête Express. Contient title et description dans req.body.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const createSeries = async (req, res) => {
+    try {
+        const { seriesData, error } = parseSeriesInput(req, false);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const series = await seriesModel.createSeries(seriesData);
+        await logActivity(req.user.userId, 'SERIES_CREATED', `Série ${series.title.fr || series.title.en} créée`, { seriesId: series.series_id });
+
+        res.status(201).json({ message: req.t("series.created"), series });
+    } catch (error) {
+        console.error("Erreur dans seriesController.createSeries:", error.message);
+        res.status(500).json({ message: req.t("series.createFailed") });
+    }
+};
+
+/**
+ * Met à jour une série (PUT /api/admin/series/:seriesId).
+ * @param {object} req - L'objet requête Express. Contient seriesId dans req.params, title et description dans req.body.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const updateSeries = async (req, res) => {
+    const { seriesId } = req.params;
+    try {
+        const { seriesData, error } = parseSeriesInput(req, true);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const series = await seriesModel.updateSeries(seriesId, seriesData);
+        if (!series) {
+            return res.status(404).json({ message: req.t("series.notFound") });
+        }
+        await logActivity(req.user.userId, 'SERIES_UPDATED', `Série ${series.title.fr || series.title.en} modifiée`, { seriesId, fields: Object.keys(seriesData) });
+
+        res.status(200).json({ message: req.t("series.updated"), series });
+    } catch (error) {
+        console.error("Erreur dans seriesController.updateSeries:", error.message);
+        if (error.code === '22P02') { // Invalid UUID format
+            return res.status(400).json({ message: req.t("series.invalidId") });
+        }
+        res.status(500).json({ message: req.t("series.updateFailed") });
+    }
+};
+
+/**
+ * Supprime une série (DELETE /api/admin/series/:seriesId). Ses livres sont conservés et détachés.
+ * @param {object} req - L'objet requête Express. Contient seriesId dans req.params.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const deleteSeries = async (req, res) => {
+    const { seriesId } = req.params;
+    try {
+        const deleted = await seriesModel.deleteSeries(seriesId);
+        if (!deleted) {
+            return res.status(404).json({ message: req.t("series.notFound") });
+        }
+        const { series, detachedBooks } = deleted;
+        await logActivity(req.user.userId, 'SERIES_DELETED', `Série ${series.title.fr || series.title.en} supprimée`, { seriesId, detachedBooks });
+
+        res.status(200).json({ message: req.t("series.deleted"), series, detachedBooks });
+    } catch (error) {
+        console.error("Erreur dans seriesController.deleteSeries:", error.message);
+        if (error.code === '22P02') { // Invalid UUID format
+            return res.status(400).json({ message: req.t("series.invalidId") });
+        }
+        res.status(500).json({ message: req.t("series.deleteFailed") });
+    }
+};
+
+// Numéro de tome : jusqu'à 4 chiffres et une décimale.
+const VOLUME_PATTERN = /^\d{1,4}(\.\d)?$/;
+
+/**
+ * Place un livre dans une série (PUT /api/admin/books/:bookId/series).
+ * Corps : { series_id, volume } ; { series_id: null } retire le livre de sa série.
+ * @param {object} req - L'objet requête Express. Contient bookId dans req.params.
+ * @param {object} res - L'objet réponse Express.
+ */
+export const setBookSeries = async (req, res) => {
+    const { bookId } = req.params;
+    const { series_id: seriesId, volume } = req.body;
+    try {
+        if (seriesId === undefined) {
+            return res.status(400).json({ message: req.t("series.seriesIdRequired") });
+        }
+        // Un tome est un nombre positif avec au plus une décimale (ex: 2.5 pour un hors-série), voir NUMERIC(5, 1)
+        if (seriesId !== null && !(VOLUME_PATTERN.test(String(volume ?? "")) && Number(volume) > 0)) {
+            return res.status(400).json({ message: req.t("series.invalidVolume") });
+        }
+
+        const book = await seriesModel.setBookSeries(bookId, seriesId, seriesId === null ? null : Number(volume));
+        if (!book) {
+            return res.status(404).json({ message: req.t("books.notFound") });
+        }
+        await logActivity(req.user.userId, 'BOOK_SERIES_UPDATED', `Série du livre ${bookId} modifiée`, { bookId, seriesId, volume: book.series_volume });
+
+        res.status(200).json({
+            message: req.t(seriesId === null ? "series.bookDetached" : "series.bookAttached"),
+            book,
+        });
+    } catch (error) {
+        console.error("Erreur dans seriesController.setBookSeries:", error.message);
+        if (error.code === '22P02') { // Invalid UUID format
+            return res.status(400).json({ message: req.t("series.invalidBookOrSeriesId") });
+        }
+        if (error.code === '23503') { // Série inexistante
+            return res.status(400).json({ message: req.t("series.unknownSeries") });
+        }
+        if (error.code === '23505') { // Numéro de tome déjà pris
+            return res.status(409).json({ message: req.t("series.volumeTaken") });
+        }
+        res.status(500).json({ message: req.t("series.bookSeriesUpdateFailed") });
+    }
+};
@@ -0,0 +1,269 @@
+// controllers/twoFactorController.js
+import * as twoFactorModel from "../models/twoFactorModel.js";
+import * as userModel from "../models/userModel.js";
+import { logActivity } from "../models/AdminModel.js";
+import bcrypt from "bcrypt";
+import {
+    generateTotpSecret,
+    verifyTotp,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    normalizeRecoveryCode,
+    isTwoFactorRequiredForRole,
+} from "../utils/totp.js";
+import { hashToken, verifyTwoFactorChallengeToken, buildLoginPayload } from "../utils/authTokens.js";
+import { invalidateUserState } from "../utils/userStateCache.js";
+import { getActiveLockout, recordLoginFailure, clearLoginFailures } from "../utils/loginLockout.js";
+
+/**
+ * Génère un nouveau lot de codes de récupération, enregistre leurs hachages et renvoie les codes en clair.
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @returns {Promise<string[]>} Les codes en clair.
+ */
+const issueRecoveryCodes = async (userId) => {
+    const codes = generateRecoveryCodes();
+    await twoFactorModel.replaceRecoveryCodes(userId, codes.map((code) => hashToken(normalizeRecoveryCode(code))));
+    return codes;
+};
+
+/**
+ * Vérifie un second facteur (code TOTP ou code de récupération) pour un utilisateur dont la 2FA est active.
+ * @param {object} twoFactor - Les informations 2FA de l'utilisateur (findUserTwoFactorById).
+ * @param {object} input - { code, recoveryCode }.
+ * @returns {Promise<{ valid: boolean, usedRecoveryCode: boolean }>}
+ */
+const verifySecondFactor = async (twoFactor, { code, recoveryCode }) => {
+    if (code) {
+        const step = verifyTotp(twoFactor.totp_secret, code);
+        // Un code déjà accepté (même pas de temps) est refusé pour empêcher le rejeu
+        const valid = step !== null && await twoFactorModel.consumeTotpStep(twoFactor.user_id, step);
+        return { valid, usedRecoveryCode: false };
+    }
+    if (recoveryCode) {
+        const valid = await twoFactorModel.consumeRecoveryCode(twoFactor.user_id, hashToken(normalizeRecoveryCode(recoveryCode)));
+        return { valid, usedRecoveryCode: valid };
+    }
+    return { valid: false, usedRecoveryCode: false };
+};
+
+/**
+ * Indique si la 2FA est activée pour l'utilisateur authentifié et si elle est obligatoire pour son rôle.
+ * @param {object} req - L'objet requête Express (req.user attaché par le middleware d'auth).
+ * @param {object} res - L'objet réponse Express.
+ */
+export const getTwoFactorStatus = async (req, res) => {
+    const { userId, roleName } = req.user;
+    try {
+        const twoFactor = await twoFactorModel.findUserTwoFactorById(userId);
+        if (!twoFactor) {
+            return res.status(404).json({ message: req.t("users.notFound") });
+        }
+        res.status(200).json({
+            enabled: twoFactor.totp_enabled,
+            required: isTwoFactorRequiredForRole(roleName),
+            remainingRecoveryCodes: twoFactor.totp_enabled ? await twoFactorModel.countRemainingRecoveryCodes(userId) : 0,
+        });
+    } catch (error) {
+        console.error("Erreur dans twoFactorController.getTwoFactorStatus:", error.message);
+        res.status(500).json({ message: req.t("twoFactor.statusFailed") });
+    }
+};
+
+/**
+ * Démarre l'enrôlement 2FA : génère un secret en attente et l'URI de provisionnement (à afficher en QR code).
+ * @param {object} req - L'objet requête Express (req.user attaché par le middleware d'auth).
+ * @param {object} res - L'objet réponse Express.
+ */
+export const setupTwoFactor = async (req, res) => {
+    const { userId } = req.user;
+    try {
+        const twoFactor = await twoFactorModel.findUserTwoFactorById(userId);
+        if (!twoFactor) {
+            return res.status(404).json({ message: req.t("users.notFound") });
+        }
+        if (twoFactor.totp_enabled) {
+            return res.status(409).json({ message: req.t("twoFactor.alreadyEnabled") });
+        }
+
+        const secret = generateTotpSecret();
+        await twoFactorModel.setPendingTotpSecret(userId, secret);
+
+        res.status(200).json({
+            message: req.t("twoFactor.scanQrCode"),
+            secret,
+            otpauthUri: buildOtpauthUri(secret, twoFactor.email),
+        });
+    } catch (error) {
+        console.error("Erreur dans twoFactorController.setupTwoFactor:", error.message);
+        res.status(500).json({ message: req.t("twoFactor.setupFailed") });
+    }
+};
+
+/**
+ * Confirme l'enrôlement 2FA avec un premier code TOTP et renvoie les codes de récupération (affichés une seule fois).
+ * @param {object} req - L'objet requête Express (code dans le corps).
+ * @param {object} res - L'objet réponse Express.
+ */
+export const confirmTwoFactor = async (req, res) => {
+    const { userId } = req.user;
+    const { code } = req.body;
+    try {
+        if (!code) {
+            return res.status(400).json({ message: req.t("twoFactor.codeRequired") });
+        }
+        const twoFactor = await twoFactorModel.findUserTwoFactorById(userId);
+        if (!twoFactor || !twoFactor.totp_pending_secret) {
+            return res.status(400).json({ message: req.t("twoFactor.noPendingSetup") });
+        }
+
+        const step = verifyTotp(twoFactor.totp_pending_secret, code);
+        if (step === null) {
+            return res.status(400).json({ message: req.t("twoFactor.invalidCode") });
+        }
+
+        await twoFactorModel.enableTotp(userId, step);
+        const recoveryCodes = await issueRecoveryCodes(userId);
+        invalidateUserState(userId);
+        await logActivity(userId, 'TWO_FACTOR_ENABLED', "Authentification à deux facteurs activée");
+
+        res.status(200).json({
+            message: req.t("twoFactor.enabled"),
+            recoveryCodes,
+        });
+    } catch (error) {
+        console.error("Erreur dans twoFactorController.confirmTwoFactor:", error.message);
+        res.status(500).json({ message: req.t("twoFactor.enableFailed") });
+    }
+};
+
+/**
+ * Désactive la 2FA. Exige le mot de passe et un second facteur valide ;
+ * refusé si la politique impose la 2FA pour le rôle de l'utilisateur.
+ * @param {object} req - L'objet requête Express (password et code ou recoveryCode dans le corps).
+ * @param {object} res - L'objet réponse Express.
+ */
+export const disableTwoFactor = async (req, res) => {
+    const { userId, roleName } = req.user;
+    const { password, code, recoveryCode } = req.body;
+    try {
+        if (isTwoFactorRequiredForRole(roleName)) {
+            return res.status(403).json({ message: req.t("twoFactor.mandatoryForRole") });
+        }
+        if (!password || (!code && !recoveryCode)) {
+            return res.status(400).json({ message: req.t("twoFactor.disableFieldsRequired") });
+        }
+
+        const twoFactor = await twoFactorModel.findUserTwoFactorById(userId);
+        if (!twoFactor || !twoFactor.totp_enabled) {
+            return res.status(400).json({ message: req.t("twoFactor.notEnabled") });
+        }
+
+        const isPasswordValid = await bcrypt.compare(password, twoFactor.password_hash);
+        const { valid } = isPasswordValid ? await verifySecondFactor(twoFactor, { code, recoveryCode }) : { valid: false };
+        if (!valid) {
+            return res.status(401).json({ message: req.t("twoFactor.wrongPasswordOrCode") });
+        }
+
+        await twoFactorModel.disableTotp(userId);
+        invalidateUserState(userId);
+        await logActivity(userId, 'TWO_FACTOR_DISABLED', "Authentification à deux facteurs désactivée");
+
+        res.status(200).json({ message: req.t("twoFactor.disabled") });
+    } catch (error) {
+        console.error("Erreur dans twoFactorController.disableTwoFactor:", error.message);
+        res.status(500).json({ message: req.t("twoFactor.disableFailed") });
+    }
+};
+
+/**
+ * Régénère les codes de récupération (les anciens deviennent invalides). Exige un code TOTP valide.
+ * @param {object} req - L'objet requête Express (code dans le corps).
+ * @param {object} res - L'objet réponse Express.
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+    const { userId } = req.user;
+    const { code } = req.body;
+    try {
+        if (!code) {
+            return res.status(400).json({ message: req.t("twoFactor.codeRequired") });
+        }
+        const twoFactor = await twoFactorModel.findUserTwoFactorById(userId);
+        if (!twoFactor || !twoFactor.totp_enabled) {
+            return res.status(400).json({ message: req.t("twoFactor.notEnabled") });
+        }
+
+        const { valid } = await verifySecondFactor(twoFactor, { code });
+        if (!valid) {
+            return res.status(401).json({ message: req.t("twoFactor.invalidCode") });
+        }
+
+        const recoveryCodes = await issueRecoveryCodes(userId);
+        await logActivity(userId, 'TWO_FACTOR_RECOVERY_CODES_REGENERATED', "Codes de récupération 2FA régénérés");
+
+        res.status(200).json({
+            message: req.t("twoFactor.recoveryCodesRegenerated"),
+            recoveryCodes,
+        });
+    } catch (error) {
+        console.error("Erreur dans twoFactorController.regenerateRecoveryCodes:", error.message);
+        res.status(500).json({ message: req.t("twoFactor.regenerateFailed") });
+    }
+};
+
+/**
+ * Seconde étape de la connexion : échange le jeton de challenge et un code TOTP (ou de récupération)
+ * contre la même réponse que /login.
+ * @param {object} req - L'objet requête Express (challengeToken et code ou recoveryCode dans le corps).
+ * @param {object} res - L'objet réponse Express.
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+    try {
+        if (!challengeToken || (!code && !recoveryCode)) {
+            return res.status(400).json({ message: req.t("twoFactor.challengeFieldsRequired") });
+        }
+
+        const challenge = verifyTwoFactorChallengeToken(challengeToken);
+        if (!challenge) {
+            return res.status(401).json({ message: req.t("twoFactor.challengeInvalid") });
+        }
+
+        const user = await userModel.findUserById(challenge.userId);
+        const twoFactor = await twoFactorModel.findUserTwoFactorById(challenge.userId);
+        if (!user || !twoFactor || !twoFactor.totp_enabled) {
+            return res.status(401).json({ message: req.t("twoFactor.challengeInvalid") });
+        }
+        if (!user.is_active) {
+            return res.status(403).json({ message: req.t("auth.accountDisabled") });
+        }
+
+        // Le verrouillage par email s'applique aussi à la seconde étape
+        const lockout = await getActiveLockout(req, user.email);
+        if (lockout) {
+            const retryAfterSeconds = Math.max(1, Math.ceil((new Date(lockout.locked_until).getTime() - Date.now()) / 1000));
+            res.set("Retry-After", String(retryAfterSeconds));
+            return res.status(429).json({
+                message: req.t("rateLimit.tooManyRequests", { seconds: retryAfterSeconds }),
+                retryAfter: retryAfterSeconds,
+            });
+        }
+
+        const { valid, usedRecoveryCode } = await verifySecondFactor(twoFactor, { code, recoveryCode });
+        if (!valid) {
+            await recordLoginFailure(req, user.email, user.user_id);
+            return res.status(401).json({ message: req.t("twoFactor.invalidCode") });
+        }
+
+        await clearLoginFailures(user.email);
+        const response = { message: req.t("auth.loginSucceeded"), ...(await buildLoginPayload(user, req)) };
+        if (usedRecoveryCode) {
+            await logActivity(user.user_id, 'TWO_FACTOR_RECOVERY_CODE_USED', "Connexion avec un code de récupération 2FA");
+            response.remainingRecoveryCodes = await twoFactorModel.countRemainingRecoveryCodes(user.user_id);
+        }
+
+        res.status(200).json(response);
+    } catch (error) {
+        console.error("Erreur dans twoFactorController.verifyTwoFactorLogin:", error.message);
+        res.status(500).json({ message: req.t("twoFactor.verifyFailed") });
+    }
+};
@@ -1,8 +1,45 @@
 import * as userModel from "../models/userModel.js";
 import { getOrCreateCart, getCartItemsByCartId } from '../models/cartModel.js';
 import bcrypt from "bcrypt"; 
-import jwt from "jsonwebtoken";
 import crypto from "crypto"; // Import crypto for token generation
+import * as sessionModel from "../models/sessionModel.js";
+import { logActivity } from "../models/AdminModel.js";
+import { localizeRecords } from "../utils/i18n.js";
+import {
+    buildLoginPayload,
+    createTwoFactorChallengeToken,
+    generateRefreshToken,
+    hashToken,
+    signAccessToken,
+    createEmailVerificationToken,
+    verifyEmailVerificationToken,
+} from "../utils/authTokens.js";
+import { queueEmail } from "../mail/mailer.js";
+import { localeFromRequest } from "../mail/templates/index.js";
+import { invalidateUserState } from "../utils/userStateCache.js";
+import { recordLoginFailure, clearLoginFailures } from "../utils/loginLockout.js";
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
+// Durée de validité d'un lien de connexion magique (15 minutes par défaut).
+const MAGIC_LINK_TTL_MINUTES = parseInt(process.env.MAGIC_LINK_TTL_MINUTES, 10) || 15;
+
+/**
+ * Génère un nouveau jeton de vérification pour l'utilisateur et lui envoie le lien par email.
+ * Un nouvel envoi invalide le lien précédent.
+ * @param {object} user - L'utilisateur (user_id, email, first_name).
+ * @param {string} locale - La langue de l'email ('fr' ou 'en').
+ */
+const sendVerificationEmail = async (user, locale) => {
+    const { token, tokenHash, expires } = createEmailVerificationToken(user.user_id);
+    await userModel.updateUserEmailVerificationToken(user.user_id, tokenHash, expires);
+    await queueEmail({
+        to: user.email,
+        template: "emailVerification",
+        locale,
+        userId: user.user_id,
+        data: { firstName: user.first_name, verificationUrl: `${FRONTEND_URL}/verify-email/${token}` },
+    });
+};
 
 /**
  * Crée un nouveau compte utilisateur.
@@ -18,7 +55,7 @@ export const registerUser = async (req, res) => {
                 .status(400)
                 .json({
                     message:
-                        "Veuillez fournir un prénom, un email et un mot de passe.",
+                        req.t("auth.registerMissingFields"),
                 });
         }
         if (password.length < 6) {
@@ -26,7 +63,7 @@ export const registerUser = async (req, res) => {
                 .status(400)
                 .json({
                     message:
-                        "Le mot de passe doit contenir au moins 6 caractères.",
+                        req.t("auth.passwordTooShort"),
                 });
         }
         const userRole = await userModel.findRoleByName("Utilisateur");
@@ -37,7 +74,7 @@ export const registerUser = async (req, res) => {
             return res
                 .status(500)
                 .json({
-                    message: "Configuration de rôle manquante sur le serveur.",
+                    message: req.t("auth.roleConfigMissing"),
                 });
         }
         const role_id = userRole.role_id;
@@ -53,8 +90,16 @@ export const registerUser = async (req, res) => {
         const newUser = await userModel.insertUser(userData);
         const { password_hash: omittedHash, ...userResponse } = newUser;
 
+        // Le compte démarre non vérifié : on envoie le lien de vérification.
+        // Un échec d'envoi ne doit pas annuler l'inscription (l'utilisateur peut redemander un lien).
+        try {
+            await sendVerificationEmail(newUser, localeFromRequest(req));
+        } catch (mailError) {
+            console.error("Erreur lors de l'envoi de l'email de vérification:", mailError.message);
+        }
+
         res.status(201).json({
-            message: "Compte utilisateur créé avec succès.",
+            message: req.t("auth.registered"),
             user: userResponse,
         });
     } catch (error) {
@@ -67,32 +112,33 @@ export const registerUser = async (req, res) => {
                 .status(409)
                 .json({
                     message:
-                        "Cet email est déjà utilisé. Veuillez en choisir un autre.",
+                        req.t("auth.emailInUse"),
                 });
         }
         if (error.code === "23503") {
             return res
                 .status(400)
                 .json({
-                    message: "Erreur de rôle : le rôle spécifié n'existe pas.",
+                    message: req.t("auth.roleNotFound"),
                 });
         }
         if (error.code === "23502") {
             return res
                 .status(400)
                 .json({
-                    message: `Un champ obligatoire est manquant: ${error.detail}`,
+                    message: req.t("auth.missingField", { detail: error.detail }),
                 });
         }
 
         res.status(500).json({
-            message: "Erreur interne du serveur lors de la création du compte.",
+            message: req.t("auth.registerFailed"),
         });
     }
 };
 
 /**
  * Connecte un utilisateur et renvoie un JWT.
+ * Si la 2FA est activée, renvoie à la place un jeton de challenge (étape 1 sur 2).
  * @param {object} req - L'objet requête Express (doit contenir email et password dans le corps).
  * @param {object} res - L'objet réponse Express.
  */
@@ -102,7 +148,7 @@ export const loginUser = async (req, res) => {
     try {
         // 1. Validation des champs d'entrée
         if (!email || !password) {
-            return res.status(400).json({ message: "Veuillez fournir un email et un mot de passe." });
+            return res.status(400).json({ message: req.t("auth.loginMissingFields") });
         }
 
         // 2. Trouver l'utilisateur par email
@@ -110,46 +156,253 @@ export const loginUser = async (req, res) => {
 
         if (!user) {
             // Pour des raisons de sécurité, ne pas indiquer si c'est l'email ou le mot de passe qui est incorrect.
-            return res.status(401).json({ message: "Email ou mot de passe incorrect." });
+            await recordLoginFailure(req, email);
+            return res.status(401).json({ message: req.t("auth.invalidCredentials") });
         }
 
         // 3. Comparer le mot de passe fourni avec le hachage stocké
         const isPasswordValid = await bcrypt.compare(password, user.password_hash);
 
         if (!isPasswordValid) {
-            return res.status(401).json({ message: "Email ou mot de passe incorrect." });
+            // Les échecs répétés (par IP et par email) déclenchent un verrouillage progressif
+            await recordLoginFailure(req, email, user.user_id);
+            return res.status(401).json({ message: req.t("auth.invalidCredentials") });
         }
 
-        // 4. Générer un JWT
-        // Le payload du JWT contient des informations sur l'utilisateur que tu pourras utiliser
-        // pour les autorisations (ex: ID utilisateur, rôle).
-        const token = jwt.sign(
-            {
-                userId: user.user_id,
-                roleId: user.role_id,
-                roleName: user.role_name // Optionnel mais pratique
-            },
-            process.env.JWT_SECRET, // La clé secrète de ton .env
-            { expiresIn: '1h' } // Le token expirera après 1 heure (à ajuster selon tes besoins)
-        );
+        // Le compte a pu être désactivé par un administrateur
+        if (!user.is_active) {
+            return res.status(403).json({ message: req.t("auth.accountDisabled") });
+        }
 
-        // 5. Réponse de succès
+        // 4. Si la 2FA est activée, la connexion se fait en deux étapes :
+        // on renvoie un jeton de challenge à échanger via /api/auth/login/2fa avec un code TOTP.
+        if (user.totp_enabled) {
+            return res.status(200).json({
+                message: req.t("auth.twoFactorRequired"),
+                twoFactorRequired: true,
+                challengeToken: createTwoFactorChallengeToken(user.user_id),
+            });
+        }
+
+        // 5. Ouvrir une session serveur et générer la paire de jetons
+        // Le JWT d'accès est de courte durée et rattaché à la session (révocable) ;
+        // le refresh token permet d'en obtenir un nouveau via /api/auth/refresh.
+        const payload = await buildLoginPayload(user, req);
+        await clearLoginFailures(email);
+
+        // 6. Réponse de succès
         res.status(200).json({
-            message: "Connexion réussie.",
-            token: token,
-            user: { // Renvoyer des infos utilisateur de base (sans le mot de passe haché)
-                user_id: user.user_id,
-                first_name: user.first_name,
-                last_name: user.last_name,
-                email: user.email,
-                role_id: user.role_id,
-                role_name: user.role_name
-            }
+            message: req.t("auth.loginSucceeded"),
+            ...payload,
         });
 
     } catch (error) {
         console.error("Erreur lors de la connexion de l'utilisateur:", error.message);
-        res.status(500).json({ message: "Erreur interne du serveur lors de la tentative de connexion." });
+        res.status(500).json({ message: req.t("auth.loginFailed") });
+    }
+};
+
+/**
+ * Vérifie l'adresse email d'un utilisateur à partir du jeton reçu par email.
+ * @param {object} req - L'objet requête Express (doit contenir token dans les params).
+ * @param {object} res - L'objet réponse Express.
+ */
+export const verifyEmail = async (req, res) => {
+    const { token } = req.params;
+
+    try {
+        const payload = verifyEmailVerificationToken(token);
+        if (!payload) {
+            return res.status(400).json({ message: req.t("auth.verificationTokenInvalid") });
+        }
+
+        const user = await userModel.findUserByEmailVerificationToken(hashToken(token));
+        if (!user || user.user_id !== payload.userId) {
+            return res.status(400).json({ message: req.t("auth.verificationTokenInvalid") });
+        }
+
+        const verifiedUser = await userModel.markUserEmailVerified(user.user_id);
+        invalidateUserState(user.user_id);
+
+        await queueEmail({
+            to: verifiedUser.email,
+            template: "welcome",
+            locale: localeFromRequest(req),
+            userId: verifiedUser.user_id,
+            data: { firstName: verifiedUser.first_name, catalogUrl: `${FRONTEND_URL}/books` },
+        });
+
+        res.status(200).json({ message: req.t("auth.emailVerified") });
+    } catch (error) {
+        console.error("Erreur lors de la vérification de l'email:", error.message);
+        res.status(500).json({ message: req.t("auth.emailVerificationFailed") });
+    }
+};
+
+/**
+ * Renvoie un email de vérification à l'adresse indiquée si le compte existe et n'est pas encore vérifié.
+ * @param {object} req - L'objet requête Express (doit contenir email dans le corps).
+ * @param {object} res - L'objet réponse Express.
+ */
+export const resendVerificationEmail = async (req, res) => {
+    const { email } = req.body;
+
+    try {
+        if (!email) {
+            return res.status(400).json({ message: req.t("auth.emailRequired") });
+        }
+
+        // Pour des raisons de sécurité, la réponse est la même que le compte existe ou non.
+        const user = await userModel.findUserByEmail(email);
+        if (user && !user.email_verified) {
+            await sendVerificationEmail(user, localeFromRequest(req));
+        }
+
+        res.status(200).json({ message: req.t("auth.verificationResent") });
+    } catch (error) {
+        console.error("Erreur lors du renvoi de l'email de vérification:", error.message);
+        res.status(500).json({ message: req.t("auth.verificationResendFailed") });
+    }
+};
+
+/**
+ * Échange un refresh token valide contre un nouveau JWT d'accès.
+ * Le refresh token est à usage unique : il est remplacé (rotation) à chaque appel.
+ * La présentation d'un refresh token déjà consommé révoque la session (vol présumé).
+ * @param {object} req - L'objet requête Express (doit contenir refreshToken dans le corps).
+ * @param {object} res - L'objet réponse Express.
+ */
+export const refreshAccessToken = async (req, res) => {
+    const { refreshToken } = req.body;
+
+    try {
+        if (!refreshToken) {
+            return res.status(400).json({ message: req.t("auth.refreshTokenRequired") });
+        }
+
+        const presentedHash = hashToken(refreshToken);
+        const session = await sessionModel.findSessionByRefreshTokenHash(presentedHash);
+
+        if (!session) {
+            // Un refresh token déjà utilisé est présenté à nouveau : on révoque la session concernée.
+            const reusedSession = await sessionModel.findSessionByPreviousRefreshTokenHash(presentedHash);
+            if (reusedSession) {
+                await sessionModel.revokeSession(reusedSession.session_id, reusedSession.user_id);
+                console.warn(`Réutilisation d'un refresh token détectée, session ${reusedSession.session_id} révoquée.`);
+            }
+            return res.status(401).json({ message: req.t("auth.refreshTokenInvalid") });
+        }
+
+        if (session.revoked_at || new Date(session.expires_at) < new Date()) {
+            return res.status(401).json({ message: req.t("auth.sessionExpired") });
+        }
+
+        const user = await userModel.findUserById(session.user_id);
+        if (!user) {
+            return res.status(401).json({ message: req.t("auth.userNotFound") });
+        }
+        if (!user.is_active) {
+            return res.status(403).json({ message: req.t("auth.accountDisabled") });
+        }
+
+        const { refreshToken: newRefreshToken, refreshTokenHash, expiresAt } = generateRefreshToken();
+        const rotated = await sessionModel.rotateSessionRefreshToken(session.session_id, presentedHash, refreshTokenHash, expiresAt);
+        if (!rotated) {
+            // Le même token vient d'être consommé par une autre requête : réutilisation, la session est révoquée.
+            await sessionModel.revokeSession(session.session_id, session.user_id);
+            console.warn(`Réutilisation concurrente d'un refresh token détectée, session ${session.session_id} révoquée.`);
+            return res.status(401).json({ message: req.t("auth.refreshTokenInvalid") });
+        }
+
+        res.status(200).json({
+            message: req.t("auth.tokenRefreshed"),
+            token: signAccessToken(user, session.session_id),
+            refreshToken: newRefreshToken,
+        });
+    } catch (error) {
+        console.error("Erreur lors du rafraîchissement du jeton:", error.message);
+        res.status(500).json({ message: req.t("auth.refreshFailed") });
+    }
+};
+
+/**
+ * Déconnecte l'utilisateur en révoquant sa session courante,
+ * ou toutes ses sessions si allDevices vaut true dans le corps.
+ * @param {object} req - L'objet requête Express (req.user attaché par le middleware d'auth).
+ * @param {object} res - L'objet réponse Express.
+ */
+export const logoutUser = async (req, res) => {
+    const { userId, sessionId, impersonatorId } = req.user;
+    const { allDevices } = req.body || {};
+
+    try {
+        // Sous impersonation, seule la session d'impersonation est fermée
+        if (impersonatorId) {
+            await sessionModel.revokeSession(sessionId, userId);
+            await logActivity(impersonatorId, 'IMPERSONATION_ENDED', `Fin de l'impersonation de l'utilisateur ${userId}`, {
+                targetUserId: userId,
+                sessionId,
+            });
+            return res.status(200).json({ message: req.t("auth.impersonationEnded") });
+        }
+
+        if (allDevices === true) {
+            const revokedCount = await sessionModel.revokeAllUserSessions(userId);
+            return res.status(200).json({ message: req.t("auth.loggedOutEverywhere"), revokedCount });
+        }
+
+        await sessionModel.revokeSession(sessionId, userId);
+        res.status(200).json({ message: req.t("auth.loggedOut") });
+    } catch (error) {
+        console.error("Erreur lors de la déconnexion de l'utilisateur:", error.message);
+        res.status(500).json({ message: req.t("auth.logoutFailed") });
+    }
+};
+
+/**
+ * Liste les sessions actives (appareils connectés) de l'utilisateur authentifié.
+ * @param {object} req - L'objet requête Express (req.user attaché par le middleware d'auth).
+ * @param {object} res - L'objet réponse Express.
+ */
+export const getUserSessions = async (req, res) => {
+    const { userId, sessionId } = req.user;
+
+    try {
+        const sessions = await sessionModel.findActiveSessionsByUserId(userId);
+        res.status(200).json({
+            message: req.t("sessions.retrieved"),
+            sessions: sessions.map((session) => ({
+                ...session,
+                is_current: session.session_id === sessionId,
+            })),
+        });
+    } catch (error) {
+        console.error("Erreur lors de la récupération des sessions:", error.message);
+        res.status(500).json({ message: req.t("sessions.listFailed") });
+    }
+};
+
+/**
+ * Révoque une session spécifique (déconnexion d'un appareil) de l'utilisateur authentifié.
+ * @param {object} req - L'objet requête Express (sessionId dans les params).
+ * @param {object} res - L'objet réponse Express.
+ */
+export const revokeUserSession = async (req, res) => {
+    const { userId } = req.user;
+    const { sessionId } = req.params;
+
+    try {
+        const revoked = await sessionModel.revokeSession(sessionId, userId);
+        if (!revoked) {
+            return res.status(404).json({ message: req.t("sessions.notFound") });
+        }
+        res.status(200).json({ message: req.t("sessions.revoked"), session: revoked });
+    } catch (error) {
+        console.error("Erreur lors de la révocation de la session:", error.message);
+        if (error.code === '22P02') {
+            return res.status(400).json({ message: req.t("sessions.invalidId") });
+        }
+        res.status(500).json({ message: req.t("sessions.revokeFailed") });
     }
 };
 
@@ -166,7 +419,7 @@ export const forgotPassword = async (req, res) => {
         const user = await userModel.findUserByEmail(email);
         if (!user) {
             // Pour des raisons de sécurité, toujours renvoyer un succès même si l'email n'existe pas.
-            return res.status(200).json({ message: "Si l'email existe, un lien de réinitialisation a été envoyé." });
+            return res.status(200).json({ message: req.t("auth.resetLinkSent") });
         }
 
         const resetToken = crypto.randomBytes(32).toString('hex');
@@ -174,16 +427,19 @@ export const forgotPassword = async (req, res) => {
 
         await userModel.updateUserPasswordResetToken(user.user_id, resetToken, passwordResetExpires);
 
-        // TODO: Envoyer l'e-mail avec le lien de réinitialisation
-        // Le lien devrait ressembler à: `http://localhost:3000/reset-password/${resetToken}`
-        console.log(`Lien de réinitialisation: http://localhost:3000/reset-password/${resetToken}`);
-        // Ici, vous intégreriez un service d'envoi d'e-mails (ex: Nodemailer)
+        await queueEmail({
+            to: user.email,
+            template: "passwordReset",
+            locale: localeFromRequest(req),
+            userId: user.user_id,
+            data: { firstName: user.first_name, resetUrl: `${FRONTEND_URL}/reset-password/${resetToken}` },
+        });
 
-        res.status(200).json({ message: "Si l'email existe, un lien de réinitialisation a été envoyé." });
+        res.status(200).json({ message: req.t("auth.resetLinkSent") });
 
     } catch (error) {
         console.error("Erreur lors de la demande de réinitialisation de mot de passe:", error.message);
-        res.status(500).json({ message: "Erreur interne du serveur lors de la demande de réinitialisation." });
+        res.status(500).json({ message: req.t("auth.resetRequestFailed") });
     }
 };
 
@@ -198,13 +454,13 @@ export const resetPassword = async (req, res) => {
 
     try {
         if (!newPassword || newPassword.length < 6) {
-            return res.status(400).json({ message: "Le nouveau mot de passe doit contenir au moins 6 caractères." });
+            return res.status(400).json({ message: req.t("auth.newPasswordTooShort") });
         }
 
         const user = await userModel.findUserByPasswordResetToken(resetToken);
 
         if (!user || user.password_reset_expires < Date.now()) {
-            return res.status(400).json({ message: "Jeton de réinitialisation invalide ou expiré." });
+            return res.status(400).json({ message: req.t("auth.resetTokenInvalid") });
         }
 
         const saltRounds = 10;
@@ -212,12 +468,103 @@ export const resetPassword = async (req, res) => {
 
         await userModel.updateUserPassword(user.user_id, password_hash);
         await userModel.clearUserPasswordResetToken(user.user_id); // Nettoyer le jeton après utilisation
+        await sessionModel.revokeAllUserSessions(user.user_id); // Déconnecter tous les appareils
 
-        res.status(200).json({ message: "Mot de passe réinitialisé avec succès." });
+        res.status(200).json({ message: req.t("auth.passwordReset") });
 
     } catch (error) {
         console.error("Erreur lors de la réinitialisation du mot de passe:", error.message);
-        res.status(500).json({ message: "Erreur interne du serveur lors de la réinitialisation du mot de passe." });
+        res.status(500).json({ message: req.t("auth.passwordResetFailed") });
+    }
+};
+
+/**
+ * Envoie un lien de connexion à usage unique à l'adresse indiquée, si un compte actif existe.
+ * La réponse est identique dans tous les cas pour ne pas révéler l'existence d'un compte.
+ * @param {object} req - L'objet requête Express (doit contenir email dans le corps).
+ * @param {object} res - L'objet réponse Express.
+ */
+export const requestMagicLink = async (req, res) => {
+    const { email } = req.body;
+
+    try {
+        if (!email) {
+            return res.status(400).json({ message: req.t("auth.emailRequired") });
+        }
+
+        const user = await userModel.findUserByEmail(email);
+        if (user && user.is_active) {
+            const token = crypto.randomBytes(32).toString("hex");
+            await userModel.setMagicLinkToken(user.user_id, hashToken(token), Date.now() + MAGIC_LINK_TTL_MINUTES * 60000);
+
+            await queueEmail({
+                to: user.email,
+                template: "magicLink",
+                locale: localeFromRequest(req),
+                userId: user.user_id,
+                data: {
+                    firstName: user.first_name,
+                    loginUrl: `${FRONTEND_URL}/magic-link/${token}`,
+                    expiresInMinutes: MAGIC_LINK_TTL_MINUTES,
+                },
+            });
+        }
+
+        res.status(200).json({ message: req.t("auth.magicLinkSent") });
+    } catch (error) {
+        console.error("Erreur lors de la demande de lien de connexion:", error.message);
+        res.status(500).json({ message: req.t("auth.magicLinkRequestFailed") });
+    }
+};
+
+/**
+ * Connecte un utilisateur à partir d'un lien magique. Le lien est invalidé dès sa première utilisation.
+ * Renvoie la même réponse que loginUser (ou un jeton de challenge si la 2FA est activée).
+ * @param {object} req - L'objet requête Express (doit contenir token dans les params).
+ * @param {object} res - L'objet réponse Express.
+ */
+export const loginWithMagicLink = async (req, res) => {
+    const { token } = req.params;
+
+    try {
+        const userId = await userModel.consumeMagicLinkToken(hashToken(token));
+        if (!userId) {
+            // Un jeton invalide compte comme un échec de connexion (verrouillage progressif par IP)
+            await recordLoginFailure(req);
+            return res.status(400).json({ message: req.t("auth.magicLinkInvalid") });
+        }
+
+        let user = await userModel.findUserById(userId);
+        if (!user || !user.is_active) {
+            return res.status(403).json({ message: req.t("auth.accountDisabled") });
+        }
+
+        // Le lien a été reçu sur l'adresse du compte : elle est donc vérifiée
+        if (!user.email_verified) {
+            await userModel.markUserEmailVerified(user.user_id);
+            invalidateUserState(user.user_id);
+            user = { ...user, email_verified: true };
+        }
+
+        if (user.totp_enabled) {
+            return res.status(200).json({
+                message: req.t("auth.twoFactorRequired"),
+                twoFactorRequired: true,
+                challengeToken: createTwoFactorChallengeToken(user.user_id),
+            });
+        }
+
+        const payload = await buildLoginPayload(user, req);
+        await clearLoginFailures(user.email);
+        await logActivity(user.user_id, 'MAGIC_LINK_LOGIN', "Connexion par lien magique", { ip: req.ip });
+
+        res.status(200).json({
+            message: req.t("auth.loginSucceeded"),
+            ...payload,
+        });
+    } catch (error) {
+        console.error("Erreur lors de la connexion par lien magique:", error.message);
+        res.status(500).json({ message: req.t("auth.loginFailed") });
     }
 };
 
@@ -230,12 +577,12 @@ export const getUserProfile = async (req, res) => {
     const userId = req.user.userId;
     try {
         if (!userId) {
-            return res.status(400).json({ message: "ID utilisateur non trouvé dans le token." });
+            return res.status(400).json({ message: req.t("profile.userIdMissing") });
         }
         // 1. Récupérer les informations de base de l'utilisateur
         const user = await userModel.findUserById(userId);
         if (!user) {
-            return res.status(404).json({ message: "Profil utilisateur non trouvé." });
+            return res.status(404).json({ message: req.t("profile.notFound") });
         }
 
         // 2. Récupérer les livres achetés par cet utilisateur
@@ -256,19 +603,19 @@ export const getUserProfile = async (req, res) => {
 
         // 7. Renvoyer toutes les informations combinées
         res.status(200).json({
-            message: "Profil utilisateur et données associées récupérés avec succès.",
+            message: req.t("profile.retrieved"),
             user: {
                 ...user,
-                purchases,
-                favorites,
-                cartItems,
+                purchases: localizeRecords(purchases, req.locale),
+                favorites: localizeRecords(favorites, req.locale),
+                cartItems: localizeRecords(cartItems, req.locale),
                 quotes,
-                orderHistory
+                orderHistory: orderHistory.map((order) => ({ ...order, items: localizeRecords(order.items, req.locale) })),
             }
         });
     } catch (error) {
         console.error("Erreur dans le contrôleur getUserProfile:", error.message);
-        res.status(500).json({ message: "Erreur interne du serveur lors de la récupération du profil et des données associées." });
+        res.status(500).json({ message: req.t("profile.retrieveFailed") });
     }
 };
 
@@ -286,11 +633,11 @@ export const purchaseBook = async (req, res) => {
     try {
         // 1. Validation des entrées
         if (!bookId) {
-            return res.status(400).json({ message: "L'ID du livre est requis pour l'achat." });
+            return res.status(400).json({ message: req.t("library.bookIdRequired") });
         }
         if (!userId) {
             // Normalement, cela ne devrait pas arriver si le middleware authenticateToken fonctionne
-            return res.status(400).json({ message: "ID utilisateur non trouvé dans le token d'authentification." });
+            return res.status(400).json({ message: req.t("library.userIdMissing") });
         }
 
         // 2. Vérifier si le livre existe réellement (optionnel mais recommandé pour la robustesse)
@@ -298,14 +645,14 @@ export const purchaseBook = async (req, res) => {
         // import * => as bookModel from '../models/bookModel.js';
         // const bookExists = await bookModel.findBookById(bookId);
         // if (!bookExists) {
-        //     return res.status(404).json({ message: "Livre non trouvé." });
+        //     return res.status(404).json({ message: req.t("books.notFound") });
         // }
 
         // 3. Ajouter le livre au compte de l'utilisateur
         const newEntry = await userModel.addUserBook(userId, bookId);
 
         res.status(201).json({
-            message: "Livre ajouté à votre compte avec succès.",
+            message: req.t("library.bookAdded"),
             userBook: newEntry
         });
 
@@ -314,18 +661,18 @@ export const purchaseBook = async (req, res) => {
 
         // Gérer le cas où le livre est déjà "acheté" par l'utilisateur (violation de la contrainte UNIQUE)
         if (error.code === '23505') { // Code d'erreur PostgreSQL pour violation de contrainte unique
-            return res.status(409).json({ message: "Vous possédez déjà ce livre." });
+            return res.status(409).json({ message: req.t("library.alreadyOwned") });
         }
         // Gérer le cas où le bookId n'est pas un UUID valide
         if (error.code === '22P02') {
-             return res.status(400).json({ message: "ID de livre invalide." });
+             return res.status(400).json({ message: req.t("books.invalidBookId") });
         }
         // Gérer le cas où le bookId ou userId référencé n'existe pas (violation de clé étrangère)
         if (error.code === '23503') {
-             return res.status(400).json({ message: "ID de livre ou d'utilisateur introuvable." });
+             return res.status(400).json({ message: req.t("library.bookOrUserNotFound") });
         }
 
-        res.status(500).json({ message: "Erreur interne du serveur lors de l'achat du livre." });
+        res.status(500).json({ message: req.t("library.purchaseFailed") });
     }
 };
 /**
@@ -339,29 +686,29 @@ export const likeBook = async (req, res) => {
 
     try {
         if (!bookId || !userId) {
-            return res.status(400).json({ message: "L'ID de l'utilisateur et du livre sont requis." });
+            return res.status(400).json({ message: req.t("likes.idsRequired") });
         }
 
         // Optionnel: Vérifier si le livre existe (recommandé)
         // const bookExists = await bookModel.findBookById(bookId);
         // if (!bookExists) {
-        //     return res.status(404).json({ message: "Livre non trouvé." });
+        //     return res.status(404).json({ message: req.t("books.notFound") });
         // }
 
         const newLike = await userModel.addBookLike(userId, bookId);
         res.status(201).json({
-            message: "Livre liké avec succès !",
+            message: req.t("likes.created"),
             like: newLike
         });
 
     } catch (error) {
         console.error("Erreur lors du like du livre :", error.message);
         if (error.code === '23505') { // Code d'erreur PostgreSQL pour violation de contrainte unique
-            return res.status(409).json({ message: "Vous avez déjà liké ce livre." });
+            return res.status(409).json({ message: req.t("likes.alreadyLiked") });
         }
         if (error.code === '22P02' || error.code === '23503') {
-             return res.status(400).json({ message: "ID de livre ou d'utilisateur invalide." });
+             return res.status(400).json({ message: req.t("comments.invalidIds") });
         }
-        res.status(500).json({ message: "Erreur interne du serveur lors du like du livre." });
+        res.status(500).json({ message: req.t("likes.failed") });
     }
 };
@@ -0,0 +1,18 @@
+-- db/migrations/001_user_sessions.sql
+-- Sessions serveur : un enregistrement par appareil connecté.
+-- Le refresh token n'est jamais stocké en clair, seulement son hachage SHA-256.
+CREATE TABLE IF NOT EXISTS UserSessions (
+    session_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES Users(user_id) ON DELETE CASCADE,
+    refresh_token_hash TEXT NOT NULL UNIQUE,
+    previous_refresh_token_hash TEXT, -- Permet de détecter la réutilisation d'un refresh token déjà consommé
+    user_agent TEXT,
+    ip_address TEXT,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    last_used_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_usersessions_user_id ON UserSessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_usersessions_previous_hash ON UserSessions(previous_refresh_token_hash);
@@ -0,0 +1,20 @@
+-- db/migrations/002_email_verification.sql
+-- Vérification de l'adresse email à l'inscription.
+-- Même mécanique que password_reset_token / password_reset_expires (le jeton est stocké haché).
+-- Les comptes existants avant cette migration sont considérés comme vérifiés : la colonne est d'abord ajoutée
+-- avec la valeur TRUE pour les lignes existantes, puis la valeur par défaut passe à FALSE pour les nouveaux comptes.
+-- Rejouer la migration ne modifie donc plus aucun compte.
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = 'users' AND column_name = 'email_verified'
+    ) THEN
+        ALTER TABLE Users ADD COLUMN email_verified BOOLEAN NOT NULL DEFAULT TRUE;
+        ALTER TABLE Users ALTER COLUMN email_verified SET DEFAULT FALSE;
+    END IF;
+END $$;
+
+ALTER TABLE Users
+    ADD COLUMN IF NOT EXISTS email_verification_token TEXT,
+    ADD COLUMN IF NOT EXISTS email_verification_expires TIMESTAMP WITH TIME ZONE;
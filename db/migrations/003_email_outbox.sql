@@ -0,0 +1,26 @@
+-- db/migrations/003_email_outbox.sql
+-- File d'attente persistante des emails transactionnels.
+-- Chaque email est rendu puis enregistré avant l'envoi, ce qui permet les nouvelles tentatives
+-- et le renvoi manuel depuis l'administration.
+-- Une entrée est réservée (status 'sending', claimed_at) dans la même requête qui la sélectionne, de sorte que l'envoi
+-- immédiat et le worker ne l'envoient jamais tous les deux. Le contenu rendu (liens de réinitialisation, de connexion...)
+-- est effacé une fois l'email remis.
+CREATE TABLE IF NOT EXISTS EmailOutbox (
+    outbox_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES Users(user_id) ON DELETE SET NULL,
+    recipient TEXT NOT NULL,
+    template VARCHAR(100) NOT NULL,
+    locale VARCHAR(5) NOT NULL DEFAULT 'fr',
+    subject TEXT NOT NULL,
+    text_body TEXT, -- NULL une fois l'email remis
+    html_body TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'sending' (réservé pour l'envoi), 'sent', 'failed'
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    claimed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    sent_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_emailoutbox_status_next_attempt ON EmailOutbox(status, next_attempt_at);
@@ -0,0 +1,19 @@
+-- db/migrations/004_two_factor_auth.sql
+-- Authentification à deux facteurs (TOTP) et codes de récupération.
+ALTER TABLE Users
+    ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+    ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT, -- Secret en attente de confirmation pendant l'enrôlement
+    ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT, -- Dernier pas de temps accepté, pour refuser la réutilisation d'un code
+    ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP WITH TIME ZONE;
+
+-- Codes de récupération à usage unique, stockés hachés (SHA-256).
+CREATE TABLE IF NOT EXISTS UserRecoveryCodes (
+    recovery_code_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES Users(user_id) ON DELETE CASCADE,
+    code_hash TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    used_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_userrecoverycodes_user_id ON UserRecoveryCodes(user_id);
@@ -0,0 +1,18 @@
+-- db/migrations/005_rate_limiting.sql
+-- Limitation de débit et verrouillage progressif des connexions, partagés entre les processus.
+
+-- Compteurs à fenêtre fixe, une ligne par (limiteur, clé), ex: 'login:ip:203.0.113.7'.
+CREATE TABLE IF NOT EXISTS RateLimitCounters (
+    bucket_key TEXT PRIMARY KEY,
+    hits INTEGER NOT NULL DEFAULT 0,
+    window_start TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Échecs de connexion et verrouillages, une ligne par clé, ex: 'ip:203.0.113.7' ou 'email:jean@example.com'.
+CREATE TABLE IF NOT EXISTS LoginLockouts (
+    lock_key TEXT PRIMARY KEY,
+    failure_count INTEGER NOT NULL DEFAULT 0, -- Échecs depuis le dernier verrouillage
+    lockout_level INTEGER NOT NULL DEFAULT 0, -- Nombre de verrouillages successifs (durée doublée à chaque niveau)
+    locked_until TIMESTAMP WITH TIME ZONE,
+    last_failure_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
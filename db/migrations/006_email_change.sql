@@ -0,0 +1,6 @@
+-- db/migrations/006_email_change.sql
+-- Changement d'adresse email en libre-service : la nouvelle adresse n'est appliquée qu'après confirmation.
+ALTER TABLE Users
+    ADD COLUMN IF NOT EXISTS pending_email VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS email_change_token TEXT, -- Hachage SHA-256 du jeton envoyé à la nouvelle adresse
+    ADD COLUMN IF NOT EXISTS email_change_expires TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,6 @@
+-- db/migrations/007_account_deletion.sql
+-- Suppression de compte à la demande de l'utilisateur (droit à l'effacement).
+-- Le compte est anonymisé plutôt que supprimé : les commandes et paiements restent rattachés
+-- à une ligne Users pour la comptabilité.
+ALTER TABLE Users
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
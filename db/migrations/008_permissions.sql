@@ -0,0 +1,39 @@
+-- db/migrations/008_permissions.sql
+-- Contrôle d'accès par permissions : chaque rôle reçoit un ensemble de permissions
+-- vérifiées par le middleware authorize(...permissions).
+ALTER TABLE Roles
+    ADD COLUMN IF NOT EXISTS description TEXT,
+    ADD COLUMN IF NOT EXISTS is_system BOOLEAN NOT NULL DEFAULT FALSE; -- Rôles système : ni renommables ni supprimables
+
+-- Les noms de rôle sont recherchés sans tenir compte de la casse (findRoleByName)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_roles_role_name_lower ON Roles (LOWER(role_name));
+
+UPDATE Roles SET is_system = TRUE WHERE role_name IN ('Admin', 'Utilisateur');
+
+CREATE TABLE IF NOT EXISTS Permissions (
+    permission_key VARCHAR(64) PRIMARY KEY, -- Format 'domaine:action', ex: 'catalog:write'
+    description TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS RolePermissions (
+    role_id UUID NOT NULL REFERENCES Roles(role_id) ON DELETE CASCADE,
+    permission_key VARCHAR(64) NOT NULL REFERENCES Permissions(permission_key) ON DELETE CASCADE,
+    granted_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (role_id, permission_key)
+);
+
+INSERT INTO Permissions (permission_key, description) VALUES
+    ('catalog:write', 'Gérer le catalogue : livres, fichiers et couvertures'),
+    ('orders:manage', 'Consulter et traiter les commandes, générer les factures'),
+    ('reports:read', 'Consulter le tableau de bord, les statistiques et les rapports'),
+    ('users:manage', 'Gérer les comptes clients (modification, désactivation, emails, données personnelles)'),
+    ('roles:manage', 'Créer des rôles, leur attribuer des permissions et changer le rôle des utilisateurs'),
+    ('audit:read', 'Consulter le journal d''activité')
+ON CONFLICT (permission_key) DO NOTHING;
+
+-- Le rôle Admin conserve l'ensemble des accès qu'il avait avec l'ancien contrôle sur le nom du rôle
+INSERT INTO RolePermissions (role_id, permission_key)
+SELECT r.role_id, p.permission_key
+FROM Roles r CROSS JOIN Permissions p
+WHERE r.role_name = 'Admin'
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,15 @@
+-- db/migrations/009_impersonation.sql
+-- Impersonation ("voir en tant que client") : une session ouverte par un membre du support
+-- au nom d'un client est marquée avec l'ID de son auteur.
+ALTER TABLE UserSessions
+    ADD COLUMN IF NOT EXISTS impersonator_id UUID REFERENCES Users(user_id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_usersessions_impersonator_id ON UserSessions(impersonator_id);
+
+INSERT INTO Permissions (permission_key, description) VALUES
+    ('users:impersonate', 'Consulter l''application en tant qu''un client (lecture seule)')
+ON CONFLICT (permission_key) DO NOTHING;
+
+INSERT INTO RolePermissions (role_id, permission_key)
+SELECT role_id, 'users:impersonate' FROM Roles WHERE role_name = 'Admin'
+ON CONFLICT DO NOTHING;
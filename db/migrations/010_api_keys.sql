@@ -0,0 +1,28 @@
+-- db/migrations/010_api_keys.sql
+-- Clés API pour les intégrations machine à machine (entrepôt, comptabilité).
+-- La clé n'est jamais stockée en clair : seul son hachage SHA-256 est conservé,
+-- avec un préfixe non secret pour l'identifier dans l'interface.
+CREATE TABLE IF NOT EXISTS ApiKeys (
+    api_key_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(16) NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    permissions TEXT[] NOT NULL DEFAULT '{}', -- Sous-ensemble des clés de la table Permissions
+    allowed_ips TEXT[], -- Adresses ou sous-réseaux CIDR autorisés ; NULL = toutes les adresses
+    expires_at TIMESTAMP WITH TIME ZONE, -- NULL = pas d'expiration
+    created_by UUID NOT NULL REFERENCES Users(user_id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    last_used_ip TEXT,
+    revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_apikeys_created_by ON ApiKeys(created_by);
+
+INSERT INTO Permissions (permission_key, description) VALUES
+    ('api_keys:manage', 'Créer et révoquer des clés API')
+ON CONFLICT (permission_key) DO NOTHING;
+
+INSERT INTO RolePermissions (role_id, permission_key)
+SELECT role_id, 'api_keys:manage' FROM Roles WHERE role_name = 'Admin'
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,32 @@
+-- db/migrations/011_oidc_identities.sql
+-- Connexion via des fournisseurs d'identité externes (OpenID Connect, flux authorization code + PKCE).
+
+-- Comptes externes liés à un utilisateur : un compte par fournisseur, identifié par le 'sub' du fournisseur.
+CREATE TABLE IF NOT EXISTS UserIdentities (
+    identity_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES Users(user_id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL,
+    subject TEXT NOT NULL,
+    email VARCHAR(255),
+    linked_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    last_login_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE (provider, subject),
+    UNIQUE (user_id, provider)
+);
+
+-- Demandes d'autorisation en cours : le 'state' (stocké haché) désigne le code_verifier PKCE et le nonce,
+-- qui ne transitent jamais par le navigateur. Usage unique, courte durée.
+CREATE TABLE IF NOT EXISTS OidcAuthStates (
+    state_hash TEXT PRIMARY KEY,
+    provider VARCHAR(50) NOT NULL,
+    code_verifier TEXT NOT NULL,
+    nonce TEXT NOT NULL,
+    user_id UUID REFERENCES Users(user_id) ON DELETE CASCADE, -- Renseigné pour une liaison depuis le profil
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- Un compte créé via un fournisseur externe n'a pas de mot de passe utilisable
+-- tant que l'utilisateur n'en a pas défini un (réinitialisation de mot de passe).
+ALTER TABLE Users
+    ADD COLUMN IF NOT EXISTS has_password BOOLEAN NOT NULL DEFAULT TRUE;
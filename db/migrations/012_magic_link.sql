@@ -0,0 +1,5 @@
+-- db/migrations/012_magic_link.sql
+-- Connexion sans mot de passe par lien magique envoyé par email (usage unique, courte durée).
+ALTER TABLE Users
+    ADD COLUMN IF NOT EXISTS magic_link_token TEXT, -- Hachage SHA-256 du jeton envoyé par email
+    ADD COLUMN IF NOT EXISTS magic_link_expires TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,45 @@
+-- db/migrations/013_book_search.sql
+-- Recherche plein texte multilingue sur les champs JSONB { fr, en } des livres,
+-- avec tolérance aux fautes de frappe (trigrammes) pour la recherche et l'autocomplétion.
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Texte d'un champ localisé dans une langue : la valeur de la clé demandée, ou la valeur
+-- elle-même si le champ est une simple chaîne JSON. IMMUTABLE pour être utilisable dans les colonnes générées.
+CREATE OR REPLACE FUNCTION book_localized_text(value JSONB, locale TEXT)
+RETURNS TEXT
+LANGUAGE SQL
+IMMUTABLE
+AS $$
+    SELECT COALESCE(
+        CASE jsonb_typeof(value)
+            WHEN 'object' THEN value->>locale
+            WHEN 'string' THEN value #>> '{}'
+        END,
+        ''
+    );
+$$;
+
+-- Un vecteur par langue, avec la configuration correspondante (racinisation, mots vides).
+-- Poids : titre (A) > auteur (B) > description (C).
+ALTER TABLE Books
+    ADD COLUMN IF NOT EXISTS search_vector_fr TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('french', book_localized_text(title, 'fr')), 'A')
+        || setweight(to_tsvector('simple', book_localized_text(author_name, 'fr')), 'B')
+        || setweight(to_tsvector('french', book_localized_text(description, 'fr')), 'C')
+    ) STORED,
+    ADD COLUMN IF NOT EXISTS search_vector_en TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', book_localized_text(title, 'en')), 'A')
+        || setweight(to_tsvector('simple', book_localized_text(author_name, 'en')), 'B')
+        || setweight(to_tsvector('english', book_localized_text(description, 'en')), 'C')
+    ) STORED,
+    -- Titres et auteurs dans les deux langues, en minuscules : support de la recherche par trigrammes
+    ADD COLUMN IF NOT EXISTS search_text TEXT GENERATED ALWAYS AS (
+        LOWER(
+            book_localized_text(title, 'fr') || ' ' || book_localized_text(title, 'en') || ' '
+            || book_localized_text(author_name, 'fr') || ' ' || book_localized_text(author_name, 'en')
+        )
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_books_search_vector_fr ON Books USING GIN (search_vector_fr);
+CREATE INDEX IF NOT EXISTS idx_books_search_vector_en ON Books USING GIN (search_vector_en);
+CREATE INDEX IF NOT EXISTS idx_books_search_text_trgm ON Books USING GIN (search_text gin_trgm_ops);
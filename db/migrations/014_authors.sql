@@ -0,0 +1,78 @@
+-- db/migrations/014_authors.sql
+-- Auteurs : une fiche par personne (nom localisé, biographie, photo) reliée aux livres avec un rôle.
+-- Books.author_name est conservé (recherche, affichage existant) et resynchronisé depuis les auteurs liés.
+
+-- Clé de dédoublonnage d'un nom : minuscules, sans accents, sans espaces ni ponctuation
+-- ('J.K. Rowling', 'J. K. Rowling' et 'j k rowling' donnent 'jkrowling'). IMMUTABLE pour l'index unique.
+CREATE OR REPLACE FUNCTION author_name_key(name TEXT)
+RETURNS TEXT
+LANGUAGE SQL
+IMMUTABLE
+AS $$
+    SELECT regexp_replace(
+        translate(LOWER(COALESCE(name, '')), 'àáâãäåçèéêëìíîïñòóôõöùúûüýÿ', 'aaaaaaceeeeiiiinooooouuuuyy'),
+        '[^[:alnum:]]+', '', 'g'
+    );
+$$;
+
+CREATE TABLE IF NOT EXISTS Authors (
+    author_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name JSONB NOT NULL, -- { fr, en } : les graphies peuvent différer selon la langue (translittérations)
+    bio JSONB, -- { fr, en }
+    photo_url TEXT,
+    name_key TEXT NOT NULL UNIQUE, -- author_name_key du nom (français, sinon anglais)
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Contributeurs d'un livre, dans l'ordre d'affichage. Un auteur encore lié à un livre ne peut pas être supprimé.
+CREATE TABLE IF NOT EXISTS BookAuthors (
+    book_id UUID NOT NULL REFERENCES Books(book_id) ON DELETE CASCADE,
+    author_id UUID NOT NULL REFERENCES Authors(author_id) ON DELETE RESTRICT,
+    role VARCHAR(20) NOT NULL DEFAULT 'author' CHECK (role IN ('author', 'translator', 'illustrator')),
+    position SMALLINT NOT NULL DEFAULT 0,
+    PRIMARY KEY (book_id, author_id, role)
+);
+
+CREATE INDEX IF NOT EXISTS idx_book_authors_author_id ON BookAuthors (author_id);
+
+-- Reprise des données : un auteur par clé de dédoublonnage, avec la graphie la plus fréquente
+WITH book_names AS (
+    SELECT
+        b.author_name,
+        author_name_key(COALESCE(NULLIF(book_localized_text(b.author_name, 'fr'), ''), book_localized_text(b.author_name, 'en'))) AS name_key
+    FROM Books b
+    WHERE b.author_name IS NOT NULL
+), spellings AS (
+    SELECT name_key, author_name, COUNT(*) AS uses
+    FROM book_names
+    WHERE name_key <> ''
+    GROUP BY name_key, author_name
+)
+INSERT INTO Authors (name, name_key)
+SELECT DISTINCT ON (name_key)
+    CASE jsonb_typeof(author_name)
+        WHEN 'object' THEN author_name
+        ELSE jsonb_build_object('fr', author_name #>> '{}', 'en', author_name #>> '{}')
+    END,
+    name_key
+FROM spellings
+ORDER BY name_key, uses DESC
+ON CONFLICT (name_key) DO NOTHING;
+
+INSERT INTO BookAuthors (book_id, author_id, role)
+SELECT b.book_id, a.author_id, 'author'
+FROM Books b
+JOIN Authors a ON a.name_key = author_name_key(
+    COALESCE(NULLIF(book_localized_text(b.author_name, 'fr'), ''), book_localized_text(b.author_name, 'en'))
+)
+ON CONFLICT DO NOTHING;
+
+-- Chaque livre reprend la graphie retenue pour son auteur
+UPDATE Books b
+SET author_name = a.name
+FROM BookAuthors ba
+JOIN Authors a ON a.author_id = ba.author_id
+WHERE ba.book_id = b.book_id
+  AND ba.role = 'author'
+  AND b.author_name IS DISTINCT FROM a.name;
@@ -0,0 +1,18 @@
+-- db/migrations/015_series.sql
+-- Séries : un livre appartient au plus à une série, avec un numéro de tome qui donne l'ordre de lecture.
+CREATE TABLE IF NOT EXISTS Series (
+    series_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    title JSONB NOT NULL, -- { fr, en }
+    description JSONB, -- { fr, en }
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Le numéro de tome accepte une décimale pour les hors-séries intercalés (ex: 2.5).
+-- Supprimer une série détache ses livres sans les supprimer.
+ALTER TABLE Books
+    ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES Series(series_id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS series_volume NUMERIC(5, 1) CHECK (series_volume > 0);
+
+-- Un tome par numéro dans une série
+CREATE UNIQUE INDEX IF NOT EXISTS idx_books_series_volume ON Books (series_id, series_volume) WHERE series_id IS NOT NULL;
@@ -0,0 +1,57 @@
+-- db/migrations/016_category_hierarchy.sql
+-- Catégories hiérarchiques (parent / sous-catégories), ordonnées entre sœurs, avec un slug d'URL stable par langue.
+
+-- Slug d'un texte : minuscules, sans accents, mots séparés par des tirets ('Science-fiction & Fantasy' -> 'science-fiction-fantasy').
+-- Même règle que slugify() dans utils/slug.js ; ne sert qu'à la reprise des catégories existantes.
+CREATE OR REPLACE FUNCTION category_slugify(value TEXT)
+RETURNS TEXT
+LANGUAGE SQL
+IMMUTABLE
+AS $$
+    SELECT trim(BOTH '-' FROM regexp_replace(
+        translate(LOWER(COALESCE(value, '')), 'àáâãäåçèéêëìíîïñòóôõöùúûüýÿ', 'aaaaaaceeeeiiiinooooouuuuyy'),
+        '[^a-z0-9]+', '-', 'g'
+    ));
+$$;
+
+ALTER TABLE BookCategories
+    ADD COLUMN IF NOT EXISTS parent_id UUID REFERENCES BookCategories(category_id) ON DELETE RESTRICT,
+    ADD COLUMN IF NOT EXISTS slug JSONB, -- { fr, en }
+    ADD COLUMN IF NOT EXISTS position INTEGER NOT NULL DEFAULT 0; -- Ordre d'affichage parmi les catégories sœurs
+
+CREATE INDEX IF NOT EXISTS idx_book_categories_parent_id ON BookCategories (parent_id);
+
+-- Reprise : slug tiré du nom dans chaque langue (suffixe -2, -3... en cas de doublon, l'ID si le nom ne donne rien)
+-- et position selon l'ordre alphabétique actuel
+WITH base AS (
+    SELECT
+        category_id,
+        COALESCE(NULLIF(category_slugify(book_localized_text(category_name, 'fr')), ''), category_id::text) AS slug_fr,
+        COALESCE(
+            NULLIF(category_slugify(book_localized_text(category_name, 'en')), ''),
+            NULLIF(category_slugify(book_localized_text(category_name, 'fr')), ''),
+            category_id::text
+        ) AS slug_en,
+        ROW_NUMBER() OVER (ORDER BY LOWER(book_localized_text(category_name, 'fr')), category_id) AS name_order
+    FROM BookCategories
+), numbered AS (
+    SELECT
+        category_id,
+        name_order,
+        slug_fr || CASE WHEN ROW_NUMBER() OVER (PARTITION BY slug_fr ORDER BY category_id) > 1
+            THEN '-' || ROW_NUMBER() OVER (PARTITION BY slug_fr ORDER BY category_id) ELSE '' END AS slug_fr,
+        slug_en || CASE WHEN ROW_NUMBER() OVER (PARTITION BY slug_en ORDER BY category_id) > 1
+            THEN '-' || ROW_NUMBER() OVER (PARTITION BY slug_en ORDER BY category_id) ELSE '' END AS slug_en
+    FROM base
+)
+UPDATE BookCategories bc
+SET slug = jsonb_build_object('fr', numbered.slug_fr, 'en', numbered.slug_en),
+    position = numbered.name_order
+FROM numbered
+WHERE numbered.category_id = bc.category_id AND bc.slug IS NULL;
+
+ALTER TABLE BookCategories ALTER COLUMN slug SET NOT NULL;
+
+-- Un slug désigne une seule catégorie dans sa langue (GET /api/books/category/:slug)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_book_categories_slug_fr ON BookCategories ((slug->>'fr'));
+CREATE UNIQUE INDEX IF NOT EXISTS idx_book_categories_slug_en ON BookCategories ((slug->>'en'));
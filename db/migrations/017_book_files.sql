@@ -0,0 +1,21 @@
+-- db/migrations/017_book_files.sql
+-- Fichiers uploadés (couvertures et ebooks) : emplacement dans le stockage, type réel, taille et empreinte SHA-256.
+-- Books.cover_image_url / book_file_url pointent vers le dernier fichier rattaché au livre ; les versions précédentes restent listées ici.
+CREATE TABLE IF NOT EXISTS BookFiles (
+    file_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    book_id UUID REFERENCES Books(book_id) ON DELETE SET NULL, -- NULL : fichier pas (encore) rattaché à un livre
+    kind VARCHAR(10) NOT NULL CHECK (kind IN ('cover', 'ebook')),
+    storage_driver VARCHAR(20) NOT NULL, -- 'local' ou 's3'
+    storage_key TEXT NOT NULL UNIQUE, -- ex: ebooks/2025/<uuid>.epub
+    url TEXT NOT NULL,
+    original_name TEXT,
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes BIGINT NOT NULL,
+    checksum_sha256 CHAR(64) NOT NULL,
+    uploaded_by UUID REFERENCES Users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_book_files_book_kind ON BookFiles (book_id, kind, created_at DESC);
+-- Retrouver un fichier déjà envoyé à l'identique
+CREATE INDEX IF NOT EXISTS idx_book_files_checksum ON BookFiles (checksum_sha256);
@@ -0,0 +1,19 @@
+-- db/migrations/018_book_downloads.sql
+-- Téléchargements d'ebooks achetés : un enregistrement par lien signé délivré (GET /api/library/:bookId/download),
+-- qui sert à la fois au décompte par utilisateur (limite DOWNLOAD_LIMIT_PER_BOOK) et à retrouver le fichier lors du téléchargement.
+CREATE TABLE IF NOT EXISTS BookDownloads (
+    download_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES Users(user_id) ON DELETE CASCADE,
+    book_id UUID NOT NULL REFERENCES Books(book_id) ON DELETE CASCADE,
+    file_id UUID NOT NULL REFERENCES BookFiles(file_id) ON DELETE CASCADE, -- Le fichier figé au moment de la demande
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    requested_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    last_streamed_at TIMESTAMP WITH TIME ZONE -- Dernière lecture du fichier via le lien (NULL : lien jamais utilisé)
+);
+
+CREATE INDEX IF NOT EXISTS idx_book_downloads_user_book ON BookDownloads (user_id, book_id);
+
+-- Un ebook uploadé avant la création de son livre n'a pas de book_id : il est rattaché au livre par son URL
+-- lorsque le livre est créé ou modifié avec ce book_file_url (voir bookFileModel.attachEbookFileByUrl).
+CREATE INDEX IF NOT EXISTS idx_book_files_ebook_url ON BookFiles (url) WHERE kind = 'ebook' AND book_id IS NULL;
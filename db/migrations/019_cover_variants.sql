@@ -0,0 +1,11 @@
+-- Déclinaisons des couvertures : dimensions de l'image d'origine, couleur dominante, blurhash et tailles générées
+-- (thumbnail, card, detail) en WebP et JPEG, enregistrées sur le fichier 'cover' correspondant de BookFiles.
+-- L'objet cover des livres est retrouvé à partir de Books.cover_image_url (voir models/bookModel.js).
+ALTER TABLE BookFiles
+    ADD COLUMN IF NOT EXISTS width INT,
+    ADD COLUMN IF NOT EXISTS height INT,
+    ADD COLUMN IF NOT EXISTS dominant_color CHAR(7), -- ex: #3a2f1c
+    ADD COLUMN IF NOT EXISTS blurhash VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS variants JSONB; -- { thumbnail: { width, height, webp, jpeg }, card: {...}, detail: {...} }
+
+CREATE INDEX IF NOT EXISTS idx_book_files_cover_url ON BookFiles (url) WHERE kind = 'cover';
@@ -0,0 +1,505 @@
+// locales/en.js
+// Catalogue des messages de l'API en anglais. Une clé absente retombe sur le français.
+
+export default {
+    access: {
+        impersonationRevoked: "Access denied: impersonation is no longer allowed for this support account.",
+        impersonationReadOnly: "Access denied: this action is not available while impersonating (read-only).",
+        apiKeyInvalid: "Access denied: invalid, revoked or expired API key.",
+        apiKeyIpNotAllowed: "Access denied: IP address not allowed for this API key.",
+        apiKeyAdminOnly: "Access denied: API keys only grant access to administration routes.",
+        apiKeyCreatorDisabled: "Access denied: the account that created this API key is disabled.",
+        apiKeyCheckFailed: "Internal server error while checking the API key.",
+        tokenMissing: "Access denied: no token provided.",
+        tokenInvalid: "Access denied: invalid or expired token.",
+        sessionRevoked: "Access denied: session revoked or not found.",
+        userNotFound: "Access denied: user not found.",
+        accountDisabled: "Access denied: this account has been disabled.",
+        sessionCheckFailed: "Internal server error while checking the session.",
+        missingPermissions: "Access denied: you do not have the permissions required to access this resource.",
+        emailNotVerified: "Access denied: please verify your email address first.",
+        twoFactorRequired: "Access denied: two-factor authentication is mandatory for your role. Enable it via /api/auth/2fa/setup.",
+    },
+    rateLimit: {
+        tooManyRequests: "Too many attempts. Please try again in {seconds} seconds.",
+    },
+    pagination: {
+        invalidLimit: "The limit parameter must be an integer between 1 and {max}.",
+        pageAndCursor: "The page and cursor parameters cannot be combined.",
+        invalidCursor: "Invalid pagination cursor.",
+        invalidPage: "The page parameter must be a positive integer.",
+    },
+    books: {
+        missingRequiredFields: "Please provide all required fields: title, author name, category ID, price and book file URL.",
+        categoryNotFound: "The provided category ID does not exist.",
+        missingField: "A required field is missing. {detail}",
+        createFailed: "Internal server error while creating the book.",
+        invalidPrice: "The {name} parameter must be a positive number.",
+        invalidPriceRange: "The minimum price cannot exceed the maximum price.",
+        invalidMinRating: "The minRating parameter must be a number between 0 and 5.",
+        invalidSort: "Invalid sort. Allowed values: {sorts}.",
+        invalidOrder: "The sort order must be 'asc' or 'desc'.",
+        listFailed: "Internal server error while retrieving books.",
+        categoryNameRequired: "The category name is required.",
+        categoryListFailed: "Internal server error while retrieving books by category.",
+        idRequired: "The book ID is required.",
+        notFound: "Book not found.",
+        detailsRetrieved: "Book details retrieved successfully.",
+        detailsFailed: "Internal server error while retrieving the book details.",
+        idRequiredForUpdate: "The book ID is required for the update.",
+        noUpdateData: "No data provided for the update.",
+        notFoundOrNoValidData: "Book not found or no valid data provided for the update.",
+        invalidIdOrData: "Invalid book ID or data format.",
+        missingOrNullField: "A required field is missing or cannot be null: {detail}",
+        updateFailed: "Internal server error while updating the book.",
+        searchQueryRequired: "Please provide a search term (q).",
+        searchPageOnly: "Search results are paginated by page (?page=).",
+        searchFailed: "Internal server error while searching books.",
+        suggestQueryTooShort: "Type at least 2 characters (q).",
+        suggestFailed: "Internal server error while retrieving suggestions.",
+        idRequiredForDelete: "The book ID is required for deletion.",
+        notFoundOrDeleted: "Book not found or already deleted.",
+        invalidId: "Invalid book ID format.",
+        deleteFailed: "Internal server error while deleting the book.",
+        invalidBookId: "Invalid book ID.",
+    },
+    comments: {
+        missingFields: "The book ID, comment text and user ID are required.",
+        created: "Comment added successfully!",
+        invalidIds: "Invalid book or user ID.",
+        createFailed: "Internal server error while adding the comment.",
+    },
+    categories: {
+        listFailed: "Internal server error while retrieving categories.",
+        nameRequired: "The category name is required.",
+        createFailed: "Internal server error while creating the category.",
+        notFound: "Category not found.",
+        invalidId: "Invalid category ID.",
+        retrieved: "Categories retrieved successfully.",
+        invalidDescription: "The description must be a string or a { fr, en } object of non-empty strings.",
+        invalidIcon: "The category icon must be a string.",
+        invalidParent: "Invalid or unknown parent category.",
+        parentCycle: "A category cannot be placed under itself or one of its subcategories.",
+        invalidSlug: "The slug must be an object whose keys are among {locales} and whose values use lowercase letters, digits and dashes (e.g. science-fiction).",
+        slugTaken: "This slug is already used by another category.",
+        created: "Category created successfully.",
+        updated: "Category updated successfully.",
+        updateFailed: "Internal server error while updating the category.",
+        reassignRequired: "This category still contains {count} book(s): choose the category that receives them with ?reassignTo=.",
+        invalidReassignTarget: "Invalid or unknown reassignment category.",
+        deleted: "Category deleted successfully.",
+        deleteFailed: "Internal server error while deleting the category.",
+        orderRequired: "category_ids must be a non-empty list of category IDs.",
+        orderMismatch: "category_ids must contain exactly the subcategories of the given parent, each once.",
+        reordered: "Categories reordered successfully.",
+        reorderFailed: "Internal server error while reordering categories.",
+    },
+    cart: {
+        retrieved: "Cart contents retrieved successfully.",
+        retrieveFailed: "Internal server error while retrieving the cart.",
+        invalidQuantity: "The quantity must be a positive number.",
+        itemAdded: "Book added to/updated in the cart successfully.",
+        invalidIds: "Invalid book or cart ID.",
+        addFailed: "Internal server error while adding to the cart.",
+        bookIdRequiredInUrl: "The book ID is required in the URL.",
+        invalidQuantityOrZero: "The quantity must be a positive number or zero.",
+        itemNotFoundOrZero: "Book not found in the cart or quantity is zero.",
+        quantityUpdated: "Book quantity updated in the cart.",
+        updateFailed: "Internal server error while updating the cart.",
+        itemNotFound: "Book not found in the cart.",
+        itemRemoved: "Book removed from the cart successfully.",
+        removeFailed: "Internal server error while removing from the cart.",
+    },
+    checkout: {
+        shippingUpdated: "Shipping information updated successfully.",
+        addressNotFound: "Shipping address not found for this user.",
+        addressSelected: "Shipping address selected successfully.",
+        addressSavedAndSelected: "New shipping address saved and selected successfully.",
+        addressRequired: "Please provide an existing addressId or the full details of a new address.",
+        emptyCartStart: "Your cart is empty. Cannot start checkout.",
+        shippingFailed: "Internal server error while saving the shipping information.",
+        paymentMethodRequired: "The payment method is required.",
+        emptyCartPayment: "Your cart is empty. Cannot proceed to payment.",
+        paymentMethodUnsupported: "Unsupported payment method.",
+        paymentSucceeded: "Payment method saved and simulated payment succeeded.",
+        paymentFailed: "Payment failed. Please try again.",
+        paymentError: "Internal server error while processing the payment.",
+        orderIdRequired: "The order ID is required for confirmation.",
+        orderNotFound: "Order not found or does not belong to this user.",
+        orderNotReady: "The order is not ready to be confirmed (status: {status}).",
+        emptyCartConfirm: "Your cart is empty. Cannot confirm an order without items.",
+        orderCompleted: "Order completed successfully!",
+        confirmFailed: "Internal server error while confirming the order.",
+        status: "Current state of the checkout session.",
+        statusFailed: "Internal server error while retrieving the checkout state.",
+    },
+    auth: {
+        registerMissingFields: "Please provide a first name, an email and a password.",
+        passwordTooShort: "The password must contain at least 6 characters.",
+        roleConfigMissing: "Role configuration missing on the server.",
+        registered: "User account created successfully. A verification email has been sent to you.",
+        emailInUse: "This email is already in use. Please choose another one.",
+        roleNotFound: "Role error: the specified role does not exist.",
+        missingField: "A required field is missing: {detail}",
+        registerFailed: "Internal server error while creating the account.",
+        loginMissingFields: "Please provide an email and a password.",
+        invalidCredentials: "Incorrect email or password.",
+        accountDisabled: "This account has been disabled. Please contact support.",
+        twoFactorRequired: "Two-factor authentication required.",
+        loginSucceeded: "Login successful.",
+        loginFailed: "Internal server error during the login attempt.",
+        verificationTokenInvalid: "Invalid or expired verification token.",
+        emailVerified: "Email address verified successfully.",
+        emailVerificationFailed: "Internal server error while verifying the email.",
+        emailRequired: "Please provide an email.",
+        verificationResent: "If an unverified account exists for this email, a new verification link has been sent.",
+        verificationResendFailed: "Internal server error while resending the verification email.",
+        refreshTokenRequired: "The refresh token is required.",
+        refreshTokenInvalid: "Invalid refresh token.",
+        sessionExpired: "Session expired or revoked. Please log in again.",
+        userNotFound: "User not found.",
+        tokenRefreshed: "Token refreshed successfully.",
+        refreshFailed: "Internal server error while refreshing the token.",
+        impersonationEnded: "Impersonation ended.",
+        loggedOutEverywhere: "Logged out of all devices successfully.",
+        loggedOut: "Logged out successfully.",
+        logoutFailed: "Internal server error while logging out.",
+        resetLinkSent: "If the email exists, a reset link has been sent.",
+        resetRequestFailed: "Internal server error while requesting the reset.",
+        newPasswordTooShort: "The new password must contain at least 6 characters.",
+        resetTokenInvalid: "Invalid or expired reset token.",
+        passwordReset: "Password reset successfully.",
+        passwordResetFailed: "Internal server error while resetting the password.",
+        magicLinkSent: "If the email exists, a sign-in link has been sent.",
+        magicLinkRequestFailed: "Internal server error while requesting a sign-in link.",
+        magicLinkInvalid: "Invalid or expired sign-in link.",
+    },
+    sessions: {
+        retrieved: "Active sessions retrieved successfully.",
+        listFailed: "Internal server error while retrieving sessions.",
+        notFound: "Session not found or already revoked.",
+        revoked: "Session revoked successfully.",
+        invalidId: "Invalid session ID format.",
+        revokeFailed: "Internal server error while revoking the session.",
+    },
+    profile: {
+        userIdMissing: "User ID not found in the token.",
+        notFound: "User profile not found.",
+        retrieved: "User profile and related data retrieved successfully.",
+        retrieveFailed: "Internal server error while retrieving the profile and related data.",
+        invalidEmail: "Please provide a valid email address.",
+        sameEmail: "The new email address is the same as the current one.",
+        useChangePassword: "Use /api/auth/change-password to change your password.",
+        noFields: "No field to update was provided.",
+        emptyFirstName: "The first name cannot be empty.",
+        passwordRequiredForEmail: "The current password is required and must be correct to change the email.",
+        updated: "Profile updated successfully.",
+        updatedEmailPending: "Profile updated. A confirmation link has been sent to your new email address.",
+        updateFailed: "Internal server error while updating the profile.",
+        passwordsRequired: "The current password and the new password are required.",
+        wrongPassword: "Incorrect current password.",
+        passwordChanged: "Password changed successfully. Your other devices have been logged out.",
+        passwordChangeFailed: "Internal server error while changing the password.",
+        emailChangeFieldsRequired: "The new email address and the current password are required.",
+        emailChangeSent: "A confirmation link has been sent to your new email address.",
+        emailChangeFailed: "Internal server error while requesting the email change.",
+        confirmationInvalid: "Invalid or expired confirmation link.",
+        emailChanged: "Email address changed successfully.",
+        emailConfirmFailed: "Internal server error while confirming the email change.",
+    },
+    library: {
+        bookIdRequired: "The book ID is required for the purchase.",
+        userIdMissing: "User ID not found in the authentication token.",
+        bookAdded: "Book added to your account successfully.",
+        alreadyOwned: "You already own this book.",
+        bookOrUserNotFound: "Book or user ID not found.",
+        purchaseFailed: "Internal server error while purchasing the book.",
+        notOwned: "You do not own this book.",
+        fileUnavailable: "The file for this book is not available.",
+        downloadLimitReached: "You have reached the limit of {limit} downloads for this book.",
+        downloadReady: "Download link generated successfully.",
+        invalidBookId: "Invalid book ID.",
+        downloadFailed: "Internal server error during the download.",
+        invalidLink: "Invalid download link.",
+        linkExpired: "This download link has expired: request a new one.",
+        rangeNotSatisfiable: "The requested range is outside the file.",
+        copyInPreparation: "Your personalized copy is being prepared. Try this link again in a few seconds.",
+        copyFailed: "Your personalized copy could not be prepared. This download does not count: request a new link.",
+    },
+    likes: {
+        idsRequired: "The user ID and book ID are required.",
+        created: "Book liked successfully!",
+        alreadyLiked: "You have already liked this book.",
+        failed: "Internal server error while liking the book.",
+    },
+    addresses: {
+        listed: "Shipping addresses retrieved successfully.",
+        listFailed: "Internal server error while retrieving addresses.",
+        notFound: "Shipping address not found.",
+        retrieved: "Shipping address retrieved successfully.",
+        invalidId: "Invalid address ID format.",
+        retrieveFailed: "Internal server error while retrieving the address.",
+        incomplete: "Please provide the full address details (address_line1, city, province, postal_code, country).",
+        created: "Shipping address added successfully.",
+        createFailed: "Internal server error while adding the address.",
+        emptyField: "The {field} field cannot be empty.",
+        invalidIsDefault: "The is_default field must be a boolean.",
+        updated: "Shipping address updated successfully.",
+        updateFailed: "Internal server error while updating the address.",
+        deleted: "Shipping address deleted successfully.",
+        linkedToOrder: "This address is linked to an existing order and cannot be deleted.",
+        deleteFailed: "Internal server error while deleting the address.",
+    },
+    privacy: {
+        invalidExportFormat: "Invalid export format. Accepted formats: {formats}.",
+        exportFailed: "Internal server error while exporting personal data.",
+        adminMustBeDemoted: "An administrator account must be demoted before it can be deleted.",
+        passwordRequired: "The current password is required to delete your account.",
+        accountNotFound: "Account not found or already deleted.",
+        accountDeleted: "Your account has been deleted. Your orders are kept anonymously for accounting purposes.",
+        deleteFailed: "Internal server error while deleting the account.",
+    },
+    twoFactor: {
+        statusFailed: "Internal server error while retrieving the 2FA status.",
+        alreadyEnabled: "Two-factor authentication is already enabled.",
+        scanQrCode: "Scan the QR code with your authenticator app, then confirm with a code.",
+        setupFailed: "Internal server error while initializing 2FA.",
+        codeRequired: "The verification code is required.",
+        noPendingSetup: "No 2FA enrollment in progress. Call /api/auth/2fa/setup first.",
+        invalidCode: "Invalid verification code.",
+        enabled: "Two-factor authentication enabled. Keep these recovery codes in a safe place.",
+        enableFailed: "Internal server error while enabling 2FA.",
+        mandatoryForRole: "Two-factor authentication is mandatory for your role.",
+        disableFieldsRequired: "The password and a verification (or recovery) code are required.",
+        notEnabled: "Two-factor authentication is not enabled.",
+        wrongPasswordOrCode: "Incorrect password or verification code.",
+        disabled: "Two-factor authentication disabled.",
+        disableFailed: "Internal server error while disabling 2FA.",
+        recoveryCodesRegenerated: "New recovery codes generated. The old codes are no longer valid.",
+        regenerateFailed: "Internal server error while regenerating the recovery codes.",
+        challengeFieldsRequired: "The challenge token and a verification (or recovery) code are required.",
+        challengeInvalid: "Invalid or expired challenge token. Please log in again.",
+        verifyFailed: "Internal server error while verifying the second factor.",
+    },
+    oidc: {
+        emailNotVerified: "The provider did not share a verified email address. Log in, then link this account from your profile.",
+        localEmailNotVerified: "An unverified account already uses this email address. Log in with its password, then link this account from your profile.",
+        unknownProvider: "Unknown identity provider.",
+        providerUnreachable: "The identity provider is unreachable. Please try again later.",
+        codeAndStateRequired: "The code and state parameters are required.",
+        invalidState: "Invalid or expired authorization request. Please start again.",
+        authenticationFailed: "Authentication with the identity provider failed.",
+        linkStateMismatch: "This linking request was started from another account. Please start again from your profile.",
+        identityLinkedElsewhere: "This external account is already linked to another user.",
+        linked: "{provider} account linked successfully.",
+        providerAlreadyLinked: "An account from this provider is already linked to this user.",
+        callbackFailed: "Internal server error during the external login.",
+        identitiesFailed: "Internal server error while retrieving linked accounts.",
+        identityNotFound: "No account from this provider is linked to your account.",
+        lastLoginMethod: "Set a password first: this external account is your only way to log in.",
+        unlinked: "External account unlinked successfully.",
+        unlinkFailed: "Internal server error while removing the linked account.",
+    },
+    roles: {
+        permissionsNotArray: "The permissions field must be an array of permission keys.",
+        unknownPermissions: "Unknown permissions: {keys}.",
+        permissionsListFailed: "Internal server error while retrieving permissions.",
+        notFound: "Role not found.",
+        invalidId: "Invalid role ID format.",
+        retrieveFailed: "Internal server error while retrieving the role.",
+        nameRequired: "The role name (role_name) is required.",
+        created: "Role created successfully.",
+        nameTaken: "A role with this name already exists.",
+        createFailed: "Internal server error while creating the role.",
+        emptyName: "The role name cannot be empty.",
+        systemRename: "System roles cannot be renamed.",
+        updated: "Role updated successfully.",
+        updateFailed: "Internal server error while updating the role.",
+        superAdminLocked: "The permissions of the {role} role cannot be changed.",
+        permissionsUpdated: "Role permissions updated successfully.",
+        permissionsUpdateFailed: "Internal server error while updating the role permissions.",
+        systemDelete: "System roles cannot be deleted.",
+        stillAssigned: "This role is still assigned to users. Change their role first.",
+        deleted: "Role deleted successfully.",
+        deleteFailed: "Internal server error while deleting the role.",
+    },
+    apiKeys: {
+        listFailed: "Internal server error while retrieving API keys.",
+        cannotCreateFromKey: "An API key cannot create other API keys.",
+        nameRequired: "The key name (name) is required.",
+        permissionsRequired: "At least one permission is required (permissions).",
+        permissionsNotGranted: "You cannot grant permissions you do not have: {keys}.",
+        invalidAllowedIps: "allowedIps must be an array of IP addresses or CIDR subnets (e.g. 203.0.113.7, 10.0.0.0/8).",
+        invalidExpiresAt: "expiresAt must be a valid future date.",
+        created: "API key created successfully. Store it now: it will not be shown again.",
+        createFailed: "Internal server error while creating the API key.",
+        notFound: "API key not found or already revoked.",
+        revoked: "API key revoked successfully.",
+        invalidId: "Invalid API key ID format.",
+        revokeFailed: "Internal server error while revoking the API key.",
+    },
+    users: {
+        notFound: "User not found.",
+    },
+    admin: {
+        usersListFailed: "Internal server error while retrieving users.",
+        roleIdRequired: "The new role ID is required.",
+        userRoleUnchanged: "User not found or role unchanged.",
+        userRoleUpdated: "User role updated successfully.",
+        invalidUserOrRoleId: "Invalid user or role ID format.",
+        userRoleUpdateFailed: "Internal server error while updating the user role.",
+        rolesListFailed: "Internal server error while retrieving roles.",
+        dashboardFailed: "Internal server error while retrieving dashboard statistics.",
+        salesDataFailed: "Internal server error while retrieving sales data.",
+        topBooksFailed: "Internal server error while retrieving best-selling books.",
+        recentOrdersFailed: "Internal server error while retrieving recent orders.",
+        booksListFailed: "Internal server error while retrieving books.",
+        bookFieldsRequired: "Please provide all required fields: title, author name, category ID, price and book file URL.",
+        bookCreated: "Book added successfully.",
+        unknownCategoryId: "The provided category ID does not exist.",
+        bookCreateFailed: "Internal server error while adding the book.",
+        bookDetailsFailed: "Internal server error while retrieving the book details.",
+        noUpdateData: "No data provided for the update.",
+        bookNotUpdated: "Book not found or no valid data provided for the update.",
+        bookUpdated: "Book updated successfully.",
+        invalidBookId: "Invalid book ID format.",
+        bookUpdateFailed: "Internal server error while updating the book.",
+        bookNotDeleted: "Book not found or already deleted.",
+        bookDeleted: "Book deleted successfully.",
+        bookDeleteFailed: "Internal server error while deleting the book.",
+        searchTermRequired: "The search term is required.",
+        bookSearchFailed: "Internal server error while searching books.",
+        bookSalesNotFound: "Book not found or no sales statistics available.",
+        bookSalesFailed: "Internal server error while retrieving the book sales statistics.",
+        ordersListFailed: "Internal server error while retrieving orders.",
+        orderNotFound: "Order not found.",
+        orderDetailsFailed: "Internal server error while retrieving the order details.",
+        statusRequired: "The new status is required.",
+        orderStatusUnchanged: "Order not found or status unchanged.",
+        orderStatusUpdated: "Order status updated successfully.",
+        invalidOrderId: "Invalid order ID format.",
+        orderStatusUpdateFailed: "Internal server error while updating the order status.",
+        ordersExportFailed: "Internal server error while exporting orders.",
+        orderStatsFailed: "Internal server error while retrieving order statistics.",
+        clientsListFailed: "Internal server error while retrieving clients.",
+        clientNotFound: "Client not found.",
+        clientDetailsFailed: "Internal server error while retrieving the client details.",
+        roleChangeForbidden: "Access denied: changing the role requires the roles:manage permission.",
+        clientNotUpdated: "Client not found or no valid data provided for the update.",
+        clientUpdated: "Client updated successfully.",
+        invalidClientId: "Invalid client ID format.",
+        clientUpdateFailed: "Internal server error while updating the client.",
+        clientNotDeactivated: "Client not found or already deactivated.",
+        clientDeactivated: "Client account deactivated successfully.",
+        clientDeactivateFailed: "Internal server error while deactivating the client account.",
+        invalidUserId: "Invalid user ID format.",
+        userNotDeleted: "User not found or already deleted.",
+        userAnonymized: "User account anonymized successfully.",
+        userDeleteFailed: "Internal server error while deleting the user account.",
+        clientSearchFailed: "Internal server error while searching clients.",
+        clientOrdersNotFound: "No orders found for this client.",
+        clientOrdersFailed: "Internal server error while retrieving the client's orders.",
+        emailFieldsRequired: "The email subject and body are required.",
+        emailSent: "Email sent successfully.",
+        emailRetryScheduled: "Sending the email failed; it will be retried automatically.",
+        emailSendFailed: "Internal server error while sending the email.",
+        invalidOutboxStatus: "Invalid status. Accepted values: pending, sending, sent, failed.",
+        outboxListFailed: "Internal server error while retrieving the email queue.",
+        outboxEntryNotFound: "Email not found in the queue.",
+        emailNotResendable: "This email cannot be resent: it is being sent, or it was already delivered and its content was erased. Trigger a new email instead (e.g. a new reset request).",
+        emailResent: "Email resent.",
+        invalidOutboxId: "Invalid email ID format.",
+        emailResendFailed: "Internal server error while resending the email.",
+        invoiceOrderNotFound: "Order not found to generate the invoice.",
+        invoiceRetrieved: "Invoice details retrieved successfully.",
+        invoiceFailed: "Internal server error while generating the invoice.",
+        activityLogFailed: "Internal server error while retrieving the activity log.",
+    },
+    impersonation: {
+        personalSessionRequired: "Impersonation must be started from a personal session.",
+        self: "You cannot impersonate yourself.",
+        adminForbidden: "Impersonating a staff or administrator account (a role with permissions) is forbidden.",
+        accountDisabled: "This account is disabled and cannot be impersonated.",
+        started: "Impersonation started. The token is read-only; call /api/auth/logout with this token to end it.",
+        startFailed: "Internal server error while starting the impersonation.",
+    },
+    reports: {
+        datesRequired: "The start and end dates (startDate, endDate) are required.",
+        salesFailed: "Internal server error while generating the sales report.",
+        categorySalesFailed: "Internal server error while generating the sales by category report.",
+        paymentMethodsFailed: "Internal server error while generating the payment methods report.",
+        conversionRateFailed: "Internal server error while computing the conversion rate.",
+        typeRequired: "The report type to export (reportType) is required.",
+        exportReady: "Data for the {reportType} report export retrieved successfully.",
+        exportFailed: "Internal server error while exporting the {reportType} report.",
+    },
+    uploads: {
+        fileRequired: "A file (file field) is required.",
+        invalidForm: "Invalid upload form: send a single file in the file field (multipart/form-data).",
+        fileTooLarge: "The file exceeds the maximum allowed size ({maxMb} MB).",
+        unsupportedType: "Unsupported file type. Accepted types: {types}.",
+        invalidImage: "The image is corrupted or unreadable.",
+        notWatermarkable: "This ebook cannot be watermarked for buyers: the PDF is encrypted or password-protected, or the EPUB is incomplete.",
+        coverUploaded: "Book cover uploaded successfully.",
+        ebookUploaded: "Ebook file uploaded successfully.",
+        metadataUnreadable: "File stored, but its metadata could not be read: fill in the fields manually.",
+        uploadFailed: "Internal server error while storing the file.",
+    },
+    authors: {
+        invalidName: "The author name (name) is required: a string or a { fr, en } object.",
+        invalidBio: "The biography (bio) must be a string or a { fr, en } object.",
+        invalidPhotoUrl: "The photo URL (photo_url) must be a non-empty string.",
+        pageOnly: "The author list is paginated by page (?page=).",
+        listFailed: "Internal server error while retrieving authors.",
+        notFound: "Author not found.",
+        retrieved: "Author retrieved successfully.",
+        invalidId: "Invalid author ID format.",
+        retrieveFailed: "Internal server error while retrieving the author.",
+        created: "Author created successfully.",
+        alreadyExists: "An author with this name already exists.",
+        createFailed: "Internal server error while creating the author.",
+        updated: "Author updated successfully.",
+        updateFailed: "Internal server error while updating the author.",
+        deleted: "Author deleted successfully.",
+        stillLinked: "This author is still linked to books. Remove them from the books' contributors first.",
+        deleteFailed: "Internal server error while deleting the author.",
+        contributorsRequired: "The contributor list (authors) is required.",
+        invalidContributors: "Each contributor must have an author_id and a role among: {roles}.",
+        mainAuthorRequired: "At least one contributor must have the author role.",
+        contributorsUpdated: "Book contributors updated successfully.",
+        invalidBookOrAuthorId: "Invalid book or author ID format.",
+        unknownAuthor: "One of the given authors does not exist.",
+        duplicateContributor: "The same author can only appear once per role.",
+        contributorsUpdateFailed: "Internal server error while updating the book contributors.",
+    },
+    series: {
+        invalidTitle: "The series title (title) is required: a string or a { fr, en } object.",
+        invalidDescription: "The description (description) must be a string or a { fr, en } object.",
+        notFound: "Series not found.",
+        retrieved: "Series retrieved successfully.",
+        invalidId: "Invalid series ID format.",
+        retrieveFailed: "Internal server error while retrieving the series.",
+        pageOnly: "The series list is paginated by page (?page=).",
+        listFailed: "Internal server error while retrieving series.",
+        created: "Series created successfully.",
+        createFailed: "Internal server error while creating the series.",
+        updated: "Series updated successfully.",
+        updateFailed: "Internal server error while updating the series.",
+        deleted: "Series deleted successfully. Its books have been kept.",
+        deleteFailed: "Internal server error while deleting the series.",
+        seriesIdRequired: "The series_id field is required (null to remove the book from its series).",
+        invalidVolume: "The volume number (volume) must be a positive number with at most one decimal.",
+        bookAttached: "Book added to the series successfully.",
+        bookDetached: "Book removed from its series successfully.",
+        invalidBookOrSeriesId: "Invalid book or series ID format.",
+        unknownSeries: "The given series does not exist.",
+        volumeTaken: "This volume number is already assigned to another book in the series.",
+        bookSeriesUpdateFailed: "Internal server error while updating the book's series.",
+    },
+    watermark: {
+        mention: "Personal copy of {name} <{email}> - order {order}",
+        noOrder: "no order",
+        noticeTitle: "Personal copy",
+        noticeBody: "This ebook was purchased by {name} ({email}), order {order}. It is for personal use only: please do not share it.",
+    },
+};
@@ -0,0 +1,506 @@
+// locales/fr.js
+// Catalogue des messages de l'API en français (langue par défaut).
+// Les paramètres s'écrivent {nom} et sont remplacés par req.t(clé, { nom }).
+
+export default {
+    access: {
+        impersonationRevoked: "Accès refusé : L'impersonation n'est plus autorisée pour ce compte support.",
+        impersonationReadOnly: "Accès refusé : Cette action n'est pas disponible en mode impersonation (lecture seule).",
+        apiKeyInvalid: "Accès refusé : Clé API invalide, révoquée ou expirée.",
+        apiKeyIpNotAllowed: "Accès refusé : Adresse IP non autorisée pour cette clé API.",
+        apiKeyAdminOnly: "Accès refusé : Les clés API ne donnent accès qu'aux routes d'administration.",
+        apiKeyCreatorDisabled: "Accès refusé : Le compte ayant créé cette clé API est désactivé.",
+        apiKeyCheckFailed: "Erreur interne du serveur lors de la vérification de la clé API.",
+        tokenMissing: "Accès refusé : Token non fourni.",
+        tokenInvalid: "Accès refusé : Token invalide ou expiré.",
+        sessionRevoked: "Accès refusé : Session révoquée ou inexistante.",
+        userNotFound: "Accès refusé : Utilisateur introuvable.",
+        accountDisabled: "Accès refusé : Ce compte a été désactivé.",
+        sessionCheckFailed: "Erreur interne du serveur lors de la vérification de la session.",
+        missingPermissions: "Accès refusé : Vous n'avez pas les permissions nécessaires pour accéder à cette ressource.",
+        emailNotVerified: "Accès refusé : Veuillez d'abord vérifier votre adresse email.",
+        twoFactorRequired: "Accès refusé : L'authentification à deux facteurs est obligatoire pour votre rôle. Activez-la via /api/auth/2fa/setup.",
+    },
+    rateLimit: {
+        tooManyRequests: "Trop de tentatives. Veuillez réessayer dans {seconds} secondes.",
+    },
+    pagination: {
+        invalidLimit: "Le paramètre limit doit être un entier entre 1 et {max}.",
+        pageAndCursor: "Les paramètres page et cursor ne peuvent pas être combinés.",
+        invalidCursor: "Curseur de pagination invalide.",
+        invalidPage: "Le paramètre page doit être un entier positif.",
+    },
+    books: {
+        missingRequiredFields: "Veuillez fournir tous les champs obligatoires : titre, nom de l'auteur, ID de catégorie, prix, et URL du fichier du livre.",
+        categoryNotFound: "L'ID de catégorie fourni n'existe pas.",
+        missingField: "Un champ obligatoire est manquant. {detail}",
+        createFailed: "Erreur interne du serveur lors de la création du livre.",
+        invalidPrice: "Le paramètre {name} doit être un nombre positif.",
+        invalidPriceRange: "Le prix minimum ne peut pas dépasser le prix maximum.",
+        invalidMinRating: "Le paramètre minRating doit être un nombre entre 0 et 5.",
+        invalidSort: "Tri invalide. Valeurs possibles : {sorts}.",
+        invalidOrder: "L'ordre de tri doit être 'asc' ou 'desc'.",
+        listFailed: "Erreur interne du serveur lors de la récupération des livres.",
+        categoryNameRequired: "Le nom de la catégorie est requis.",
+        categoryListFailed: "Erreur interne du serveur lors de la récupération des livres par catégorie.",
+        idRequired: "L'ID du livre est requis.",
+        notFound: "Livre non trouvé.",
+        detailsRetrieved: "Détails du livre récupérés avec succès.",
+        detailsFailed: "Erreur interne du serveur lors de la récupération des détails du livre.",
+        idRequiredForUpdate: "L'ID du livre est requis pour la mise à jour.",
+        noUpdateData: "Aucune donnée fournie pour la mise à jour.",
+        notFoundOrNoValidData: "Livre non trouvé ou aucune donnée valide fournie pour la mise à jour.",
+        invalidIdOrData: "Format d'ID de livre ou de données invalide.",
+        missingOrNullField: "Un champ obligatoire est manquant ou ne peut être null: {detail}",
+        updateFailed: "Erreur interne du serveur lors de la mise à jour du livre.",
+        searchQueryRequired: "Veuillez fournir un terme de recherche (q).",
+        searchPageOnly: "Les résultats de recherche se paginent par page (?page=).",
+        searchFailed: "Erreur interne du serveur lors de la recherche des livres.",
+        suggestQueryTooShort: "Saisissez au moins 2 caractères (q).",
+        suggestFailed: "Erreur interne du serveur lors de la récupération des suggestions.",
+        idRequiredForDelete: "L'ID du livre est requis pour la suppression.",
+        notFoundOrDeleted: "Livre non trouvé ou déjà supprimé.",
+        invalidId: "Format d'ID de livre invalide.",
+        deleteFailed: "Erreur interne du serveur lors de la suppression du livre.",
+        invalidBookId: "ID de livre invalide.",
+    },
+    comments: {
+        missingFields: "L'ID du livre, le texte du commentaire et l'ID utilisateur sont requis.",
+        created: "Commentaire ajouté avec succès !",
+        invalidIds: "ID de livre ou d'utilisateur invalide.",
+        createFailed: "Erreur interne du serveur lors de l'ajout du commentaire.",
+    },
+    categories: {
+        listFailed: "Erreur interne du serveur lors de la récupération des catégories.",
+        nameRequired: "Le nom de la catégorie est obligatoire.",
+        createFailed: "Erreur interne du serveur lors de la création de la catégorie.",
+        notFound: "Catégorie introuvable.",
+        invalidId: "ID de catégorie invalide.",
+        retrieved: "Catégories récupérées avec succès.",
+        invalidDescription: "La description doit être une chaîne ou un objet { fr, en } de chaînes non vides.",
+        invalidIcon: "L'icône de la catégorie doit être une chaîne.",
+        invalidParent: "Catégorie parente invalide ou introuvable.",
+        parentCycle: "Une catégorie ne peut pas être placée sous elle-même ni sous l'une de ses sous-catégories.",
+        invalidSlug: "Le slug doit être un objet dont les clés sont parmi {locales} et les valeurs en minuscules, chiffres et tirets (ex: science-fiction).",
+        slugTaken: "Ce slug est déjà utilisé par une autre catégorie.",
+        created: "Catégorie créée avec succès.",
+        updated: "Catégorie mise à jour avec succès.",
+        updateFailed: "Erreur interne du serveur lors de la mise à jour de la catégorie.",
+        reassignRequired: "Cette catégorie contient encore {count} livre(s) : indiquez la catégorie qui doit les recevoir avec ?reassignTo=.",
+        invalidReassignTarget: "Catégorie de réaffectation invalide ou introuvable.",
+        deleted: "Catégorie supprimée avec succès.",
+        deleteFailed: "Erreur interne du serveur lors de la suppression de la catégorie.",
+        orderRequired: "category_ids doit être une liste non vide d'IDs de catégories.",
+        orderMismatch: "category_ids doit contenir exactement, une seule fois chacune, les sous-catégories du parent indiqué.",
+        reordered: "Catégories réordonnées avec succès.",
+        reorderFailed: "Erreur interne du serveur lors du réordonnancement des catégories.",
+    },
+    cart: {
+        retrieved: "Contenu du panier récupéré avec succès.",
+        retrieveFailed: "Erreur interne du serveur lors de la récupération du panier.",
+        invalidQuantity: "La quantité doit être un nombre positif.",
+        itemAdded: "Livre ajouté/mis à jour dans le panier avec succès.",
+        invalidIds: "ID de livre ou de panier invalide.",
+        addFailed: "Erreur interne du serveur lors de l'ajout au panier.",
+        bookIdRequiredInUrl: "L'ID du livre est requis dans l'URL.",
+        invalidQuantityOrZero: "La quantité doit être un nombre positif ou zéro.",
+        itemNotFoundOrZero: "Livre non trouvé dans le panier ou quantité à zéro.",
+        quantityUpdated: "Quantité du livre mise à jour dans le panier.",
+        updateFailed: "Erreur interne du serveur lors de la mise à jour du panier.",
+        itemNotFound: "Livre non trouvé dans le panier.",
+        itemRemoved: "Livre retiré du panier avec succès.",
+        removeFailed: "Erreur interne du serveur lors du retrait du panier.",
+    },
+    checkout: {
+        shippingUpdated: "Informations de livraison mises à jour avec succès.",
+        addressNotFound: "Adresse de livraison non trouvée pour cet utilisateur.",
+        addressSelected: "Adresse de livraison sélectionnée avec succès.",
+        addressSavedAndSelected: "Nouvelle adresse de livraison enregistrée et sélectionnée avec succès.",
+        addressRequired: "Veuillez fournir un addressId existant ou les détails complets d'une nouvelle adresse.",
+        emptyCartStart: "Votre panier est vide. Impossible de démarrer le checkout.",
+        shippingFailed: "Erreur interne du serveur lors de l'enregistrement des informations de livraison.",
+        paymentMethodRequired: "La méthode de paiement est requise.",
+        emptyCartPayment: "Votre panier est vide. Impossible de procéder au paiement.",
+        paymentMethodUnsupported: "Méthode de paiement non supportée.",
+        paymentSucceeded: "Méthode de paiement enregistrée et paiement simulé réussi.",
+        paymentFailed: "Paiement échoué. Veuillez réessayer.",
+        paymentError: "Erreur interne du serveur lors du traitement du paiement.",
+        orderIdRequired: "L'ID de la commande est requis pour la confirmation.",
+        orderNotFound: "Commande non trouvée ou n'appartient pas à cet utilisateur.",
+        orderNotReady: "La commande n'est pas prête à être confirmée (statut: {status}).",
+        emptyCartConfirm: "Votre panier est vide. Impossible de confirmer une commande sans articles.",
+        orderCompleted: "Commande finalisée avec succès !",
+        confirmFailed: "Erreur interne du serveur lors de la confirmation de la commande.",
+        status: "État actuel de la session de checkout.",
+        statusFailed: "Erreur interne du serveur lors de la récupération de l'état du checkout.",
+    },
+    auth: {
+        registerMissingFields: "Veuillez fournir un prénom, un email et un mot de passe.",
+        passwordTooShort: "Le mot de passe doit contenir au moins 6 caractères.",
+        roleConfigMissing: "Configuration de rôle manquante sur le serveur.",
+        registered: "Compte utilisateur créé avec succès. Un email de vérification vous a été envoyé.",
+        emailInUse: "Cet email est déjà utilisé. Veuillez en choisir un autre.",
+        roleNotFound: "Erreur de rôle : le rôle spécifié n'existe pas.",
+        missingField: "Un champ obligatoire est manquant: {detail}",
+        registerFailed: "Erreur interne du serveur lors de la création du compte.",
+        loginMissingFields: "Veuillez fournir un email et un mot de passe.",
+        invalidCredentials: "Email ou mot de passe incorrect.",
+        accountDisabled: "Ce compte a été désactivé. Veuillez contacter le support.",
+        twoFactorRequired: "Authentification à deux facteurs requise.",
+        loginSucceeded: "Connexion réussie.",
+        loginFailed: "Erreur interne du serveur lors de la tentative de connexion.",
+        verificationTokenInvalid: "Jeton de vérification invalide ou expiré.",
+        emailVerified: "Adresse email vérifiée avec succès.",
+        emailVerificationFailed: "Erreur interne du serveur lors de la vérification de l'email.",
+        emailRequired: "Veuillez fournir un email.",
+        verificationResent: "Si un compte non vérifié existe pour cet email, un nouveau lien de vérification a été envoyé.",
+        verificationResendFailed: "Erreur interne du serveur lors du renvoi de l'email de vérification.",
+        refreshTokenRequired: "Le refresh token est requis.",
+        refreshTokenInvalid: "Refresh token invalide.",
+        sessionExpired: "Session expirée ou révoquée. Veuillez vous reconnecter.",
+        userNotFound: "Utilisateur introuvable.",
+        tokenRefreshed: "Jeton rafraîchi avec succès.",
+        refreshFailed: "Erreur interne du serveur lors du rafraîchissement du jeton.",
+        impersonationEnded: "Impersonation terminée.",
+        loggedOutEverywhere: "Déconnexion de tous les appareils réussie.",
+        loggedOut: "Déconnexion réussie.",
+        logoutFailed: "Erreur interne du serveur lors de la déconnexion.",
+        resetLinkSent: "Si l'email existe, un lien de réinitialisation a été envoyé.",
+        resetRequestFailed: "Erreur interne du serveur lors de la demande de réinitialisation.",
+        newPasswordTooShort: "Le nouveau mot de passe doit contenir au moins 6 caractères.",
+        resetTokenInvalid: "Jeton de réinitialisation invalide ou expiré.",
+        passwordReset: "Mot de passe réinitialisé avec succès.",
+        passwordResetFailed: "Erreur interne du serveur lors de la réinitialisation du mot de passe.",
+        magicLinkSent: "Si l'email existe, un lien de connexion a été envoyé.",
+        magicLinkRequestFailed: "Erreur interne du serveur lors de la demande de lien de connexion.",
+        magicLinkInvalid: "Lien de connexion invalide ou expiré.",
+    },
+    sessions: {
+        retrieved: "Sessions actives récupérées avec succès.",
+        listFailed: "Erreur interne du serveur lors de la récupération des sessions.",
+        notFound: "Session non trouvée ou déjà révoquée.",
+        revoked: "Session révoquée avec succès.",
+        invalidId: "Format d'ID de session invalide.",
+        revokeFailed: "Erreur interne du serveur lors de la révocation de la session.",
+    },
+    profile: {
+        userIdMissing: "ID utilisateur non trouvé dans le token.",
+        notFound: "Profil utilisateur non trouvé.",
+        retrieved: "Profil utilisateur et données associées récupérés avec succès.",
+        retrieveFailed: "Erreur interne du serveur lors de la récupération du profil et des données associées.",
+        invalidEmail: "Veuillez fournir une adresse email valide.",
+        sameEmail: "La nouvelle adresse email est identique à l'adresse actuelle.",
+        useChangePassword: "Utilisez /api/auth/change-password pour modifier votre mot de passe.",
+        noFields: "Aucun champ à mettre à jour n'a été fourni.",
+        emptyFirstName: "Le prénom ne peut pas être vide.",
+        passwordRequiredForEmail: "Le mot de passe actuel est requis et doit être correct pour changer d'email.",
+        updated: "Profil mis à jour avec succès.",
+        updatedEmailPending: "Profil mis à jour. Un lien de confirmation a été envoyé à votre nouvelle adresse email.",
+        updateFailed: "Erreur interne du serveur lors de la mise à jour du profil.",
+        passwordsRequired: "Le mot de passe actuel et le nouveau mot de passe sont requis.",
+        wrongPassword: "Mot de passe actuel incorrect.",
+        passwordChanged: "Mot de passe modifié avec succès. Vos autres appareils ont été déconnectés.",
+        passwordChangeFailed: "Erreur interne du serveur lors du changement de mot de passe.",
+        emailChangeFieldsRequired: "La nouvelle adresse email et le mot de passe actuel sont requis.",
+        emailChangeSent: "Un lien de confirmation a été envoyé à votre nouvelle adresse email.",
+        emailChangeFailed: "Erreur interne du serveur lors de la demande de changement d'email.",
+        confirmationInvalid: "Lien de confirmation invalide ou expiré.",
+        emailChanged: "Adresse email modifiée avec succès.",
+        emailConfirmFailed: "Erreur interne du serveur lors de la confirmation du changement d'email.",
+    },
+    library: {
+        bookIdRequired: "L'ID du livre est requis pour l'achat.",
+        userIdMissing: "ID utilisateur non trouvé dans le token d'authentification.",
+        bookAdded: "Livre ajouté à votre compte avec succès.",
+        alreadyOwned: "Vous possédez déjà ce livre.",
+        bookOrUserNotFound: "ID de livre ou d'utilisateur introuvable.",
+        purchaseFailed: "Erreur interne du serveur lors de l'achat du livre.",
+        notOwned: "Vous ne possédez pas ce livre.",
+        fileUnavailable: "Le fichier de ce livre n'est pas disponible.",
+        downloadLimitReached: "Vous avez atteint la limite de {limit} téléchargements pour ce livre.",
+        downloadReady: "Lien de téléchargement généré avec succès.",
+        invalidBookId: "ID de livre invalide.",
+        downloadFailed: "Erreur interne du serveur lors du téléchargement.",
+        invalidLink: "Lien de téléchargement invalide.",
+        linkExpired: "Ce lien de téléchargement a expiré : demandez-en un nouveau.",
+        rangeNotSatisfiable: "La plage demandée est en dehors du fichier.",
+        copyInPreparation: "Votre exemplaire personnalisé est en cours de préparation. Réessayez ce lien dans quelques secondes.",
+        copyFailed: "Votre exemplaire personnalisé n'a pas pu être préparé. Ce téléchargement n'est pas décompté : demandez un nouveau lien.",
+    },
+    likes: {
+        idsRequired: "L'ID de l'utilisateur et du livre sont requis.",
+        created: "Livre liké avec succès !",
+        alreadyLiked: "Vous avez déjà liké ce livre.",
+        failed: "Erreur interne du serveur lors du like du livre.",
+    },
+    addresses: {
+        listed: "Adresses de livraison récupérées avec succès.",
+        listFailed: "Erreur interne du serveur lors de la récupération des adresses.",
+        notFound: "Adresse de livraison non trouvée.",
+        retrieved: "Adresse de livraison récupérée avec succès.",
+        invalidId: "Format d'ID d'adresse invalide.",
+        retrieveFailed: "Erreur interne du serveur lors de la récupération de l'adresse.",
+        incomplete: "Veuillez fournir les détails complets de l'adresse (address_line1, city, province, postal_code, country).",
+        created: "Adresse de livraison ajoutée avec succès.",
+        createFailed: "Erreur interne du serveur lors de l'ajout de l'adresse.",
+        emptyField: "Le champ {field} ne peut pas être vide.",
+        invalidIsDefault: "Le champ is_default doit être un booléen.",
+        updated: "Adresse de livraison mise à jour avec succès.",
+        updateFailed: "Erreur interne du serveur lors de la mise à jour de l'adresse.",
+        deleted: "Adresse de livraison supprimée avec succès.",
+        linkedToOrder: "Cette adresse est liée à une commande existante et ne peut pas être supprimée.",
+        deleteFailed: "Erreur interne du serveur lors de la suppression de l'adresse.",
+    },
+    privacy: {
+        invalidExportFormat: "Format d'export invalide. Formats acceptés : {formats}.",
+        exportFailed: "Erreur interne du serveur lors de l'export des données personnelles.",
+        adminMustBeDemoted: "Un compte administrateur doit d'abord être rétrogradé avant d'être supprimé.",
+        passwordRequired: "Le mot de passe actuel est requis pour supprimer votre compte.",
+        accountNotFound: "Compte non trouvé ou déjà supprimé.",
+        accountDeleted: "Votre compte a été supprimé. Vos commandes sont conservées de façon anonyme pour la comptabilité.",
+        deleteFailed: "Erreur interne du serveur lors de la suppression du compte.",
+    },
+    twoFactor: {
+        statusFailed: "Erreur interne du serveur lors de la récupération du statut 2FA.",
+        alreadyEnabled: "L'authentification à deux facteurs est déjà activée.",
+        scanQrCode: "Scannez le QR code avec votre application d'authentification, puis confirmez avec un code.",
+        setupFailed: "Erreur interne du serveur lors de l'initialisation de la 2FA.",
+        codeRequired: "Le code de vérification est requis.",
+        noPendingSetup: "Aucun enrôlement 2FA en cours. Appelez d'abord /api/auth/2fa/setup.",
+        invalidCode: "Code de vérification invalide.",
+        enabled: "Authentification à deux facteurs activée. Conservez ces codes de récupération en lieu sûr.",
+        enableFailed: "Erreur interne du serveur lors de l'activation de la 2FA.",
+        mandatoryForRole: "L'authentification à deux facteurs est obligatoire pour votre rôle.",
+        disableFieldsRequired: "Le mot de passe et un code de vérification (ou de récupération) sont requis.",
+        notEnabled: "L'authentification à deux facteurs n'est pas activée.",
+        wrongPasswordOrCode: "Mot de passe ou code de vérification incorrect.",
+        disabled: "Authentification à deux facteurs désactivée.",
+        disableFailed: "Erreur interne du serveur lors de la désactivation de la 2FA.",
+        recoveryCodesRegenerated: "Nouveaux codes de récupération générés. Les anciens codes ne sont plus valides.",
+        regenerateFailed: "Erreur interne du serveur lors de la régénération des codes de récupération.",
+        challengeFieldsRequired: "Le jeton de challenge et un code de vérification (ou de récupération) sont requis.",
+        challengeInvalid: "Jeton de challenge invalide ou expiré. Veuillez vous reconnecter.",
+        verifyFailed: "Erreur interne du serveur lors de la vérification du second facteur.",
+    },
+    oidc: {
+        emailNotVerified: "Le fournisseur n'a pas communiqué d'adresse email vérifiée. Connectez-vous puis liez ce compte depuis votre profil.",
+        localEmailNotVerified: "Un compte non vérifié utilise déjà cette adresse email. Connectez-vous avec son mot de passe puis liez ce compte depuis votre profil.",
+        unknownProvider: "Fournisseur d'identité inconnu.",
+        providerUnreachable: "Le fournisseur d'identité est injoignable. Veuillez réessayer plus tard.",
+        codeAndStateRequired: "Les paramètres code et state sont requis.",
+        invalidState: "Demande d'autorisation invalide ou expirée. Veuillez recommencer.",
+        authenticationFailed: "Échec de l'authentification auprès du fournisseur d'identité.",
+        linkStateMismatch: "Cette demande de liaison a été démarrée depuis un autre compte. Veuillez recommencer depuis votre profil.",
+        identityLinkedElsewhere: "Ce compte externe est déjà lié à un autre utilisateur.",
+        linked: "Compte {provider} lié avec succès.",
+        providerAlreadyLinked: "Un compte de ce fournisseur est déjà lié à cet utilisateur.",
+        callbackFailed: "Erreur interne du serveur lors de la connexion externe.",
+        identitiesFailed: "Erreur interne du serveur lors de la récupération des comptes liés.",
+        identityNotFound: "Aucun compte de ce fournisseur n'est lié à votre compte.",
+        lastLoginMethod: "Définissez d'abord un mot de passe : ce compte externe est votre seul moyen de connexion.",
+        unlinked: "Compte externe délié avec succès.",
+        unlinkFailed: "Erreur interne du serveur lors de la suppression du compte lié.",
+    },
+    roles: {
+        permissionsNotArray: "Le champ permissions doit être un tableau de clés de permission.",
+        unknownPermissions: "Permissions inconnues : {keys}.",
+        permissionsListFailed: "Erreur interne du serveur lors de la récupération des permissions.",
+        notFound: "Rôle non trouvé.",
+        invalidId: "Format d'ID de rôle invalide.",
+        retrieveFailed: "Erreur interne du serveur lors de la récupération du rôle.",
+        nameRequired: "Le nom du rôle (role_name) est requis.",
+        created: "Rôle créé avec succès.",
+        nameTaken: "Un rôle portant ce nom existe déjà.",
+        createFailed: "Erreur interne du serveur lors de la création du rôle.",
+        emptyName: "Le nom du rôle ne peut pas être vide.",
+        systemRename: "Les rôles système ne peuvent pas être renommés.",
+        updated: "Rôle mis à jour avec succès.",
+        updateFailed: "Erreur interne du serveur lors de la mise à jour du rôle.",
+        superAdminLocked: "Les permissions du rôle {role} ne peuvent pas être modifiées.",
+        permissionsUpdated: "Permissions du rôle mises à jour avec succès.",
+        permissionsUpdateFailed: "Erreur interne du serveur lors de la mise à jour des permissions du rôle.",
+        systemDelete: "Les rôles système ne peuvent pas être supprimés.",
+        stillAssigned: "Ce rôle est encore attribué à des utilisateurs. Changez d'abord leur rôle.",
+        deleted: "Rôle supprimé avec succès.",
+        deleteFailed: "Erreur interne du serveur lors de la suppression du rôle.",
+    },
+    apiKeys: {
+        listFailed: "Erreur interne du serveur lors de la récupération des clés API.",
+        cannotCreateFromKey: "Une clé API ne peut pas créer d'autres clés API.",
+        nameRequired: "Le nom de la clé (name) est requis.",
+        permissionsRequired: "Au moins une permission est requise (permissions).",
+        permissionsNotGranted: "Vous ne pouvez pas accorder des permissions que vous n'avez pas : {keys}.",
+        invalidAllowedIps: "allowedIps doit être un tableau d'adresses IP ou de sous-réseaux CIDR (ex: 203.0.113.7, 10.0.0.0/8).",
+        invalidExpiresAt: "expiresAt doit être une date future valide.",
+        created: "Clé API créée avec succès. Conservez-la maintenant : elle ne sera plus affichée.",
+        createFailed: "Erreur interne du serveur lors de la création de la clé API.",
+        notFound: "Clé API non trouvée ou déjà révoquée.",
+        revoked: "Clé API révoquée avec succès.",
+        invalidId: "Format d'ID de clé API invalide.",
+        revokeFailed: "Erreur interne du serveur lors de la révocation de la clé API.",
+    },
+    users: {
+        notFound: "Utilisateur non trouvé.",
+    },
+    admin: {
+        usersListFailed: "Erreur interne du serveur lors de la récupération des utilisateurs.",
+        roleIdRequired: "Le nouvel ID de rôle est requis.",
+        userRoleUnchanged: "Utilisateur non trouvé ou rôle inchangé.",
+        userRoleUpdated: "Rôle utilisateur mis à jour avec succès.",
+        invalidUserOrRoleId: "Format d'ID utilisateur ou de rôle invalide.",
+        userRoleUpdateFailed: "Erreur interne du serveur lors de la mise à jour du rôle utilisateur.",
+        rolesListFailed: "Erreur interne du serveur lors de la récupération des rôles.",
+        dashboardFailed: "Erreur interne du serveur lors de la récupération des statistiques du tableau de bord.",
+        salesDataFailed: "Erreur interne du serveur lors de la récupération des données de ventes.",
+        topBooksFailed: "Erreur interne du serveur lors de la récupération des livres les plus vendus.",
+        recentOrdersFailed: "Erreur interne du serveur lors de la récupération des commandes récentes.",
+        booksListFailed: "Erreur interne du serveur lors de la récupération des livres.",
+        bookFieldsRequired: "Veuillez fournir tous les champs obligatoires : titre, nom de l'auteur, ID de catégorie, prix, et URL du fichier du livre.",
+        bookCreated: "Livre ajouté avec succès.",
+        unknownCategoryId: "L'ID de catégorie fourni n'existe pas.",
+        bookCreateFailed: "Erreur interne du serveur lors de l'ajout du livre.",
+        bookDetailsFailed: "Erreur interne du serveur lors de la récupération des détails du livre.",
+        noUpdateData: "Aucune donnée fournie pour la mise à jour.",
+        bookNotUpdated: "Livre non trouvé ou aucune donnée valide fournie pour la mise à jour.",
+        bookUpdated: "Livre mis à jour avec succès.",
+        invalidBookId: "Format d'ID de livre invalide.",
+        bookUpdateFailed: "Erreur interne du serveur lors de la mise à jour du livre.",
+        bookNotDeleted: "Livre non trouvé ou déjà supprimé.",
+        bookDeleted: "Livre supprimé avec succès.",
+        bookDeleteFailed: "Erreur interne du serveur lors de la suppression du livre.",
+        searchTermRequired: "Le terme de recherche est requis.",
+        bookSearchFailed: "Erreur interne du serveur lors de la recherche des livres.",
+        bookSalesNotFound: "Livre non trouvé ou aucune statistique de vente disponible.",
+        bookSalesFailed: "Erreur interne du serveur lors de la récupération des statistiques de vente du livre.",
+        ordersListFailed: "Erreur interne du serveur lors de la récupération des commandes.",
+        orderNotFound: "Commande non trouvée.",
+        orderDetailsFailed: "Erreur interne du serveur lors de la récupération des détails de la commande.",
+        statusRequired: "Le nouveau statut est requis.",
+        orderStatusUnchanged: "Commande non trouvée ou statut inchangé.",
+        orderStatusUpdated: "Statut de la commande mis à jour avec succès.",
+        invalidOrderId: "Format d'ID de commande invalide.",
+        orderStatusUpdateFailed: "Erreur interne du serveur lors de la mise à jour du statut de la commande.",
+        ordersExportFailed: "Erreur interne du serveur lors de l'exportation des commandes.",
+        orderStatsFailed: "Erreur interne du serveur lors de la récupération des statistiques de commande.",
+        clientsListFailed: "Erreur interne du serveur lors de la récupération des clients.",
+        clientNotFound: "Client non trouvé.",
+        clientDetailsFailed: "Erreur interne du serveur lors de la récupération des détails du client.",
+        roleChangeForbidden: "Accès refusé : La modification du rôle nécessite la permission roles:manage.",
+        clientNotUpdated: "Client non trouvé ou aucune donnée valide fournie pour la mise à jour.",
+        clientUpdated: "Client mis à jour avec succès.",
+        invalidClientId: "Format d'ID client invalide.",
+        clientUpdateFailed: "Erreur interne du serveur lors de la mise à jour du client.",
+        clientNotDeactivated: "Client non trouvé ou déjà désactivé.",
+        clientDeactivated: "Compte client désactivé avec succès.",
+        clientDeactivateFailed: "Erreur interne du serveur lors de la désactivation du compte client.",
+        invalidUserId: "Format d'ID utilisateur invalide.",
+        userNotDeleted: "Utilisateur non trouvé ou déjà supprimé.",
+        userAnonymized: "Compte utilisateur anonymisé avec succès.",
+        userDeleteFailed: "Erreur interne du serveur lors de la suppression du compte utilisateur.",
+        clientSearchFailed: "Erreur interne du serveur lors de la recherche des clients.",
+        clientOrdersNotFound: "Aucune commande trouvée pour ce client.",
+        clientOrdersFailed: "Erreur interne du serveur lors de la récupération des commandes du client.",
+        emailFieldsRequired: "Le sujet et le corps de l'email sont requis.",
+        emailSent: "Email envoyé avec succès.",
+        emailRetryScheduled: "L'envoi de l'email a échoué, une nouvelle tentative sera effectuée automatiquement.",
+        emailSendFailed: "Erreur interne du serveur lors de l'envoi de l'email.",
+        invalidOutboxStatus: "Statut invalide. Valeurs acceptées : pending, sending, sent, failed.",
+        outboxListFailed: "Erreur interne du serveur lors de la récupération de la file des emails.",
+        outboxEntryNotFound: "Email non trouvé dans la file d'attente.",
+        emailNotResendable: "Cet email ne peut pas être renvoyé : il est en cours d'envoi, ou il a déjà été remis et son contenu a été effacé. Déclenchez un nouvel envoi (ex: nouvelle demande de réinitialisation).",
+        emailResent: "Email renvoyé.",
+        invalidOutboxId: "Format d'ID d'email invalide.",
+        emailResendFailed: "Erreur interne du serveur lors du renvoi de l'email.",
+        invoiceOrderNotFound: "Commande non trouvée pour générer la facture.",
+        invoiceRetrieved: "Détails de la facture récupérés avec succès.",
+        invoiceFailed: "Erreur interne du serveur lors de la génération de la facture.",
+        activityLogFailed: "Erreur interne du serveur lors de la récupération du journal d'activité.",
+    },
+    impersonation: {
+        personalSessionRequired: "L'impersonation doit être démarrée depuis une session personnelle.",
+        self: "Vous ne pouvez pas vous impersonner vous-même.",
+        adminForbidden: "L'impersonation d'un compte du personnel ou administrateur (rôle doté de permissions) est interdite.",
+        accountDisabled: "Ce compte est désactivé et ne peut pas être impersonné.",
+        started: "Impersonation démarrée. Le jeton est en lecture seule ; appelez /api/auth/logout avec ce jeton pour y mettre fin.",
+        startFailed: "Erreur interne du serveur lors du démarrage de l'impersonation.",
+    },
+    reports: {
+        datesRequired: "Les dates de début et de fin (startDate, endDate) sont requises.",
+        salesFailed: "Erreur interne du serveur lors de la génération du rapport des ventes.",
+        categorySalesFailed: "Erreur interne du serveur lors de la génération du rapport des ventes par catégorie.",
+        paymentMethodsFailed: "Erreur interne du serveur lors de la génération du rapport des méthodes de paiement.",
+        conversionRateFailed: "Erreur interne du serveur lors du calcul du taux de conversion.",
+        typeRequired: "Le type de rapport à exporter (reportType) est requis.",
+        exportReady: "Données pour l'exportation du rapport {reportType} récupérées avec succès.",
+        exportFailed: "Erreur interne du serveur lors de l'exportation du rapport {reportType}.",
+    },
+    uploads: {
+        fileRequired: "Un fichier (champ file) est requis.",
+        invalidForm: "Formulaire d'upload invalide : envoyez un seul fichier dans le champ file (multipart/form-data).",
+        fileTooLarge: "Le fichier dépasse la taille maximale autorisée ({maxMb} Mo).",
+        unsupportedType: "Type de fichier non pris en charge. Types acceptés : {types}.",
+        invalidImage: "L'image est corrompue ou illisible.",
+        notWatermarkable: "Cet ebook ne peut pas être tatoué au nom des acheteurs : PDF chiffré ou protégé par mot de passe, ou EPUB incomplet.",
+        coverUploaded: "Couverture de livre uploadée avec succès.",
+        ebookUploaded: "Fichier ebook uploadé avec succès.",
+        metadataUnreadable: "Fichier enregistré, mais ses métadonnées n'ont pas pu être lues : renseignez les champs manuellement.",
+        uploadFailed: "Erreur interne du serveur lors de l'enregistrement du fichier.",
+    },
+    authors: {
+        invalidName: "Le nom de l'auteur (name) est requis : une chaîne ou un objet { fr, en }.",
+        invalidBio: "La biographie (bio) doit être une chaîne ou un objet { fr, en }.",
+        invalidPhotoUrl: "L'URL de la photo (photo_url) doit être une chaîne non vide.",
+        pageOnly: "La liste des auteurs se pagine par page (?page=).",
+        listFailed: "Erreur interne du serveur lors de la récupération des auteurs.",
+        notFound: "Auteur non trouvé.",
+        retrieved: "Auteur récupéré avec succès.",
+        invalidId: "Format d'ID d'auteur invalide.",
+        retrieveFailed: "Erreur interne du serveur lors de la récupération de l'auteur.",
+        created: "Auteur créé avec succès.",
+        alreadyExists: "Un auteur portant ce nom existe déjà.",
+        createFailed: "Erreur interne du serveur lors de la création de l'auteur.",
+        updated: "Auteur mis à jour avec succès.",
+        updateFailed: "Erreur interne du serveur lors de la mise à jour de l'auteur.",
+        deleted: "Auteur supprimé avec succès.",
+        stillLinked: "Cet auteur est encore lié à des livres. Retirez-le d'abord de leurs contributeurs.",
+        deleteFailed: "Erreur interne du serveur lors de la suppression de l'auteur.",
+        contributorsRequired: "La liste des contributeurs (authors) est requise.",
+        invalidContributors: "Chaque contributeur doit avoir un author_id et un rôle parmi : {roles}.",
+        mainAuthorRequired: "Au moins un contributeur doit avoir le rôle author.",
+        contributorsUpdated: "Contributeurs du livre mis à jour avec succès.",
+        invalidBookOrAuthorId: "Format d'ID de livre ou d'auteur invalide.",
+        unknownAuthor: "Un des auteurs indiqués n'existe pas.",
+        duplicateContributor: "Un même auteur ne peut figurer qu'une fois par rôle.",
+        contributorsUpdateFailed: "Erreur interne du serveur lors de la mise à jour des contributeurs du livre.",
+    },
+    series: {
+        invalidTitle: "Le titre de la série (title) est requis : une chaîne ou un objet { fr, en }.",
+        invalidDescription: "La description (description) doit être une chaîne ou un objet { fr, en }.",
+        notFound: "Série non trouvée.",
+        retrieved: "Série récupérée avec succès.",
+        invalidId: "Format d'ID de série invalide.",
+        retrieveFailed: "Erreur interne du serveur lors de la récupération de la série.",
+        pageOnly: "La liste des séries se pagine par page (?page=).",
+        listFailed: "Erreur interne du serveur lors de la récupération des séries.",
+        created: "Série créée avec succès.",
+        createFailed: "Erreur interne du serveur lors de la création de la série.",
+        updated: "Série mise à jour avec succès.",
+        updateFailed: "Erreur interne du serveur lors de la mise à jour de la série.",
+        deleted: "Série supprimée avec succès. Ses livres ont été conservés.",
+        deleteFailed: "Erreur interne du serveur lors de la suppression de la série.",
+        seriesIdRequired: "Le champ series_id est requis (null pour retirer le livre de sa série).",
+        invalidVolume: "Le numéro de tome (volume) doit être un nombre positif avec au plus une décimale.",
+        bookAttached: "Livre placé dans la série avec succès.",
+        bookDetached: "Livre retiré de sa série avec succès.",
+        invalidBookOrSeriesId: "Format d'ID de livre ou de série invalide.",
+        unknownSeries: "La série indiquée n'existe pas.",
+        volumeTaken: "Ce numéro de tome est déjà attribué à un autre livre de la série.",
+        bookSeriesUpdateFailed: "Erreur interne du serveur lors de la mise à jour de la série du livre.",
+    },
+    watermark: {
+        mention: "Exemplaire personnel de {name} <{email}> - commande {order}",
+        noOrder: "hors commande",
+        noticeTitle: "Exemplaire personnel",
+        noticeBody: "Cet ebook a été acheté par {name} ({email}), commande {order}. Il est réservé à un usage personnel : merci de ne pas le diffuser.",
+    },
+};
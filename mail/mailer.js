@@ -0,0 +1,142 @@
+// mail/mailer.js
+import consoleTransport from "./transports/consoleTransport.js";
+import { createSmtpTransport } from "./transports/smtpTransport.js";
+import { createFileTransport } from "./transports/fileTransport.js";
+import { renderTemplate } from "./templates/index.js";
+import * as emailOutboxModel from "../models/emailOutboxModel.js";
+
+const MAIL_FROM = process.env.MAIL_FROM || "BOOK-tech <no-reply@book-tech.local>";
+// Nombre maximum de tentatives d'envoi avant de marquer un email comme 'failed'.
+const MAIL_MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS, 10) || 5;
+
+/**
+ * Construit le transport à partir des variables d'environnement.
+ * MAIL_TRANSPORT : 'smtp', 'file' ou 'console'. Sans MAIL_TRANSPORT, le transport console n'est choisi qu'en
+ * développement : en production (NODE_ENV=production), les liens à usage unique finiraient dans les logs.
+ * @returns {object} Un transport exposant send(message).
+ * @throws {Error} Si MAIL_TRANSPORT est inconnu, ou absent en production.
+ */
+const createTransportFromEnv = () => {
+    switch (process.env.MAIL_TRANSPORT) {
+        case "smtp":
+            return createSmtpTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT, 10) || 587,
+                secure: process.env.SMTP_SECURE === "true",
+                user: process.env.SMTP_USER,
+                password: process.env.SMTP_PASSWORD,
+            });
+        case "file":
+            return createFileTransport(process.env.MAIL_FILE_DIR || "./tmp/mails");
+        case "console":
+            return consoleTransport;
+        case undefined:
+        case "":
+            if (process.env.NODE_ENV === "production") {
+                throw new Error("MAIL_TRANSPORT doit être défini en production ('smtp' ou 'file').");
+            }
+            return consoleTransport;
+        default:
+            throw new Error(`MAIL_TRANSPORT inconnu : ${process.env.MAIL_TRANSPORT} (attendu : 'smtp', 'file' ou 'console').`);
+    }
+};
+
+// Transport courant. Tout objet exposant `send(message)` peut être branché via setMailTransport.
+let transport = createTransportFromEnv();
+
+/**
+ * Remplace le transport utilisé pour l'envoi des emails (ex: faux transport en test).
+ * @param {object} newTransport - Un objet exposant une méthode async send(message).
+ */
+export const setMailTransport = (newTransport) => {
+    transport = newTransport;
+};
+
+/**
+ * Envoie un email directement via le transport courant, sans passer par la file d'attente.
+ * @param {object} message - Le message à envoyer.
+ * @param {string} message.to - L'adresse du destinataire.
+ * @param {string} message.subject - Le sujet.
+ * @param {string} message.text - Le corps en texte brut.
+ * @param {string} [message.html] - Le corps HTML (optionnel).
+ * @returns {Promise<object>} L'accusé d'envoi renvoyé par le transport.
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+    return transport.send({ from: MAIL_FROM, to, subject, text, html });
+};
+
+/**
+ * Tente d'envoyer une entrée de la file d'attente, préalablement réservée ('sending'), et enregistre le résultat.
+ * En cas d'échec, la prochaine tentative est repoussée de façon exponentielle (1, 2, 4, 8... minutes).
+ * @param {object} entry - L'entrée EmailOutbox à envoyer, contenu compris.
+ * @returns {Promise<object>} L'entrée mise à jour (sans son contenu, effacé une fois l'email remis).
+ */
+export const deliverOutboxEntry = async (entry) => {
+    try {
+        await sendMail({
+            to: entry.recipient,
+            subject: entry.subject,
+            text: entry.text_body,
+            html: entry.html_body,
+        });
+        return await emailOutboxModel.markOutboxEntrySent(entry.outbox_id);
+    } catch (error) {
+        console.error(`Échec de l'envoi de l'email ${entry.outbox_id}:`, error.message);
+        const retryDelayMinutes = 2 ** entry.attempts;
+        return emailOutboxModel.markOutboxEntryFailed(entry.outbox_id, error.message, MAIL_MAX_ATTEMPTS, retryDelayMinutes);
+    }
+};
+
+/**
+ * Rend un template, l'enregistre dans la file d'attente (réservé pour cet envoi) puis tente un premier envoi immédiat.
+ * Un échec d'envoi n'est pas propagé : l'email sera retenté par le worker de la file.
+ * @param {object} options
+ * @param {string} options.to - L'adresse du destinataire.
+ * @param {string} options.template - Le nom du template (ex: 'passwordReset').
+ * @param {string} [options.locale] - La langue ('fr' ou 'en').
+ * @param {object} [options.data] - Les données du template.
+ * @param {string} [options.userId] - L'ID de l'utilisateur destinataire, si connu.
+ * @returns {Promise<object>} L'entrée EmailOutbox après la première tentative.
+ */
+export const queueEmail = async ({ to, template, locale, data = {}, userId = null }) => {
+    const rendered = renderTemplate(template, locale, data);
+    const entry = await emailOutboxModel.insertOutboxEntry({
+        userId,
+        recipient: to,
+        template,
+        locale: rendered.locale,
+        subject: rendered.subject,
+        text: rendered.text,
+        html: rendered.html,
+    });
+    return deliverOutboxEntry(entry);
+};
+
+/**
+ * Envoie les emails en attente dont la prochaine tentative est due. Ils sont réservés avant l'envoi :
+ * plusieurs workers, ou un worker et un envoi immédiat, ne peuvent pas envoyer le même email.
+ * @param {number} [batchSize=20] - Le nombre maximum d'emails traités par passage.
+ * @returns {Promise<number>} Le nombre d'emails traités.
+ */
+export const processOutbox = async (batchSize = 20) => {
+    const entries = await emailOutboxModel.claimDueOutboxEntries(batchSize);
+    for (const entry of entries) {
+        await deliverOutboxEntry(entry);
+    }
+    return entries.length;
+};
+
+/**
+ * Démarre le traitement périodique de la file d'attente.
+ * @param {number} [intervalMs=60000] - L'intervalle entre deux passages, en millisecondes.
+ * @returns {NodeJS.Timeout} Le timer (non bloquant pour l'arrêt du processus).
+ */
+export const startOutboxWorker = (intervalMs = 60000) => {
+    const timer = setInterval(() => {
+        processOutbox().catch((error) => {
+            console.error("Erreur lors du traitement de la file d'emails:", error.message);
+        });
+    }, intervalMs);
+    timer.unref();
+    return timer;
+};
@@ -0,0 +1,22 @@
+// mail/templates/adminMessage.js
+import { escapeHtml, wrapHtml } from "./layout.js";
+
+// Données attendues : { firstName, subject, body } (sujet et corps rédigés par l'administrateur)
+const bodyToHtml = (body) => escapeHtml(body).replace(/\n/g, "<br>");
+
+export default {
+    fr: ({ firstName, subject, body }) => ({
+        subject,
+        text: `Bonjour ${firstName || ""},\n\n${body}\n\nL'équipe BOOK-tech`,
+        html: wrapHtml("fr", `<p>Bonjour ${escapeHtml(firstName)},</p>
+<p>${bodyToHtml(body)}</p>
+<p>L'équipe BOOK-tech</p>`),
+    }),
+    en: ({ firstName, subject, body }) => ({
+        subject,
+        text: `Hello ${firstName || ""},\n\n${body}\n\nThe BOOK-tech team`,
+        html: wrapHtml("en", `<p>Hello ${escapeHtml(firstName)},</p>
+<p>${bodyToHtml(body)}</p>
+<p>The BOOK-tech team</p>`),
+    }),
+};
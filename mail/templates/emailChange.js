@@ -0,0 +1,20 @@
+// mail/templates/emailChange.js
+import { escapeHtml, wrapHtml } from "./layout.js";
+
+// Données attendues : { firstName, newEmail, confirmationUrl }
+export default {
+    fr: ({ firstName, newEmail, confirmationUrl }) => ({
+        subject: "Confirmez votre nouvelle adresse email",
+        text: `Bonjour ${firstName || ""},\n\nPour utiliser ${newEmail} comme adresse de connexion, suivez ce lien (valable 1 heure) : ${confirmationUrl}\n\nSi vous n'êtes pas à l'origine de cette demande, ignorez cet email.`,
+        html: wrapHtml("fr", `<p>Bonjour ${escapeHtml(firstName)},</p>
+<p>Pour utiliser <strong>${escapeHtml(newEmail)}</strong> comme adresse de connexion, suivez ce lien (valable 1 heure) : <a href="${escapeHtml(confirmationUrl)}">confirmer ma nouvelle adresse</a></p>
+<p>Si vous n'êtes pas à l'origine de cette demande, ignorez cet email.</p>`),
+    }),
+    en: ({ firstName, newEmail, confirmationUrl }) => ({
+        subject: "Confirm your new email address",
+        text: `Hello ${firstName || ""},\n\nTo use ${newEmail} as your login address, follow this link (valid for 1 hour): ${confirmationUrl}\n\nIf you did not request this, please ignore this email.`,
+        html: wrapHtml("en", `<p>Hello ${escapeHtml(firstName)},</p>
+<p>To use <strong>${escapeHtml(newEmail)}</strong> as your login address, follow this link (valid for 1 hour): <a href="${escapeHtml(confirmationUrl)}">confirm my new address</a></p>
+<p>If you did not request this, please ignore this email.</p>`),
+    }),
+};
@@ -0,0 +1,18 @@
+// mail/templates/emailVerification.js
+import { escapeHtml, wrapHtml } from "./layout.js";
+
+// Données attendues : { firstName, verificationUrl }
+export default {
+    fr: ({ firstName, verificationUrl }) => ({
+        subject: "Confirmez votre adresse email",
+        text: `Bonjour ${firstName || ""},\n\nConfirmez votre adresse email en suivant ce lien : ${verificationUrl}\n`,
+        html: wrapHtml("fr", `<p>Bonjour ${escapeHtml(firstName)},</p>
+<p>Confirmez votre adresse email en suivant ce lien : <a href="${escapeHtml(verificationUrl)}">confirmer mon email</a></p>`),
+    }),
+    en: ({ firstName, verificationUrl }) => ({
+        subject: "Confirm your email address",
+        text: `Hello ${firstName || ""},\n\nPlease confirm your email address by following this link: ${verificationUrl}\n`,
+        html: wrapHtml("en", `<p>Hello ${escapeHtml(firstName)},</p>
+<p>Please confirm your email address by following this link: <a href="${escapeHtml(verificationUrl)}">confirm my email</a></p>`),
+    }),
+};
@@ -0,0 +1,42 @@
+// mail/templates/index.js
+import passwordReset from "./passwordReset.js";
+import emailVerification from "./emailVerification.js";
+import welcome from "./welcome.js";
+import orderConfirmation from "./orderConfirmation.js";
+import adminMessage from "./adminMessage.js";
+import emailChange from "./emailChange.js";
+import magicLink from "./magicLink.js";
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE, resolveLocale } from "../../utils/i18n.js";
+
+const templates = {
+    passwordReset,
+    emailVerification,
+    welcome,
+    orderConfirmation,
+    adminMessage,
+    emailChange,
+    magicLink,
+};
+
+/**
+ * Rend un template d'email dans la langue demandée (repli sur le français).
+ * @param {string} name - Le nom du template (ex: 'passwordReset').
+ * @param {string} locale - La langue souhaitée ('fr' ou 'en').
+ * @param {object} data - Les données injectées dans le template.
+ * @returns {{ subject: string, text: string, html: string, locale: string }}
+ */
+export const renderTemplate = (name, locale, data = {}) => {
+    const template = templates[name];
+    if (!template) {
+        throw new Error(`Template d'email inconnu : ${name}`);
+    }
+    const resolvedLocale = SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+    return { ...template[resolvedLocale](data), locale: resolvedLocale };
+};
+
+/**
+ * Choisit la langue d'un email : celle négociée pour la requête (?lang= ou Accept-Language).
+ * @param {object} req - L'objet requête Express.
+ * @returns {string} 'fr' ou 'en'.
+ */
+export const localeFromRequest = (req) => req.locale || resolveLocale(req);
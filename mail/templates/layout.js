@@ -0,0 +1,27 @@
+// mail/templates/layout.js
+
+/**
+ * Échappe les caractères spéciaux HTML d'une valeur insérée dans un template.
+ * @param {*} value - La valeur à échapper.
+ * @returns {string} La valeur échappée.
+ */
+export const escapeHtml = (value) => String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Entoure le contenu HTML d'un email de la mise en page commune BOOK-tech.
+ * @param {string} locale - La langue du document ('fr' ou 'en').
+ * @param {string} content - Le contenu HTML (déjà échappé).
+ * @returns {string} Le document HTML complet.
+ */
+export const wrapHtml = (locale, content) => `<!DOCTYPE html>
+<html lang="${locale}">
+<body style="font-family: Arial, sans-serif; color: #222;">
+${content}
+<p style="color: #888; font-size: 12px;">BOOK-tech</p>
+</body>
+</html>`;
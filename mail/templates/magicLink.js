@@ -0,0 +1,20 @@
+// mail/templates/magicLink.js
+import { escapeHtml, wrapHtml } from "./layout.js";
+
+// Données attendues : { firstName, loginUrl, expiresInMinutes }
+export default {
+    fr: ({ firstName, loginUrl, expiresInMinutes }) => ({
+        subject: "Votre lien de connexion",
+        text: `Bonjour ${firstName || ""},\n\nPour vous connecter sans mot de passe, suivez ce lien (valable ${expiresInMinutes} minutes, utilisable une seule fois) : ${loginUrl}\n\nSi vous n'êtes pas à l'origine de cette demande, ignorez cet email.`,
+        html: wrapHtml("fr", `<p>Bonjour ${escapeHtml(firstName)},</p>
+<p>Pour vous connecter sans mot de passe, suivez ce lien (valable ${escapeHtml(expiresInMinutes)} minutes, utilisable une seule fois) : <a href="${escapeHtml(loginUrl)}">me connecter</a></p>
+<p>Si vous n'êtes pas à l'origine de cette demande, ignorez cet email.</p>`),
+    }),
+    en: ({ firstName, loginUrl, expiresInMinutes }) => ({
+        subject: "Your sign-in link",
+        text: `Hello ${firstName || ""},\n\nTo sign in without a password, follow this link (valid for ${expiresInMinutes} minutes, single use): ${loginUrl}\n\nIf you did not request this, please ignore this email.`,
+        html: wrapHtml("en", `<p>Hello ${escapeHtml(firstName)},</p>
+<p>To sign in without a password, follow this link (valid for ${escapeHtml(expiresInMinutes)} minutes, single use): <a href="${escapeHtml(loginUrl)}">sign me in</a></p>
+<p>If you did not request this, please ignore this email.</p>`),
+    }),
+};
@@ -0,0 +1,29 @@
+// mail/templates/orderConfirmation.js
+import { escapeHtml, wrapHtml } from "./layout.js";
+
+// Données attendues : { firstName, orderId, totalAmount, items: [{ title, quantity, price }] }
+const formatItems = (items = []) => items.map((item) => `- ${item.title} x${item.quantity} : ${item.price} $`).join("\n");
+const formatItemsHtml = (items = []) => items
+    .map((item) => `<li>${escapeHtml(item.title)} x${escapeHtml(item.quantity)} : ${escapeHtml(item.price)} $</li>`)
+    .join("");
+
+export default {
+    fr: ({ firstName, orderId, totalAmount, items }) => ({
+        subject: `Confirmation de votre commande ${orderId}`,
+        text: `Bonjour ${firstName || ""},\n\nMerci pour votre commande ${orderId}.\n\n${formatItems(items)}\n\nTotal : ${totalAmount} $\n\nVos livres sont disponibles dans votre bibliothèque.`,
+        html: wrapHtml("fr", `<p>Bonjour ${escapeHtml(firstName)},</p>
+<p>Merci pour votre commande <strong>${escapeHtml(orderId)}</strong>.</p>
+<ul>${formatItemsHtml(items)}</ul>
+<p>Total : <strong>${escapeHtml(totalAmount)} $</strong></p>
+<p>Vos livres sont disponibles dans votre bibliothèque.</p>`),
+    }),
+    en: ({ firstName, orderId, totalAmount, items }) => ({
+        subject: `Your order ${orderId} is confirmed`,
+        text: `Hello ${firstName || ""},\n\nThank you for your order ${orderId}.\n\n${formatItems(items)}\n\nTotal: $${totalAmount}\n\nYour books are now available in your library.`,
+        html: wrapHtml("en", `<p>Hello ${escapeHtml(firstName)},</p>
+<p>Thank you for your order <strong>${escapeHtml(orderId)}</strong>.</p>
+<ul>${formatItemsHtml(items)}</ul>
+<p>Total: <strong>$${escapeHtml(totalAmount)}</strong></p>
+<p>Your books are now available in your library.</p>`),
+    }),
+};
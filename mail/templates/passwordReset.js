@@ -0,0 +1,20 @@
+// mail/templates/passwordReset.js
+import { escapeHtml, wrapHtml } from "./layout.js";
+
+// Données attendues : { firstName, resetUrl }
+export default {
+    fr: ({ firstName, resetUrl }) => ({
+        subject: "Réinitialisation de votre mot de passe",
+        text: `Bonjour ${firstName || ""},\n\nPour réinitialiser votre mot de passe, suivez ce lien (valable 1 heure) : ${resetUrl}\n\nSi vous n'êtes pas à l'origine de cette demande, ignorez cet email.`,
+        html: wrapHtml("fr", `<p>Bonjour ${escapeHtml(firstName)},</p>
+<p>Pour réinitialiser votre mot de passe, suivez ce lien (valable 1 heure) : <a href="${escapeHtml(resetUrl)}">réinitialiser mon mot de passe</a></p>
+<p>Si vous n'êtes pas à l'origine de cette demande, ignorez cet email.</p>`),
+    }),
+    en: ({ firstName, resetUrl }) => ({
+        subject: "Reset your password",
+        text: `Hello ${firstName || ""},\n\nTo reset your password, follow this link (valid for 1 hour): ${resetUrl}\n\nIf you did not request this, please ignore this email.`,
+        html: wrapHtml("en", `<p>Hello ${escapeHtml(firstName)},</p>
+<p>To reset your password, follow this link (valid for 1 hour): <a href="${escapeHtml(resetUrl)}">reset my password</a></p>
+<p>If you did not request this, please ignore this email.</p>`),
+    }),
+};
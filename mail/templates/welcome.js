@@ -0,0 +1,20 @@
+// mail/templates/welcome.js
+import { escapeHtml, wrapHtml } from "./layout.js";
+
+// Données attendues : { firstName, catalogUrl }
+export default {
+    fr: ({ firstName, catalogUrl }) => ({
+        subject: "Bienvenue sur BOOK-tech !",
+        text: `Bonjour ${firstName || ""},\n\nVotre compte est prêt. Découvrez notre catalogue : ${catalogUrl}\n\nBonne lecture !`,
+        html: wrapHtml("fr", `<p>Bonjour ${escapeHtml(firstName)},</p>
+<p>Votre compte est prêt. Découvrez <a href="${escapeHtml(catalogUrl)}">notre catalogue</a>.</p>
+<p>Bonne lecture !</p>`),
+    }),
+    en: ({ firstName, catalogUrl }) => ({
+        subject: "Welcome to BOOK-tech!",
+        text: `Hello ${firstName || ""},\n\nYour account is ready. Browse our catalog: ${catalogUrl}\n\nHappy reading!`,
+        html: wrapHtml("en", `<p>Hello ${escapeHtml(firstName)},</p>
+<p>Your account is ready. Browse <a href="${escapeHtml(catalogUrl)}">our catalog</a>.</p>
+<p>Happy reading!</p>`),
+    }),
+};
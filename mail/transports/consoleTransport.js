@@ -0,0 +1,20 @@
+// mail/transports/consoleTransport.js
+
+/**
+ * Transport d'email pour le développement local : affiche le message dans la console au lieu de l'envoyer.
+ */
+const consoleTransport = {
+    name: "console",
+
+    /**
+     * "Envoie" un email en l'affichant dans la console.
+     * @param {object} message - Le message (from, to, subject, text, html).
+     * @returns {Promise<object>} Un accusé d'envoi fictif.
+     */
+    send: async (message) => {
+        console.log(`[mail:console] De: ${message.from} | À: ${message.to} | Sujet: ${message.subject}\n${message.text}`);
+        return { messageId: `console-${Date.now()}` };
+    },
+};
+
+export default consoleTransport;
@@ -0,0 +1,21 @@
+// mail/transports/fileTransport.js
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Crée un transport d'email qui écrit chaque message dans un fichier JSON (développement local et tests).
+ * @param {string} directory - Le dossier où écrire les messages.
+ * @returns {object} Un transport exposant send(message).
+ */
+export const createFileTransport = (directory) => ({
+    name: "file",
+    send: async (message) => {
+        await fs.mkdir(directory, { recursive: true });
+        const messageId = `file-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+        await fs.writeFile(
+            path.join(directory, `${messageId}.json`),
+            JSON.stringify({ ...message, messageId, date: new Date().toISOString() }, null, 2)
+        );
+        return { messageId };
+    },
+});
@@ -0,0 +1,29 @@
+// mail/transports/smtpTransport.js
+import nodemailer from "nodemailer";
+
+/**
+ * Crée un transport d'email SMTP (production).
+ * @param {object} options - La configuration SMTP.
+ * @param {string} options.host - L'hôte SMTP.
+ * @param {number} options.port - Le port SMTP.
+ * @param {boolean} [options.secure] - true pour TLS implicite (port 465).
+ * @param {string} [options.user] - L'utilisateur SMTP.
+ * @param {string} [options.password] - Le mot de passe SMTP.
+ * @returns {object} Un transport exposant send(message).
+ */
+export const createSmtpTransport = ({ host, port, secure = false, user, password }) => {
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass: password } : undefined,
+    });
+
+    return {
+        name: "smtp",
+        send: async (message) => {
+            const info = await transporter.sendMail(message);
+            return { messageId: info.messageId };
+        },
+    };
+};
@@ -1,9 +1,107 @@
 // middleware/authMiddleware.js
 import jwt from "jsonwebtoken"; // Assure-toi d'avoir bien installé 'jsonwebtoken' (npm install jsonwebtoken)
+import * as sessionModel from "../models/sessionModel.js";
+import { getUserState } from "../utils/userStateCache.js";
+import { isTwoFactorRequiredForRole } from "../utils/totp.js";
+import { logActivity } from "../models/AdminModel.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+import * as apiKeyModel from "../models/apiKeyModel.js";
+import { hashToken } from "../utils/authTokens.js";
+import { API_KEY_PREFIX, isIpAllowed } from "../utils/apiKeys.js";
+
+// Requêtes autorisées sous impersonation en plus des lectures (GET/HEAD) : terminer la session.
+const IMPERSONATION_ALLOWED_WRITES = ["POST /api/auth/logout"];
+// Lectures refusées sous impersonation : données trop sensibles pour le support, back-office,
+// et téléchargements d'ebooks (chaque lien délivré compte dans la limite du client et sert une copie à son nom).
+const IMPERSONATION_FORBIDDEN_PREFIXES = ["/api/admin", "/api/auth/me/export", "/api/auth/2fa", "/api/auth/sessions", "/api/library"];
+
+/**
+ * Vérifie une requête faite avec un jeton d'impersonation et la journalise.
+ * L'impersonation est en lecture seule et cesse dès que son auteur perd la permission ou est désactivé.
+ * @param {object} req - L'objet requête Express.
+ * @param {object} user - Le payload du jeton (userId, impersonatorId, sessionId).
+ * @returns {Promise<{ status: number, message: string } | null>} L'erreur à renvoyer, ou null si la requête est autorisée.
+ */
+const checkImpersonatedRequest = async (req, user) => {
+    const impersonatorState = await getUserState(user.impersonatorId);
+    if (!impersonatorState || !impersonatorState.is_active || !impersonatorState.permissions.includes(PERMISSIONS.USERS_IMPERSONATE)) {
+        return { status: 403, message: req.t("access.impersonationRevoked") };
+    }
+
+    const path = req.originalUrl.split("?")[0];
+    const isRead = req.method === "GET" || req.method === "HEAD";
+    const isAllowedWrite = IMPERSONATION_ALLOWED_WRITES.includes(`${req.method} ${path}`);
+    const isForbidden = IMPERSONATION_FORBIDDEN_PREFIXES.some((prefix) => path.startsWith(prefix));
+
+    await logActivity(user.impersonatorId, 'IMPERSONATED_REQUEST', `${req.method} ${path}`, {
+        targetUserId: user.userId,
+        sessionId: user.sessionId,
+        allowed: (isRead || isAllowedWrite) && !isForbidden,
+    });
+
+    if (!(isRead || isAllowedWrite) || isForbidden) {
+        return { status: 403, message: req.t("access.impersonationReadOnly") };
+    }
+    return null;
+};
+
+/**
+ * Authentifie une requête par clé API (intégrations machine à machine).
+ * La clé n'est valable que sur les routes d'administration, avec ses propres permissions limitées à celles que son créateur
+ * détient encore ; elle cesse de fonctionner si son créateur est désactivé. Chaque utilisation est journalisée.
+ * @param {object} req - L'objet requête Express.
+ * @param {object} res - L'objet réponse Express.
+ * @param {Function} next - La fonction suivante.
+ * @param {string} apiKey - La clé reçue.
+ */
+const authenticateApiKey = async (req, res, next, apiKey) => {
+    try {
+        const key = await apiKeyModel.findApiKeyByHash(hashToken(apiKey));
+        if (!key || key.revoked_at || (key.expires_at && new Date(key.expires_at) <= new Date())) {
+            return res.status(401).json({ message: req.t("access.apiKeyInvalid") });
+        }
+        if (!isIpAllowed(req.ip, key.allowed_ips)) {
+            return res.status(403).json({ message: req.t("access.apiKeyIpNotAllowed") });
+        }
+        const path = req.originalUrl.split("?")[0];
+        if (!path.startsWith("/api/admin")) {
+            return res.status(403).json({ message: req.t("access.apiKeyAdminOnly") });
+        }
+        const creatorState = await getUserState(key.created_by);
+        if (!creatorState || !creatorState.is_active) {
+            return res.status(403).json({ message: req.t("access.apiKeyCreatorDisabled") });
+        }
+
+        await apiKeyModel.touchApiKey(key.api_key_id, req.ip || null);
+        await logActivity(key.created_by, 'API_KEY_USED', `${req.method} ${path}`, {
+            apiKeyId: key.api_key_id,
+            apiKeyName: key.name,
+            ipAddress: req.ip || null,
+        });
+
+        // Les actions faites avec la clé sont attribuées à son créateur dans le journal d'activité
+        req.user = {
+            userId: key.created_by,
+            roleId: null,
+            roleName: null,
+            // Une clé ne donne jamais plus que son créateur : retirer une permission au créateur la retire à ses clés
+            permissions: key.permissions.filter((permission) => creatorState.permissions.includes(permission)),
+            apiKeyId: key.api_key_id,
+            apiKeyName: key.name,
+        };
+        next();
+    } catch (error) {
+        console.error("Erreur lors de la vérification de la clé API :", error.message);
+        return res.status(500).json({ message: req.t("access.apiKeyCheckFailed") });
+    }
+};
 
 /**
  * Middleware pour authentifier un utilisateur via un JWT.
- * Attache les informations de l'utilisateur (userId, roleId, roleName) à req.user.
+ * Vérifie aussi que la session serveur associée au token n'a pas été révoquée,
+ * que le compte est toujours actif, et recharge le rôle courant de l'utilisateur.
+ * Attache les informations de l'utilisateur (userId, roleId, roleName, permissions, sessionId, impersonatorId) à req.user.
+ * Accepte aussi une clé API, dans l'en-tête X-API-Key ou en Bearer (req.user.apiKeyId est alors défini).
  */
 export const authenticateToken = (req, res, next) => {
     // 1. Récupérer le token de l'en-tête Authorization
@@ -11,24 +109,76 @@ export const authenticateToken = (req, res, next) => {
     // Le token est généralement au format "Bearer VOTRE_TOKEN_ICI"
     const token = authHeader && authHeader.split(" ")[1];
 
+    const apiKey = req.headers["x-api-key"] || (token && token.startsWith(API_KEY_PREFIX) ? token : null);
+    if (apiKey) {
+        return authenticateApiKey(req, res, next, apiKey);
+    }
+
     // 2. Vérifier si un token est fourni
     if (token == null) {
         return res
             .status(401)
-            .json({ message: "Accès refusé : Token non fourni." });
+            .json({ message: req.t("access.tokenMissing") });
     }
 
     // 3. Vérifier la validité du token
-    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
         if (err) {
             // Si le token est invalide, expiré, etc.
             console.error("Erreur de vérification JWT :", err.message);
             return res
                 .status(403)
-                .json({ message: "Accès refusé : Token invalide ou expiré." });
+                .json({ message: req.t("access.tokenInvalid") });
         }
-        // Si le token est valide, les informations du payload (user_id, role_id, role_name)
-        // sont décodées et attachées à l'objet `req.user`.
+
+        // 4. Vérifier que la session rattachée au token est toujours active
+        // (les tokens émis avant l'introduction des sessions n'ont pas de sessionId et sont refusés).
+        try {
+            const session = user.sessionId ? await sessionModel.findSessionById(user.sessionId) : undefined;
+            // Une session d'impersonation n'est valable qu'avec le jeton qui la désigne, et inversement
+            if (!session || session.revoked_at || session.user_id !== user.userId
+                || (session.impersonator_id || null) !== (user.impersonatorId || null)) {
+                return res
+                    .status(401)
+                    .json({ message: req.t("access.sessionRevoked") });
+            }
+
+            // 5. Vérifier l'état actuel du compte : un compte désactivé est refusé,
+            // et le rôle fait foi depuis la base (et non depuis le payload du token).
+            const userState = await getUserState(user.userId);
+            if (!userState) {
+                return res
+                    .status(401)
+                    .json({ message: req.t("access.userNotFound") });
+            }
+            if (!userState.is_active) {
+                return res
+                    .status(403)
+                    .json({ message: req.t("access.accountDisabled") });
+            }
+            user.roleId = userState.role_id;
+            user.roleName = userState.role_name;
+            user.permissions = userState.permissions;
+            user.emailVerified = userState.email_verified;
+            user.twoFactorEnabled = userState.totp_enabled;
+
+            // 6. Sous impersonation : lecture seule, sans les permissions du compte impersonné, et journalisée.
+            if (user.impersonatorId) {
+                user.permissions = [];
+                const impersonationError = await checkImpersonatedRequest(req, user);
+                if (impersonationError) {
+                    return res.status(impersonationError.status).json({ message: impersonationError.message });
+                }
+            }
+        } catch (error) {
+            console.error("Erreur lors de la vérification de la session :", error.message);
+            return res
+                .status(500)
+                .json({ message: req.t("access.sessionCheckFailed") });
+        }
+
+        // Si le token est valide, les informations du payload (userId, sessionId, impersonatorId éventuel), le rôle courant
+        // et ses permissions, l'état de vérification de l'email et de la 2FA sont attachés à l'objet `req.user`.
         req.user = user;
         // Passer au middleware ou au contrôleur suivant
         next();
@@ -36,20 +186,52 @@ export const authenticateToken = (req, res, next) => {
 };
 
 /**
- * Middleware pour autoriser l'accès uniquement aux utilisateurs ayant le rôle 'Admin'.
+ * Middleware autorisant l'accès uniquement aux utilisateurs dont le rôle possède TOUTES les permissions indiquées.
  * Doit être utilisé APRÈS authenticateToken.
+ * @param {...string} permissions - Les permissions requises (ex: 'catalog:write', cf. PERMISSIONS dans utils/permissions.js).
  */
-export const authorizeAdmin = async (req, res, next) => {
-    // req.user est défini par le middleware authenticateToken
-    if (!req.user || !req.user.roleName) {
-        return res.status(403).json({ message: "Accès refusé : Informations de rôle manquantes." });
+export const authorize = (...permissions) => (req, res, next) => {
+    // req.user.permissions est défini par le middleware authenticateToken
+    const granted = req.user?.permissions || [];
+    const missingPermissions = permissions.filter((permission) => !granted.includes(permission));
+    if (missingPermissions.length > 0) {
+        return res.status(403).json({
+            message: req.t("access.missingPermissions"),
+            missingPermissions,
+        });
     }
+    next();
+};
+
+// Fonctionnalités pour lesquelles un email vérifié est exigé, ex: REQUIRE_VERIFIED_EMAIL=checkout,comments
+const VERIFIED_EMAIL_FEATURES = (process.env.REQUIRE_VERIFIED_EMAIL || "")
+    .split(",")
+    .map((feature) => feature.trim())
+    .filter(Boolean);
 
-    // Vérifier si le rôle de l'utilisateur est 'Admin'
-    if (req.user.roleName !== 'Admin') {
-        return res.status(403).json({ message: "Accès refusé : Seuls les administrateurs peuvent accéder à cette ressource." });
+/**
+ * Middleware exigeant un email vérifié pour une fonctionnalité, si elle est listée dans REQUIRE_VERIFIED_EMAIL.
+ * Doit être utilisé APRÈS authenticateToken.
+ * @param {string} feature - Le nom de la fonctionnalité (ex: 'checkout', 'comments').
+ */
+export const requireVerifiedEmail = (feature) => (req, res, next) => {
+    if (!VERIFIED_EMAIL_FEATURES.includes(feature) || req.user.emailVerified) {
+        return next();
     }
+    return res.status(403).json({ message: req.t("access.emailNotVerified") });
+};
 
-    // Si l'utilisateur est un administrateur, passer à la fonction suivante
+/**
+ * Middleware appliquant la politique 2FA : les rôles listés dans TWO_FACTOR_REQUIRED_ROLES
+ * doivent avoir activé la 2FA pour accéder à la ressource.
+ * Doit être utilisé APRÈS authenticateToken.
+ */
+export const enforceTwoFactorPolicy = (req, res, next) => {
+    if (isTwoFactorRequiredForRole(req.user.roleName) && !req.user.twoFactorEnabled) {
+        return res.status(403).json({
+            message: req.t("access.twoFactorRequired"),
+            twoFactorSetupRequired: true,
+        });
+    }
     next();
 };
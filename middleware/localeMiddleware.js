@@ -0,0 +1,16 @@
+// middleware/localeMiddleware.js
+import { resolveLocale, translate } from "../utils/i18n.js";
+
+/**
+ * Négocie la langue de la réponse (?lang= ou Accept-Language) et expose :
+ * - req.locale : 'fr' ou 'en' ;
+ * - req.t(key, params) : traduit un message du catalogue dans cette langue.
+ * La langue retenue est annoncée dans l'en-tête Content-Language.
+ */
+export const negotiateLocale = (req, res, next) => {
+    req.locale = resolveLocale(req);
+    req.t = (key, params) => translate(req.locale, key, params);
+    res.set("Content-Language", req.locale);
+    res.vary("Accept-Language");
+    next();
+};
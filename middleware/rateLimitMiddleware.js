@@ -0,0 +1,85 @@
+// middleware/rateLimitMiddleware.js
+import * as rateLimitModel from "../models/rateLimitModel.js";
+import { getActiveLockout, normalizeEmailKey } from "../utils/loginLockout.js";
+
+/**
+ * Lit un entier depuis les variables d'environnement, avec une valeur par défaut.
+ * @param {string} name - Le nom de la variable.
+ * @param {number} defaultValue - La valeur par défaut.
+ * @returns {number}
+ */
+const envInt = (name, defaultValue) => parseInt(process.env[name], 10) || defaultValue;
+
+// Limites par route, configurables via RATE_LIMIT_<NOM>_MAX et RATE_LIMIT_<NOM>_WINDOW_MS.
+export const RATE_LIMITS = {
+    login: { max: envInt("RATE_LIMIT_LOGIN_MAX", 10), windowMs: envInt("RATE_LIMIT_LOGIN_WINDOW_MS", 15 * 60000) },
+    twoFactor: { max: envInt("RATE_LIMIT_TWO_FACTOR_MAX", 10), windowMs: envInt("RATE_LIMIT_TWO_FACTOR_WINDOW_MS", 15 * 60000) },
+    register: { max: envInt("RATE_LIMIT_REGISTER_MAX", 5), windowMs: envInt("RATE_LIMIT_REGISTER_WINDOW_MS", 3600000) },
+    forgotPassword: { max: envInt("RATE_LIMIT_FORGOT_PASSWORD_MAX", 5), windowMs: envInt("RATE_LIMIT_FORGOT_PASSWORD_WINDOW_MS", 3600000) },
+    resendVerification: { max: envInt("RATE_LIMIT_RESEND_VERIFICATION_MAX", 5), windowMs: envInt("RATE_LIMIT_RESEND_VERIFICATION_WINDOW_MS", 3600000) },
+    magicLink: { max: envInt("RATE_LIMIT_MAGIC_LINK_MAX", 5), windowMs: envInt("RATE_LIMIT_MAGIC_LINK_WINDOW_MS", 3600000) },
+    oidc: { max: envInt("RATE_LIMIT_OIDC_MAX", 20), windowMs: envInt("RATE_LIMIT_OIDC_WINDOW_MS", 15 * 60000) },
+};
+
+/**
+ * Envoie une réponse 429 avec l'en-tête Retry-After.
+ * @param {object} res - L'objet réponse Express.
+ * @param {number} retryAfterSeconds - Le délai avant de réessayer, en secondes.
+ */
+const sendTooManyRequests = (res, retryAfterSeconds) => {
+    res.set("Retry-After", String(retryAfterSeconds));
+    return res.status(429).json({
+        message: res.req.t("rateLimit.tooManyRequests", { seconds: retryAfterSeconds }),
+        retryAfter: retryAfterSeconds,
+    });
+};
+
+/**
+ * Crée un middleware de limitation de débit à fenêtre fixe, stocké dans PostgreSQL (partagé entre les processus).
+ * La requête est comptée par IP et, si keyByEmail est vrai et qu'un email est fourni dans le corps, par email.
+ * En cas d'erreur de base de données, la requête est laissée passer (fail-open) pour ne pas bloquer le service.
+ * @param {string} name - Le nom du limiteur (clé de RATE_LIMITS).
+ * @param {object} [options]
+ * @param {boolean} [options.keyByEmail=false] - Compter aussi par email (req.body.email).
+ * @returns {Function} Le middleware Express.
+ */
+export const rateLimit = (name, { keyByEmail = false } = {}) => {
+    const { max, windowMs } = RATE_LIMITS[name];
+
+    return async (req, res, next) => {
+        const bucketKeys = [`${name}:ip:${req.ip}`];
+        if (keyByEmail && req.body && req.body.email) {
+            bucketKeys.push(`${name}:email:${normalizeEmailKey(req.body.email)}`);
+        }
+
+        try {
+            for (const bucketKey of bucketKeys) {
+                const { hits, window_start } = await rateLimitModel.incrementRateLimitCounter(bucketKey, windowMs);
+                if (hits > max) {
+                    const retryAfterMs = new Date(window_start).getTime() + windowMs - Date.now();
+                    return sendTooManyRequests(res, Math.max(1, Math.ceil(retryAfterMs / 1000)));
+                }
+            }
+        } catch (error) {
+            console.error(`Erreur du limiteur de débit '${name}':`, error.message);
+        }
+        next();
+    };
+};
+
+/**
+ * Middleware refusant la tentative de connexion si l'IP ou l'email est verrouillé après des échecs répétés.
+ * Les échecs sont enregistrés par les contrôleurs via utils/loginLockout.recordLoginFailure.
+ */
+export const loginLockoutGuard = async (req, res, next) => {
+    try {
+        const lockout = await getActiveLockout(req, req.body && req.body.email);
+        if (lockout) {
+            const retryAfterMs = new Date(lockout.locked_until).getTime() - Date.now();
+            return sendTooManyRequests(res, Math.max(1, Math.ceil(retryAfterMs / 1000)));
+        }
+    } catch (error) {
+        console.error("Erreur lors de la vérification du verrouillage de connexion:", error.message);
+    }
+    next();
+};
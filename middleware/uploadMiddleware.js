@@ -0,0 +1,51 @@
+// middleware/uploadMiddleware.js
+import os from "os";
+import multer from "multer";
+
+/**
+ * Lit un entier depuis les variables d'environnement, avec une valeur par défaut.
+ * @param {string} name - Le nom de la variable.
+ * @param {number} defaultValue - La valeur par défaut.
+ * @returns {number}
+ */
+const envInt = (name, defaultValue) => parseInt(process.env[name], 10) || defaultValue;
+
+// Règles par type d'upload : taille maximale (UPLOAD_<TYPE>_MAX_MB) et types réels acceptés (voir storage/fileInspection.js).
+export const UPLOAD_RULES = {
+    cover: {
+        maxBytes: envInt("UPLOAD_COVER_MAX_MB", 5) * 1024 * 1024,
+        allowedTypes: ["image/jpeg", "image/png", "image/webp"],
+    },
+    ebook: {
+        maxBytes: envInt("UPLOAD_EBOOK_MAX_MB", 100) * 1024 * 1024,
+        allowedTypes: ["application/pdf", "application/epub+zip"],
+    },
+};
+
+/**
+ * Crée un middleware qui reçoit un fichier multipart (champ 'file') dans un fichier temporaire (req.file.path).
+ * Les autres champs du formulaire (ex: book_id) sont disponibles dans req.body.
+ * Répond 413 si le fichier dépasse la taille maximale du type, 400 s'il manque ou si le formulaire est invalide.
+ * @param {string} kind - Le type d'upload ('cover' ou 'ebook').
+ * @returns {Function} Un middleware Express.
+ */
+export const receiveUpload = (kind) => {
+    const { maxBytes } = UPLOAD_RULES[kind];
+    const upload = multer({ dest: os.tmpdir(), limits: { fileSize: maxBytes, files: 1 } }).single("file");
+
+    return (req, res, next) => {
+        upload(req, res, (error) => {
+            if (error instanceof multer.MulterError && error.code === "LIMIT_FILE_SIZE") {
+                return res.status(413).json({ message: req.t("uploads.fileTooLarge", { maxMb: maxBytes / (1024 * 1024) }) });
+            }
+            if (error) {
+                console.error("Erreur dans uploadMiddleware.receiveUpload:", error.message);
+                return res.status(400).json({ message: req.t("uploads.invalidForm") });
+            }
+            if (!req.file) {
+                return res.status(400).json({ message: req.t("uploads.fileRequired") });
+            }
+            next();
+        });
+    };
+};
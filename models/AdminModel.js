@@ -1,5 +1,6 @@
 // models/AdminModel.js
 import pool from "../db/db.js";
+import { bookCoverSql } from "./bookFileModel.js";
 
 /**
  * Récupère tous les utilisateurs avec leurs rôles.
@@ -48,12 +49,22 @@ export const updateUserRole = async (userId, newRoleId) => {
 };
 
 /**
- * Récupère tous les rôles disponibles.
+ * Récupère tous les rôles disponibles, avec leurs permissions et le nombre d'utilisateurs.
  * @returns {Promise<Array>} Un tableau d'objets rôle.
  */
 export const getAllRoles = async () => {
     try {
-        const result = await pool.query(`SELECT * FROM Roles ORDER BY role_name ASC;`);
+        const result = await pool.query(
+            `SELECT
+                r.*,
+                COALESCE(
+                    (SELECT array_agg(rp.permission_key ORDER BY rp.permission_key) FROM RolePermissions rp WHERE rp.role_id = r.role_id),
+                    '{}'
+                ) AS permissions,
+                (SELECT COUNT(*)::int FROM Users u WHERE u.role_id = r.role_id) AS user_count
+             FROM Roles r
+             ORDER BY r.role_name ASC;`
+        );
         return result.rows;
     } catch (error) {
         console.error("Erreur dans AdminModel.getAllRoles:", error.message);
@@ -172,7 +183,11 @@ export const getAllBooksAdmin = async (page = 1, limit = 10) => {
     try {
         const offset = (page - 1) * limit;
         const booksResult = await pool.query(
-            `SELECT b.*, bc.category_name FROM Books b JOIN BookCategories bc ON b.category_id = bc.category_id ORDER BY b.title ASC LIMIT $1 OFFSET $2;`,
+            `SELECT b.*, bc.category_name, s.title AS series_title, ${bookCoverSql("b")} AS cover
+             FROM Books b
+             JOIN BookCategories bc ON b.category_id = bc.category_id
+             LEFT JOIN Series s ON s.series_id = b.series_id
+             ORDER BY b.title ASC LIMIT $1 OFFSET $2;`,
             [limit, offset]
         );
         const totalBooksResult = await pool.query(`SELECT COUNT(*) FROM Books;`);
@@ -199,7 +214,7 @@ export const addBook = async (bookData) => {
     try {
         const result = await pool.query(
             `INSERT INTO Books (title, author_name, category_id, price, description, cover_image_url, book_file_url, availability, rating, format, file_size_mb)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *;`,
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *, ${bookCoverSql("Books")} AS cover;`,
             [title, author_name, category_id, price, description, cover_image_url, book_file_url, availability, rating, format, file_size_mb]
         );
         return result.rows[0];
@@ -217,7 +232,11 @@ export const addBook = async (bookData) => {
 export const getBookByIdAdmin = async (bookId) => {
     try {
         const result = await pool.query(
-            `SELECT b.*, bc.category_name FROM Books b JOIN BookCategories bc ON b.category_id = bc.category_id WHERE b.book_id = $1;`,
+            `SELECT b.*, bc.category_name, s.title AS series_title, ${bookCoverSql("b")} AS cover
+             FROM Books b
+             JOIN BookCategories bc ON b.category_id = bc.category_id
+             LEFT JOIN Series s ON s.series_id = b.series_id
+             WHERE b.book_id = $1;`,
             [bookId]
         );
         return result.rows[0];
@@ -239,7 +258,7 @@ export const updateBookAdmin = async (bookId, bookData) => {
     let paramIndex = 2;
     for (const key in bookData) {
         if (bookData.hasOwnProperty(key)) {
-            fields.push(`${key} = ${paramIndex}`);
+            fields.push(`${key} = $${paramIndex}`);
             values.push(bookData[key]);
             paramIndex++;
         }
@@ -248,7 +267,7 @@ export const updateBookAdmin = async (bookId, bookData) => {
 
     try {
         const result = await pool.query(
-            `UPDATE Books SET ${fields.join(', ')} WHERE book_id = $1 RETURNING *;`,
+            `UPDATE Books SET ${fields.join(', ')} WHERE book_id = $1 RETURNING *, ${bookCoverSql("Books")} AS cover;`,
             values
         );
         return result.rows[0];
@@ -281,7 +300,7 @@ export const deleteBookAdmin = async (bookId) => {
 export const searchBooksAdmin = async (query) => {
     try {
         const result = await pool.query(
-            `SELECT b.*, bc.category_name FROM Books b JOIN BookCategories bc ON b.category_id = bc.category_id WHERE b.title ILIKE $1 OR b.author_name ILIKE $1 ORDER BY b.title ASC;`,
+            `SELECT b.*, bc.category_name, ${bookCoverSql("b")} AS cover FROM Books b JOIN BookCategories bc ON b.category_id = bc.category_id WHERE b.title ILIKE $1 OR b.author_name ILIKE $1 ORDER BY b.title ASC;`,
             [`%${query}%`]
         );
         return result.rows;
@@ -587,20 +606,6 @@ export const getClientOrders = async (userId) => {
     }
 };
 
-/**
- * Fonction placeholder pour l'envoi d'email.
- * Dans une application réelle, cela utiliserait un service d'envoi d'emails (SendGrid, Nodemailer, etc.).
- * @param {string} email - L'adresse email du destinataire.
- * @param {string} subject - Le sujet de l'email.
- * @param {string} body - Le corps de l'email.
- * @returns {Promise<boolean>} True si l'email a été "envoyé" (simulé), false sinon.
- */
-export const sendEmailToClient = async (email, subject, body) => {
-    console.log(`Simulating email send to ${email} with subject: ${subject} and body: ${body}`);
-    // Ici, vous intégreriez votre logique d'envoi d'email réelle
-    return true; // Simule le succès
-};
-
 /**
  * Génère un rapport des ventes filtrable par période.
  * @param {string} startDate - Date de début (format YYYY-MM-DD).
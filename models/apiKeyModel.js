@@ -0,0 +1,102 @@
+// models/apiKeyModel.js
+import pool from "../db/db.js";
+
+// Colonnes renvoyées par l'API (jamais le hachage de la clé).
+const PUBLIC_COLUMNS = `k.api_key_id, k.name, k.key_prefix, k.permissions, k.allowed_ips, k.expires_at,
+                k.created_by, k.created_at, k.last_used_at, k.last_used_ip, k.revoked_at`;
+
+/**
+ * Enregistre une nouvelle clé API.
+ * @param {object} keyData - { name, keyPrefix, keyHash, permissions, allowedIps, expiresAt, createdBy }.
+ * @returns {Promise<object>} La clé créée (sans le hachage).
+ */
+export const createApiKey = async (keyData) => {
+    const { name, keyPrefix, keyHash, permissions, allowedIps = null, expiresAt = null, createdBy } = keyData;
+    try {
+        const result = await pool.query(
+            `INSERT INTO ApiKeys AS k (name, key_prefix, key_hash, permissions, allowed_ips, expires_at, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING ${PUBLIC_COLUMNS};`,
+            [name, keyPrefix, keyHash, permissions, allowedIps, expiresAt, createdBy]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans apiKeyModel.createApiKey:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Récupère une clé API à partir du hachage de la clé.
+ * @param {string} keyHash - Le hachage SHA-256 de la clé.
+ * @returns {Promise<object | undefined>} La clé trouvée, ou undefined.
+ */
+export const findApiKeyByHash = async (keyHash) => {
+    try {
+        const result = await pool.query(
+            `SELECT ${PUBLIC_COLUMNS} FROM ApiKeys k WHERE k.key_hash = $1;`,
+            [keyHash]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans apiKeyModel.findApiKeyByHash:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Récupère toutes les clés API avec l'email de leur créateur.
+ * @returns {Promise<Array>} Un tableau de clés (sans les hachages).
+ */
+export const getApiKeys = async () => {
+    try {
+        const result = await pool.query(
+            `SELECT ${PUBLIC_COLUMNS}, u.email AS created_by_email
+             FROM ApiKeys k
+             JOIN Users u ON k.created_by = u.user_id
+             ORDER BY k.created_at DESC;`
+        );
+        return result.rows;
+    } catch (error) {
+        console.error("Erreur dans apiKeyModel.getApiKeys:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Enregistre la dernière utilisation d'une clé API.
+ * @param {string} apiKeyId - L'ID de la clé.
+ * @param {string | null} ipAddress - L'adresse IP de l'appelant.
+ * @returns {Promise<void>}
+ */
+export const touchApiKey = async (apiKeyId, ipAddress) => {
+    try {
+        await pool.query(
+            `UPDATE ApiKeys SET last_used_at = NOW(), last_used_ip = $2 WHERE api_key_id = $1;`,
+            [apiKeyId, ipAddress]
+        );
+    } catch (error) {
+        console.error("Erreur dans apiKeyModel.touchApiKey:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Révoque une clé API.
+ * @param {string} apiKeyId - L'ID de la clé.
+ * @returns {Promise<object | undefined>} La clé révoquée, ou undefined si non trouvée ou déjà révoquée.
+ */
+export const revokeApiKey = async (apiKeyId) => {
+    try {
+        const result = await pool.query(
+            `UPDATE ApiKeys AS k SET revoked_at = NOW()
+             WHERE k.api_key_id = $1 AND k.revoked_at IS NULL
+             RETURNING ${PUBLIC_COLUMNS};`,
+            [apiKeyId]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans apiKeyModel.revokeApiKey:", error.message);
+        throw error;
+    }
+};
@@ -0,0 +1,225 @@
+// models/authorModel.js
+import pool from "../db/db.js";
+
+// Rôles possibles d'un contributeur sur un livre (voir db/migrations/014_authors.sql).
+export const AUTHOR_ROLES = ["author", "translator", "illustrator"];
+
+// Clé de dédoublonnage d'un nom localisé passé en paramètre JSONB (nom français, sinon anglais).
+const nameKeySql = (paramRef) => `author_name_key(COALESCE(NULLIF(${paramRef}::jsonb->>'fr', ''), ${paramRef}::jsonb->>'en'))`;
+
+/**
+ * Requête qui recopie dans Books.author_name les noms des auteurs (rôle 'author') liés, dans l'ordre d'affichage,
+ * pour que la recherche et l'affichage existants restent cohérents avec la fiche auteur.
+ * @param {string} bookCondition - La condition qui sélectionne les livres à resynchroniser (sur b.book_id).
+ * @returns {string}
+ */
+const syncAuthorNamesSql = (bookCondition) => `
+    UPDATE Books b
+    SET author_name = names.author_name
+    FROM (
+        SELECT ba.book_id,
+            jsonb_build_object(
+                'fr', string_agg(COALESCE(NULLIF(a.name->>'fr', ''), a.name->>'en'), ', ' ORDER BY ba.position),
+                'en', string_agg(COALESCE(NULLIF(a.name->>'en', ''), a.name->>'fr'), ', ' ORDER BY ba.position)
+            ) AS author_name
+        FROM BookAuthors ba
+        JOIN Authors a ON a.author_id = ba.author_id
+        WHERE ba.role = 'author'
+        GROUP BY ba.book_id
+    ) names
+    WHERE names.book_id = b.book_id AND ${bookCondition};`;
+
+/**
+ * Liste les auteurs ayant au moins un livre, triés par nom dans la langue demandée.
+ * @param {object} options
+ * @param {string} options.locale - La langue du tri ('fr' ou 'en').
+ * @param {string} [options.search] - Filtre sur le nom (toutes langues, insensible à la casse).
+ * @param {number} options.limit - Le nombre d'auteurs par page.
+ * @param {number} [options.offset=0] - Le décalage.
+ * @param {boolean} [options.includeWithoutBooks=false] - Inclure les auteurs sans livre (administration).
+ * @returns {Promise<{ authors: Array, total: number }>} Chaque auteur porte book_count.
+ */
+export const findAuthors = async ({ locale, search, limit, offset = 0, includeWithoutBooks = false }) => {
+    const conditions = [];
+    const values = [];
+    if (search) {
+        values.push(`%${search}%`);
+        conditions.push(`(a.name->>'fr' ILIKE $${values.length} OR a.name->>'en' ILIKE $${values.length})`);
+    }
+    if (!includeWithoutBooks) {
+        conditions.push(`EXISTS (SELECT 1 FROM BookAuthors ba WHERE ba.author_id = a.author_id)`);
+    }
+    const whereSql = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+    const pageValues = [...values, locale, limit, offset];
+    const [localeParam, limitParam, offsetParam] = [values.length + 1, values.length + 2, values.length + 3].map((index) => `$${index}`);
+
+    try {
+        const [authorsResult, countResult] = await Promise.all([
+            pool.query(
+                `SELECT
+                    a.author_id,
+                    a.name,
+                    a.bio,
+                    a.photo_url,
+                    (SELECT COUNT(DISTINCT ba.book_id)::int FROM BookAuthors ba WHERE ba.author_id = a.author_id) AS book_count
+                 FROM Authors a
+                 ${whereSql}
+                 ORDER BY LOWER(COALESCE(NULLIF(a.name->>${localeParam}::text, ''), a.name->>'fr', a.name->>'en')), a.author_id
+                 LIMIT ${limitParam} OFFSET ${offsetParam};`,
+                pageValues
+            ),
+            pool.query(`SELECT COUNT(*) FROM Authors a ${whereSql};`, values),
+        ]);
+        return { authors: authorsResult.rows, total: parseInt(countResult.rows[0].count, 10) };
+    } catch (error) {
+        console.error("Erreur dans authorModel.findAuthors:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Récupère un auteur par son ID.
+ * @param {string} authorId - L'ID de l'auteur.
+ * @returns {Promise<object | undefined>} { author_id, name, bio, photo_url, created_at, updated_at }.
+ */
+export const findAuthorById = async (authorId) => {
+    try {
+        const result = await pool.query(
+            `SELECT author_id, name, bio, photo_url, created_at, updated_at FROM Authors WHERE author_id = $1;`,
+            [authorId]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans authorModel.findAuthorById:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Récupère les contributeurs d'un livre, dans l'ordre d'affichage.
+ * @param {string} bookId - L'ID du livre.
+ * @returns {Promise<Array>} [{ author_id, name, photo_url, role }].
+ */
+export const findAuthorsByBookId = async (bookId) => {
+    try {
+        const result = await pool.query(
+            `SELECT a.author_id, a.name, a.photo_url, ba.role
+             FROM BookAuthors ba
+             JOIN Authors a ON a.author_id = ba.author_id
+             WHERE ba.book_id = $1
+             ORDER BY ba.position, ba.role;`,
+            [bookId]
+        );
+        return result.rows;
+    } catch (error) {
+        console.error("Erreur dans authorModel.findAuthorsByBookId:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Crée un auteur.
+ * @param {object} authorData - { name, bio, photo_url } ; name et bio sont des objets { fr, en }.
+ * @returns {Promise<object>} L'auteur créé. Une graphie déjà connue lève une erreur 23505.
+ */
+export const createAuthor = async (authorData) => {
+    const { name, bio = null, photo_url = null } = authorData;
+    try {
+        const result = await pool.query(
+            `INSERT INTO Authors (name, bio, photo_url, name_key)
+             VALUES ($1, $2, $3, ${nameKeySql("$1")})
+             RETURNING author_id, name, bio, photo_url, created_at, updated_at;`,
+            [name, bio, photo_url]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans authorModel.createAuthor:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Met à jour un auteur. Seuls les champs fournis sont modifiés ; un changement de nom est
+ * répercuté sur le champ author_name de ses livres (transaction).
+ * @param {string} authorId - L'ID de l'auteur.
+ * @param {object} authorData - { name, bio, photo_url }.
+ * @returns {Promise<object | undefined>} L'auteur mis à jour.
+ */
+export const updateAuthor = async (authorId, authorData) => {
+    const { name = null, bio = null, photo_url = null } = authorData;
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        const result = await client.query(
+            `UPDATE Authors
+             SET name = COALESCE($2, name),
+                 bio = COALESCE($3, bio),
+                 photo_url = COALESCE($4, photo_url),
+                 name_key = CASE WHEN $2::jsonb IS NULL THEN name_key ELSE ${nameKeySql("$2")} END,
+                 updated_at = NOW()
+             WHERE author_id = $1
+             RETURNING author_id, name, bio, photo_url, created_at, updated_at;`,
+            [authorId, name, bio, photo_url]
+        );
+        if (result.rows[0] && name) {
+            await client.query(
+                syncAuthorNamesSql(`b.book_id IN (SELECT book_id FROM BookAuthors WHERE author_id = $1)`),
+                [authorId]
+            );
+        }
+        await client.query("COMMIT");
+        return result.rows[0];
+    } catch (error) {
+        await client.query("ROLLBACK");
+        console.error("Erreur dans authorModel.updateAuthor:", error.message);
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Supprime un auteur. Un auteur encore lié à un livre lève une erreur 23503.
+ * @param {string} authorId - L'ID de l'auteur.
+ * @returns {Promise<object | undefined>} L'auteur supprimé.
+ */
+export const deleteAuthor = async (authorId) => {
+    try {
+        const result = await pool.query(
+            `DELETE FROM Authors WHERE author_id = $1 RETURNING author_id, name;`,
+            [authorId]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans authorModel.deleteAuthor:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Remplace les contributeurs d'un livre (transaction) puis resynchronise son champ author_name.
+ * @param {string} bookId - L'ID du livre.
+ * @param {Array<{ author_id: string, role: string }>} contributors - Les contributeurs, dans l'ordre d'affichage.
+ * @returns {Promise<void>}
+ */
+export const setBookAuthors = async (bookId, contributors) => {
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        await client.query(`DELETE FROM BookAuthors WHERE book_id = $1;`, [bookId]);
+        for (const [position, { author_id, role }] of contributors.entries()) {
+            await client.query(
+                `INSERT INTO BookAuthors (book_id, author_id, role, position) VALUES ($1, $2, $3, $4);`,
+                [bookId, author_id, role, position]
+            );
+        }
+        await client.query(syncAuthorNamesSql(`b.book_id = $1`), [bookId]);
+        await client.query("COMMIT");
+    } catch (error) {
+        await client.query("ROLLBACK");
+        console.error("Erreur dans authorModel.setBookAuthors:", error.message);
+        throw error;
+    } finally {
+        client.release();
+    }
+};
@@ -0,0 +1,94 @@
+// models/bookFileModel.js
+import pool from "../db/db.js";
+
+const BOOK_FILE_COLUMNS = "file_id, book_id, kind, storage_driver, storage_key, url, original_name, mime_type, size_bytes::float8 AS size_bytes, checksum_sha256, uploaded_by, created_at, width, height, dominant_color, blurhash, variants";
+
+/**
+ * Expression SQL de l'objet cover d'un livre : l'image de Books.cover_image_url et, si elle a été uploadée, ses dimensions,
+ * sa couleur dominante, son blurhash et ses déclinaisons (fichier 'cover' de BookFiles ayant la même URL).
+ * Une couverture externe donne un objet { url } aux autres champs nuls ; un livre sans couverture donne null.
+ * @param {string} bookRef - L'alias ou le nom de la table Books dans la requête (ex: 'b').
+ * @returns {string} { url, width, height, dominant_color, blurhash, variants: { thumbnail, card, detail } } où chaque
+ * déclinaison vaut { width, height, webp, jpeg }.
+ */
+export const bookCoverSql = (bookRef) => `CASE WHEN ${bookRef}.cover_image_url IS NOT NULL THEN COALESCE(
+        (SELECT jsonb_build_object('url', cf.url, 'width', cf.width, 'height', cf.height,
+                                   'dominant_color', cf.dominant_color, 'blurhash', cf.blurhash, 'variants', cf.variants)
+         FROM BookFiles cf
+         WHERE cf.kind = 'cover' AND cf.url = ${bookRef}.cover_image_url
+         ORDER BY cf.created_at DESC
+         LIMIT 1),
+        jsonb_build_object('url', ${bookRef}.cover_image_url, 'width', NULL, 'height', NULL,
+                           'dominant_color', NULL, 'blurhash', NULL, 'variants', NULL)
+    ) END`;
+
+/**
+ * Enregistre un fichier uploadé.
+ * @param {object} fileData - { bookId, kind, storageDriver, storageKey, url, originalName, mimeType, sizeBytes, checksum, uploadedBy },
+ * et pour une couverture { width, height, dominantColor, blurhash, variants } (voir storage/coverImages.js).
+ * @returns {Promise<object>} Le fichier enregistré.
+ */
+export const insertBookFile = async (fileData) => {
+    const {
+        bookId = null, kind, storageDriver, storageKey, url, originalName = null, mimeType, sizeBytes, checksum, uploadedBy = null,
+        width = null, height = null, dominantColor = null, blurhash = null, variants = null,
+    } = fileData;
+    try {
+        const result = await pool.query(
+            `INSERT INTO BookFiles (book_id, kind, storage_driver, storage_key, url, original_name, mime_type, size_bytes, checksum_sha256, uploaded_by,
+                                    width, height, dominant_color, blurhash, variants)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+             RETURNING ${BOOK_FILE_COLUMNS};`,
+            [bookId, kind, storageDriver, storageKey, url, originalName, mimeType, sizeBytes, checksum, uploadedBy,
+                width, height, dominantColor, blurhash, variants && JSON.stringify(variants)]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans bookFileModel.insertBookFile:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Récupère le fichier ebook actuellement servi pour un livre : le dernier ebook rattaché au livre (BookFiles.book_id).
+ * Books.book_file_url n'est pas consulté, afin qu'un livre ne puisse pas servir le fichier d'un autre livre.
+ * @param {string} bookId - L'ID du livre.
+ * @returns {Promise<object | undefined>} undefined si aucun ebook n'est rattaché au livre.
+ */
+export const findBookEbookFile = async (bookId) => {
+    try {
+        const result = await pool.query(
+            `SELECT ${BOOK_FILE_COLUMNS} FROM BookFiles
+             WHERE book_id = $1 AND kind = 'ebook'
+             ORDER BY created_at DESC
+             LIMIT 1;`,
+            [bookId]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans bookFileModel.findBookEbookFile:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Rattache à un livre l'ebook uploadé sans book_id dont l'URL est donnée (ebook uploadé avant la création du livre).
+ * Un fichier déjà rattaché à un autre livre n'est jamais déplacé.
+ * @param {string} bookId - L'ID du livre.
+ * @param {string} url - L'URL publique du fichier (Books.book_file_url).
+ * @returns {Promise<object | undefined>} Le fichier rattaché, ou undefined si aucun ebook libre n'a cette URL.
+ */
+export const attachEbookFileByUrl = async (bookId, url) => {
+    try {
+        const result = await pool.query(
+            `UPDATE BookFiles SET book_id = $1
+             WHERE kind = 'ebook' AND url = $2 AND book_id IS NULL
+             RETURNING ${BOOK_FILE_COLUMNS};`,
+            [bookId, url]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans bookFileModel.attachEbookFileByUrl:", error.message);
+        throw error;
+    }
+};
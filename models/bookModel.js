@@ -1,8 +1,10 @@
 import pool from "../db/db.js";
+import { categorySubtreeSql } from "./categoryModel.js";
+import { bookCoverSql } from "./bookFileModel.js";
 /**
  * Insère un nouveau livre dans la base de données.
  * @param {object} bookData - Un objet contenant toutes les données du livre à insérer.
- * @returns {Promise<object>} Le livre inséré avec son ID généré.
+ * @returns {Promise<object>} Le livre inséré avec son ID généré (colonnes publiques, sans book_file_url).
  */
 export const insertBook = async (bookData) => {
     const {
@@ -20,7 +22,7 @@ export const insertBook = async (bookData) => {
     } = bookData;
     try {
         const result = await pool.query(
-            `INSERT INTO Books (
+            `INSERT INTO Books AS b (
                 title,
                 author_name,
                 category_id,
@@ -33,7 +35,7 @@ export const insertBook = async (bookData) => {
                 format,
                 file_size_mb
             ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-            RETURNING *;`,
+            RETURNING ${PUBLIC_BOOK_COLUMNS};`,
             [
                 JSON.stringify(title),
                 JSON.stringify(author_name),
@@ -53,41 +55,240 @@ export const insertBook = async (bookData) => {
         throw error;
     }
 };
+// Colonnes publiques d'un livre : l'URL du fichier téléchargeable (book_file_url) n'est jamais exposée.
+const PUBLIC_BOOK_COLUMNS = `
+    b.book_id,
+    b.title,
+    b.author_name,
+    b.category_id,
+    b.price,
+    b.creation_date,
+    b.description,
+    b.cover_image_url,
+    b.availability,
+    b.rating,
+    b.format,
+    b.file_size_mb,
+    b.series_id,
+    b.series_volume::float8 AS series_volume,
+    ${bookCoverSql("b")} AS cover`;
+
+// Note du livre en nombre (le JSONB peut contenir un nombre ou une chaîne numérique) ; 0 si absente.
+const RATING_SQL = `COALESCE(CASE WHEN b.rating #>> '{}' ~ '^[0-9]+(\\.[0-9]+)?$' THEN (b.rating #>> '{}')::numeric END, 0)`;
+
+// Popularité : nombre de likes + nombre d'achats (bibliothèques).
+const POPULARITY_SQL = `((SELECT COUNT(*) FROM booklikes bl WHERE bl.book_id = b.book_id)
+    + (SELECT COUNT(*) FROM UserBooks ub WHERE ub.book_id = b.book_id))`;
+
+// Clés de tri numériques (la date est convertie en epoch) : elles servent aussi de position pour la pagination par curseur.
+export const BOOK_SORTS = {
+    price: "b.price::numeric",
+    creation_date: "EXTRACT(EPOCH FROM b.creation_date)",
+    rating: RATING_SQL,
+    popularity: POPULARITY_SQL,
+};
+
+/**
+ * Condition SQL vraie si un champ JSONB localisé ({ fr, en }) ou simple vaut le paramètre (insensible à la casse).
+ * @param {string} column - La colonne (ex: 'b.format').
+ * @param {string} paramRef - La référence du paramètre (ex: '$3').
+ * @returns {string}
+ */
+const localizedEquals = (column, paramRef) =>
+    `LOWER(${paramRef}) IN (LOWER(${column}->>'fr'), LOWER(${column}->>'en'), LOWER(${column} #>> '{}'))`;
+
+/**
+ * Condition SQL vraie si un champ JSONB localisé ({ fr, en }) ou simple correspond au motif ILIKE.
+ * @param {string} column - La colonne (ex: 'b.author_name').
+ * @param {string} paramRef - La référence du paramètre (motif '%...%').
+ * @returns {string}
+ */
+const localizedContains = (column, paramRef) =>
+    `(${column}->>'fr' ILIKE ${paramRef} OR ${column}->>'en' ILIKE ${paramRef} OR (jsonb_typeof(${column}) = 'string' AND ${column} #>> '{}' ILIKE ${paramRef}))`;
+
+/**
+ * Construit la clause WHERE des filtres du catalogue.
+ * @param {object} filters - { categoryId, categoryName, minPrice, maxPrice, minRating, format, availability, author }.
+ * categoryId inclut les sous-catégories.
+ * @param {Array} [initialValues] - Les paramètres déjà utilisés par la requête (les filtres sont numérotés à la suite).
+ * @returns {{ conditions: string[], values: Array }}
+ */
+const buildBookFilters = (filters, initialValues = []) => {
+    const conditions = [];
+    const values = [...initialValues];
+    const addParam = (value) => {
+        values.push(value);
+        return `$${values.length}`;
+    };
+
+    if (filters.categoryId) {
+        // Une catégorie inclut les livres de ses sous-catégories
+        conditions.push(`b.category_id IN (${categorySubtreeSql(addParam(filters.categoryId))})`);
+    }
+    if (filters.categoryName) {
+        const param = addParam(filters.categoryName);
+        conditions.push(`(bc.category_name->>'fr' ILIKE ${param} OR bc.category_name->>'en' ILIKE ${param})`);
+    }
+    if (filters.minPrice !== undefined) {
+        conditions.push(`b.price >= ${addParam(filters.minPrice)}`);
+    }
+    if (filters.maxPrice !== undefined) {
+        conditions.push(`b.price <= ${addParam(filters.maxPrice)}`);
+    }
+    if (filters.minRating !== undefined) {
+        conditions.push(`${RATING_SQL} >= ${addParam(filters.minRating)}`);
+    }
+    if (filters.format) {
+        conditions.push(localizedEquals("b.format", addParam(filters.format)));
+    }
+    if (filters.availability) {
+        conditions.push(localizedEquals("b.availability", addParam(filters.availability)));
+    }
+    if (filters.author) {
+        conditions.push(localizedContains("b.author_name", addParam(`%${filters.author}%`)));
+    }
+    return { conditions, values };
+};
+
+/**
+ * Récupère une page du catalogue, filtrée et triée, sans l'URL du fichier téléchargeable.
+ * La pagination se fait par page (offset) ou par curseur (position après le dernier livre renvoyé).
+ * @param {object} options
+ * @param {object} [options.filters] - Les filtres (voir buildBookFilters).
+ * @param {string} [options.sort='creation_date'] - La clé de tri (clé de BOOK_SORTS).
+ * @param {string} [options.order='desc'] - 'asc' ou 'desc'.
+ * @param {number} options.limit - Le nombre de livres par page.
+ * @param {number} [options.offset=0] - Le décalage (pagination par page).
+ * @param {object | null} [options.cursor] - La position { value, id } (pagination par curseur).
+ * @returns {Promise<{ books: Array, total: number, nextPosition: object | null }>}
+ * nextPosition est la position du dernier livre renvoyé s'il reste des livres après lui.
+ */
+export const findBooks = async ({ filters = {}, sort = "creation_date", order = "desc", limit, offset = 0, cursor = null }) => {
+    const sortSql = BOOK_SORTS[sort];
+    const direction = order === "asc" ? "ASC" : "DESC";
+    const { conditions, values } = buildBookFilters(filters);
+    const whereSql = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const pageConditions = [...conditions];
+    const pageValues = [...values];
+    if (cursor) {
+        // Départage par book_id pour un ordre total (plusieurs livres peuvent avoir le même prix)
+        pageValues.push(cursor.value, cursor.id);
+        pageConditions.push(
+            `(${sortSql}, b.book_id) ${direction === "ASC" ? ">" : "<"} ($${pageValues.length - 1}::numeric, $${pageValues.length}::uuid)`
+        );
+    }
+    pageValues.push(limit + 1, offset);
+    const pageWhereSql = pageConditions.length > 0 ? `WHERE ${pageConditions.join(" AND ")}` : "";
+
+    try {
+        const [booksResult, countResult] = await Promise.all([
+            pool.query(
+                `SELECT ${PUBLIC_BOOK_COLUMNS},
+                    bc.category_name,
+                    ${POPULARITY_SQL} AS popularity,
+                    (${sortSql})::text AS sort_value
+                 FROM Books b
+                 JOIN BookCategories bc ON b.category_id = bc.category_id
+                 ${pageWhereSql}
+                 ORDER BY ${sortSql} ${direction}, b.book_id ${direction}
+                 LIMIT $${pageValues.length - 1} OFFSET $${pageValues.length};`,
+                pageValues
+            ),
+            pool.query(
+                `SELECT COUNT(*)
+                 FROM Books b
+                 JOIN BookCategories bc ON b.category_id = bc.category_id
+                 ${whereSql};`,
+                values
+            ),
+        ]);
+
+        const hasMore = booksResult.rows.length > limit;
+        const rows = booksResult.rows.slice(0, limit);
+        const lastRow = rows[rows.length - 1];
+        const books = rows.map(({ sort_value, popularity, ...book }) => ({ ...book, popularity: parseInt(popularity, 10) }));
+
+        return {
+            books,
+            total: parseInt(countResult.rows[0].count, 10),
+            nextPosition: hasMore ? { value: lastRow.sort_value, id: lastRow.book_id } : null,
+        };
+    } catch (error) {
+        console.error("Erreur dans bookModel.findBooks:", error.message);
+        throw error;
+    }
+};
+
 /**
- * Récupère tous les livres de la base de données.
- * @returns {Promise<Array>} Un tableau de tous les livres.
+ * Récupère les livres d'une catégorie et de toutes ses sous-catégories, triés par titre.
+ * @param {string} categoryId - L'ID de la catégorie.
+ * @param {string} locale - La langue du tri par titre ('fr' ou 'en').
+ * @returns {Promise<Array>} Les livres, chacun avec category_name (celui de sa propre catégorie).
  */
-export const findAllBooks = async () => {
+export const findBooksByCategoryId = async (categoryId, locale) => {
     try {
-        const result = await pool.query("SELECT * FROM Books;");
+        const result = await pool.query(
+            `SELECT ${PUBLIC_BOOK_COLUMNS}, bc.category_name
+             FROM Books b
+             JOIN BookCategories bc ON b.category_id = bc.category_id
+             WHERE b.category_id IN (${categorySubtreeSql("$1")})
+             ORDER BY LOWER(book_localized_text(b.title, $2)), b.book_id;`,
+            [categoryId, locale]
+        );
         return result.rows;
     } catch (error) {
+        console.error("Erreur dans bookModel.findBooksByCategoryId:", error.message);
+        throw error;
+    }
+};
+/**
+ * Récupère la bibliographie d'un auteur : ses livres (tous rôles confondus), du plus récent au plus ancien.
+ * @param {string} authorId - L'ID de l'auteur.
+ * @returns {Promise<Array>} Les livres, chacun avec category_name et author_roles (ex: ['author', 'illustrator']).
+ */
+export const findBooksByAuthorId = async (authorId) => {
+    try {
+        const result = await pool.query(
+            `SELECT ${PUBLIC_BOOK_COLUMNS}, bc.category_name,
+                array_agg(ba.role ORDER BY ba.role) AS author_roles
+             FROM BookAuthors ba
+             JOIN Books b ON b.book_id = ba.book_id
+             JOIN BookCategories bc ON b.category_id = bc.category_id
+             WHERE ba.author_id = $1
+             GROUP BY b.book_id, bc.category_id
+             ORDER BY b.creation_date DESC, b.book_id;`,
+            [authorId]
+        );
+        return result.rows;
+    } catch (error) {
+        console.error("Erreur dans bookModel.findBooksByAuthorId:", error.message);
         throw error;
     }
 };
 
 /**
- * Récupère les livres d'une catégorie spécifique par son nom, en incluant l'ID et le nom de la catégorie.
- * @param {string} categoryName - Le nom de la catégorie (ex: 'Fantasy').
- * @returns {Promise<Array>} Un tableau de livres appartenant à cette catégorie.
+ * Récupère les tomes d'une série dans l'ordre de lecture.
+ * @param {string} seriesId - L'ID de la série.
+ * @returns {Promise<Array>} Les livres, chacun avec category_name.
  */
-export const findBooksByCategoryName = async (categoryName) => {
+export const findBooksBySeriesId = async (seriesId) => {
     try {
         const result = await pool.query(
-            `SELECT
-             b.* , bc.category_name
+            `SELECT ${PUBLIC_BOOK_COLUMNS}, bc.category_name
              FROM Books b
              JOIN BookCategories bc ON b.category_id = bc.category_id
-             WHERE (bc.category_name->>'en' ILIKE $1 OR bc.category_name->>'fr' ILIKE $1)
-             ORDER BY b.title ASC;`,
-            [`%${categoryName}%`]
+             WHERE b.series_id = $1
+             ORDER BY b.series_volume, b.book_id;`,
+            [seriesId]
         );
         return result.rows;
     } catch (error) {
-        console.error("Erreur dans bookModel.findBooksByCategoryName:", error.message);
+        console.error("Erreur dans bookModel.findBooksBySeriesId:", error.message);
         throw error;
     }
 };
+
 /**
  * Récupère un livre spécifique par son ID.
  * @param {string} bookId - L'ID UUID du livre.
@@ -97,7 +298,7 @@ export const findBookById = async (bookId) => {
     try {
         const result = await pool.query(
             `SELECT
-             b.*, bc.category_name AS category_name_string
+             b.*, bc.category_name AS category_name_string, ${bookCoverSql("b")} AS cover
              FROM Books b
              JOIN BookCategories bc ON b.category_id = bc.category_id
              WHERE b.book_id = $1;`, 
@@ -114,7 +315,7 @@ export const findBookById = async (bookId) => {
  * Met à jour un livre existant dans la base de données.
  * @param {string} bookId - L'ID UUID du livre à mettre à jour.
  * @param {object} bookData - Un objet contenant les champs du livre à mettre à jour.
- * @returns {Promise<object | undefined>} Le livre mis à jour, ou undefined si non trouvé.
+ * @returns {Promise<object | undefined>} Le livre mis à jour (colonnes publiques, sans book_file_url), ou undefined si non trouvé.
  */
 export const updateBookById = async (bookId, bookData) => {
     const fieldsToUpdate = [];
@@ -131,10 +332,10 @@ export const updateBookById = async (bookId, bookData) => {
         return undefined;
     }
     const queryText = `
-        UPDATE Books
+        UPDATE Books AS b
         SET ${fieldsToUpdate.join(', ')}
-        WHERE book_id = $1
-        RETURNING *;
+        WHERE b.book_id = $1
+        RETURNING ${PUBLIC_BOOK_COLUMNS};
     `;
     try {
         const result = await pool.query(queryText, values);
@@ -144,57 +345,201 @@ export const updateBookById = async (bookId, bookData) => {
         throw error;
     }
 };
+// Configurations de recherche plein texte par langue (voir db/migrations/013_book_search.sql).
+export const SEARCH_CONFIGS = { fr: "french", en: "english" };
+
+// Options de ts_headline : titre entièrement surligné, description réduite à deux extraits.
+const TITLE_HEADLINE_OPTIONS = "StartSel=<mark>, StopSel=</mark>, HighlightAll=TRUE";
+const SNIPPET_HEADLINE_OPTIONS = "StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=30, MinWords=10, FragmentDelimiter=\" … \"";
+
+// Un livre correspond s'il correspond à la requête en français ou en anglais, ou (fautes de frappe)
+// si la requête ressemble suffisamment à son titre ou à son auteur (pg_trgm.word_similarity_threshold).
+const SEARCH_MATCH_SQL = `(b.search_vector_fr @@ websearch_to_tsquery('french', $1)
+    OR b.search_vector_en @@ websearch_to_tsquery('english', $1)
+    OR LOWER($1) <% b.search_text)`;
+
+// Pertinence : meilleur score plein texte des deux langues (normalisé entre 0 et 1), complété par la similarité trigramme.
+const SEARCH_RANK_SQL = `(GREATEST(
+        ts_rank_cd(b.search_vector_fr, websearch_to_tsquery('french', $1), 32),
+        ts_rank_cd(b.search_vector_en, websearch_to_tsquery('english', $1), 32)
+    ) + 0.5 * word_similarity(LOWER($1), b.search_text))`;
+
 /**
- * Recherche des livres en fonction de critères de filtre (titre, prix max).
- * @param {object} filters - Un objet contenant les critères de recherche (ex: { title: 'dune', maxPrice: 20 }).
- * @param {string} [filters.title] - Le titre ou une partie du titre à rechercher.
- * @param {number} [filters.maxPrice] - Le prix maximum du livre à rechercher.
- * @returns {Promise<Array>} Un tableau de livres correspondant aux critères de recherche.
+ * Échappe un extrait renvoyé par ts_headline en ne conservant que les balises <mark> du surlignage.
+ * @param {string | null} headline - L'extrait brut.
+ * @returns {string | null}
  */
-export const searchBooks = async (filters) => {
-    const { title, maxPrice } = filters;
-    let queryText = `
-        SELECT
-            b.book_id,
-            b.title,
-            b.author_name,
-            b.category_id,
-            b.price,
-            b.creation_date,
-            b.description,
-            b.cover_image_url,
-            b.book_file_url,
-            b.availability,
-            b.rating,
-            b.format,
-            b.file_size_mb,
-            bc.category_name AS category_name_string
-        FROM Books b
-        JOIN BookCategories bc ON b.category_id = bc.category_id
-    `;
-    const queryParams = [];
-    const conditions = [];
-    let paramIndex = 1;
-    if (title) {
-        conditions.push(`b.title ILIKE $${paramIndex}`);
-        queryParams.push(`%${title}%`);
-        paramIndex++;
+const sanitizeHeadline = (headline) => {
+    if (headline === null || headline === undefined) {
+        return null;
     }
+    return String(headline)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/&lt;(\/?)mark&gt;/g, "<$1mark>");
+};
 
-    if (maxPrice !== undefined && maxPrice !== null) { 
-        conditions.push(`b.price <= $${paramIndex}`); 
-        queryParams.push(maxPrice);
-        paramIndex++;
-    }
-    if (conditions.length > 0) {
-        queryText += ` WHERE ${conditions.join(' AND ')}`; 
+/**
+ * Échappe les caractères spéciaux d'un motif LIKE.
+ * @param {string} value - Le texte saisi.
+ * @returns {string}
+ */
+const escapeLikePattern = (value) => value.replace(/[\\%_]/g, "\\$&");
+
+// Tranches de prix des facettes de recherche (borne max exclue, null = sans limite).
+export const PRICE_FACET_BUCKETS = [
+    { min: 0, max: 10 },
+    { min: 10, max: 20 },
+    { min: 20, max: 50 },
+    { min: 50, max: null },
+];
+
+// Seuils des facettes de note (« 4 étoiles et plus », etc.), utilisables avec le filtre minRating.
+export const RATING_FACET_THRESHOLDS = [4, 3, 2, 1];
+
+/**
+ * Calcule les facettes (catégories, formats, disponibilités, tranches de prix et de note) sur l'ensemble
+ * des livres correspondant à une recherche, filtres compris.
+ * @param {string} whereSql - La condition de la recherche (texte et filtres).
+ * @param {Array} values - Les paramètres de cette condition.
+ * @returns {Promise<{ categories: Array, formats: Array, availability: Array, price: Array, rating: Array }>}
+ */
+const findSearchFacets = async (whereSql, values) => {
+    // Les bornes viennent des constantes ci-dessus, jamais de la requête HTTP
+    const priceCounts = PRICE_FACET_BUCKETS.map(({ min, max }) =>
+        `COUNT(*) FILTER (WHERE price >= ${min}${max === null ? "" : ` AND price < ${max}`})`);
+    const ratingCounts = RATING_FACET_THRESHOLDS.map((threshold) => `COUNT(*) FILTER (WHERE rating >= ${threshold})`);
+    const groupCounts = (column) => `(SELECT COALESCE(jsonb_agg(jsonb_build_object('value', ${column}, 'count', count) ORDER BY count DESC), '[]'::jsonb)
+            FROM (SELECT ${column}, COUNT(*) AS count FROM matched WHERE ${column} IS NOT NULL GROUP BY ${column}) grouped)`;
+
+    const result = await pool.query(
+        `WITH matched AS (
+            SELECT b.category_id, bc.category_name, b.format, b.availability, b.price, ${RATING_SQL} AS rating
+            FROM Books b
+            JOIN BookCategories bc ON b.category_id = bc.category_id
+            WHERE ${whereSql}
+         )
+         SELECT
+            (SELECT COALESCE(jsonb_agg(jsonb_build_object('category_id', category_id, 'category_name', category_name, 'count', count) ORDER BY count DESC), '[]'::jsonb)
+                FROM (SELECT category_id, category_name, COUNT(*) AS count FROM matched GROUP BY category_id, category_name) grouped) AS categories,
+            ${groupCounts("format")} AS formats,
+            ${groupCounts("availability")} AS availability,
+            (SELECT jsonb_build_array(${priceCounts.join(", ")}) FROM matched) AS price_counts,
+            (SELECT jsonb_build_array(${ratingCounts.join(", ")}) FROM matched) AS rating_counts;`,
+        values
+    );
+
+    const { categories, formats, availability, price_counts, rating_counts } = result.rows[0];
+    return {
+        categories,
+        formats,
+        availability,
+        price: PRICE_FACET_BUCKETS.map((bucket, index) => ({ ...bucket, count: price_counts[index] })),
+        rating: RATING_FACET_THRESHOLDS.map((minRating, index) => ({ minRating, count: rating_counts[index] })),
+    };
+};
+
+/**
+ * Recherche plein texte dans les titres, auteurs et descriptions (français et anglais), avec tolérance
+ * aux fautes de frappe. Les résultats sont triés par pertinence et accompagnés d'extraits surlignés
+ * (balises <mark>, texte échappé) dans la langue demandée.
+ * @param {object} options
+ * @param {string} options.query - Le texte recherché (syntaxe websearch : "expression exacte", -exclusion, or).
+ * @param {string} options.locale - La langue des extraits ('fr' ou 'en').
+ * @param {object} [options.filters] - Les filtres du catalogue (voir buildBookFilters).
+ * @param {number} options.limit - Le nombre de résultats par page.
+ * @param {number} [options.offset=0] - Le décalage.
+ * @param {boolean} [options.facets=false] - Calculer aussi les facettes de l'ensemble des résultats (voir findSearchFacets).
+ * @returns {Promise<{ books: Array, total: number, facets?: object }>}
+ */
+export const searchBooks = async ({ query, locale, filters = {}, limit, offset = 0, facets = false }) => {
+    // $1 est le texte recherché ; les filtres sont numérotés à la suite
+    const { conditions, values } = buildBookFilters(filters, [query]);
+    const whereSql = [SEARCH_MATCH_SQL, ...conditions].join(" AND ");
+
+    const pageValues = [...values, locale, SEARCH_CONFIGS[locale], TITLE_HEADLINE_OPTIONS, SNIPPET_HEADLINE_OPTIONS, limit, offset];
+    const [localeParam, configParam, titleOptionsParam, snippetOptionsParam, limitParam, offsetParam] =
+        pageValues.slice(values.length).map((value, index) => `$${values.length + index + 1}`);
+
+    try {
+        const [booksResult, countResult, facetsResult] = await Promise.all([
+            // Les extraits (coûteux) ne sont calculés que pour la page renvoyée
+            pool.query(
+                `SELECT ranked.*,
+                    ts_headline(${configParam}::regconfig, book_localized_text(ranked.title, ${localeParam}),
+                        websearch_to_tsquery(${configParam}::regconfig, $1), ${titleOptionsParam}) AS title_highlight,
+                    ts_headline(${configParam}::regconfig, book_localized_text(ranked.description, ${localeParam}),
+                        websearch_to_tsquery(${configParam}::regconfig, $1), ${snippetOptionsParam}) AS snippet
+                 FROM (
+                    SELECT ${PUBLIC_BOOK_COLUMNS},
+                        bc.category_name,
+                        ${SEARCH_RANK_SQL} AS relevance
+                    FROM Books b
+                    JOIN BookCategories bc ON b.category_id = bc.category_id
+                    WHERE ${whereSql}
+                    ORDER BY relevance DESC, b.book_id
+                    LIMIT ${limitParam} OFFSET ${offsetParam}
+                 ) ranked
+                 ORDER BY ranked.relevance DESC, ranked.book_id;`,
+                pageValues
+            ),
+            pool.query(
+                `SELECT COUNT(*)
+                 FROM Books b
+                 JOIN BookCategories bc ON b.category_id = bc.category_id
+                 WHERE ${whereSql};`,
+                values
+            ),
+            facets ? findSearchFacets(whereSql, values) : null,
+        ]);
+
+        const books = booksResult.rows.map(({ relevance, title_highlight, snippet, ...book }) => ({
+            ...book,
+            relevance: Number(relevance),
+            highlight: {
+                title: sanitizeHeadline(title_highlight),
+                snippet: sanitizeHeadline(snippet),
+            },
+        }));
+        const total = parseInt(countResult.rows[0].count, 10);
+        return facetsResult ? { books, total, facets: facetsResult } : { books, total };
+    } catch (error) {
+        console.error("Erreur dans bookModel.searchBooks:", error.message);
+        throw error;
     }
-    queryText += ` ORDER BY b.title ASC;`; 
+};
+
+/**
+ * Suggestions d'autocomplétion : titres commençant par / contenant le texte saisi, ou proches (fautes de frappe).
+ * @param {string} query - Le début de saisie.
+ * @param {string} locale - La langue du titre suggéré ('fr' ou 'en', repli sur l'autre langue).
+ * @param {number} limit - Le nombre maximum de suggestions.
+ * @returns {Promise<Array>} [{ book_id, suggestion, author_name, cover_image_url }].
+ */
+export const suggestBooks = async (query, locale, limit) => {
+    const pattern = escapeLikePattern(query.toLowerCase());
+    const fallbackLocale = locale === "fr" ? "en" : "fr";
     try {
-        const result = await pool.query(queryText, queryParams);
+        const result = await pool.query(
+            `SELECT
+                b.book_id,
+                COALESCE(NULLIF(book_localized_text(b.title, $2), ''), book_localized_text(b.title, $3)) AS suggestion,
+                b.author_name,
+                b.cover_image_url
+             FROM Books b
+             WHERE b.search_text LIKE $4 OR LOWER($1) <% b.search_text
+             ORDER BY
+                (LOWER(COALESCE(NULLIF(book_localized_text(b.title, $2), ''), book_localized_text(b.title, $3))) LIKE $5) DESC,
+                word_similarity(LOWER($1), b.search_text) DESC,
+                suggestion ASC
+             LIMIT $6;`,
+            [query, locale, fallbackLocale, `%${pattern}%`, `${pattern}%`, limit]
+        );
         return result.rows;
     } catch (error) {
-        console.error("Erreur dans bookModel.searchBooks:", error.message);
+        console.error("Erreur dans bookModel.suggestBooks:", error.message);
         throw error;
     }
 };
@@ -283,41 +628,3 @@ export const getCommentsForBook = async (bookId) => {
         throw error;
     }
 };
-
-/**
- * Récupère toutes les catégories de livres de la base de données.
- * @returns {Promise<Array>} Un tableau de toutes les catégories.
- */
-export const findAllCategories = async () => {
-    try {
-        const result = await pool.query("SELECT category_id, category_name, category_description, category_icon FROM BookCategories ORDER BY category_name ASC;");
-        return result.rows;
-    } catch (error) {
-        console.error("Erreur dans bookModel.findAllCategories:", error.message);
-        throw error;
-    }
-};
-
-/**
- * Insère une nouvelle catégorie de livre dans la base de données.
- * @param {object} categoryData - Un objet contenant les données de la catégorie à insérer.
- * @param {string} categoryData.category_name - Le nom de la catégorie (obligatoire).
- * @param {string} [categoryData.category_description] - La description de la catégorie (optionnel).
- * @param {string} [categoryData.category_icon] - L'icône de la catégorie (optionnel).
- * @returns {Promise<object>} La catégorie insérée avec son ID généré.
- */
-export const insertCategory = async (categoryData) => {
-    const { category_name, category_description, category_icon } = categoryData;
-    try {
-        const result = await pool.query(
-            `INSERT INTO BookCategories (category_name, category_description, category_icon)
-             VALUES ($1, $2, $3)
-             RETURNING *;`,
-            [JSON.stringify(category_name), JSON.stringify(category_description), category_icon]
-        );
-        return result.rows[0];
-    } catch (error) {
-        console.error("Erreur dans bookModel.insertCategory:", error.message);
-        throw error;
-    }
-};
@@ -0,0 +1,302 @@
+// models/categoryModel.js
+import pool from "../db/db.js";
+import { SUPPORTED_LOCALES } from "../utils/i18n.js";
+import { slugify } from "../utils/slug.js";
+
+const CATEGORY_COLUMNS = "category_id, parent_id, category_name, category_description, category_icon, slug, position";
+
+/**
+ * Sous-requête qui renvoie l'ID d'une catégorie et ceux de toutes ses sous-catégories, à tous les niveaux.
+ * @param {string} paramRef - La référence du paramètre contenant l'ID de la catégorie racine (ex: '$1').
+ * @returns {string} À utiliser dans une condition IN (...).
+ */
+export const categorySubtreeSql = (paramRef) => `
+    WITH RECURSIVE subtree AS (
+        SELECT category_id FROM BookCategories WHERE category_id = ${paramRef}::uuid
+        UNION ALL
+        SELECT c.category_id FROM BookCategories c JOIN subtree s ON c.parent_id = s.category_id
+    )
+    SELECT category_id FROM subtree`;
+
+/**
+ * Trouve un slug libre dans une langue : le slug demandé, sinon le même suffixé de -2, -3...
+ * @param {object} db - Le pool ou le client de transaction.
+ * @param {string} locale - La langue du slug.
+ * @param {string} baseSlug - Le slug souhaité.
+ * @param {string | null} [excludeId=null] - La catégorie à ignorer (celle qu'on modifie).
+ * @returns {Promise<string>}
+ */
+const findAvailableSlug = async (db, locale, baseSlug, excludeId = null) => {
+    const result = await db.query(
+        `SELECT slug->>$1::text AS slug FROM BookCategories
+         WHERE (slug->>$1::text = $2 OR slug->>$1::text LIKE $2 || '-%') AND category_id IS DISTINCT FROM $3::uuid;`,
+        [locale, baseSlug, excludeId]
+    );
+    const taken = new Set(result.rows.map((row) => row.slug));
+    let candidate = baseSlug;
+    for (let suffix = 2; taken.has(candidate); suffix++) {
+        candidate = `${baseSlug}-${suffix}`;
+    }
+    return candidate;
+};
+
+/**
+ * Liste toutes les catégories dans l'ordre de l'arbre (chaque parent suivi de ses sous-catégories, ordonnées par position).
+ * @returns {Promise<Array>} Chaque catégorie porte parent_id, slug, position, depth (0 pour une racine),
+ * book_count (livres rangés directement dans la catégorie) et total_book_count (sous-catégories comprises).
+ */
+export const findAllCategories = async () => {
+    try {
+        const result = await pool.query(
+            `WITH RECURSIVE tree AS (
+                SELECT category_id, 0 AS depth, ARRAY[lpad(position::text, 10, '0') || category_id::text] AS sort_path
+                FROM BookCategories
+                WHERE parent_id IS NULL
+                UNION ALL
+                SELECT c.category_id, t.depth + 1, t.sort_path || (lpad(c.position::text, 10, '0') || c.category_id::text)
+                FROM BookCategories c
+                JOIN tree t ON c.parent_id = t.category_id
+            ), descendants AS (
+                SELECT category_id AS ancestor_id, category_id FROM BookCategories
+                UNION ALL
+                SELECT d.ancestor_id, c.category_id FROM descendants d JOIN BookCategories c ON c.parent_id = d.category_id
+            ), direct_counts AS (
+                SELECT category_id, COUNT(*)::int AS book_count FROM Books GROUP BY category_id
+            )
+            SELECT
+                bc.category_id, bc.parent_id, bc.category_name, bc.category_description, bc.category_icon, bc.slug, bc.position,
+                tree.depth,
+                COALESCE(dc.book_count, 0) AS book_count,
+                (SELECT COALESCE(SUM(d.book_count), 0)::int
+                    FROM descendants des
+                    JOIN direct_counts d ON d.category_id = des.category_id
+                    WHERE des.ancestor_id = bc.category_id) AS total_book_count
+             FROM tree
+             JOIN BookCategories bc ON bc.category_id = tree.category_id
+             LEFT JOIN direct_counts dc ON dc.category_id = bc.category_id
+             ORDER BY tree.sort_path;`
+        );
+        return result.rows;
+    } catch (error) {
+        console.error("Erreur dans categoryModel.findAllCategories:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Récupère une catégorie par son ID, avec le nombre de livres rangés directement dedans.
+ * @param {string} categoryId - L'ID de la catégorie.
+ * @returns {Promise<object | undefined>}
+ */
+export const findCategoryById = async (categoryId) => {
+    try {
+        const result = await pool.query(
+            `SELECT ${CATEGORY_COLUMNS},
+                (SELECT COUNT(*)::int FROM Books b WHERE b.category_id = bc.category_id) AS book_count
+             FROM BookCategories bc
+             WHERE category_id = $1;`,
+            [categoryId]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans categoryModel.findCategoryById:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Retrouve une catégorie par son slug, dans n'importe quelle langue (celle demandée en priorité).
+ * Un nom exact (insensible à la casse) est aussi accepté, pour les anciens liens /api/books/category/:categoryName.
+ * @param {string} slug - Le slug (ex: 'science-fiction').
+ * @param {string} locale - La langue de la requête.
+ * @returns {Promise<object | undefined>}
+ */
+export const findCategoryBySlug = async (slug, locale) => {
+    try {
+        const result = await pool.query(
+            `SELECT ${CATEGORY_COLUMNS}
+             FROM BookCategories
+             WHERE slug->>'fr' = LOWER($1) OR slug->>'en' = LOWER($1)
+                OR LOWER(category_name->>'fr') = LOWER($1) OR LOWER(category_name->>'en') = LOWER($1)
+             ORDER BY (slug->>$2::text = LOWER($1)) DESC, (slug->>'fr' = LOWER($1) OR slug->>'en' = LOWER($1)) DESC
+             LIMIT 1;`,
+            [slug, locale]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans categoryModel.findCategoryBySlug:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Liste les IDs des sous-catégories directes d'une catégorie (ou des catégories racines), dans l'ordre d'affichage.
+ * @param {string | null} parentId - L'ID du parent, ou null pour les racines.
+ * @returns {Promise<string[]>}
+ */
+export const findChildCategoryIds = async (parentId) => {
+    try {
+        const result = await pool.query(
+            `SELECT category_id FROM BookCategories
+             WHERE parent_id IS NOT DISTINCT FROM $1::uuid
+             ORDER BY position, category_id;`,
+            [parentId]
+        );
+        return result.rows.map((row) => row.category_id);
+    } catch (error) {
+        console.error("Erreur dans categoryModel.findChildCategoryIds:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Indique si une catégorie fait partie de l'arborescence d'une autre (elle-même ou l'une de ses sous-catégories).
+ * Sert à refuser un déplacement qui créerait une boucle.
+ * @param {string} rootId - L'ID de la catégorie racine de l'arborescence.
+ * @param {string} categoryId - L'ID de la catégorie recherchée.
+ * @returns {Promise<boolean>}
+ */
+export const isInCategorySubtree = async (rootId, categoryId) => {
+    try {
+        const result = await pool.query(
+            `SELECT EXISTS (${categorySubtreeSql("$1")} WHERE category_id = $2) AS found;`,
+            [rootId, categoryId]
+        );
+        return result.rows[0].found;
+    } catch (error) {
+        console.error("Erreur dans categoryModel.isInCategorySubtree:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Crée une catégorie, placée après ses sœurs. Ses slugs sont tirés du nom dans chaque langue
+ * (suffixés en cas de doublon) sauf s'ils sont fournis.
+ * @param {object} categoryData - { category_name, category_description, category_icon, parent_id, slug }.
+ * category_name et category_description sont des objets { fr, en } ; slug un objet { fr?, en? } facultatif.
+ * @returns {Promise<object>} La catégorie créée. Un parent inexistant lève une erreur 23503, un slug fourni déjà pris une erreur 23505.
+ */
+export const createCategory = async (categoryData) => {
+    const { category_name, category_description = null, category_icon = null, parent_id = null, slug = {} } = categoryData;
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        const slugs = {};
+        for (const locale of SUPPORTED_LOCALES) {
+            slugs[locale] = slug[locale]
+                || await findAvailableSlug(client, locale, slugify(category_name[locale] || Object.values(category_name)[0]) || "category");
+        }
+        const result = await client.query(
+            `INSERT INTO BookCategories (category_name, category_description, category_icon, parent_id, slug, position)
+             VALUES ($1, $2, $3, $4, $5,
+                (SELECT COALESCE(MAX(position) + 1, 0) FROM BookCategories WHERE parent_id IS NOT DISTINCT FROM $4::uuid))
+             RETURNING ${CATEGORY_COLUMNS};`,
+            [category_name, category_description, category_icon, parent_id, slugs]
+        );
+        await client.query("COMMIT");
+        return result.rows[0];
+    } catch (error) {
+        await client.query("ROLLBACK");
+        console.error("Erreur dans categoryModel.createCategory:", error.message);
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Met à jour une catégorie. Seuls les champs fournis sont modifiés ; renommer une catégorie ne change pas
+ * ses slugs, pour que les URLs restent stables. Changer de parent la place après ses nouvelles sœurs.
+ * @param {string} categoryId - L'ID de la catégorie.
+ * @param {object} categoryData - { category_name, category_description, category_icon, parent_id, slug }.
+ * parent_id null la remonte à la racine ; slug est un objet { fr?, en? } (les langues absentes sont conservées).
+ * @returns {Promise<object | undefined>} La catégorie mise à jour. Un slug déjà pris lève une erreur 23505.
+ */
+export const updateCategory = async (categoryId, categoryData) => {
+    const { category_name = null, category_description = null, category_icon = null, slug = null } = categoryData;
+    const moveParent = categoryData.parent_id !== undefined;
+    try {
+        const result = await pool.query(
+            `UPDATE BookCategories
+             SET category_name = COALESCE($2, category_name),
+                 category_description = COALESCE($3, category_description),
+                 category_icon = COALESCE($4, category_icon),
+                 slug = slug || COALESCE($5::jsonb, '{}'::jsonb),
+                 parent_id = CASE WHEN $6 THEN $7::uuid ELSE parent_id END,
+                 position = CASE WHEN $6 AND parent_id IS DISTINCT FROM $7::uuid
+                    THEN (SELECT COALESCE(MAX(position) + 1, 0) FROM BookCategories WHERE parent_id IS NOT DISTINCT FROM $7::uuid)
+                    ELSE position END
+             WHERE category_id = $1
+             RETURNING ${CATEGORY_COLUMNS};`,
+            [categoryId, category_name, category_description, category_icon, slug, moveParent, moveParent ? categoryData.parent_id : null]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans categoryModel.updateCategory:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Supprime une catégorie (transaction) : ses livres sont d'abord déplacés vers la catégorie de réaffectation,
+ * et ses sous-catégories sont rattachées à son propre parent.
+ * @param {string} categoryId - L'ID de la catégorie.
+ * @param {string | null} reassignTo - L'ID de la catégorie qui reçoit ses livres (null si elle n'en a pas).
+ * @returns {Promise<{ category: object, movedBooks: number, movedChildren: number } | undefined>}
+ * Une catégorie de réaffectation inexistante lève une erreur 23503.
+ */
+export const deleteCategory = async (categoryId, reassignTo) => {
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        const existing = await client.query(
+            `SELECT parent_id FROM BookCategories WHERE category_id = $1 FOR UPDATE;`,
+            [categoryId]
+        );
+        if (existing.rows.length === 0) {
+            await client.query("ROLLBACK");
+            return undefined;
+        }
+        const movedBooks = reassignTo
+            ? await client.query(`UPDATE Books SET category_id = $2 WHERE category_id = $1;`, [categoryId, reassignTo])
+            : { rowCount: 0 };
+        const movedChildren = await client.query(
+            `UPDATE BookCategories SET parent_id = $2 WHERE parent_id = $1;`,
+            [categoryId, existing.rows[0].parent_id]
+        );
+        const result = await client.query(
+            `DELETE FROM BookCategories WHERE category_id = $1 RETURNING ${CATEGORY_COLUMNS};`,
+            [categoryId]
+        );
+        await client.query("COMMIT");
+        return { category: result.rows[0], movedBooks: movedBooks.rowCount, movedChildren: movedChildren.rowCount };
+    } catch (error) {
+        await client.query("ROLLBACK");
+        console.error("Erreur dans categoryModel.deleteCategory:", error.message);
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Réordonne des catégories sœurs (transaction) : chaque catégorie prend sa place dans la liste.
+ * @param {string[]} orderedIds - Les IDs des catégories sœurs, dans le nouvel ordre d'affichage.
+ * @returns {Promise<void>}
+ */
+export const reorderCategories = async (orderedIds) => {
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        for (const [position, categoryId] of orderedIds.entries()) {
+            await client.query(`UPDATE BookCategories SET position = $2 WHERE category_id = $1;`, [categoryId, position]);
+        }
+        await client.query("COMMIT");
+    } catch (error) {
+        await client.query("ROLLBACK");
+        console.error("Erreur dans categoryModel.reorderCategories:", error.message);
+        throw error;
+    } finally {
+        client.release();
+    }
+};
@@ -1,6 +1,20 @@
 // models/checkoutModel.js
 import pool from "../db/db.js";
 // --- Fonctions pour ShippingAddresses (si applicable) ---
+
+/**
+ * Retire le statut 'par défaut' de toutes les adresses d'un utilisateur,
+ * pour garantir qu'une seule adresse soit par défaut.
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @returns {Promise<void>}
+ */
+const clearDefaultShippingAddress = async (userId) => {
+    await pool.query(
+        `UPDATE ShippingAddresses SET is_default = FALSE WHERE user_id = $1;`,
+        [userId]
+    );
+};
+
 /**
  * Enregistre ou met à jour une adresse de livraison pour un utilisateur.
  * @param {string} userId - L'ID de l'utilisateur.
@@ -20,10 +34,7 @@ export const saveShippingAddress = async (userId, addressData) => {
     try {
         // Optionnel: Gérer la logique de 'is_default' pour s'assurer qu'une seule adresse est par défaut
         if (is_default) {
-            await pool.query(
-                `UPDATE ShippingAddresses SET is_default = FALSE WHERE user_id = $1;`,
-                [userId]
-            );
+            await clearDefaultShippingAddress(userId);
         }
 
         const result = await pool.query(
@@ -72,6 +83,120 @@ export const getShippingAddresses = async (userId) => {
     }
 };
 
+/**
+ * Récupère une adresse de livraison appartenant à un utilisateur.
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @param {string} addressId - L'ID de l'adresse.
+ * @returns {Promise<object | undefined>} L'objet adresse, ou undefined s'il n'appartient pas à l'utilisateur.
+ */
+export const getShippingAddressById = async (userId, addressId) => {
+    try {
+        const result = await pool.query(
+            `SELECT * FROM ShippingAddresses WHERE address_id = $1 AND user_id = $2;`,
+            [addressId, userId]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error(
+            "Erreur dans checkoutModel.getShippingAddressById:",
+            error.message
+        );
+        throw error;
+    }
+};
+
+/**
+ * Met à jour une adresse de livraison d'un utilisateur. Seuls les champs fournis sont modifiés.
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @param {string} addressId - L'ID de l'adresse.
+ * @param {object} addressData - Les champs à modifier (address_line1, city, is_default, etc.).
+ * @returns {Promise<object | undefined>} L'objet adresse mis à jour, ou undefined si non trouvé.
+ */
+export const updateShippingAddress = async (userId, addressId, addressData) => {
+    const {
+        address_line1,
+        address_line2,
+        city,
+        province,
+        postal_code,
+        country,
+        is_default,
+    } = addressData;
+    try {
+        if (is_default === true) {
+            await clearDefaultShippingAddress(userId);
+        }
+
+        const result = await pool.query(
+            `UPDATE ShippingAddresses
+             SET address_line1 = COALESCE($3, address_line1),
+                 address_line2 = CASE WHEN $4::boolean THEN $5 ELSE address_line2 END,
+                 city = COALESCE($6, city),
+                 province = COALESCE($7, province),
+                 postal_code = COALESCE($8, postal_code),
+                 country = COALESCE($9, country),
+                 is_default = COALESCE($10, is_default)
+             WHERE address_id = $1 AND user_id = $2
+             RETURNING *;`,
+            [
+                addressId,
+                userId,
+                address_line1,
+                address_line2 !== undefined, // address_line2 peut être effacée avec null
+                address_line2 ?? null,
+                city,
+                province,
+                postal_code,
+                country,
+                typeof is_default === "boolean" ? is_default : null,
+            ]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error(
+            "Erreur dans checkoutModel.updateShippingAddress:",
+            error.message
+        );
+        throw error;
+    }
+};
+
+/**
+ * Supprime une adresse de livraison d'un utilisateur.
+ * Si l'adresse supprimée était celle par défaut, la plus récente des adresses restantes le devient.
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @param {string} addressId - L'ID de l'adresse.
+ * @returns {Promise<object | undefined>} L'adresse supprimée, ou undefined si non trouvée.
+ */
+export const deleteShippingAddress = async (userId, addressId) => {
+    try {
+        const result = await pool.query(
+            `DELETE FROM ShippingAddresses WHERE address_id = $1 AND user_id = $2 RETURNING *;`,
+            [addressId, userId]
+        );
+        const deleted = result.rows[0];
+        if (deleted && deleted.is_default) {
+            await pool.query(
+                `UPDATE ShippingAddresses SET is_default = TRUE
+                 WHERE address_id = (
+                    SELECT address_id FROM ShippingAddresses
+                    WHERE user_id = $1
+                    ORDER BY created_at DESC
+                    LIMIT 1
+                 );`,
+                [userId]
+            );
+        }
+        return deleted;
+    } catch (error) {
+        console.error(
+            "Erreur dans checkoutModel.deleteShippingAddress:",
+            error.message
+        );
+        throw error;
+    }
+};
+
 // --- Fonctions pour les Paiements (simulé) ---
 
 /**
@@ -0,0 +1,185 @@
+// models/emailOutboxModel.js
+import pool from "../db/db.js";
+
+// Colonnes renvoyées hors envoi : le contenu rendu (text_body, html_body) contient des liens à usage unique
+// et n'est lu que par le code d'envoi.
+const OUTBOX_COLUMNS = `outbox_id, user_id, recipient, template, locale, subject, status, attempts, last_error,
+    next_attempt_at, created_at, sent_at`;
+
+// Une entrée restée 'sending' plus longtemps (processus arrêté pendant l'envoi) peut être reprise par le worker.
+const CLAIM_TIMEOUT_MINUTES = 10;
+
+/**
+ * Enregistre un email rendu dans la file d'attente, déjà réservé ('sending') pour l'envoi immédiat qui suit.
+ * @param {object} emailData - Les données de l'email (userId, recipient, template, locale, subject, text, html).
+ * @returns {Promise<object>} L'entrée de la file créée, contenu compris.
+ */
+export const insertOutboxEntry = async (emailData) => {
+    const { userId = null, recipient, template, locale, subject, text, html = null } = emailData;
+    try {
+        const result = await pool.query(
+            `INSERT INTO EmailOutbox (user_id, recipient, template, locale, subject, text_body, html_body, status, claimed_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, 'sending', NOW())
+             RETURNING *;`,
+            [userId, recipient, template, locale, subject, text, html]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans emailOutboxModel.insertOutboxEntry:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Récupère une entrée de la file par son ID (sans son contenu).
+ * @param {string} outboxId - L'ID de l'entrée.
+ * @returns {Promise<object | undefined>} L'entrée trouvée.
+ */
+export const findOutboxEntryById = async (outboxId) => {
+    try {
+        const result = await pool.query(`SELECT ${OUTBOX_COLUMNS} FROM EmailOutbox WHERE outbox_id = $1;`, [outboxId]);
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans emailOutboxModel.findOutboxEntryById:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Réserve les entrées en attente dont la prochaine tentative est due : elles passent à 'sending' dans la même requête,
+ * et une entrée déjà réservée par un autre processus est ignorée (SKIP LOCKED). Les réservations abandonnées depuis
+ * plus de CLAIM_TIMEOUT_MINUTES sont reprises.
+ * @param {number} limit - Le nombre maximum d'entrées à réserver.
+ * @returns {Promise<Array>} Les entrées à envoyer, contenu compris.
+ */
+export const claimDueOutboxEntries = async (limit = 20) => {
+    try {
+        const result = await pool.query(
+            `UPDATE EmailOutbox
+             SET status = 'sending', claimed_at = NOW()
+             WHERE outbox_id IN (
+                SELECT outbox_id FROM EmailOutbox
+                WHERE (status = 'pending' AND next_attempt_at <= NOW())
+                   OR (status = 'sending' AND claimed_at < NOW() - ($2 * INTERVAL '1 minute'))
+                ORDER BY next_attempt_at ASC
+                LIMIT $1
+                FOR UPDATE SKIP LOCKED
+             )
+             RETURNING *;`,
+            [limit, CLAIM_TIMEOUT_MINUTES]
+        );
+        return result.rows;
+    } catch (error) {
+        console.error("Erreur dans emailOutboxModel.claimDueOutboxEntries:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Marque une entrée comme envoyée et efface son contenu, qui n'a plus à être conservé.
+ * @param {string} outboxId - L'ID de l'entrée.
+ * @returns {Promise<object | undefined>} L'entrée mise à jour (sans contenu).
+ */
+export const markOutboxEntrySent = async (outboxId) => {
+    try {
+        const result = await pool.query(
+            `UPDATE EmailOutbox
+             SET status = 'sent', attempts = attempts + 1, sent_at = NOW(), last_error = NULL,
+                 text_body = NULL, html_body = NULL, claimed_at = NULL
+             WHERE outbox_id = $1
+             RETURNING ${OUTBOX_COLUMNS};`,
+            [outboxId]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans emailOutboxModel.markOutboxEntrySent:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Enregistre l'échec d'une tentative d'envoi.
+ * L'entrée reste 'pending' avec une nouvelle date de tentative, ou passe à 'failed' si le nombre maximum est atteint.
+ * @param {string} outboxId - L'ID de l'entrée.
+ * @param {string} errorMessage - Le message d'erreur du transport.
+ * @param {number} maxAttempts - Le nombre maximum de tentatives.
+ * @param {number} retryDelayMinutes - Le délai avant la prochaine tentative, en minutes.
+ * @returns {Promise<object | undefined>} L'entrée mise à jour (sans contenu).
+ */
+export const markOutboxEntryFailed = async (outboxId, errorMessage, maxAttempts, retryDelayMinutes) => {
+    try {
+        const result = await pool.query(
+            `UPDATE EmailOutbox
+             SET attempts = attempts + 1,
+                 last_error = $2,
+                 status = CASE WHEN attempts + 1 >= $3 THEN 'failed' ELSE 'pending' END,
+                 next_attempt_at = NOW() + ($4 * INTERVAL '1 minute'),
+                 claimed_at = NULL
+             WHERE outbox_id = $1
+             RETURNING ${OUTBOX_COLUMNS};`,
+            [outboxId, errorMessage, maxAttempts, retryDelayMinutes]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans emailOutboxModel.markOutboxEntryFailed:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Réserve une entrée pour un renvoi immédiat (remise à zéro des tentatives). Seule une entrée en attente ou en échec,
+ * dont le contenu est encore conservé, peut être renvoyée.
+ * @param {string} outboxId - L'ID de l'entrée.
+ * @returns {Promise<object | undefined>} L'entrée réservée, contenu compris ; undefined si elle est en cours d'envoi
+ * ou déjà remise.
+ */
+export const requeueOutboxEntry = async (outboxId) => {
+    try {
+        const result = await pool.query(
+            `UPDATE EmailOutbox
+             SET status = 'sending', claimed_at = NOW(), attempts = 0, next_attempt_at = NOW(), last_error = NULL
+             WHERE outbox_id = $1 AND status IN ('pending', 'failed') AND text_body IS NOT NULL
+             RETURNING *;`,
+            [outboxId]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans emailOutboxModel.requeueOutboxEntry:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Récupère les entrées de la file avec pagination, éventuellement filtrées par statut.
+ * @param {number} page - Le numéro de page (commence à 1).
+ * @param {number} limit - Le nombre d'entrées par page.
+ * @param {string} [status] - Le statut à filtrer ('pending', 'sending', 'sent', 'failed').
+ * @returns {Promise<object>} Un objet contenant les entrées et le nombre total d'entrées.
+ */
+export const getOutboxEntries = async (page = 1, limit = 20, status) => {
+    try {
+        const offset = (page - 1) * limit;
+        const entriesResult = await pool.query(
+            `SELECT ${OUTBOX_COLUMNS}
+             FROM EmailOutbox
+             WHERE ($3::text IS NULL OR status = $3)
+             ORDER BY created_at DESC
+             LIMIT $1 OFFSET $2;`,
+            [limit, offset, status || null]
+        );
+        const totalResult = await pool.query(
+            `SELECT COUNT(*) FROM EmailOutbox WHERE ($1::text IS NULL OR status = $1);`,
+            [status || null]
+        );
+
+        return {
+            entries: entriesResult.rows,
+            total: parseInt(totalResult.rows[0].count, 10),
+            page,
+            limit,
+        };
+    } catch (error) {
+        console.error("Erreur dans emailOutboxModel.getOutboxEntries:", error.message);
+        throw error;
+    }
+};
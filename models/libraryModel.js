@@ -0,0 +1,118 @@
+// models/libraryModel.js
+import pool from "../db/db.js";
+
+/**
+ * Indique si un utilisateur possède un livre (UserBooks).
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @param {string} bookId - L'ID du livre.
+ * @returns {Promise<boolean>}
+ */
+export const userOwnsBook = async (userId, bookId) => {
+    try {
+        const result = await pool.query(
+            `SELECT EXISTS (SELECT 1 FROM UserBooks WHERE user_id = $1 AND book_id = $2) AS owned;`,
+            [userId, bookId]
+        );
+        return result.rows[0].owned;
+    } catch (error) {
+        console.error("Erreur dans libraryModel.userOwnsBook:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Enregistre un téléchargement si l'utilisateur n'a pas atteint la limite pour ce livre.
+ * Le décompte et l'insertion se font dans une seule requête.
+ * @param {object} downloadData - { userId, bookId, fileId, ipAddress, userAgent }.
+ * @param {number} limit - Le nombre maximum de téléchargements par livre (0 : illimité).
+ * @returns {Promise<{ download_id: string | null, previous_count: number }>} download_id vaut null si la limite est atteinte.
+ */
+export const createDownload = async ({ userId, bookId, fileId, ipAddress = null, userAgent = null }, limit) => {
+    try {
+        const result = await pool.query(
+            `WITH used AS (
+                SELECT COUNT(*)::int AS count FROM BookDownloads WHERE user_id = $1 AND book_id = $2
+            ), inserted AS (
+                INSERT INTO BookDownloads (user_id, book_id, file_id, ip_address, user_agent)
+                SELECT $1, $2, $3, $4, $5 FROM used WHERE $6::int = 0 OR used.count < $6::int
+                RETURNING download_id
+            )
+            SELECT inserted.download_id, used.count AS previous_count
+            FROM used
+            LEFT JOIN inserted ON TRUE;`,
+            [userId, bookId, fileId, ipAddress, userAgent, limit]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans libraryModel.createDownload:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Récupère un téléchargement avec le fichier maître à servir et l'acheteur dont la copie porte le tatouage.
+ * @param {string} downloadId - L'ID du téléchargement.
+ * @returns {Promise<object | undefined>} { download_id, user_id, book_id, title, file_id, storage_key, mime_type, size_bytes,
+ * buyer_name, buyer_email, order_id, owned } ; order_id est la dernière commande (réussie de préférence) contenant le livre,
+ * owned indique si le livre est toujours dans UserBooks.
+ */
+export const findDownloadById = async (downloadId) => {
+    try {
+        const result = await pool.query(
+            `SELECT bd.download_id, bd.user_id, bd.book_id, b.title,
+                bf.file_id, bf.storage_key, bf.mime_type, bf.size_bytes::float8 AS size_bytes,
+                TRIM(CONCAT_WS(' ', u.first_name, u.last_name)) AS buyer_name,
+                u.email AS buyer_email,
+                (SELECT o.order_id
+                    FROM Orders o
+                    JOIN OrderItems oi ON oi.order_id = o.order_id
+                    WHERE o.user_id = bd.user_id AND oi.book_id = bd.book_id
+                    ORDER BY (o.status = 'Payment_Success') DESC, o.order_date DESC
+                    LIMIT 1) AS order_id,
+                EXISTS (SELECT 1 FROM UserBooks ub WHERE ub.user_id = bd.user_id AND ub.book_id = bd.book_id) AS owned
+             FROM BookDownloads bd
+             JOIN BookFiles bf ON bf.file_id = bd.file_id
+             JOIN Books b ON b.book_id = bd.book_id
+             JOIN Users u ON u.user_id = bd.user_id
+             WHERE bd.download_id = $1;`,
+            [downloadId]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans libraryModel.findDownloadById:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Note la dernière lecture d'un téléchargement via son lien signé.
+ * @param {string} downloadId - L'ID du téléchargement.
+ * @returns {Promise<void>}
+ */
+export const markDownloadStreamed = async (downloadId) => {
+    try {
+        await pool.query(`UPDATE BookDownloads SET last_streamed_at = NOW() WHERE download_id = $1;`, [downloadId]);
+    } catch (error) {
+        console.error("Erreur dans libraryModel.markDownloadStreamed:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Annule un téléchargement dont le fichier n'a jamais pu être servi : il ne compte plus dans la limite par livre.
+ * Un lien déjà utilisé avec succès reste décompté.
+ * @param {string} downloadId - L'ID du téléchargement.
+ * @returns {Promise<boolean>} true si le téléchargement a été annulé.
+ */
+export const cancelDownload = async (downloadId) => {
+    try {
+        const result = await pool.query(
+            `DELETE FROM BookDownloads WHERE download_id = $1 AND last_streamed_at IS NULL;`,
+            [downloadId]
+        );
+        return result.rowCount > 0;
+    } catch (error) {
+        console.error("Erreur dans libraryModel.cancelDownload:", error.message);
+        throw error;
+    }
+};
@@ -0,0 +1,161 @@
+// models/oidcModel.js
+import pool from "../db/db.js";
+
+/**
+ * Enregistre une demande d'autorisation OIDC en cours.
+ * @param {object} stateData - { stateHash, provider, codeVerifier, nonce, userId, expiresAt }.
+ * @returns {Promise<void>}
+ */
+export const saveAuthState = async (stateData) => {
+    const { stateHash, provider, codeVerifier, nonce, userId = null, expiresAt } = stateData;
+    try {
+        await pool.query(
+            `INSERT INTO OidcAuthStates (state_hash, provider, code_verifier, nonce, user_id, expires_at)
+             VALUES ($1, $2, $3, $4, $5, $6);`,
+            [stateHash, provider, codeVerifier, nonce, userId, expiresAt]
+        );
+    } catch (error) {
+        console.error("Erreur dans oidcModel.saveAuthState:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Consomme une demande d'autorisation (usage unique) : elle est supprimée et renvoyée si elle n'a pas expiré.
+ * @param {string} stateHash - Le hachage du paramètre 'state'.
+ * @param {string} provider - Le fournisseur attendu.
+ * @returns {Promise<object | undefined>} { provider, code_verifier, nonce, user_id }, ou undefined.
+ */
+export const consumeAuthState = async (stateHash, provider) => {
+    try {
+        const result = await pool.query(
+            `DELETE FROM OidcAuthStates
+             WHERE state_hash = $1
+             RETURNING provider, code_verifier, nonce, user_id, expires_at;`,
+            [stateHash]
+        );
+        const state = result.rows[0];
+        if (!state || state.provider !== provider || new Date(state.expires_at) <= new Date()) {
+            return undefined;
+        }
+        return state;
+    } catch (error) {
+        console.error("Erreur dans oidcModel.consumeAuthState:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Supprime les demandes d'autorisation expirées.
+ * @returns {Promise<number>} Le nombre de lignes supprimées.
+ */
+export const deleteExpiredAuthStates = async () => {
+    try {
+        const result = await pool.query(`DELETE FROM OidcAuthStates WHERE expires_at < NOW();`);
+        return result.rowCount;
+    } catch (error) {
+        console.error("Erreur dans oidcModel.deleteExpiredAuthStates:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Récupère un compte externe par fournisseur et identifiant chez le fournisseur.
+ * @param {string} provider - Le nom du fournisseur.
+ * @param {string} subject - Le 'sub' du fournisseur.
+ * @returns {Promise<object | undefined>} L'identité trouvée.
+ */
+export const findIdentity = async (provider, subject) => {
+    try {
+        const result = await pool.query(
+            `SELECT * FROM UserIdentities WHERE provider = $1 AND subject = $2;`,
+            [provider, subject]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans oidcModel.findIdentity:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Lie un compte externe à un utilisateur.
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @param {string} provider - Le nom du fournisseur.
+ * @param {string} subject - Le 'sub' du fournisseur.
+ * @param {string | null} email - L'email communiqué par le fournisseur.
+ * @returns {Promise<object>} L'identité créée.
+ */
+export const linkIdentity = async (userId, provider, subject, email) => {
+    try {
+        const result = await pool.query(
+            `INSERT INTO UserIdentities (user_id, provider, subject, email)
+             VALUES ($1, $2, $3, $4)
+             RETURNING identity_id, user_id, provider, email, linked_at, last_login_at;`,
+            [userId, provider, subject, email]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans oidcModel.linkIdentity:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Enregistre une connexion via un compte externe.
+ * @param {string} identityId - L'ID de l'identité.
+ * @param {string | null} email - L'email communiqué par le fournisseur (peut avoir changé).
+ * @returns {Promise<void>}
+ */
+export const touchIdentity = async (identityId, email) => {
+    try {
+        await pool.query(
+            `UPDATE UserIdentities SET last_login_at = NOW(), email = COALESCE($2, email) WHERE identity_id = $1;`,
+            [identityId, email]
+        );
+    } catch (error) {
+        console.error("Erreur dans oidcModel.touchIdentity:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Liste les comptes externes liés à un utilisateur.
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @returns {Promise<Array>} Les identités (sans le 'sub').
+ */
+export const findIdentitiesByUserId = async (userId) => {
+    try {
+        const result = await pool.query(
+            `SELECT identity_id, provider, email, linked_at, last_login_at
+             FROM UserIdentities
+             WHERE user_id = $1
+             ORDER BY linked_at;`,
+            [userId]
+        );
+        return result.rows;
+    } catch (error) {
+        console.error("Erreur dans oidcModel.findIdentitiesByUserId:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Délie le compte externe d'un fournisseur pour un utilisateur.
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @param {string} provider - Le nom du fournisseur.
+ * @returns {Promise<object | undefined>} L'identité supprimée, ou undefined si aucune n'était liée.
+ */
+export const unlinkIdentity = async (userId, provider) => {
+    try {
+        const result = await pool.query(
+            `DELETE FROM UserIdentities WHERE user_id = $1 AND provider = $2
+             RETURNING identity_id, provider, email, linked_at;`,
+            [userId, provider]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans oidcModel.unlinkIdentity:", error.message);
+        throw error;
+    }
+};
@@ -0,0 +1,197 @@
+// models/privacyModel.js
+import pool from "../db/db.js";
+
+/**
+ * Rassemble toutes les données personnelles rattachées à un utilisateur, pour un export.
+ * Les secrets (mot de passe haché, jetons, secrets TOTP) ne sont jamais inclus.
+ * @param {string} userId - L'ID UUID de l'utilisateur.
+ * @returns {Promise<object | undefined>} Les données par catégorie, ou undefined si l'utilisateur n'existe pas.
+ */
+export const collectUserData = async (userId) => {
+    try {
+        const profileResult = await pool.query(
+            `SELECT
+                u.user_id,
+                u.first_name,
+                u.last_name,
+                u.email,
+                u.pending_email,
+                u.email_verified,
+                u.is_active,
+                u.totp_enabled,
+                u.totp_enabled_at,
+                u.creation_date,
+                r.role_name
+             FROM Users u
+             JOIN Roles r ON u.role_id = r.role_id
+             WHERE u.user_id = $1;`,
+            [userId]
+        );
+        const profile = profileResult.rows[0];
+        if (!profile) {
+            return undefined;
+        }
+
+        const query = async (sql) => (await pool.query(sql, [userId])).rows;
+
+        const [library, downloads, bookLikes, quoteLikes, comments, orders, orderItems, payments, addresses, cartItems, sessions, identities, activityLogs] =
+            await Promise.all([
+                query(`SELECT ub.book_id, b.title, b.author_name, ub.purchase_date
+                       FROM UserBooks ub
+                       JOIN Books b ON ub.book_id = b.book_id
+                       WHERE ub.user_id = $1
+                       ORDER BY ub.purchase_date;`),
+                query(`SELECT bd.book_id, b.title, bd.ip_address, bd.user_agent, bd.requested_at, bd.last_streamed_at
+                       FROM BookDownloads bd
+                       JOIN Books b ON bd.book_id = b.book_id
+                       WHERE bd.user_id = $1
+                       ORDER BY bd.requested_at;`),
+                query(`SELECT bl.book_id, b.title, bl.liked_at
+                       FROM booklikes bl
+                       JOIN Books b ON bl.book_id = b.book_id
+                       WHERE bl.user_id = $1
+                       ORDER BY bl.liked_at;`),
+                query(`SELECT ql.quote_id, q.quote_text, q.author_name, ql.liked_at
+                       FROM quotelikes ql
+                       JOIN Quotes q ON ql.quote_id = q.quote_id
+                       WHERE ql.user_id = $1
+                       ORDER BY ql.liked_at;`),
+                query(`SELECT bc.comment_id, bc.book_id, b.title, bc.comment_text, bc.publication_date
+                       FROM bookcomments bc
+                       JOIN Books b ON bc.book_id = b.book_id
+                       WHERE bc.user_id = $1
+                       ORDER BY bc.publication_date;`),
+                query(`SELECT * FROM Orders WHERE user_id = $1 ORDER BY order_date;`),
+                query(`SELECT oi.*, b.title
+                       FROM OrderItems oi
+                       JOIN Orders o ON oi.order_id = o.order_id
+                       JOIN Books b ON oi.book_id = b.book_id
+                       WHERE o.user_id = $1;`),
+                query(`SELECT * FROM Payments WHERE user_id = $1;`),
+                query(`SELECT * FROM ShippingAddresses WHERE user_id = $1 ORDER BY created_at;`),
+                query(`SELECT ci.book_id, b.title, ci.quantity
+                       FROM CartItems ci
+                       JOIN Carts c ON ci.cart_id = c.cart_id
+                       JOIN Books b ON ci.book_id = b.book_id
+                       WHERE c.user_id = $1;`),
+                query(`SELECT session_id, user_agent, ip_address, created_at, last_used_at, expires_at, revoked_at
+                       FROM UserSessions
+                       WHERE user_id = $1
+                       ORDER BY created_at;`),
+                query(`SELECT provider, email, linked_at, last_login_at
+                       FROM UserIdentities
+                       WHERE user_id = $1
+                       ORDER BY linked_at;`),
+                query(`SELECT activity_type, description, details, timestamp
+                       FROM ActivityLogs
+                       WHERE user_id = $1
+                       ORDER BY timestamp;`),
+            ]);
+
+        // Les articles sont rattachés à leur commande pour un export lisible
+        const ordersWithItems = orders.map((order) => ({
+            ...order,
+            items: orderItems.filter((item) => item.order_id === order.order_id),
+        }));
+
+        return {
+            profile,
+            library,
+            downloads,
+            likes: { books: bookLikes, quotes: quoteLikes },
+            comments,
+            orders: ordersWithItems,
+            payments,
+            addresses,
+            cart: cartItems,
+            sessions,
+            identities,
+            activityLogs,
+        };
+    } catch (error) {
+        console.error("Erreur dans privacyModel.collectUserData:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Anonymise un compte utilisateur dans une transaction.
+ * Les commandes, articles de commande et paiements sont conservés (comptabilité), ainsi que les adresses
+ * référencées par une commande. Tout le reste (likes, commentaires, panier, bibliothèque, sessions,
+ * journal d'activité, emails en attente, autres adresses) est supprimé.
+ * @param {string} userId - L'ID UUID de l'utilisateur.
+ * @param {string} unusablePasswordHash - Un hachage de mot de passe aléatoire qui remplace l'actuel.
+ * @returns {Promise<object | undefined>} L'utilisateur anonymisé, ou undefined s'il n'existe pas ou est déjà supprimé.
+ */
+export const anonymizeUser = async (userId, unusablePasswordHash) => {
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+
+        const userResult = await client.query(
+            `UPDATE Users
+             SET first_name = 'Utilisateur',
+                 last_name = 'supprimé',
+                 email = 'deleted-' || user_id || '@deleted.invalid',
+                 password_hash = $2,
+                 has_password = FALSE,
+                 is_active = FALSE,
+                 email_verified = FALSE,
+                 email_verification_token = NULL,
+                 email_verification_expires = NULL,
+                 password_reset_token = NULL,
+                 password_reset_expires = NULL,
+                 pending_email = NULL,
+                 email_change_token = NULL,
+                 email_change_expires = NULL,
+                 magic_link_token = NULL,
+                 magic_link_expires = NULL,
+                 totp_enabled = FALSE,
+                 totp_secret = NULL,
+                 totp_pending_secret = NULL,
+                 totp_last_used_step = NULL,
+                 totp_enabled_at = NULL,
+                 deleted_at = NOW()
+             WHERE user_id = $1 AND deleted_at IS NULL
+             RETURNING user_id, first_name, last_name, email, is_active, deleted_at;`,
+            [userId, unusablePasswordHash]
+        );
+        const anonymizedUser = userResult.rows[0];
+        if (!anonymizedUser) {
+            await client.query("ROLLBACK");
+            return undefined;
+        }
+
+        await client.query(`DELETE FROM booklikes WHERE user_id = $1;`, [userId]);
+        await client.query(`DELETE FROM quotelikes WHERE user_id = $1;`, [userId]);
+        await client.query(`DELETE FROM bookcomments WHERE user_id = $1;`, [userId]);
+        await client.query(
+            `DELETE FROM CartItems WHERE cart_id IN (SELECT cart_id FROM Carts WHERE user_id = $1);`,
+            [userId]
+        );
+        await client.query(`DELETE FROM Carts WHERE user_id = $1;`, [userId]);
+        await client.query(`DELETE FROM BookDownloads WHERE user_id = $1;`, [userId]);
+        await client.query(`DELETE FROM UserBooks WHERE user_id = $1;`, [userId]);
+        await client.query(
+            `DELETE FROM ShippingAddresses sa
+             WHERE sa.user_id = $1
+               AND NOT EXISTS (SELECT 1 FROM Orders o WHERE o.shipping_address_id = sa.address_id);`,
+            [userId]
+        );
+        await client.query(`DELETE FROM UserRecoveryCodes WHERE user_id = $1;`, [userId]);
+        await client.query(`DELETE FROM UserSessions WHERE user_id = $1;`, [userId]);
+        await client.query(`DELETE FROM UserIdentities WHERE user_id = $1;`, [userId]);
+        await client.query(`DELETE FROM OidcAuthStates WHERE user_id = $1;`, [userId]);
+        await client.query(`DELETE FROM EmailOutbox WHERE user_id = $1;`, [userId]);
+        await client.query(`DELETE FROM ActivityLogs WHERE user_id = $1;`, [userId]);
+
+        await client.query("COMMIT");
+        return anonymizedUser;
+    } catch (error) {
+        await client.query("ROLLBACK");
+        console.error("Erreur dans privacyModel.anonymizeUser:", error.message);
+        throw error;
+    } finally {
+        client.release();
+    }
+};
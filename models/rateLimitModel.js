@@ -0,0 +1,133 @@
+// models/rateLimitModel.js
+import pool from "../db/db.js";
+
+/**
+ * Incrémente atomiquement le compteur d'une clé dans une fenêtre fixe.
+ * Si la fenêtre courante est écoulée, le compteur repart à 1.
+ * @param {string} bucketKey - La clé du compteur (ex: 'login:ip:203.0.113.7').
+ * @param {number} windowMs - La durée de la fenêtre, en millisecondes.
+ * @returns {Promise<object>} { hits, window_start }.
+ */
+export const incrementRateLimitCounter = async (bucketKey, windowMs) => {
+    try {
+        const result = await pool.query(
+            `INSERT INTO RateLimitCounters (bucket_key, hits, window_start)
+             VALUES ($1, 1, NOW())
+             ON CONFLICT (bucket_key) DO UPDATE SET
+                hits = CASE
+                    WHEN RateLimitCounters.window_start <= NOW() - ($2 * INTERVAL '1 millisecond') THEN 1
+                    ELSE RateLimitCounters.hits + 1
+                END,
+                window_start = CASE
+                    WHEN RateLimitCounters.window_start <= NOW() - ($2 * INTERVAL '1 millisecond') THEN NOW()
+                    ELSE RateLimitCounters.window_start
+                END
+             RETURNING hits, window_start;`,
+            [bucketKey, windowMs]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans rateLimitModel.incrementRateLimitCounter:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Récupère les verrouillages actifs parmi une liste de clés.
+ * @param {string[]} lockKeys - Les clés à vérifier (ex: ['ip:203.0.113.7', 'email:jean@example.com']).
+ * @returns {Promise<Array>} Les verrouillages actifs (lock_key, locked_until).
+ */
+export const findActiveLockouts = async (lockKeys) => {
+    try {
+        const result = await pool.query(
+            `SELECT lock_key, locked_until
+             FROM LoginLockouts
+             WHERE lock_key = ANY($1) AND locked_until > NOW()
+             ORDER BY locked_until DESC;`,
+            [lockKeys]
+        );
+        return result.rows;
+    } catch (error) {
+        console.error("Erreur dans rateLimitModel.findActiveLockouts:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Enregistre un échec de connexion pour une clé et la verrouille si le seuil est atteint.
+ * La durée du verrouillage double à chaque niveau : baseMs, 2*baseMs, 4*baseMs... plafonnée à maxMs.
+ * @param {string} lockKey - La clé (ex: 'email:jean@example.com').
+ * @param {number} threshold - Le nombre d'échecs déclenchant un verrouillage.
+ * @param {number} baseMs - La durée du premier verrouillage, en millisecondes.
+ * @param {number} maxMs - La durée maximale d'un verrouillage, en millisecondes.
+ * @returns {Promise<object>} { lock_key, failure_count, lockout_level, locked_until, newly_locked }.
+ */
+export const recordLoginFailure = async (lockKey, threshold, baseMs, maxMs) => {
+    try {
+        const result = await pool.query(
+            `INSERT INTO LoginLockouts (lock_key, failure_count, last_failure_at)
+             VALUES ($1, 1, NOW())
+             ON CONFLICT (lock_key) DO UPDATE SET
+                failure_count = LoginLockouts.failure_count + 1,
+                last_failure_at = NOW()
+             RETURNING lock_key, failure_count, lockout_level;`,
+            [lockKey]
+        );
+        const entry = result.rows[0];
+        if (entry.failure_count < threshold) {
+            return { ...entry, locked_until: null, newly_locked: false };
+        }
+
+        const lockResult = await pool.query(
+            `UPDATE LoginLockouts
+             SET failure_count = 0,
+                 lockout_level = lockout_level + 1,
+                 locked_until = NOW() + (LEAST($2 * POWER(2, lockout_level), $3) * INTERVAL '1 millisecond')
+             WHERE lock_key = $1
+             RETURNING lock_key, failure_count, lockout_level, locked_until;`,
+            [lockKey, baseMs, maxMs]
+        );
+        return { ...lockResult.rows[0], newly_locked: true };
+    } catch (error) {
+        console.error("Erreur dans rateLimitModel.recordLoginFailure:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Réinitialise les échecs et le niveau de verrouillage d'une clé (après une connexion réussie).
+ * @param {string} lockKey - La clé à réinitialiser.
+ * @returns {Promise<void>}
+ */
+export const clearLoginFailures = async (lockKey) => {
+    try {
+        await pool.query(`DELETE FROM LoginLockouts WHERE lock_key = $1;`, [lockKey]);
+    } catch (error) {
+        console.error("Erreur dans rateLimitModel.clearLoginFailures:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Supprime les compteurs et verrouillages obsolètes.
+ * @param {number} maxAgeMs - L'âge au-delà duquel une entrée inactive est supprimée, en millisecondes.
+ * @returns {Promise<number>} Le nombre de lignes supprimées.
+ */
+export const deleteStaleRateLimitEntries = async (maxAgeMs) => {
+    try {
+        const counters = await pool.query(
+            `DELETE FROM RateLimitCounters WHERE window_start < NOW() - ($1 * INTERVAL '1 millisecond');`,
+            [maxAgeMs]
+        );
+        const lockouts = await pool.query(
+            `DELETE FROM LoginLockouts
+             WHERE last_failure_at < NOW() - ($1 * INTERVAL '1 millisecond')
+               AND (locked_until IS NULL OR locked_until < NOW());`,
+            [maxAgeMs]
+        );
+        return counters.rowCount + lockouts.rowCount;
+    } catch (error) {
+        console.error("Erreur dans rateLimitModel.deleteStaleRateLimitEntries:", error.message);
+        throw error;
+    }
+};
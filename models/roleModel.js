@@ -0,0 +1,151 @@
+// models/roleModel.js
+import pool from "../db/db.js";
+
+/**
+ * Récupère les clés de permission accordées à un rôle.
+ * @param {string} roleId - L'ID du rôle.
+ * @returns {Promise<string[]>} Les clés de permission (ex: ['catalog:write', 'orders:manage']).
+ */
+export const findPermissionKeysByRoleId = async (roleId) => {
+    try {
+        const result = await pool.query(
+            `SELECT permission_key FROM RolePermissions WHERE role_id = $1 ORDER BY permission_key;`,
+            [roleId]
+        );
+        return result.rows.map((row) => row.permission_key);
+    } catch (error) {
+        console.error("Erreur dans roleModel.findPermissionKeysByRoleId:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Récupère toutes les permissions disponibles.
+ * @returns {Promise<Array>} Un tableau d'objets { permission_key, description }.
+ */
+export const getAllPermissions = async () => {
+    try {
+        const result = await pool.query(`SELECT permission_key, description FROM Permissions ORDER BY permission_key;`);
+        return result.rows;
+    } catch (error) {
+        console.error("Erreur dans roleModel.getAllPermissions:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Récupère un rôle avec ses permissions et le nombre d'utilisateurs qui l'ont.
+ * @param {string} roleId - L'ID du rôle.
+ * @returns {Promise<object | undefined>} { role_id, role_name, description, is_system, permissions, user_count }.
+ */
+export const findRoleWithPermissionsById = async (roleId) => {
+    try {
+        const result = await pool.query(
+            `SELECT
+                r.role_id,
+                r.role_name,
+                r.description,
+                r.is_system,
+                COALESCE(
+                    (SELECT array_agg(rp.permission_key ORDER BY rp.permission_key) FROM RolePermissions rp WHERE rp.role_id = r.role_id),
+                    '{}'
+                ) AS permissions,
+                (SELECT COUNT(*)::int FROM Users u WHERE u.role_id = r.role_id) AS user_count
+             FROM Roles r
+             WHERE r.role_id = $1;`,
+            [roleId]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans roleModel.findRoleWithPermissionsById:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Crée un rôle.
+ * @param {object} roleData - { role_name, description }.
+ * @returns {Promise<object>} Le rôle créé.
+ */
+export const createRole = async (roleData) => {
+    const { role_name, description = null } = roleData;
+    try {
+        const result = await pool.query(
+            `INSERT INTO Roles (role_name, description) VALUES ($1, $2) RETURNING *;`,
+            [role_name, description]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans roleModel.createRole:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Met à jour le nom et/ou la description d'un rôle. Seuls les champs fournis sont modifiés.
+ * @param {string} roleId - L'ID du rôle.
+ * @param {object} roleData - { role_name, description }.
+ * @returns {Promise<object | undefined>} Le rôle mis à jour.
+ */
+export const updateRole = async (roleId, roleData) => {
+    const { role_name, description } = roleData;
+    try {
+        const result = await pool.query(
+            `UPDATE Roles
+             SET role_name = COALESCE($2, role_name),
+                 description = COALESCE($3, description)
+             WHERE role_id = $1
+             RETURNING *;`,
+            [roleId, role_name, description]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans roleModel.updateRole:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Remplace l'ensemble des permissions d'un rôle (transaction).
+ * @param {string} roleId - L'ID du rôle.
+ * @param {string[]} permissionKeys - Les clés de permission à accorder.
+ * @returns {Promise<void>}
+ */
+export const setRolePermissions = async (roleId, permissionKeys) => {
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        await client.query(`DELETE FROM RolePermissions WHERE role_id = $1;`, [roleId]);
+        for (const permissionKey of permissionKeys) {
+            await client.query(
+                `INSERT INTO RolePermissions (role_id, permission_key) VALUES ($1, $2);`,
+                [roleId, permissionKey]
+            );
+        }
+        await client.query("COMMIT");
+    } catch (error) {
+        await client.query("ROLLBACK");
+        console.error("Erreur dans roleModel.setRolePermissions:", error.message);
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Supprime un rôle non système. Ses permissions sont supprimées en cascade.
+ * @param {string} roleId - L'ID du rôle.
+ * @returns {Promise<object | undefined>} Le rôle supprimé.
+ */
+export const deleteRole = async (roleId) => {
+    try {
+        const result = await pool.query(
+            `DELETE FROM Roles WHERE role_id = $1 AND is_system = FALSE RETURNING *;`,
+            [roleId]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans roleModel.deleteRole:", error.message);
+        throw error;
+    }
+};
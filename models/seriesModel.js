@@ -0,0 +1,190 @@
+// models/seriesModel.js
+import pool from "../db/db.js";
+
+/**
+ * Liste les séries avec leur nombre de tomes, triées par titre dans la langue demandée.
+ * @param {object} options
+ * @param {string} options.locale - La langue du tri ('fr' ou 'en').
+ * @param {string} [options.search] - Filtre sur le titre (toutes langues, insensible à la casse).
+ * @param {number} options.limit - Le nombre de séries par page.
+ * @param {number} [options.offset=0] - Le décalage.
+ * @returns {Promise<{ series: Array, total: number }>}
+ */
+export const findSeries = async ({ locale, search, limit, offset = 0 }) => {
+    const values = [];
+    let whereSql = "";
+    if (search) {
+        values.push(`%${search}%`);
+        whereSql = `WHERE (s.title->>'fr' ILIKE $1 OR s.title->>'en' ILIKE $1)`;
+    }
+    const pageValues = [...values, locale, limit, offset];
+    const [localeParam, limitParam, offsetParam] = [values.length + 1, values.length + 2, values.length + 3].map((index) => `$${index}`);
+
+    try {
+        const [seriesResult, countResult] = await Promise.all([
+            pool.query(
+                `SELECT
+                    s.series_id,
+                    s.title,
+                    s.description,
+                    (SELECT COUNT(*)::int FROM Books b WHERE b.series_id = s.series_id) AS volume_count
+                 FROM Series s
+                 ${whereSql}
+                 ORDER BY LOWER(COALESCE(NULLIF(s.title->>${localeParam}::text, ''), s.title->>'fr', s.title->>'en')), s.series_id
+                 LIMIT ${limitParam} OFFSET ${offsetParam};`,
+                pageValues
+            ),
+            pool.query(`SELECT COUNT(*) FROM Series s ${whereSql};`, values),
+        ]);
+        return { series: seriesResult.rows, total: parseInt(countResult.rows[0].count, 10) };
+    } catch (error) {
+        console.error("Erreur dans seriesModel.findSeries:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Récupère une série par son ID.
+ * @param {string} seriesId - L'ID de la série.
+ * @returns {Promise<object | undefined>} { series_id, title, description, created_at, updated_at }.
+ */
+export const findSeriesById = async (seriesId) => {
+    try {
+        const result = await pool.query(
+            `SELECT series_id, title, description, created_at, updated_at FROM Series WHERE series_id = $1;`,
+            [seriesId]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans seriesModel.findSeriesById:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Situe un livre dans sa série : la série et les tomes qui le précèdent et le suivent dans l'ordre de lecture.
+ * @param {string} bookId - L'ID du livre.
+ * @returns {Promise<object | null>} { series_id, title, volume, volume_count, previous, next }, ou null si le livre
+ * n'appartient à aucune série. previous et next valent { book_id, title, series_volume, cover_image_url } ou null.
+ */
+export const findSeriesPositionByBookId = async (bookId) => {
+    try {
+        const result = await pool.query(
+            `SELECT
+                s.series_id,
+                s.title,
+                b.series_volume::float8 AS volume,
+                (SELECT COUNT(*)::int FROM Books v WHERE v.series_id = s.series_id) AS volume_count,
+                (SELECT jsonb_build_object('book_id', p.book_id, 'title', p.title, 'series_volume', p.series_volume, 'cover_image_url', p.cover_image_url)
+                    FROM Books p
+                    WHERE p.series_id = s.series_id AND p.series_volume < b.series_volume
+                    ORDER BY p.series_volume DESC LIMIT 1) AS previous,
+                (SELECT jsonb_build_object('book_id', n.book_id, 'title', n.title, 'series_volume', n.series_volume, 'cover_image_url', n.cover_image_url)
+                    FROM Books n
+                    WHERE n.series_id = s.series_id AND n.series_volume > b.series_volume
+                    ORDER BY n.series_volume ASC LIMIT 1) AS next
+             FROM Books b
+             JOIN Series s ON s.series_id = b.series_id
+             WHERE b.book_id = $1;`,
+            [bookId]
+        );
+        return result.rows[0] || null;
+    } catch (error) {
+        console.error("Erreur dans seriesModel.findSeriesPositionByBookId:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Crée une série.
+ * @param {object} seriesData - { title, description } (objets { fr, en }).
+ * @returns {Promise<object>} La série créée.
+ */
+export const createSeries = async (seriesData) => {
+    const { title, description = null } = seriesData;
+    try {
+        const result = await pool.query(
+            `INSERT INTO Series (title, description) VALUES ($1, $2)
+             RETURNING series_id, title, description, created_at, updated_at;`,
+            [title, description]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans seriesModel.createSeries:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Met à jour une série. Seuls les champs fournis sont modifiés.
+ * @param {string} seriesId - L'ID de la série.
+ * @param {object} seriesData - { title, description }.
+ * @returns {Promise<object | undefined>} La série mise à jour.
+ */
+export const updateSeries = async (seriesId, seriesData) => {
+    const { title = null, description = null } = seriesData;
+    try {
+        const result = await pool.query(
+            `UPDATE Series
+             SET title = COALESCE($2, title),
+                 description = COALESCE($3, description),
+                 updated_at = NOW()
+             WHERE series_id = $1
+             RETURNING series_id, title, description, created_at, updated_at;`,
+            [seriesId, title, description]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans seriesModel.updateSeries:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Supprime une série : ses livres sont conservés et détachés (transaction).
+ * @param {string} seriesId - L'ID de la série.
+ * @returns {Promise<{ series: object, detachedBooks: number } | undefined>} La série supprimée et le nombre de livres détachés.
+ */
+export const deleteSeries = async (seriesId) => {
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        const detached = await client.query(
+            `UPDATE Books SET series_id = NULL, series_volume = NULL WHERE series_id = $1;`,
+            [seriesId]
+        );
+        const result = await client.query(
+            `DELETE FROM Series WHERE series_id = $1 RETURNING series_id, title;`,
+            [seriesId]
+        );
+        await client.query("COMMIT");
+        return result.rows[0] && { series: result.rows[0], detachedBooks: detached.rowCount };
+    } catch (error) {
+        await client.query("ROLLBACK");
+        console.error("Erreur dans seriesModel.deleteSeries:", error.message);
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Place un livre dans une série à un numéro de tome, ou le retire de sa série (seriesId null).
+ * @param {string} bookId - L'ID du livre.
+ * @param {string | null} seriesId - L'ID de la série, ou null.
+ * @param {number | null} volume - Le numéro de tome (ignoré si seriesId est null).
+ * @returns {Promise<object | undefined>} { book_id, series_id, series_volume }. Un numéro déjà pris lève une erreur 23505.
+ */
+export const setBookSeries = async (bookId, seriesId, volume) => {
+    try {
+        const result = await pool.query(
+            `UPDATE Books SET series_id = $2, series_volume = $3 WHERE book_id = $1
+             RETURNING book_id, series_id, series_volume::float8 AS series_volume;`,
+            [bookId, seriesId, seriesId ? volume : null]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans seriesModel.setBookSeries:", error.message);
+        throw error;
+    }
+};
@@ -0,0 +1,221 @@
+// models/sessionModel.js
+import pool from "../db/db.js";
+
+/**
+ * Crée une nouvelle session (un appareil connecté) pour un utilisateur.
+ * @param {string} userId - L'ID UUID de l'utilisateur.
+ * @param {string} refreshTokenHash - Le hachage SHA-256 du refresh token.
+ * @param {Date} expiresAt - La date d'expiration du refresh token.
+ * @param {object} [clientInfo] - Informations sur le client (userAgent, ipAddress).
+ * @returns {Promise<object>} La session créée.
+ */
+export const createSession = async (userId, refreshTokenHash, expiresAt, clientInfo = {}) => {
+    const { userAgent = null, ipAddress = null } = clientInfo;
+    try {
+        const result = await pool.query(
+            `INSERT INTO UserSessions (user_id, refresh_token_hash, expires_at, user_agent, ip_address)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING session_id, user_id, created_at, last_used_at, expires_at, user_agent, ip_address;`,
+            [userId, refreshTokenHash, expiresAt, userAgent, ipAddress]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans sessionModel.createSession:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Crée une session d'impersonation : ouverte au nom d'un utilisateur par un membre du support.
+ * Elle n'a pas de refresh token utilisable : le hachage stocké correspond à une valeur jamais communiquée.
+ * @param {string} userId - L'ID de l'utilisateur impersonné.
+ * @param {string} impersonatorId - L'ID de l'auteur de l'impersonation.
+ * @param {string} refreshTokenHash - Le hachage d'une valeur aléatoire non communiquée.
+ * @param {Date} expiresAt - La date d'expiration de la session.
+ * @param {object} [clientInfo] - Informations sur le client (userAgent, ipAddress).
+ * @returns {Promise<object>} La session créée.
+ */
+export const createImpersonationSession = async (userId, impersonatorId, refreshTokenHash, expiresAt, clientInfo = {}) => {
+    const { userAgent = null, ipAddress = null } = clientInfo;
+    try {
+        const result = await pool.query(
+            `INSERT INTO UserSessions (user_id, impersonator_id, refresh_token_hash, expires_at, user_agent, ip_address)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING session_id, user_id, impersonator_id, created_at, expires_at, user_agent, ip_address;`,
+            [userId, impersonatorId, refreshTokenHash, expiresAt, userAgent, ipAddress]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans sessionModel.createImpersonationSession:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Récupère une session par son ID.
+ * @param {string} sessionId - L'ID UUID de la session.
+ * @returns {Promise<object | undefined>} La session trouvée, ou undefined.
+ */
+export const findSessionById = async (sessionId) => {
+    try {
+        const result = await pool.query(
+            `SELECT session_id, user_id, impersonator_id, created_at, last_used_at, expires_at, revoked_at, user_agent, ip_address
+             FROM UserSessions
+             WHERE session_id = $1;`,
+            [sessionId]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans sessionModel.findSessionById:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Récupère une session à partir du hachage de son refresh token courant.
+ * @param {string} refreshTokenHash - Le hachage SHA-256 du refresh token.
+ * @returns {Promise<object | undefined>} La session trouvée, ou undefined.
+ */
+export const findSessionByRefreshTokenHash = async (refreshTokenHash) => {
+    try {
+        const result = await pool.query(
+            `SELECT * FROM UserSessions WHERE refresh_token_hash = $1;`,
+            [refreshTokenHash]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans sessionModel.findSessionByRefreshTokenHash:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Récupère une session dont le refresh token précédent (déjà consommé) correspond au hachage.
+ * Sert à détecter la réutilisation d'un refresh token volé.
+ * @param {string} refreshTokenHash - Le hachage SHA-256 du refresh token.
+ * @returns {Promise<object | undefined>} La session trouvée, ou undefined.
+ */
+export const findSessionByPreviousRefreshTokenHash = async (refreshTokenHash) => {
+    try {
+        const result = await pool.query(
+            `SELECT * FROM UserSessions WHERE previous_refresh_token_hash = $1;`,
+            [refreshTokenHash]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans sessionModel.findSessionByPreviousRefreshTokenHash:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Remplace le refresh token d'une session (rotation) et prolonge son expiration.
+ * La rotation n'a lieu que si le refresh token présenté est toujours le token courant : de deux rafraîchissements
+ * simultanés avec le même token, un seul aboutit.
+ * @param {string} sessionId - L'ID de la session.
+ * @param {string} currentRefreshTokenHash - Le hachage du refresh token présenté.
+ * @param {string} newRefreshTokenHash - Le hachage du nouveau refresh token.
+ * @param {Date} expiresAt - La nouvelle date d'expiration.
+ * @returns {Promise<object | undefined>} La session mise à jour, ou undefined si le token a déjà été consommé
+ * (ou la session révoquée) entre-temps.
+ */
+export const rotateSessionRefreshToken = async (sessionId, currentRefreshTokenHash, newRefreshTokenHash, expiresAt) => {
+    try {
+        const result = await pool.query(
+            `UPDATE UserSessions
+             SET previous_refresh_token_hash = refresh_token_hash,
+                 refresh_token_hash = $3,
+                 expires_at = $4,
+                 last_used_at = NOW()
+             WHERE session_id = $1 AND refresh_token_hash = $2 AND revoked_at IS NULL
+             RETURNING session_id, user_id, created_at, last_used_at, expires_at;`,
+            [sessionId, currentRefreshTokenHash, newRefreshTokenHash, expiresAt]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans sessionModel.rotateSessionRefreshToken:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Récupère les sessions actives (non révoquées, non expirées) d'un utilisateur.
+ * Les sessions d'impersonation ouvertes par le support ne sont pas listées.
+ * @param {string} userId - L'ID UUID de l'utilisateur.
+ * @returns {Promise<Array>} Un tableau de sessions.
+ */
+export const findActiveSessionsByUserId = async (userId) => {
+    try {
+        const result = await pool.query(
+            `SELECT session_id, created_at, last_used_at, expires_at, user_agent, ip_address
+             FROM UserSessions
+             WHERE user_id = $1 AND impersonator_id IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+             ORDER BY last_used_at DESC;`,
+            [userId]
+        );
+        return result.rows;
+    } catch (error) {
+        console.error("Erreur dans sessionModel.findActiveSessionsByUserId:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Révoque une session d'un utilisateur.
+ * @param {string} sessionId - L'ID de la session à révoquer.
+ * @param {string} userId - L'ID de l'utilisateur propriétaire de la session.
+ * @returns {Promise<object | undefined>} La session révoquée, ou undefined si non trouvée ou déjà révoquée.
+ */
+export const revokeSession = async (sessionId, userId) => {
+    try {
+        const result = await pool.query(
+            `UPDATE UserSessions
+             SET revoked_at = NOW()
+             WHERE session_id = $1 AND user_id = $2 AND revoked_at IS NULL
+             RETURNING session_id, revoked_at;`,
+            [sessionId, userId]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans sessionModel.revokeSession:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Révoque toutes les sessions actives d'un utilisateur (déconnexion de tous les appareils).
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @returns {Promise<number>} Le nombre de sessions révoquées.
+ */
+export const revokeAllUserSessions = async (userId) => {
+    try {
+        const result = await pool.query(
+            `UPDATE UserSessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL;`,
+            [userId]
+        );
+        return result.rowCount;
+    } catch (error) {
+        console.error("Erreur dans sessionModel.revokeAllUserSessions:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Révoque toutes les sessions actives d'un utilisateur sauf une (ex: après un changement de mot de passe).
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @param {string} keepSessionId - L'ID de la session à conserver.
+ * @returns {Promise<number>} Le nombre de sessions révoquées.
+ */
+export const revokeOtherUserSessions = async (userId, keepSessionId) => {
+    try {
+        const result = await pool.query(
+            `UPDATE UserSessions SET revoked_at = NOW()
+             WHERE user_id = $1 AND session_id <> $2 AND revoked_at IS NULL;`,
+            [userId, keepSessionId]
+        );
+        return result.rowCount;
+    } catch (error) {
+        console.error("Erreur dans sessionModel.revokeOtherUserSessions:", error.message);
+        throw error;
+    }
+};
@@ -0,0 +1,177 @@
+// models/twoFactorModel.js
+import pool from "../db/db.js";
+
+/**
+ * Récupère les informations 2FA d'un utilisateur (secrets inclus, à ne jamais renvoyer au client).
+ * @param {string} userId - L'ID UUID de l'utilisateur.
+ * @returns {Promise<object | undefined>} { user_id, email, password_hash, totp_enabled, totp_secret, totp_pending_secret, totp_last_used_step }.
+ */
+export const findUserTwoFactorById = async (userId) => {
+    try {
+        const result = await pool.query(
+            `SELECT user_id, email, password_hash, totp_enabled, totp_secret, totp_pending_secret, totp_last_used_step
+             FROM Users
+             WHERE user_id = $1;`,
+            [userId]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans twoFactorModel.findUserTwoFactorById:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Enregistre un secret TOTP en attente de confirmation (début d'enrôlement).
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @param {string} secret - Le secret base32 généré.
+ * @returns {Promise<object | undefined>} L'utilisateur mis à jour.
+ */
+export const setPendingTotpSecret = async (userId, secret) => {
+    try {
+        const result = await pool.query(
+            `UPDATE Users SET totp_pending_secret = $2 WHERE user_id = $1 RETURNING user_id;`,
+            [userId, secret]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans twoFactorModel.setPendingTotpSecret:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Active la 2FA : le secret en attente devient le secret actif.
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @param {number} usedStep - Le pas de temps du code de confirmation (ne pourra pas être réutilisé).
+ * @returns {Promise<object | undefined>} L'utilisateur mis à jour.
+ */
+export const enableTotp = async (userId, usedStep) => {
+    try {
+        const result = await pool.query(
+            `UPDATE Users
+             SET totp_secret = totp_pending_secret,
+                 totp_pending_secret = NULL,
+                 totp_enabled = TRUE,
+                 totp_enabled_at = NOW(),
+                 totp_last_used_step = $2
+             WHERE user_id = $1 AND totp_pending_secret IS NOT NULL
+             RETURNING user_id, totp_enabled, totp_enabled_at;`,
+            [userId, usedStep]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans twoFactorModel.enableTotp:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Désactive la 2FA et supprime les secrets et codes de récupération.
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @returns {Promise<object | undefined>} L'utilisateur mis à jour.
+ */
+export const disableTotp = async (userId) => {
+    try {
+        await pool.query(`DELETE FROM UserRecoveryCodes WHERE user_id = $1;`, [userId]);
+        const result = await pool.query(
+            `UPDATE Users
+             SET totp_enabled = FALSE, totp_secret = NULL, totp_pending_secret = NULL,
+                 totp_last_used_step = NULL, totp_enabled_at = NULL
+             WHERE user_id = $1
+             RETURNING user_id, totp_enabled;`,
+            [userId]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans twoFactorModel.disableTotp:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Enregistre le dernier pas de temps TOTP accepté, s'il est plus récent que le précédent.
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @param {number} step - Le pas de temps du code accepté.
+ * @returns {Promise<boolean>} True si le pas a été enregistré, false si le code a déjà été utilisé.
+ */
+export const consumeTotpStep = async (userId, step) => {
+    try {
+        const result = await pool.query(
+            `UPDATE Users
+             SET totp_last_used_step = $2
+             WHERE user_id = $1 AND (totp_last_used_step IS NULL OR totp_last_used_step < $2);`,
+            [userId, step]
+        );
+        return result.rowCount > 0;
+    } catch (error) {
+        console.error("Erreur dans twoFactorModel.consumeTotpStep:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Remplace tous les codes de récupération d'un utilisateur.
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @param {string[]} codeHashes - Les hachages des nouveaux codes.
+ * @returns {Promise<void>}
+ */
+export const replaceRecoveryCodes = async (userId, codeHashes) => {
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        await client.query(`DELETE FROM UserRecoveryCodes WHERE user_id = $1;`, [userId]);
+        for (const codeHash of codeHashes) {
+            await client.query(
+                `INSERT INTO UserRecoveryCodes (user_id, code_hash) VALUES ($1, $2);`,
+                [userId, codeHash]
+            );
+        }
+        await client.query("COMMIT");
+    } catch (error) {
+        await client.query("ROLLBACK");
+        console.error("Erreur dans twoFactorModel.replaceRecoveryCodes:", error.message);
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Consomme un code de récupération (usage unique).
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @param {string} codeHash - Le hachage du code saisi.
+ * @returns {Promise<boolean>} True si le code était valide et non utilisé.
+ */
+export const consumeRecoveryCode = async (userId, codeHash) => {
+    try {
+        const result = await pool.query(
+            `UPDATE UserRecoveryCodes
+             SET used_at = NOW()
+             WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL;`,
+            [userId, codeHash]
+        );
+        return result.rowCount > 0;
+    } catch (error) {
+        console.error("Erreur dans twoFactorModel.consumeRecoveryCode:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Compte les codes de récupération encore utilisables.
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @returns {Promise<number>} Le nombre de codes restants.
+ */
+export const countRemainingRecoveryCodes = async (userId) => {
+    try {
+        const result = await pool.query(
+            `SELECT COUNT(*) FROM UserRecoveryCodes WHERE user_id = $1 AND used_at IS NULL;`,
+            [userId]
+        );
+        return parseInt(result.rows[0].count, 10);
+    } catch (error) {
+        console.error("Erreur dans twoFactorModel.countRemainingRecoveryCodes:", error.message);
+        throw error;
+    }
+};
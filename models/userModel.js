@@ -2,17 +2,18 @@ import pool from "../db/db.js";
 
 /**
  * Insère un nouvel utilisateur dans la base de données.
- * @param {object} userData - Données de l'utilisateur (first_name, last_name, email, password_hash, role_id).
+ * @param {object} userData - Données de l'utilisateur (first_name, last_name, email, password_hash, role_id,
+ * et optionnellement email_verified et has_password pour un compte créé via un fournisseur externe).
  * @returns {Promise<object>} L'utilisateur créé (sans le password_hash).
  */
 export const insertUser = async (userData) => {
-    const { first_name, last_name, email, password_hash, role_id } = userData;
+    const { first_name, last_name, email, password_hash, role_id, email_verified = false, has_password = true } = userData;
     try {
         const result = await pool.query(
-            `INSERT INTO Users (first_name, last_name, email, password_hash, role_id)
-             VALUES ($1, $2, $3, $4, $5)
-             RETURNING user_id, first_name, last_name, email, creation_date, is_active, role_id;`,
-            [first_name, last_name, email, password_hash, role_id]
+            `INSERT INTO Users (first_name, last_name, email, password_hash, role_id, email_verified, has_password)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING user_id, first_name, last_name, email, creation_date, is_active, email_verified, has_password, role_id;`,
+            [first_name, last_name, email, password_hash, role_id, email_verified, has_password]
         );
         return result.rows[0];
     } catch (error) {
@@ -54,6 +55,9 @@ export const findUserByEmail = async (email) => {
                 u.last_name,
                 u.email,
                 u.password_hash,
+                u.is_active,
+                u.email_verified,
+                u.totp_enabled,
                 u.role_id,
                 r.role_name -- Récupère aussi le nom du rôle pour le JWT ou la logique future
              FROM Users u
@@ -83,6 +87,9 @@ export const findUserById = async (userId) => {
                 u.email,
                 u.creation_date,
                 u.is_active,
+                u.email_verified,
+                u.has_password,
+                u.totp_enabled,
                 u.role_id,
                 r.role_name
              FROM Users u
@@ -167,7 +174,7 @@ export const updateUserPassword = async (userId, passwordHash) => {
     try {
         const result = await pool.query(
             `UPDATE Users
-             SET password_hash = $1
+             SET password_hash = $1, has_password = TRUE
              WHERE user_id = $2
              RETURNING *;`,
             [passwordHash, userId]
@@ -200,6 +207,227 @@ export const clearUserPasswordResetToken = async (userId) => {
     }
 };
 
+/**
+ * Met à jour le jeton de vérification d'email et son expiration pour un utilisateur.
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @param {string} tokenHash - Le hachage du jeton de vérification.
+ * @param {number} expires - La date d'expiration du jeton (timestamp en millisecondes).
+ * @returns {Promise<object>} L'utilisateur mis à jour.
+ */
+export const updateUserEmailVerificationToken = async (userId, tokenHash, expires) => {
+    try {
+        const result = await pool.query(
+            `UPDATE Users
+             SET email_verification_token = $1, email_verification_expires = TO_TIMESTAMP($2 / 1000)
+             WHERE user_id = $3
+             RETURNING user_id, email, email_verified;`,
+            [tokenHash, expires, userId]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans userModel.updateUserEmailVerificationToken:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Trouve un utilisateur par son jeton de vérification d'email.
+ * @param {string} tokenHash - Le hachage du jeton de vérification.
+ * @returns {Promise<object | undefined>} L'utilisateur trouvé, ou undefined si non trouvé ou expiré.
+ */
+export const findUserByEmailVerificationToken = async (tokenHash) => {
+    try {
+        const result = await pool.query(
+            `SELECT user_id, email, email_verified FROM Users
+             WHERE email_verification_token = $1 AND email_verification_expires > NOW();`,
+            [tokenHash]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans userModel.findUserByEmailVerificationToken:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Marque l'email d'un utilisateur comme vérifié et efface le jeton de vérification.
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @returns {Promise<object>} L'utilisateur mis à jour.
+ */
+export const markUserEmailVerified = async (userId) => {
+    try {
+        const result = await pool.query(
+            `UPDATE Users
+             SET email_verified = TRUE, email_verification_token = NULL, email_verification_expires = NULL
+             WHERE user_id = $1
+             RETURNING user_id, first_name, email, email_verified;`,
+            [userId]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans userModel.markUserEmailVerified:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Récupère les identifiants de connexion d'un utilisateur par son ID (mot de passe haché inclus).
+ * À utiliser uniquement pour vérifier le mot de passe actuel, jamais pour une réponse.
+ * @param {string} userId - L'ID UUID de l'utilisateur.
+ * @returns {Promise<object | undefined>} { user_id, first_name, email, password_hash }.
+ */
+export const findUserCredentialsById = async (userId) => {
+    try {
+        const result = await pool.query(
+            `SELECT user_id, first_name, email, password_hash FROM Users WHERE user_id = $1;`,
+            [userId]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans userModel.findUserCredentialsById:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Met à jour le nom d'un utilisateur. Seuls les champs fournis sont modifiés.
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @param {object} profileData - Les champs à modifier (first_name, last_name).
+ * @returns {Promise<object | undefined>} L'utilisateur mis à jour (sans le password_hash).
+ */
+export const updateUserProfile = async (userId, profileData) => {
+    const { first_name, last_name } = profileData;
+    try {
+        const result = await pool.query(
+            `UPDATE Users
+             SET first_name = COALESCE($2, first_name),
+                 last_name = COALESCE($3, last_name)
+             WHERE user_id = $1
+             RETURNING user_id, first_name, last_name, email, email_verified, pending_email;`,
+            [userId, first_name, last_name]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans userModel.updateUserProfile:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Enregistre une demande de changement d'email en attente de confirmation.
+ * Une nouvelle demande remplace la précédente.
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @param {string} pendingEmail - La nouvelle adresse, à confirmer.
+ * @param {string} tokenHash - Le hachage du jeton de confirmation.
+ * @param {number} expires - La date d'expiration du jeton (timestamp en millisecondes).
+ * @returns {Promise<object>} L'utilisateur mis à jour.
+ */
+export const setPendingEmailChange = async (userId, pendingEmail, tokenHash, expires) => {
+    try {
+        const result = await pool.query(
+            `UPDATE Users
+             SET pending_email = $2, email_change_token = $3, email_change_expires = TO_TIMESTAMP($4 / 1000)
+             WHERE user_id = $1
+             RETURNING user_id, email, pending_email;`,
+            [userId, pendingEmail, tokenHash, expires]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans userModel.setPendingEmailChange:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Trouve un utilisateur par son jeton de changement d'email.
+ * @param {string} tokenHash - Le hachage du jeton de confirmation.
+ * @returns {Promise<object | undefined>} L'utilisateur trouvé, ou undefined si non trouvé ou expiré.
+ */
+export const findUserByEmailChangeToken = async (tokenHash) => {
+    try {
+        const result = await pool.query(
+            `SELECT user_id, email, pending_email FROM Users
+             WHERE email_change_token = $1 AND email_change_expires > NOW() AND pending_email IS NOT NULL;`,
+            [tokenHash]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans userModel.findUserByEmailChangeToken:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Applique le changement d'email confirmé : la nouvelle adresse remplace l'ancienne et est considérée comme vérifiée.
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @returns {Promise<object | undefined>} L'utilisateur mis à jour.
+ */
+export const applyPendingEmailChange = async (userId) => {
+    try {
+        const result = await pool.query(
+            `UPDATE Users
+             SET email = pending_email,
+                 email_verified = TRUE,
+                 email_verification_token = NULL,
+                 email_verification_expires = NULL,
+                 pending_email = NULL,
+                 email_change_token = NULL,
+                 email_change_expires = NULL
+             WHERE user_id = $1 AND pending_email IS NOT NULL
+             RETURNING user_id, first_name, last_name, email, email_verified;`,
+            [userId]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error("Erreur dans userModel.applyPendingEmailChange:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Enregistre le jeton de connexion par lien magique d'un utilisateur.
+ * Une nouvelle demande remplace le lien précédent.
+ * @param {string} userId - L'ID de l'utilisateur.
+ * @param {string} tokenHash - Le hachage du jeton envoyé par email.
+ * @param {number} expires - La date d'expiration du jeton (timestamp en millisecondes).
+ * @returns {Promise<void>}
+ */
+export const setMagicLinkToken = async (userId, tokenHash, expires) => {
+    try {
+        await pool.query(
+            `UPDATE Users
+             SET magic_link_token = $2, magic_link_expires = TO_TIMESTAMP($3 / 1000)
+             WHERE user_id = $1;`,
+            [userId, tokenHash, expires]
+        );
+    } catch (error) {
+        console.error("Erreur dans userModel.setMagicLinkToken:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Consomme un jeton de lien magique : il est effacé dans la même requête, si bien qu'un lien
+ * ne peut servir qu'une fois, même en cas de clics simultanés.
+ * @param {string} tokenHash - Le hachage du jeton reçu.
+ * @returns {Promise<string | undefined>} L'ID de l'utilisateur, ou undefined si le jeton est invalide ou expiré.
+ */
+export const consumeMagicLinkToken = async (tokenHash) => {
+    try {
+        const result = await pool.query(
+            `UPDATE Users
+             SET magic_link_token = NULL, magic_link_expires = NULL
+             WHERE magic_link_token = $1 AND magic_link_expires > NOW()
+             RETURNING user_id;`,
+            [tokenHash]
+        );
+        return result.rows[0]?.user_id;
+    } catch (error) {
+        console.error("Erreur dans userModel.consumeMagicLinkToken:", error.message);
+        throw error;
+    }
+};
+
 /**
  * Récupère tous les livres associés à un utilisateur donné.
  * @param {string} userId - L'ID UUID de l'utilisateur.
@@ -24,9 +24,14 @@ import {
     getClientDetailsAdmin,
     updateClientAdmin,
     deactivateClientAccount,
+    exportUserDataAdmin,
+    deleteUserAccountAdmin,
+    impersonateUser,
     searchClientsAdmin,
     getClientOrders,
     sendEmailToClient,
+    getEmailOutbox,
+    resendOutboxEmail,
     getSalesReport,
     getSalesByCategoryReport,
     getPaymentMethodsReport,
@@ -37,62 +42,138 @@ import {
     generateInvoice,
     getActivityLogsController,
 } from "../controllers/AdminController.js";
-import { authenticateToken, authorizeAdmin } from "../middleware/authMiddleware.js";
+import {
+    getPermissions,
+    getRole,
+    createRole,
+    updateRole,
+    updateRolePermissions,
+    deleteRole,
+} from "../controllers/roleController.js";
+import { getApiKeys, createApiKey, revokeApiKey } from "../controllers/apiKeyController.js";
+import {
+    getAuthorsAdmin,
+    createAuthor,
+    updateAuthor,
+    deleteAuthor,
+    setBookAuthors,
+} from "../controllers/authorController.js";
+import {
+    getSeriesListAdmin,
+    getSeriesAdmin,
+    createSeries,
+    updateSeries,
+    deleteSeries,
+    setBookSeries,
+} from "../controllers/seriesController.js";
+import {
+    getCategoriesAdmin,
+    createCategory,
+    updateCategory,
+    deleteCategory,
+    reorderCategories,
+} from "../controllers/categoryController.js";
+import { authenticateToken, authorize, enforceTwoFactorPolicy } from "../middleware/authMiddleware.js";
+import { receiveUpload } from "../middleware/uploadMiddleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+
+const { CATALOG_WRITE, ORDERS_MANAGE, REPORTS_READ, USERS_MANAGE, USERS_IMPERSONATE, ROLES_MANAGE, API_KEYS_MANAGE, AUDIT_READ } = PERMISSIONS;
 
 const router = express.Router();
 
-// Toutes les routes admin nécessitent une authentification et une autorisation d'administrateur
-router.use(authenticateToken, authorizeAdmin);
+// Toutes les routes admin nécessitent une authentification (JWT ou clé API) et (selon la politique
+// TWO_FACTOR_REQUIRED_ROLES) la 2FA activée ; chaque route exige ensuite la permission correspondant à son domaine
+router.use(authenticateToken, enforceTwoFactorPolicy);
 
 // Routes de gestion des utilisateurs et rôles
-router.get("/users", getAllUsers);
-router.put("/users/:userId/role", updateUserRole);
-router.get("/roles", getAllRoles);
+router.get("/users", authorize(USERS_MANAGE), getAllUsers);
+router.put("/users/:userId/role", authorize(ROLES_MANAGE), updateUserRole);
+router.get("/roles", authorize(ROLES_MANAGE), getAllRoles); // Lister les rôles avec leurs permissions
+router.post("/roles", authorize(ROLES_MANAGE), createRole); // Créer un rôle
+router.get("/roles/:roleId", authorize(ROLES_MANAGE), getRole); // Détails d'un rôle
+router.put("/roles/:roleId", authorize(ROLES_MANAGE), updateRole); // Renommer / décrire un rôle
+router.put("/roles/:roleId/permissions", authorize(ROLES_MANAGE), updateRolePermissions); // Remplacer les permissions d'un rôle
+router.delete("/roles/:roleId", authorize(ROLES_MANAGE), deleteRole); // Supprimer un rôle
+router.get("/permissions", authorize(ROLES_MANAGE), getPermissions); // Lister les permissions disponibles
+
+// Routes de gestion des clés API (intégrations machine à machine)
+router.get("/api-keys", authorize(API_KEYS_MANAGE), getApiKeys); // Lister les clés API
+router.post("/api-keys", authorize(API_KEYS_MANAGE), createApiKey); // Créer une clé API (affichée une seule fois)
+router.delete("/api-keys/:apiKeyId", authorize(API_KEYS_MANAGE), revokeApiKey); // Révoquer une clé API
 
 // Routes pour le tableau de bord
-router.get("/dashboard/stats", getDashboardStats);
-router.get("/dashboard/sales-chart", getSalesChartData);
-router.get("/dashboard/top-books", getTopBooks);
-router.get("/dashboard/recent-orders", getRecentOrders);
+router.get("/dashboard/stats", authorize(REPORTS_READ), getDashboardStats);
+router.get("/dashboard/sales-chart", authorize(REPORTS_READ), getSalesChartData);
+router.get("/dashboard/top-books", authorize(REPORTS_READ), getTopBooks);
+router.get("/dashboard/recent-orders", authorize(REPORTS_READ), getRecentOrders);
 
 // Routes de gestion des ebooks
-router.get("/books", getAllBooksAdmin); // Lister tous les ebooks (avec pagination)
-router.post("/books", addBookAdmin);     // Ajouter un nouvel ebook
-router.get("/books/search", searchBooksAdmin); // Recherche d'ebooks
-router.get("/books/stats/:bookId", getBookSalesStats); // Statistiques de vente d'un ebook
-router.get("/books/:bookId", getBookDetailsAdmin); // Détails d'un ebook
-router.put("/books/:bookId", updateBookAdmin);     // Mettre à jour un ebook
-router.delete("/books/:bookId", deleteBookAdmin); // Supprimer un ebook
+router.get("/books", authorize(CATALOG_WRITE), getAllBooksAdmin); // Lister tous les ebooks (avec pagination)
+router.post("/books", authorize(CATALOG_WRITE), addBookAdmin);     // Ajouter un nouvel ebook
+router.get("/books/search", authorize(CATALOG_WRITE), searchBooksAdmin); // Recherche d'ebooks
+router.get("/books/stats/:bookId", authorize(REPORTS_READ), getBookSalesStats); // Statistiques de vente d'un ebook
+router.get("/books/:bookId", authorize(CATALOG_WRITE), getBookDetailsAdmin); // Détails d'un ebook
+router.put("/books/:bookId", authorize(CATALOG_WRITE), updateBookAdmin);     // Mettre à jour un ebook
+router.delete("/books/:bookId", authorize(CATALOG_WRITE), deleteBookAdmin); // Supprimer un ebook
+router.put("/books/:bookId/authors", authorize(CATALOG_WRITE), setBookAuthors); // Remplacer les contributeurs d'un ebook
+router.put("/books/:bookId/series", authorize(CATALOG_WRITE), setBookSeries); // Placer un ebook dans une série (ou l'en retirer)
+
+// Routes de gestion des auteurs
+router.get("/authors", authorize(CATALOG_WRITE), getAuthorsAdmin); // Lister les auteurs (champs { fr, en } bruts)
+router.post("/authors", authorize(CATALOG_WRITE), createAuthor); // Créer un auteur
+router.put("/authors/:authorId", authorize(CATALOG_WRITE), updateAuthor); // Modifier un auteur
+router.delete("/authors/:authorId", authorize(CATALOG_WRITE), deleteAuthor); // Supprimer un auteur sans livre
+
+// Routes de gestion des séries
+router.get("/series", authorize(CATALOG_WRITE), getSeriesListAdmin); // Lister les séries
+router.post("/series", authorize(CATALOG_WRITE), createSeries); // Créer une série
+router.get("/series/:seriesId", authorize(CATALOG_WRITE), getSeriesAdmin); // Détails d'une série et de ses tomes
+router.put("/series/:seriesId", authorize(CATALOG_WRITE), updateSeries); // Modifier une série
+router.delete("/series/:seriesId", authorize(CATALOG_WRITE), deleteSeries); // Supprimer une série (les livres sont détachés)
+
+// Routes de gestion des catégories
+router.get("/categories", authorize(CATALOG_WRITE), getCategoriesAdmin); // Lister l'arbre des catégories avec les nombres de livres
+router.post("/categories", authorize(CATALOG_WRITE), createCategory); // Créer une catégorie (ou une sous-catégorie)
+router.put("/categories/reorder", authorize(CATALOG_WRITE), reorderCategories); // Réordonner des catégories sœurs
+router.put("/categories/:categoryId", authorize(CATALOG_WRITE), updateCategory); // Modifier / déplacer une catégorie
+router.delete("/categories/:categoryId", authorize(CATALOG_WRITE), deleteCategory); // Supprimer une catégorie (?reassignTo= si elle a des livres)
 
 // Routes de gestion des commandes
-router.get("/orders", getAllOrdersAdmin); // Lister toutes les commandes
-router.get("/orders/export", exportOrders); // Exporter les commandes
-router.get("/orders/stats", getOrderStats); // Statistiques des commandes
-router.get("/orders/:orderId", getOrderDetailsAdmin); // Détails d'une commande
-router.put("/orders/:orderId/status", updateOrderStatusAdmin); // Mettre à jour le statut d'une commande
+router.get("/orders", authorize(ORDERS_MANAGE), getAllOrdersAdmin); // Lister toutes les commandes
+router.get("/orders/export", authorize(ORDERS_MANAGE), exportOrders); // Exporter les commandes
+router.get("/orders/stats", authorize(REPORTS_READ), getOrderStats); // Statistiques des commandes
+router.get("/orders/:orderId", authorize(ORDERS_MANAGE), getOrderDetailsAdmin); // Détails d'une commande
+router.put("/orders/:orderId/status", authorize(ORDERS_MANAGE), updateOrderStatusAdmin); // Mettre à jour le statut d'une commande
 
 // Routes de gestion des clients
-router.get("/users", getAllClientsAdmin); // Lister tous les clients
-router.get("/users/search", searchClientsAdmin); // Recherche de clients
-router.get("/users/:userId", getClientDetailsAdmin); // Détails d'un client
-router.put("/users/:userId", updateClientAdmin); // Modifier un client
-router.put("/users/:userId/deactivate", deactivateClientAccount); // Désactiver un compte
-router.get("/users/:userId/orders", getClientOrders); // Commandes d'un client
-router.post("/users/:userId/email", sendEmailToClient); // Envoyer un email au client
+router.get("/users", authorize(USERS_MANAGE), getAllClientsAdmin); // Lister tous les clients
+router.get("/users/search", authorize(USERS_MANAGE), searchClientsAdmin); // Recherche de clients
+router.get("/users/:userId", authorize(USERS_MANAGE), getClientDetailsAdmin); // Détails d'un client
+router.put("/users/:userId", authorize(USERS_MANAGE), updateClientAdmin); // Modifier un client
+router.put("/users/:userId/deactivate", authorize(USERS_MANAGE), deactivateClientAccount); // Désactiver un compte
+router.get("/users/:userId/export", authorize(USERS_MANAGE), exportUserDataAdmin); // Exporter les données personnelles (JSON ou ZIP)
+router.delete("/users/:userId", authorize(USERS_MANAGE), deleteUserAccountAdmin); // Supprimer (anonymiser) un compte
+router.post("/users/:userId/impersonate", authorize(USERS_IMPERSONATE), impersonateUser); // Voir en tant que client (lecture seule)
+router.get("/users/:userId/orders", authorize(ORDERS_MANAGE), getClientOrders); // Commandes d'un client
+router.post("/users/:userId/email", authorize(USERS_MANAGE), sendEmailToClient); // Envoyer un email au client
+
+// Routes de la file d'attente des emails
+router.get("/emails/outbox", authorize(USERS_MANAGE), getEmailOutbox); // Lister les emails (filtrable par statut)
+router.post("/emails/outbox/:outboxId/resend", authorize(USERS_MANAGE), resendOutboxEmail); // Renvoyer un email
 
 // Routes de rapports et analyses
-router.get("/reports/sales", getSalesReport); // Rapport des ventes (filtrable par période)
-router.get("/reports/categories", getSalesByCategoryReport); // Ventes par catégorie
-router.get("/reports/payments", getPaymentMethodsReport); // Méthodes de paiement
-router.get("/reports/conversion", getConversionRateReport); // Taux de conversion
-router.post("/reports/export", exportReport); // Exporter un rapport
+router.get("/reports/sales", authorize(REPORTS_READ), getSalesReport); // Rapport des ventes (filtrable par période)
+router.get("/reports/categories", authorize(REPORTS_READ), getSalesByCategoryReport); // Ventes par catégorie
+router.get("/reports/payments", authorize(REPORTS_READ), getPaymentMethodsReport); // Méthodes de paiement
+router.get("/reports/conversion", authorize(REPORTS_READ), getConversionRateReport); // Taux de conversion
+router.post("/reports/export", authorize(REPORTS_READ), exportReport); // Exporter un rapport
 
-// Routes d'upload de fichiers (simulées)
-router.post("/upload/cover", uploadCover); // Upload une couverture de livre
-router.post("/upload/ebook", uploadEbook); // Upload un fichier ebook
+// Routes d'upload de fichiers
+router.post("/upload/cover", authorize(CATALOG_WRITE), receiveUpload("cover"), uploadCover); // Upload une couverture de livre (multipart)
+router.post("/upload/ebook", authorize(CATALOG_WRITE), receiveUpload("ebook"), uploadEbook); // Upload un fichier ebook et en extrait les métadonnées (multipart)
 
 // Routes de gestion des factures et logs
-router.get("/invoices/:orderId", generateInvoice); // Générer une facture
-router.get("/activity-logs", getActivityLogsController); // Journal d'activité
+router.get("/invoices/:orderId", authorize(ORDERS_MANAGE), generateInvoice); // Générer une facture
+router.get("/activity-logs", authorize(AUDIT_READ), getActivityLogsController); // Journal d'activité
 
 export default router;
@@ -7,25 +7,118 @@ import {
     getUserProfile,
     purchaseBook,
     likeBook,
+    refreshAccessToken,
+    logoutUser,
+    getUserSessions,
+    revokeUserSession,
+    verifyEmail,
+    resendVerificationEmail,
+    requestMagicLink,
+    loginWithMagicLink,
 } from "../controllers/userController.js"; 
+import {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    verifyTwoFactorLogin,
+} from "../controllers/twoFactorController.js";
+import {
+    updateProfile,
+    changePassword,
+    changeEmail,
+    confirmEmailChange,
+    getAddresses,
+    getAddress,
+    createAddress,
+    updateAddress,
+    deleteAddress,
+    exportMyData,
+    deleteMyAccount,
+} from "../controllers/profileController.js";
+import {
+    getProviders,
+    authorize as authorizeOidc,
+    startLink as startOidcLink,
+    callback as oidcCallback,
+    linkCallback as oidcLinkCallback,
+    getIdentities,
+    unlinkIdentity,
+} from "../controllers/oidcController.js";
 import { authenticateToken } from "../middleware/authMiddleware.js";
+import { rateLimit, loginLockoutGuard } from "../middleware/rateLimitMiddleware.js";
 
 const router = express.Router();
 
 // Route pour creer un compte
-router.post("/register", registerUser); 
+router.post("/register", rateLimit("register"), registerUser);
 
 // Route POST pour la connexion d'un utilisateur
-router.post('/login', loginUser); 
+router.post('/login', rateLimit("login", { keyByEmail: true }), loginLockoutGuard, loginUser);
+
+// Connexion sans mot de passe par lien magique envoyé par email (usage unique)
+router.post('/magic-link', rateLimit("magicLink", { keyByEmail: true }), requestMagicLink);
+router.get('/magic-link/:token', rateLimit("login"), loginLockoutGuard, loginWithMagicLink);
+
+// Seconde étape de la connexion quand la 2FA est activée (jeton de challenge + code TOTP)
+router.post('/login/2fa', rateLimit("twoFactor"), loginLockoutGuard, verifyTwoFactorLogin);
+
+// Routes protégées de gestion de la 2FA (TOTP et codes de récupération)
+router.get('/2fa', authenticateToken, getTwoFactorStatus);
+router.post('/2fa/setup', authenticateToken, setupTwoFactor);
+router.post('/2fa/confirm', authenticateToken, confirmTwoFactor);
+router.post('/2fa/disable', authenticateToken, disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticateToken, regenerateRecoveryCodes);
+
+// Connexion via un fournisseur d'identité externe (OpenID Connect, authorization code + PKCE)
+router.get('/oidc/providers', getProviders);
+router.get('/oidc/identities', authenticateToken, getIdentities);
+router.delete('/oidc/identities/:provider', authenticateToken, unlinkIdentity);
+router.get('/oidc/:provider/authorize', rateLimit("oidc"), authorizeOidc);
+router.post('/oidc/:provider/link', authenticateToken, rateLimit("oidc"), startOidcLink);
+router.post('/oidc/:provider/link/callback', authenticateToken, rateLimit("oidc"), oidcLinkCallback);
+router.post('/oidc/:provider/callback', rateLimit("oidc"), oidcCallback);
+
+// Routes de vérification de l'adresse email
+router.get('/verify-email/:token', verifyEmail);
+router.post('/resend-verification', rateLimit("resendVerification", { keyByEmail: true }), resendVerificationEmail);
+
+// Route pour obtenir un nouveau token d'accès à partir d'un refresh token
+router.post('/refresh', refreshAccessToken);
+
+// Route protégée pour se déconnecter (session courante ou tous les appareils)
+router.post('/logout', authenticateToken, logoutUser);
+
+// Routes protégées pour lister et révoquer les sessions (appareils connectés)
+router.get('/sessions', authenticateToken, getUserSessions);
+router.delete('/sessions/:sessionId', authenticateToken, revokeUserSession);
 
 // Route pour la demande de réinitialisation de mot de passe
-router.post('/forgot-password', forgotPassword);
+router.post('/forgot-password', rateLimit("forgotPassword", { keyByEmail: true }), forgotPassword);
 
 // Route pour la réinitialisation effective du mot de passe
 router.post('/reset-password/:resetToken', resetPassword);
 
 // Route protégées pour le profil d'un utilisateur!!!
 router.get("/profile", authenticateToken, getUserProfile);
+router.patch("/profile", authenticateToken, updateProfile);
+
+// Routes protégées de gestion des identifiants (mot de passe, email confirmé par lien)
+router.post("/change-password", authenticateToken, changePassword);
+router.post("/change-email", authenticateToken, changeEmail);
+router.get("/change-email/:token", confirmEmailChange);
+
+// Routes protégées pour gérer les adresses de livraison enregistrées
+router.get("/addresses", authenticateToken, getAddresses);
+router.post("/addresses", authenticateToken, createAddress);
+router.get("/addresses/:addressId", authenticateToken, getAddress);
+router.put("/addresses/:addressId", authenticateToken, updateAddress);
+router.delete("/addresses/:addressId", authenticateToken, deleteAddress);
+
+// Routes protégées des données personnelles : export (JSON ou ZIP) et suppression du compte
+router.get("/me/export", authenticateToken, exportMyData);
+router.delete("/me", authenticateToken, deleteMyAccount);
 
 // Route protégées pour achter un livre!!!
 router.post("/purchase", authenticateToken, purchaseBook);
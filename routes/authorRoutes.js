@@ -0,0 +1,10 @@
+// routes/authorRoutes.js
+import express from "express";
+import { getAuthors, getAuthor } from "../controllers/authorController.js";
+
+const router = express.Router();
+
+router.get("/", getAuthors); // GET /api/authors?search=&page=&limit= (auteurs du catalogue)
+router.get("/:authorId", getAuthor); // GET /api/authors/:authorId (fiche et bibliographie)
+
+export default router;
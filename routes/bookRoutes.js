@@ -7,27 +7,30 @@ import {
     getBookDetails,
     updateBook,
     searchBooks,
+    suggestBooks,
     deleteBook,
     postBookComment,
-    getAllCategories,
-    createCategory
+    getAllCategories
 } from "../controllers/bookController.js";
 import { registerUser } from "../controllers/userController.js";
-import { authenticateToken } from "../middleware/authMiddleware.js";
+import { authenticateToken, authorize, enforceTwoFactorPolicy, requireVerifiedEmail } from "../middleware/authMiddleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 const router = express.Router();
+// Modifier le catalogue exige les mêmes droits que les routes /api/admin/books
+const canWriteCatalog = [authenticateToken, enforceTwoFactorPolicy, authorize(PERMISSIONS.CATALOG_WRITE)];
 // Routes les plus spécifiques en premier
-router.get("/search", searchBooks); // GET /api/books/search?title=...&price=...
-router.get("/category/:categoryName", getBooksByCategory); // GET /api/books/category/:categoryName
+router.get("/search/suggest", suggestBooks); // GET /api/books/search/suggest?q=...
+router.get("/search", searchBooks); // GET /api/books/search?q=...&lang=fr&page=...
+router.get("/category/:slug", getBooksByCategory); // GET /api/books/category/:slug (sous-catégories comprises)
 // Routes plus génériques après
-router.post("/", createBook); // POST /api/books (pour créer)
+router.post("/", canWriteCatalog, createBook); // POST /api/books (pour créer)
 router.get("/", getAllBooks); // GET /api/books (pour tous les livres)
 router.get("/categories", getAllCategories); // GET /api/books/categories (pour toutes les catégories)
-router.post("/categories", createCategory); // POST /api/books/categories (pour créer une catégorie)
 // Routes avec ID paramétré (moins spécifiques que celles au-dessus)
 router.get("/:bookId", getBookDetails); // GET /api/books/:bookId (pour les détails d'un seul livre)
-router.put("/:bookId", updateBook); // PUT /api/books/:bookId (pour modifier un livre)
-router.delete("/:bookId", deleteBook); 
-router.post("/:bookId/comments", authenticateToken, postBookComment);
+router.put("/:bookId", canWriteCatalog, updateBook); // PUT /api/books/:bookId (pour modifier un livre)
+router.delete("/:bookId", canWriteCatalog, deleteBook); // DELETE /api/books/:bookId
+router.post("/:bookId/comments", authenticateToken, requireVerifiedEmail("comments"), postBookComment);
 export default router;
 
 
@@ -6,12 +6,14 @@ import {
     confirmOrder,
     getCheckoutSessionStatus,
 } from "../controllers/checkoutController.js";
-import { authenticateToken } from "../middleware/authMiddleware.js";
+import { authenticateToken, requireVerifiedEmail } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
 // Toutes les routes du checkout nécessitent une authentification
 router.use(authenticateToken);
+// Email vérifié exigé si REQUIRE_VERIFIED_EMAIL contient 'checkout'
+router.use(requireVerifiedEmail("checkout"));
 
 router.post("/shipping", setShippingInformation); // POST /api/checkout/shipping
 router.post("/payment", setPaymentMethod); // POST /api/checkout/payment
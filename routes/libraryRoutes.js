@@ -0,0 +1,12 @@
+// routes/libraryRoutes.js
+import express from "express";
+import { requestDownload, streamDownload } from "../controllers/libraryController.js";
+import { authenticateToken } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Lien signé : authentifié par sa signature, pour fonctionner dans un navigateur ou un gestionnaire de téléchargements
+router.get("/downloads/:downloadId", streamDownload); // GET /api/library/downloads/:downloadId?expires=...&signature=...
+router.get("/:bookId/download", authenticateToken, requestDownload); // GET /api/library/:bookId/download (délivre le lien signé)
+
+export default router;
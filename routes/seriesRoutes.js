@@ -0,0 +1,9 @@
+// routes/seriesRoutes.js
+import express from "express";
+import { getSeries } from "../controllers/seriesController.js";
+
+const router = express.Router();
+
+router.get("/:seriesId", getSeries); // GET /api/series/:seriesId (série et tomes dans l'ordre de lecture)
+
+export default router;
@@ -10,10 +10,23 @@ import authRoutes from "./routes/authRoutes.js";
 import cartRoutes from "./routes/cartRoutes.js";
 import checkoutRoutes from "./routes/checkoutRoutes.js";
 import adminRoutes from "./routes/AdminRoute.js";
+import authorRoutes from "./routes/authorRoutes.js";
+import seriesRoutes from "./routes/seriesRoutes.js";
+import libraryRoutes from "./routes/libraryRoutes.js";
+import { negotiateLocale } from "./middleware/localeMiddleware.js";
+import { getStorageDriver, LOCAL_STORAGE_URL } from "./storage/storage.js";
+import { startOutboxWorker } from "./mail/mailer.js";
+import { deleteStaleRateLimitEntries } from "./models/rateLimitModel.js";
+import { deleteExpiredAuthStates } from "./models/oidcModel.js";
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Derrière un proxy (Nginx, hébergeur...), req.ip doit refléter l'IP réelle du client pour la limitation de débit.
+if (process.env.TRUST_PROXY) {
+    app.set("trust proxy", process.env.TRUST_PROXY === "true" ? true : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors({
   origin: ['http://localhost:3000', 'http://localhost:3005', 'http://localhost:3006'],
@@ -21,11 +34,20 @@ app.use(cors({
   credentials: true,
 }));
 app.use(express.json());
+// Langue des réponses (messages et champs { fr, en }) : ?lang= ou Accept-Language
+app.use(negotiateLocale);
+// Avec le stockage local, les couvertures sont servies par l'API (les fichiers ebooks, eux, ne sont jamais publics)
+if (getStorageDriver().name === "local" && LOCAL_STORAGE_URL.startsWith("/")) {
+    app.use(`${LOCAL_STORAGE_URL}/covers`, express.static(`${getStorageDriver().root}/covers`));
+}
 
 // Utilise les routes
 
 
 app.use("/api/books", bookRoutes);
+app.use("/api/authors", authorRoutes);
+app.use("/api/series", seriesRoutes);
+app.use("/api/library", libraryRoutes);
 app.use("/api/auth", authRoutes); 
 app.use("/api/cart", cartRoutes);
 app.use("/api/checkout", checkoutRoutes);
@@ -39,4 +61,16 @@ app.get("/", (req, res) => {
 // Démarrage du serveur
 app.listen(PORT, () => {
     console.log(`Serveur démarré sur le port ${PORT}`);
+    // Retente périodiquement l'envoi des emails en attente
+    startOutboxWorker(parseInt(process.env.MAIL_OUTBOX_INTERVAL_MS, 10) || 60000);
+    // Purge horaire des compteurs de limitation et verrouillages inactifs depuis plus de 48 h,
+    // et des demandes d'autorisation OIDC abandonnées
+    setInterval(() => {
+        deleteStaleRateLimitEntries(48 * 3600000).catch((error) => {
+            console.error("Erreur lors de la purge des limitations de débit:", error.message);
+        });
+        deleteExpiredAuthStates().catch((error) => {
+            console.error("Erreur lors de la purge des demandes d'autorisation OIDC:", error.message);
+        });
+    }, 3600000).unref();
 });
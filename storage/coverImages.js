@@ -0,0 +1,92 @@
+// storage/coverImages.js
+import crypto from "crypto";
+import { Readable } from "stream";
+import sharp from "sharp";
+import { encode } from "blurhash";
+
+// Tailles générées pour chaque couverture (largeur maximale en pixels, sans agrandissement) : vignette des listes,
+// carte des grilles de la boutique et fiche du livre.
+export const COVER_SIZES = {
+    thumbnail: 160,
+    card: 400,
+    detail: 1000,
+};
+
+// Formats générés pour chaque taille : WebP pour les navigateurs récents, JPEG en repli.
+const COVER_FORMATS = [
+    { format: "webp", mimeType: "image/webp", extension: "webp", options: { quality: 80 } },
+    { format: "jpeg", mimeType: "image/jpeg", extension: "jpg", options: { quality: 82, mozjpeg: true } },
+];
+
+// Le blurhash est calculé sur une miniature : 4 x 3 composantes suffisent pour un aperçu flou en portrait.
+const BLURHASH_SAMPLE_SIZE = 32;
+const BLURHASH_COMPONENTS = { x: 4, y: 3 };
+
+const toHexColor = ({ r, g, b }) => `#${[r, g, b].map((channel) => channel.toString(16).padStart(2, "0")).join("")}`;
+
+/**
+ * Analyse une couverture et génère ses déclinaisons. L'orientation EXIF est appliquée et la transparence
+ * aplatie sur fond blanc pour le JPEG.
+ * @param {Buffer} buffer - L'image d'origine (JPEG, PNG ou WebP).
+ * @returns {Promise<{ width: number, height: number, dominantColor: string, blurhash: string,
+ * renditions: Array<{ size: string, format: string, mimeType: string, extension: string, width: number, height: number, buffer: Buffer }> }>}
+ * Lève une erreur si l'image ne peut pas être décodée.
+ */
+export const processCoverImage = async (buffer) => {
+    const image = sharp(buffer, { failOn: "error" }).rotate();
+    const metadata = await image.metadata();
+    const { width, height } = metadata.autoOrient ?? metadata; // Dimensions après rotation EXIF
+    const { dominant } = await image.clone().stats();
+
+    const sample = await image.clone()
+        .resize(BLURHASH_SAMPLE_SIZE, BLURHASH_SAMPLE_SIZE, { fit: "inside" })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    const blurhash = encode(new Uint8ClampedArray(sample.data), sample.info.width, sample.info.height, BLURHASH_COMPONENTS.x, BLURHASH_COMPONENTS.y);
+
+    const renditions = [];
+    for (const [size, maxWidth] of Object.entries(COVER_SIZES)) {
+        for (const { format, mimeType, extension, options } of COVER_FORMATS) {
+            let pipeline = image.clone().resize({ width: maxWidth, withoutEnlargement: true });
+            if (format === "jpeg") {
+                pipeline = pipeline.flatten({ background: "#ffffff" });
+            }
+            const { data, info } = await pipeline[format](options).toBuffer({ resolveWithObject: true });
+            renditions.push({ size, format, mimeType, extension, width: info.width, height: info.height, buffer: data });
+        }
+    }
+
+    return { width, height, dominantColor: toHexColor(dominant), blurhash, renditions };
+};
+
+/**
+ * Enregistre les déclinaisons d'une couverture dans le stockage, à côté de l'image d'origine
+ * (ex: covers/2025/<uuid>.png → covers/2025/<uuid>-card.webp).
+ * @param {object} storage - Le pilote de stockage (voir storage/storage.js).
+ * @param {string} storageKey - La clé de l'image d'origine.
+ * @param {Array} renditions - Les déclinaisons renvoyées par processCoverImage.
+ * @returns {Promise<{ variants: object, storageKeys: string[] }>} variants vaut { thumbnail: { width, height, webp, jpeg }, ... }
+ * (URLs publiques) ; storageKeys liste les objets écrits, y compris en cas d'erreur partielle (propriété de l'erreur levée).
+ */
+export const storeCoverVariants = async (storage, storageKey, renditions) => {
+    const baseKey = storageKey.replace(/\.\w+$/, "");
+    const variants = {};
+    const storageKeys = [];
+    try {
+        for (const { size, format, mimeType, extension, width, height, buffer } of renditions) {
+            const key = `${baseKey}-${size}.${extension}`;
+            await storage.put(key, Readable.from([buffer]), {
+                contentType: mimeType,
+                size: buffer.length,
+                checksum: crypto.createHash("sha256").update(buffer).digest("hex"),
+            });
+            storageKeys.push(key);
+            variants[size] = { ...variants[size], width, height, [format]: storage.url(key) };
+        }
+    } catch (error) {
+        error.storageKeys = storageKeys;
+        throw error;
+    }
+    return { variants, storageKeys };
+};
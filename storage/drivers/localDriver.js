@@ -0,0 +1,91 @@
+// storage/drivers/localDriver.js
+import fs from "fs";
+import fsPromises from "fs/promises";
+import path from "path";
+import { pipeline } from "stream/promises";
+
+/**
+ * Crée un driver de stockage sur le disque local (développement, serveur unique).
+ * Les objets sont rangés sous le dossier racine selon leur clé (ex: covers/2025/<uuid>.jpg).
+ * @param {object} options
+ * @param {string} options.root - Le dossier racine du stockage.
+ * @param {string} options.publicUrl - L'URL sous laquelle le dossier est servi (ex: '/uploads').
+ * @returns {object} Un driver exposant put, stat, createReadStream, delete, deletePrefix et url.
+ */
+export const createLocalDriver = ({ root, publicUrl }) => {
+    const rootDirectory = path.resolve(root);
+
+    // Chemin absolu d'une clé ; une clé qui sortirait du dossier racine ('../') est refusée.
+    const resolveKey = (key) => {
+        const filePath = path.resolve(rootDirectory, key);
+        if (!filePath.startsWith(rootDirectory + path.sep)) {
+            throw new Error(`Clé de stockage invalide : ${key}`);
+        }
+        return filePath;
+    };
+
+    return {
+        name: "local",
+        root: rootDirectory,
+
+        /**
+         * Écrit un objet.
+         * @param {string} key - La clé de l'objet.
+         * @param {import("stream").Readable} body - Le contenu.
+         * @returns {Promise<void>}
+         */
+        put: async (key, body) => {
+            const filePath = resolveKey(key);
+            await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+            await pipeline(body, fs.createWriteStream(filePath));
+        },
+
+        /**
+         * Renvoie la taille d'un objet, ou null s'il n'existe pas.
+         * @param {string} key - La clé de l'objet.
+         * @returns {Promise<{ size: number } | null>}
+         */
+        stat: async (key) => {
+            try {
+                const stats = await fsPromises.stat(resolveKey(key));
+                return { size: stats.size };
+            } catch (error) {
+                if (error.code === "ENOENT") return null;
+                throw error;
+            }
+        },
+
+        /**
+         * Ouvre un objet en lecture, en entier ou sur une plage d'octets (bornes incluses).
+         * @param {string} key - La clé de l'objet.
+         * @param {{ start?: number, end?: number }} [range] - La plage à lire.
+         * @returns {Promise<import("stream").Readable>}
+         */
+        createReadStream: async (key, { start, end } = {}) => fs.createReadStream(resolveKey(key), { start, end }),
+
+        /**
+         * Supprime un objet (sans erreur s'il n'existe plus).
+         * @param {string} key - La clé de l'objet.
+         * @returns {Promise<void>}
+         */
+        delete: async (key) => {
+            await fsPromises.rm(resolveKey(key), { force: true });
+        },
+
+        /**
+         * Supprime tous les objets rangés sous un préfixe de type dossier (ex: 'watermarked/<user_id>/').
+         * @param {string} prefix - Le préfixe, terminé par '/'.
+         * @returns {Promise<void>}
+         */
+        deletePrefix: async (prefix) => {
+            await fsPromises.rm(resolveKey(prefix), { recursive: true, force: true });
+        },
+
+        /**
+         * Renvoie l'URL d'un objet.
+         * @param {string} key - La clé de l'objet.
+         * @returns {string}
+         */
+        url: (key) => `${publicUrl.replace(/\/$/, "")}/${key}`,
+    };
+};
@@ -0,0 +1,194 @@
+// storage/drivers/s3Driver.js
+import crypto from "crypto";
+import { Readable } from "stream";
+
+// Valeur signée à la place de l'empreinte du contenu pour les requêtes sans corps (lecture, suppression).
+const UNSIGNED_PAYLOAD = "UNSIGNED-PAYLOAD";
+
+const sha256Hex = (value) => crypto.createHash("sha256").update(value).digest("hex");
+const hmac = (key, value) => crypto.createHmac("sha256", key).update(value).digest();
+
+// Décode les entités XML des réponses S3 (clés et jetons de pagination de ListObjectsV2).
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+const decodeXml = (value) => value.replace(/&(amp|lt|gt|quot|apos);/g, (entity, name) => XML_ENTITIES[name]);
+
+// Encodage RFC 3986 attendu par la signature AWS (encodeURIComponent laisse passer !'()*).
+const encodeRfc3986 = (value) => encodeURIComponent(value).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Signe une requête S3 selon AWS Signature Version 4 (en-tête Authorization).
+ * @param {object} request
+ * @param {string} request.method - La méthode HTTP.
+ * @param {string} request.canonicalUri - Le chemin, déjà encodé (ex: '/bucket/covers/2025/x.jpg').
+ * @param {Object<string, string>} [request.query] - Les paramètres de la requête, non encodés.
+ * @param {Object<string, string>} request.headers - Les en-têtes à signer, noms en minuscules (host et x-amz-date compris).
+ * @param {string} request.payloadHash - L'empreinte SHA-256 (hex) du corps, ou UNSIGNED-PAYLOAD.
+ * @param {object} credentials
+ * @param {string} credentials.region - La région de signature.
+ * @param {string} credentials.accessKeyId - La clé d'accès.
+ * @param {string} credentials.secretAccessKey - La clé secrète.
+ * @returns {{ canonicalRequest: string, signature: string, authorization: string }}
+ */
+export const signAwsRequest = ({ method, canonicalUri, query = {}, headers, payloadHash }, { region, accessKeyId, secretAccessKey }) => {
+    const amzDate = headers["x-amz-date"];
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+    const canonicalQuery = Object.entries(query)
+        .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([name, value]) => `${name}=${value}`)
+        .join("&");
+    const signedHeaderNames = Object.keys(headers).sort();
+    const canonicalRequest = [
+        method,
+        canonicalUri,
+        canonicalQuery,
+        signedHeaderNames.map((name) => `${name}:${String(headers[name]).trim()}\n`).join(""),
+        signedHeaderNames.join(";"),
+        payloadHash,
+    ].join("\n");
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+    const signingKey = ["s3", "aws4_request"].reduce(
+        (key, value) => hmac(key, value),
+        hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+    );
+    const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+    return {
+        canonicalRequest,
+        signature,
+        authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaderNames.join(";")}, Signature=${signature}`,
+    };
+};
+
+/**
+ * Crée un driver de stockage compatible S3 (AWS S3, MinIO, Ceph...), en adressage par chemin
+ * (<endpoint>/<bucket>/<clé>) et signature AWS Signature Version 4.
+ * Pour un essai local : MinIO (docker run -p 9000:9000 minio/minio server /data) avec S3_ENDPOINT=http://localhost:9000.
+ * @param {object} options
+ * @param {string} options.endpoint - L'URL du service (ex: 'https://s3.eu-west-3.amazonaws.com' ou 'http://localhost:9000').
+ * @param {string} options.region - La région de signature (ex: 'eu-west-3' ; 'us-east-1' pour MinIO).
+ * @param {string} options.bucket - Le nom du bucket.
+ * @param {string} options.accessKeyId - La clé d'accès.
+ * @param {string} options.secretAccessKey - La clé secrète.
+ * @param {string} [options.publicUrl] - L'URL publique des objets (CDN...), <endpoint>/<bucket> par défaut.
+ * @returns {object} Un driver exposant put, stat, createReadStream, delete, deletePrefix et url.
+ */
+export const createS3Driver = ({ endpoint, region, bucket, accessKeyId, secretAccessKey, publicUrl }) => {
+    const baseUrl = new URL(endpoint);
+    const objectsUrl = (publicUrl || `${baseUrl.origin}/${bucket}`).replace(/\/$/, "");
+
+    /**
+     * Envoie une requête signée sur un objet du bucket.
+     * @param {string} method - La méthode HTTP.
+     * @param {string} key - La clé de l'objet ('' pour le bucket lui-même).
+     * @param {object} [options]
+     * @param {object} [options.headers] - Les en-têtes supplémentaires (non signés, sauf content-type).
+     * @param {Object<string, string>} [options.query] - Les paramètres de la requête.
+     * @param {*} [options.body] - Le corps (flux lisible).
+     * @param {string} [options.payloadHash] - L'empreinte SHA-256 (hex) du corps.
+     * @returns {Promise<Response>}
+     */
+    const signedRequest = async (method, key, { headers = {}, query = {}, body, payloadHash = UNSIGNED_PAYLOAD } = {}) => {
+        const canonicalUri = `/${encodeRfc3986(bucket)}${key ? `/${key.split("/").map(encodeRfc3986).join("/")}` : ""}`;
+        const signedHeaderValues = {
+            host: baseUrl.host,
+            "x-amz-content-sha256": payloadHash,
+            "x-amz-date": new Date().toISOString().replace(/[:-]|\.\d{3}/g, ""), // 20250101T120000Z
+            ...(headers["content-type"] ? { "content-type": headers["content-type"] } : {}),
+        };
+        const { authorization } = signAwsRequest(
+            { method, canonicalUri, query, headers: signedHeaderValues, payloadHash },
+            { region, accessKeyId, secretAccessKey }
+        );
+        const search = Object.entries(query).map(([name, value]) => `${encodeRfc3986(name)}=${encodeRfc3986(value)}`).join("&");
+
+        return fetch(`${baseUrl.origin}${canonicalUri}${search ? `?${search}` : ""}`, {
+            method,
+            headers: {
+                ...headers,
+                ...signedHeaderValues,
+                authorization,
+            },
+            body,
+            duplex: body ? "half" : undefined,
+        });
+    };
+
+    // Lève une erreur lisible pour une réponse S3 en échec.
+    const assertOk = async (response, action, key) => {
+        if (!response.ok) {
+            const detail = await response.text().catch(() => "");
+            throw new Error(`S3 ${action} ${key} : ${response.status} ${detail.slice(0, 200)}`);
+        }
+    };
+
+    return {
+        name: "s3",
+
+        /**
+         * Écrit un objet. La taille et l'empreinte SHA-256 sont requises par la signature du contenu.
+         * @param {string} key - La clé de l'objet.
+         * @param {import("stream").Readable} body - Le contenu.
+         * @param {{ contentType: string, size: number, checksum: string }} metadata - Type MIME, taille en octets, SHA-256 hex.
+         * @returns {Promise<void>}
+         */
+        put: async (key, body, { contentType, size, checksum }) => {
+            const response = await signedRequest("PUT", key, {
+                headers: { "content-type": contentType, "content-length": String(size) },
+                body: Readable.toWeb(body),
+                payloadHash: checksum,
+            });
+            await assertOk(response, "PUT", key);
+        },
+
+        stat: async (key) => {
+            const response = await signedRequest("HEAD", key);
+            if (response.status === 404) return null;
+            await assertOk(response, "HEAD", key);
+            return { size: parseInt(response.headers.get("content-length"), 10) };
+        },
+
+        createReadStream: async (key, { start, end } = {}) => {
+            const range = start !== undefined ? `bytes=${start}-${end ?? ""}` : undefined;
+            const response = await signedRequest("GET", key, { headers: range ? { range } : {} });
+            await assertOk(response, "GET", key);
+            return Readable.fromWeb(response.body);
+        },
+
+        delete: async (key) => {
+            const response = await signedRequest("DELETE", key);
+            if (response.status !== 404) {
+                await assertOk(response, "DELETE", key);
+            }
+        },
+
+        /**
+         * Supprime tous les objets dont la clé commence par le préfixe (ListObjectsV2, puis une suppression par objet).
+         * @param {string} prefix - Le préfixe, terminé par '/' (ex: 'watermarked/<user_id>/').
+         * @returns {Promise<void>}
+         */
+        deletePrefix: async (prefix) => {
+            let continuationToken;
+            do {
+                const response = await signedRequest("GET", "", {
+                    query: { "list-type": "2", prefix, ...(continuationToken ? { "continuation-token": continuationToken } : {}) },
+                });
+                await assertOk(response, "LIST", prefix);
+                const listing = await response.text();
+                const keys = [...listing.matchAll(/<Key>([^<]*)<\/Key>/g)].map(([, key]) => decodeXml(key));
+                for (const key of keys) {
+                    const deleteResponse = await signedRequest("DELETE", key);
+                    if (deleteResponse.status !== 404) {
+                        await assertOk(deleteResponse, "DELETE", key);
+                    }
+                }
+                continuationToken = /<IsTruncated>true<\/IsTruncated>/.test(listing)
+                    ? decodeXml(/<NextContinuationToken>([^<]*)<\/NextContinuationToken>/.exec(listing)?.[1] ?? "")
+                    : null;
+            } while (continuationToken);
+        },
+
+        url: (key) => `${objectsUrl}/${key}`,
+    };
+};
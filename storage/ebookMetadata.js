@@ -0,0 +1,260 @@
+// storage/ebookMetadata.js
+import path from "path";
+import JSZip from "jszip";
+import { PDFDocument, PDFArray, PDFDict, PDFName, PDFRef } from "pdf-lib";
+import { detectFileType } from "./fileInspection.js";
+
+// Garde-fous contre les fichiers malformés (boucles dans les signets PDF, tables des matières démesurées).
+const MAX_TOC_ENTRIES = 1000;
+
+/**
+ * @typedef {object} TocEntry
+ * @property {string} title - Le libellé de l'entrée.
+ * @property {string} [href] - La cible dans l'EPUB (chemin relatif à l'archive, avec ancre éventuelle).
+ * @property {number | null} [page] - La page cible dans le PDF (à partir de 1), si elle est connue.
+ * @property {TocEntry[]} children - Les sous-entrées.
+ */
+
+const decodeXmlEntities = (value) => value
+    .replace(/&#x([0-9a-f]+);/gi, (entity, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (entity, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+    .replace(/&(lt|gt|quot|apos|nbsp|amp);/g, (entity, name) => ({ lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", amp: "&" })[name]);
+
+// Texte d'un fragment XML : balises retirées, entités décodées, espaces normalisés.
+const xmlText = (fragment) => decodeXmlEntities(fragment.replace(/<[^>]*>/g, " ")).replace(/\s+/g, " ").trim();
+
+const getAttribute = (attributes, name) => {
+    const match = new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`).exec(attributes);
+    return match ? decodeXmlEntities(match[1] ?? match[2]) : null;
+};
+
+// Éléments feuilles d'un document OPF (dc:title, dc:creator...) : [{ attributes, text }].
+const findElements = (xml, name) => [...xml.matchAll(new RegExp(`<(?:\\w+:)?${name}\\b([^>]*)>([\\s\\S]*?)</(?:\\w+:)?${name}>`, "g"))]
+    .map(([, attributes, content]) => ({ attributes, text: xmlText(content) }));
+
+// Balises (ouvrantes ou auto-fermantes) d'un élément vide comme <item .../> ou <itemref .../> : attributs de chacune.
+const findEmptyElements = (xml, name) => [...xml.matchAll(new RegExp(`<(?:\\w+:)?${name}\\b([^>]*?)/?>`, "g"))].map(([, attributes]) => attributes);
+
+/**
+ * Normalise et vérifie un ISBN (clé de contrôle comprise).
+ * @param {string} value - Une valeur candidate (ex: 'urn:isbn:978-2-07-036822-8').
+ * @returns {string | null} L'ISBN sans séparateurs, ou null s'il n'est pas valide.
+ */
+const normalizeIsbn = (value) => {
+    const digits = String(value).replace(/^(urn:)?isbn:?/i, "").replace(/[\s-]/g, "").toUpperCase();
+    if (/^97[89]\d{10}$/.test(digits)) {
+        const sum = [...digits].reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+        return sum % 10 === 0 ? digits : null;
+    }
+    if (/^\d{9}[\dX]$/.test(digits)) {
+        const sum = [...digits].reduce((total, digit, index) => total + (digit === "X" ? 10 : Number(digit)) * (10 - index), 0);
+        return sum % 11 === 0 ? digits : null;
+    }
+    return null;
+};
+
+// Premier ISBN valide trouvé dans une liste de textes (identifiants, mots-clés...).
+const findIsbn = (candidates) => {
+    for (const candidate of candidates.filter(Boolean)) {
+        for (const match of String(candidate).matchAll(/(?:97[89][\s-]?)?(?:\d[\s-]?){9}[\dX]/gi)) {
+            const isbn = normalizeIsbn(match[0]);
+            if (isbn) return isbn;
+        }
+    }
+    return null;
+};
+
+/**
+ * Construit une table des matières imbriquée à partir d'une suite de balises (nav EPUB 3 ou NCX EPUB 2).
+ * @param {string} xml - Le fragment à parcourir.
+ * @param {object} tags - { entry, label, link, linkAttribute } : balise d'une entrée (li, navPoint), du libellé
+ * (a/span, text), de la cible (a, content) et attribut portant la cible (href, src).
+ * @param {function(string): string} resolveHref - Résout une cible relative en chemin dans l'archive.
+ * @returns {TocEntry[]}
+ */
+const parseNestedToc = (xml, { entry, label, link, linkAttribute }, resolveHref) => {
+    const root = { children: [] };
+    const openEntries = [];
+    let capturing = null;
+    let count = 0;
+
+    for (const [token, closing, tagName, attributes, text] of xml.matchAll(/<(\/?)([\w:]+)([^>]*)>|([^<]+)/g)) {
+        const name = tagName?.replace(/^\w+:/, "");
+        if (text !== undefined) {
+            if (capturing) capturing.title += decodeXmlEntities(text);
+        } else if (name === entry && !closing) {
+            const tocEntry = { title: "", href: null, children: [] };
+            if (++count <= MAX_TOC_ENTRIES) {
+                (openEntries.at(-1) ?? root).children.push(tocEntry);
+            }
+            openEntries.push(tocEntry);
+        } else if (name === entry && closing) {
+            openEntries.pop();
+        } else if (label.includes(name) && openEntries.length > 0) {
+            const current = openEntries.at(-1);
+            capturing = !closing && !token.endsWith("/>") && !current.title ? current : null;
+        }
+        if (name === link && !closing && openEntries.length > 0 && !openEntries.at(-1).href) {
+            const target = getAttribute(attributes, linkAttribute);
+            openEntries.at(-1).href = target ? resolveHref(target) : null;
+        }
+    }
+
+    const clean = (entries) => entries
+        .map(({ title, href, children }) => ({ title: title.replace(/\s+/g, " ").trim(), href, children: clean(children) }))
+        .filter(({ title, children }) => title || children.length > 0);
+    return clean(root.children);
+};
+
+/**
+ * Extrait les métadonnées d'un EPUB (2 ou 3) à partir de son fichier OPF.
+ * @param {Buffer} buffer - Le contenu de l'EPUB.
+ * @returns {Promise<object>}
+ */
+const extractEpubMetadata = async (buffer) => {
+    const zip = await JSZip.loadAsync(buffer);
+    const readText = async (filePath) => zip.file(filePath)?.async("string") ?? null;
+
+    const container = await readText("META-INF/container.xml");
+    const opfPath = container && getAttribute(/<rootfile\b([^>]*)>/.exec(container)?.[1] ?? "", "full-path");
+    const opf = opfPath && await readText(opfPath);
+    if (!opf) {
+        throw new Error("EPUB invalide : fichier OPF introuvable.");
+    }
+    // Chemin dans l'archive d'une cible relative au fichier qui la contient (sans l'ancre pour les fichiers)
+    const resolveFrom = (baseFile) => (href) => {
+        const [target, anchor] = href.split("#");
+        const resolved = path.posix.normalize(path.posix.join(path.posix.dirname(baseFile), decodeURIComponent(target)));
+        return anchor ? `${resolved}#${anchor}` : resolved;
+    };
+    const resolveFromOpf = resolveFrom(opfPath);
+
+    const manifest = findEmptyElements(opf, "item").map((attributes) => ({
+        id: getAttribute(attributes, "id"),
+        href: getAttribute(attributes, "href"),
+        mediaType: getAttribute(attributes, "media-type"),
+        properties: (getAttribute(attributes, "properties") || "").split(/\s+/),
+    })).filter(({ href }) => href);
+    const spine = findEmptyElements(opf, "itemref")
+        .map((attributes) => manifest.find(({ id }) => id === getAttribute(attributes, "idref")))
+        .filter(Boolean);
+
+    // Table des matières : document de navigation EPUB 3, sinon NCX EPUB 2
+    let toc = [];
+    const navItem = manifest.find(({ properties }) => properties.includes("nav"));
+    const ncxItem = manifest.find(({ mediaType }) => mediaType === "application/x-dtbncx+xml");
+    if (navItem) {
+        const navPath = resolveFromOpf(navItem.href);
+        const navDocument = await readText(navPath) ?? "";
+        const tocNav = /<nav\b[^>]*epub:type\s*=\s*["'][^"']*\btoc\b[^"']*["'][^>]*>([\s\S]*?)<\/nav>/.exec(navDocument)?.[1] ?? "";
+        toc = parseNestedToc(tocNav, { entry: "li", label: ["a", "span"], link: "a", linkAttribute: "href" }, resolveFrom(navPath));
+    }
+    if (toc.length === 0 && ncxItem) {
+        const ncxPath = resolveFromOpf(ncxItem.href);
+        const navMap = /<navMap\b[^>]*>([\s\S]*?)<\/navMap>/.exec(await readText(ncxPath) ?? "")?.[1] ?? "";
+        toc = parseNestedToc(navMap, { entry: "navPoint", label: ["text"], link: "content", linkAttribute: "src" }, resolveFrom(ncxPath));
+    }
+
+    // Nombre de mots des documents de l'ordre de lecture
+    let wordCount = 0;
+    for (const item of spine.filter(({ mediaType }) => mediaType === "application/xhtml+xml")) {
+        const document = await readText(resolveFromOpf(item.href)) ?? "";
+        const body = document.replace(/<head\b[\s\S]*?<\/head>/i, "").replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, "");
+        wordCount += xmlText(body).match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu)?.length ?? 0;
+    }
+
+    // Couverture : item 'cover-image' (EPUB 3), sinon <meta name="cover" content="<id>"> (EPUB 2)
+    const coverMetaId = findEmptyElements(opf, "meta")
+        .find((attributes) => getAttribute(attributes, "name") === "cover")
+        ?.match(/content\s*=\s*["']([^"']+)["']/)?.[1];
+    const coverItem = manifest.find(({ properties }) => properties.includes("cover-image"))
+        || manifest.find(({ id, mediaType }) => id === coverMetaId && mediaType?.startsWith("image/"));
+    let cover = null;
+    if (coverItem) {
+        const coverBuffer = await zip.file(resolveFromOpf(coverItem.href))?.async("nodebuffer");
+        const coverType = coverBuffer && detectFileType(coverBuffer.subarray(0, 64));
+        cover = coverType ? { buffer: coverBuffer, ...coverType } : null;
+    }
+
+    const identifiers = findElements(opf, "identifier").map(({ text }) => text);
+    return {
+        format: "EPUB",
+        title: findElements(opf, "title")[0]?.text || null,
+        creators: findElements(opf, "creator").map(({ text }) => text).filter(Boolean),
+        language: findElements(opf, "language")[0]?.text || null,
+        isbn: findIsbn(identifiers),
+        // dc:description contient souvent du HTML échappé : on n'en garde que le texte
+        description: xmlText(findElements(opf, "description")[0]?.text ?? "") || null,
+        pageCount: null,
+        wordCount,
+        toc,
+        cover,
+    };
+};
+
+/**
+ * Lit les signets (outline) d'un PDF sous forme de table des matières.
+ * @param {PDFDocument} pdf - Le document chargé.
+ * @returns {TocEntry[]}
+ */
+const readPdfOutline = (pdf) => {
+    const pageNumbers = new Map(pdf.getPages().map((page, index) => [page.ref.toString(), index + 1]));
+    const visited = new Set();
+
+    // Page cible d'un signet : /Dest [page ...] ou action /A << /S /GoTo /D [page ...] >> (les destinations nommées sont ignorées)
+    const targetPage = (node) => {
+        const destination = node.lookupMaybe(PDFName.of("Dest"), PDFArray)
+            ?? node.lookupMaybe(PDFName.of("A"), PDFDict)?.lookupMaybe(PDFName.of("D"), PDFArray);
+        const pageRef = destination?.get(0);
+        return pageRef instanceof PDFRef ? pageNumbers.get(pageRef.toString()) ?? null : null;
+    };
+    const readSiblings = (first) => {
+        const entries = [];
+        for (let node = first; node && !visited.has(node) && visited.size < MAX_TOC_ENTRIES; node = node.lookupMaybe(PDFName.of("Next"), PDFDict)) {
+            visited.add(node);
+            entries.push({
+                title: node.lookup(PDFName.of("Title"))?.decodeText?.().trim() ?? "",
+                page: targetPage(node),
+                children: readSiblings(node.lookupMaybe(PDFName.of("First"), PDFDict)),
+            });
+        }
+        return entries;
+    };
+
+    const outlines = pdf.catalog.lookupMaybe(PDFName.of("Outlines"), PDFDict);
+    return outlines ? readSiblings(outlines.lookupMaybe(PDFName.of("First"), PDFDict)) : [];
+};
+
+/**
+ * Extrait les métadonnées d'un PDF à partir de son dictionnaire d'informations et de son catalogue.
+ * @param {Buffer} buffer - Le contenu du PDF.
+ * @returns {Promise<object>}
+ */
+const extractPdfMetadata = async (buffer) => {
+    const pdf = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+    const author = pdf.getAuthor();
+    return {
+        format: "PDF",
+        title: pdf.getTitle()?.trim() || null,
+        creators: author ? author.split(/\s*(?:;|&|\band\b|\bet\b)\s*/).filter(Boolean) : [],
+        language: pdf.catalog.lookup(PDFName.of("Lang"))?.decodeText?.() || null,
+        isbn: findIsbn([pdf.getSubject(), pdf.getKeywords(), pdf.getTitle()]),
+        description: pdf.getSubject()?.trim() || null,
+        pageCount: pdf.getPageCount(),
+        wordCount: null,
+        toc: readPdfOutline(pdf),
+        cover: null, // Un PDF n'a pas de couverture embarquée : sa première page n'est pas rendue en image
+    };
+};
+
+/**
+ * Extrait les métadonnées d'un ebook : titre, auteurs, langue, ISBN, nombre de pages (PDF) ou de mots (EPUB),
+ * table des matières et, pour un EPUB, l'image de couverture embarquée.
+ * @param {Buffer} buffer - Le contenu du fichier.
+ * @param {string} mimeType - 'application/pdf' ou 'application/epub+zip'.
+ * @returns {Promise<{ format: string, title: string | null, creators: string[], language: string | null,
+ * isbn: string | null, description: string | null, pageCount: number | null, wordCount: number | null,
+ * toc: TocEntry[], cover: { buffer: Buffer, mimeType: string, extension: string } | null }>}
+ */
+export const extractEbookMetadata = (buffer, mimeType) =>
+    mimeType === "application/pdf" ? extractPdfMetadata(buffer) : extractEpubMetadata(buffer);
@@ -0,0 +1,59 @@
+// storage/fileInspection.js
+import crypto from "crypto";
+import fs from "fs";
+import fsPromises from "fs/promises";
+
+// Signatures reconnues : le type d'un fichier est déduit de ses premiers octets, jamais du nom ou du Content-Type envoyés.
+const FILE_SIGNATURES = [
+    { mimeType: "image/jpeg", extension: "jpg", test: (header) => header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff },
+    { mimeType: "image/png", extension: "png", test: (header) => header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { mimeType: "image/webp", extension: "webp", test: (header) => header.toString("latin1", 0, 4) === "RIFF" && header.toString("latin1", 8, 12) === "WEBP" },
+    { mimeType: "application/pdf", extension: "pdf", test: (header) => header.toString("latin1", 0, 5) === "%PDF-" },
+    // Un EPUB est une archive ZIP dont la première entrée, non compressée, est le fichier 'mimetype'
+    {
+        mimeType: "application/epub+zip",
+        extension: "epub",
+        test: (header) => header.toString("latin1", 0, 4) === "PK\x03\x04"
+            && header.toString("latin1", 30, 38) === "mimetype"
+            && header.toString("latin1", 38, 58) === "application/epub+zip",
+    },
+];
+
+// Nombre d'octets lus pour reconnaître un fichier.
+const HEADER_SIZE = 64;
+
+/**
+ * Reconnaît le type d'un fichier à partir de son contenu.
+ * @param {Buffer} header - Les premiers octets du fichier.
+ * @returns {{ mimeType: string, extension: string } | null} null si le type n'est pas reconnu.
+ */
+export const detectFileType = (header) => {
+    const signature = FILE_SIGNATURES.find(({ test }) => test(header));
+    return signature ? { mimeType: signature.mimeType, extension: signature.extension } : null;
+};
+
+/**
+ * Analyse un fichier reçu : type réel, taille et empreinte SHA-256.
+ * @param {string} filePath - Le chemin du fichier temporaire.
+ * @returns {Promise<{ mimeType: string | null, extension: string | null, size: number, checksum: string }>}
+ * mimeType et extension valent null si le type n'est pas reconnu ; checksum est en hexadécimal.
+ */
+export const inspectFile = async (filePath) => {
+    const handle = await fsPromises.open(filePath, "r");
+    let header;
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(HEADER_SIZE), 0, HEADER_SIZE, 0);
+        header = buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+
+    const hash = crypto.createHash("sha256");
+    let size = 0;
+    for await (const chunk of fs.createReadStream(filePath)) {
+        hash.update(chunk);
+        size += chunk.length;
+    }
+    const fileType = detectFileType(header);
+    return { mimeType: fileType?.mimeType ?? null, extension: fileType?.extension ?? null, size, checksum: hash.digest("hex") };
+};
@@ -0,0 +1,45 @@
+// storage/storage.js
+import { createLocalDriver } from "./drivers/localDriver.js";
+import { createS3Driver } from "./drivers/s3Driver.js";
+
+// Dossier et URL publique du driver local (le serveur sert les couvertures sous cette URL, voir server.js).
+export const LOCAL_STORAGE_DIR = process.env.STORAGE_LOCAL_DIR || "./uploads";
+export const LOCAL_STORAGE_URL = process.env.STORAGE_PUBLIC_URL || "/uploads";
+
+/**
+ * Construit le driver de stockage à partir des variables d'environnement.
+ * STORAGE_DRIVER : 's3' ou 'local' (par défaut).
+ * @returns {object} Un driver exposant put, stat, createReadStream, delete, deletePrefix et url.
+ */
+const createDriverFromEnv = () => {
+    switch (process.env.STORAGE_DRIVER) {
+        case "s3":
+            return createS3Driver({
+                endpoint: process.env.S3_ENDPOINT || `https://s3.${process.env.S3_REGION || "us-east-1"}.amazonaws.com`,
+                region: process.env.S3_REGION || "us-east-1",
+                bucket: process.env.S3_BUCKET,
+                accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+                publicUrl: process.env.STORAGE_PUBLIC_URL,
+            });
+        default:
+            return createLocalDriver({ root: LOCAL_STORAGE_DIR, publicUrl: LOCAL_STORAGE_URL });
+    }
+};
+
+// Driver courant. Tout objet exposant la même interface peut être branché via setStorageDriver.
+let driver = createDriverFromEnv();
+
+/**
+ * Renvoie le driver de stockage courant.
+ * @returns {object}
+ */
+export const getStorageDriver = () => driver;
+
+/**
+ * Remplace le driver de stockage (ex: faux driver en test).
+ * @param {object} newDriver - Un objet exposant put, stat, createReadStream, delete, deletePrefix et url.
+ */
+export const setStorageDriver = (newDriver) => {
+    driver = newDriver;
+};
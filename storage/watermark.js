@@ -0,0 +1,264 @@
+// storage/watermark.js
+import crypto from "crypto";
+import { Readable } from "stream";
+import JSZip from "jszip";
+import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+import { getStorageDriver } from "./storage.js";
+import { translate } from "../utils/i18n.js";
+
+// À incrémenter quand le rendu du tatouage change, pour que les copies en cache soient régénérées.
+const WATERMARK_VERSION = 1;
+
+// Nom de la page d'avertissement ajoutée aux EPUB (à côté du fichier OPF).
+const EPUB_NOTICE_FILE = "booktech-watermark.xhtml";
+
+// Une génération garde en mémoire le fichier maître, le document chargé par pdf-lib ou JSZip et la copie produite,
+// soit plusieurs fois la taille du fichier. Elles sont donc limitées à WATERMARK_CONCURRENCY à la fois, et au-delà de
+// WATERMARK_INLINE_MAX_MB la copie est préparée en arrière-plan au lieu de faire attendre la requête (voir getWatermarkedCopy).
+const envInt = (name, defaultValue) => parseInt(process.env[name], 10) || defaultValue;
+export const WATERMARK_CONCURRENCY = envInt("WATERMARK_CONCURRENCY", 2);
+export const WATERMARK_INLINE_MAX_BYTES = envInt("WATERMARK_INLINE_MAX_MB", 20) * 1024 * 1024;
+
+// Générations en cours, par clé de copie : des demandes simultanées pour la même copie attendent la même génération.
+const pendingCopies = new Map();
+// Échecs des générations faites en arrière-plan, par clé de copie : la demande suivante reçoit l'erreur au lieu d'attendre
+// une copie qui ne viendra pas. Oubliés après FAILED_COPY_TTL_MS, ou dès qu'ils ont été signalés.
+const failedCopies = new Map();
+const FAILED_COPY_TTL_MS = 10 * 60 * 1000;
+// Nombre de générations en cours, et générations en attente d'une place.
+let runningGenerations = 0;
+const waitingGenerations = [];
+
+/**
+ * Exécute une génération dès qu'une place se libère parmi les WATERMARK_CONCURRENCY autorisées.
+ * @param {function(): Promise<*>} task - La génération.
+ * @returns {Promise<*>} Le résultat de la génération.
+ */
+const runGeneration = async (task) => {
+    if (runningGenerations >= WATERMARK_CONCURRENCY) {
+        await new Promise((resolve) => waitingGenerations.push(resolve));
+    }
+    runningGenerations++;
+    try {
+        return await task();
+    } finally {
+        runningGenerations--;
+        waitingGenerations.shift()?.();
+    }
+};
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Les polices standard des PDF ne couvrent que l'encodage WinAnsi (latin) : les autres caractères sont remplacés.
+const toWinAnsi = (value) => String(value).replace(/[^\x20-\x7e\xa0-\xff]/g, "?");
+
+/**
+ * Ajoute en pied de chaque page d'un PDF une mention visible identifiant l'acheteur, et la reprend dans ses métadonnées.
+ * @param {Buffer} master - Le PDF d'origine.
+ * @param {string} mention - La mention (ex: 'Exemplaire de Jeanne Martin <jeanne@example.com> - commande ...').
+ * @returns {Promise<Buffer>} Le PDF tatoué.
+ */
+const watermarkPdf = async (master, mention) => {
+    const pdf = await PDFDocument.load(master);
+    const font = await pdf.embedFont(StandardFonts.Helvetica);
+    const text = toWinAnsi(mention);
+    const fontSize = 7;
+
+    for (const page of pdf.getPages()) {
+        const { width } = page.getSize();
+        const textWidth = font.widthOfTextAtSize(text, fontSize);
+        page.drawText(text, {
+            x: Math.max((width - textWidth) / 2, 10),
+            y: 12,
+            size: fontSize,
+            font,
+            color: rgb(0.45, 0.45, 0.45),
+        });
+    }
+    pdf.setSubject(mention);
+    pdf.setKeywords([...(pdf.getKeywords()?.split(/\s*[,;]\s*/).filter(Boolean) ?? []), mention]);
+    return Buffer.from(await pdf.save());
+};
+
+/**
+ * Ajoute à un EPUB une page d'avertissement (en tête de l'ordre de lecture) et des métadonnées (dc:rights et meta)
+ * identifiant l'acheteur. Le fichier 'mimetype' reste la première entrée, non compressée, comme l'exige le format.
+ * @param {Buffer} master - L'EPUB d'origine.
+ * @param {object} notice - { title, body, mention, locale } : textes de la page et mention des métadonnées.
+ * @returns {Promise<Buffer>} L'EPUB tatoué.
+ */
+const watermarkEpub = async (master, { title, body, mention, locale }) => {
+    const zip = await JSZip.loadAsync(master);
+    const container = await zip.file("META-INF/container.xml")?.async("string");
+    const opfPath = container && /full-path="([^"]+)"/.exec(container)?.[1];
+    const opf = opfPath && await zip.file(opfPath)?.async("string");
+    if (!opf) {
+        throw new Error("EPUB invalide : fichier OPF introuvable.");
+    }
+    const opfDirectory = opfPath.includes("/") ? opfPath.slice(0, opfPath.lastIndexOf("/") + 1) : "";
+
+    const watermarkedOpf = opf
+        .replace(/<\/(\w+:)?metadata>/, (closing) =>
+            `<dc:rights>${escapeXml(mention)}</dc:rights><meta name="booktech:watermark" content="${escapeXml(mention)}"/>${closing}`)
+        .replace(/<\/(\w+:)?manifest>/, (closing) =>
+            `<item id="booktech-watermark" href="${EPUB_NOTICE_FILE}" media-type="application/xhtml+xml"/>${closing}`)
+        .replace(/<(\w+:)?spine\b[^>]*>/, (opening) => `${opening}<itemref idref="booktech-watermark"/>`);
+    if (!["<dc:rights>", 'id="booktech-watermark"', 'idref="booktech-watermark"'].every((marker) => watermarkedOpf.includes(marker))) {
+        throw new Error("EPUB invalide : metadata, manifest ou spine introuvable.");
+    }
+
+    zip.file(opfPath, watermarkedOpf);
+    zip.file(`${opfDirectory}${EPUB_NOTICE_FILE}`, `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="${locale}" lang="${locale}">
+<head><title>${escapeXml(title)}</title></head>
+<body>
+<h1>${escapeXml(title)}</h1>
+<p>${escapeXml(body)}</p>
+</body>
+</html>
+`);
+    // Réécrit à la même place (première entrée), mais sans compression
+    zip.file("mimetype", "application/epub+zip", { compression: "STORE" });
+
+    return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE", mimeType: "application/epub+zip" });
+};
+
+/**
+ * Tatoue un ebook avec la mention et les textes de la langue donnée.
+ * @param {Buffer} master - Le fichier maître.
+ * @param {string} mimeType - 'application/pdf' ou 'application/epub+zip'.
+ * @param {string} locale - La langue de la mention.
+ * @param {object} params - { name, email, order } : l'acheteur et sa commande.
+ * @returns {Promise<Buffer>} La copie tatouée.
+ */
+const watermarkEbook = (master, mimeType, locale, params) => {
+    const mention = translate(locale, "watermark.mention", params);
+    return mimeType === "application/pdf"
+        ? watermarkPdf(master, mention)
+        : watermarkEpub(master, {
+            title: translate(locale, "watermark.noticeTitle"),
+            body: translate(locale, "watermark.noticeBody", params),
+            mention,
+            locale,
+        });
+};
+
+/**
+ * Vérifie qu'un ebook pourra être tatoué, en produisant une copie d'essai : un PDF chiffré ou protégé par mot de passe,
+ * ou un EPUB sans metadata, manifest ou spine, est refusé dès l'upload plutôt qu'à chaque téléchargement.
+ * @param {Buffer} master - Le fichier maître.
+ * @param {string} mimeType - 'application/pdf' ou 'application/epub+zip'.
+ * @returns {Promise<boolean>}
+ */
+export const canWatermark = async (master, mimeType) => {
+    try {
+        await watermarkEbook(master, mimeType, "fr", { name: "", email: "", order: "" });
+        return true;
+    } catch (error) {
+        console.error("Ebook impossible à tatouer:", error.message);
+        return false;
+    }
+};
+
+/**
+ * Préfixe de stockage des copies tatouées d'un acheteur, pour un fichier maître ou pour tous.
+ * @param {string} userId - L'ID de l'acheteur.
+ * @param {string} [fileId] - L'ID du fichier maître.
+ * @returns {string}
+ */
+const copiesPrefix = (userId, fileId) => `watermarked/${userId}/${fileId ? `${fileId}/` : ""}`;
+
+/**
+ * Génère la copie tatouée d'un ebook depuis son fichier maître et l'enregistre dans le stockage, à la place des
+ * copies précédentes de ce fichier pour le même acheteur (faites avec un ancien nom ou un ancien email).
+ * @param {object} download - Le téléchargement (voir getWatermarkedCopy).
+ * @param {string} locale - La langue de la mention.
+ * @param {string} storageKey - La clé de la copie.
+ * @returns {Promise<{ storageKey: string, size: number }>}
+ */
+const generateCopy = async (download, locale, storageKey) => {
+    const storage = getStorageDriver();
+    const chunks = [];
+    for await (const chunk of await storage.createReadStream(download.storage_key)) {
+        chunks.push(chunk);
+    }
+    const copy = await watermarkEbook(Buffer.concat(chunks), download.mime_type, locale, {
+        name: download.buyer_name,
+        email: download.buyer_email,
+        order: download.order_id || translate(locale, "watermark.noOrder"),
+    });
+
+    await storage.deletePrefix(copiesPrefix(download.user_id, download.file_id));
+    await storage.put(storageKey, Readable.from([copy]), {
+        contentType: download.mime_type,
+        size: copy.length,
+        checksum: crypto.createHash("sha256").update(copy).digest("hex"),
+    });
+    return { storageKey, size: copy.length };
+};
+
+/**
+ * Renvoie la copie tatouée d'un ebook pour un acheteur, en la générant depuis le fichier maître si elle n'est pas
+ * encore en cache. Les copies sont rangées dans le stockage sous watermarked/<user_id>/<file_id>/ ; leur clé dépend
+ * du nom, de l'email et de la commande de l'acheteur, de sorte qu'un changement de nom ou d'email produit une nouvelle
+ * copie, qui remplace l'ancienne. La mention est rédigée dans la langue de la demande qui a généré la copie.
+ * Une copie n'est générée qu'une fois même si plusieurs demandes arrivent en même temps. Pour un fichier maître de plus
+ * de WATERMARK_INLINE_MAX_MB (20 Mo par défaut), la génération continue en arrière-plan et la fonction renvoie null :
+ * la copie sera prête à une prochaine demande, qui reçoit sinon l'erreur de la génération.
+ * @param {object} download - Le téléchargement (findDownloadById) : file_id, storage_key, mime_type, size_bytes, buyer_name,
+ * buyer_email, order_id, user_id.
+ * @param {string} locale - La langue de la mention.
+ * @returns {Promise<{ storageKey: string, size: number } | null>} null si la copie est en cours de préparation.
+ * @throws {Error} Si la génération a échoué.
+ */
+export const getWatermarkedCopy = async (download, locale) => {
+    const storage = getStorageDriver();
+    const extension = download.storage_key.slice(download.storage_key.lastIndexOf("."));
+    const buyerHash = crypto.createHash("sha256")
+        .update(JSON.stringify([WATERMARK_VERSION, download.order_id, download.buyer_name, download.buyer_email]))
+        .digest("hex");
+    const storageKey = `${copiesPrefix(download.user_id, download.file_id)}${buyerHash}${extension}`;
+
+    const failure = failedCopies.get(storageKey);
+    if (failure) {
+        failedCopies.delete(storageKey);
+        throw failure;
+    }
+
+    let pending = pendingCopies.get(storageKey);
+    if (!pending) {
+        const cached = await storage.stat(storageKey);
+        if (cached) {
+            return { storageKey, size: cached.size };
+        }
+        // Relu après l'appel asynchrone : une demande concurrente a pu lancer la génération entre-temps
+        pending = pendingCopies.get(storageKey);
+    }
+    if (!pending) {
+        pending = runGeneration(() => generateCopy(download, locale, storageKey))
+            .finally(() => pendingCopies.delete(storageKey));
+        pendingCopies.set(storageKey, pending);
+    }
+
+    if (download.size_bytes > WATERMARK_INLINE_MAX_BYTES) {
+        pending.catch((error) => {
+            console.error("Erreur lors de la préparation d'une copie tatouée:", error.message);
+            failedCopies.set(storageKey, error);
+            setTimeout(() => failedCopies.delete(storageKey), FAILED_COPY_TTL_MS).unref();
+        });
+        return null;
+    }
+    return pending;
+};
+
+/**
+ * Supprime toutes les copies tatouées d'un acheteur (elles portent son nom et son email), ex: à la suppression du compte.
+ * @param {string} userId - L'ID de l'acheteur.
+ * @returns {Promise<void>}
+ */
+export const deleteWatermarkedCopies = (userId) => getStorageDriver().deletePrefix(copiesPrefix(userId));
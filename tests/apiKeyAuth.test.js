@@ -0,0 +1,45 @@
+// tests/apiKeyAuth.test.js
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { fakeDatabase } from "./helpers/fakeDatabase.js";
+import { createRequest, createResponse } from "./helpers/fakeExpress.js";
+import { authenticateToken } from "../middleware/authMiddleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+import { API_KEY_PREFIX } from "../utils/apiKeys.js";
+
+let database;
+afterEach(() => database?.restore());
+
+test("une clé API ne garde que les permissions que son créateur détient encore", async () => {
+    const creatorId = crypto.randomUUID();
+    const roleId = crypto.randomUUID();
+    database = fakeDatabase([
+        {
+            match: /FROM ApiKeys k WHERE k.key_hash = \$1/,
+            rows: [{
+                api_key_id: crypto.randomUUID(),
+                name: "Export comptable",
+                permissions: [PERMISSIONS.CATALOG_WRITE, PERMISSIONS.ORDERS_MANAGE],
+                allowed_ips: null,
+                expires_at: null,
+                revoked_at: null,
+                created_by: creatorId,
+            }],
+        },
+        { match: /FROM Users u/, rows: [{ user_id: creatorId, role_id: roleId, role_name: "catalog_editor", is_active: true }] },
+        { match: /FROM RolePermissions WHERE role_id = \$1/, rows: [{ permission_key: PERMISSIONS.CATALOG_WRITE }] },
+        { match: /UPDATE ApiKeys SET last_used_at/, rows: [] },
+        { match: /INSERT INTO ActivityLogs/, rows: [] },
+    ]);
+    const req = createRequest({
+        method: "GET",
+        originalUrl: "/api/admin/orders",
+        headers: { "X-API-Key": `${API_KEY_PREFIX}${crypto.randomBytes(24).toString("hex")}` },
+    });
+    const res = createResponse();
+
+    await new Promise((resolve) => authenticateToken(req, res, resolve));
+
+    assert.deepEqual(req.user.permissions, [PERMISSIONS.CATALOG_WRITE]);
+});
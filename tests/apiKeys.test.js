@@ -0,0 +1,32 @@
+// tests/apiKeys.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { API_KEY_PREFIX, generateApiKey, isValidIpAllowListEntry, isIpAllowed } from "../utils/apiKeys.js";
+import { hashToken } from "../utils/authTokens.js";
+
+test("une clé générée porte le préfixe, et seul son hachage est destiné à la base", () => {
+    const { apiKey, keyPrefix, keyHash } = generateApiKey();
+    assert.ok(apiKey.startsWith(API_KEY_PREFIX));
+    assert.equal(keyPrefix, apiKey.slice(0, API_KEY_PREFIX.length + 8));
+    assert.equal(keyHash, hashToken(apiKey));
+    assert.notEqual(generateApiKey().apiKey, apiKey);
+});
+
+test("isValidIpAllowListEntry accepte les adresses et sous-réseaux IPv4 et IPv6", () => {
+    ["203.0.113.7", "10.0.0.0/8", "0.0.0.0/0", "2001:db8::1", "2001:db8::/32"].forEach((entry) => assert.equal(isValidIpAllowListEntry(entry), true));
+    ["203.0.113", "10.0.0.0/33", "2001:db8::/129", "10.0.0.0/abc", "exemple.com", 42, null].forEach((entry) => assert.equal(isValidIpAllowListEntry(entry), false));
+});
+
+test("isIpAllowed applique la liste d'autorisation, y compris aux adresses IPv4 mappées en IPv6", () => {
+    const allowedIps = ["203.0.113.7", "10.0.0.0/8", "2001:db8::/32"];
+    assert.equal(isIpAllowed("203.0.113.7", allowedIps), true);
+    assert.equal(isIpAllowed("::ffff:10.1.2.3", allowedIps), true);
+    assert.equal(isIpAllowed("2001:db8:1::5", allowedIps), true);
+    assert.equal(isIpAllowed("203.0.113.8", allowedIps), false);
+    assert.equal(isIpAllowed(null, allowedIps), false);
+});
+
+test("isIpAllowed autorise toutes les adresses sans liste d'autorisation", () => {
+    assert.equal(isIpAllowed("198.51.100.1", null), true);
+    assert.equal(isIpAllowed("198.51.100.1", []), true);
+});
@@ -0,0 +1,76 @@
+// tests/bookRoutes.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import express from "express";
+import jwt from "jsonwebtoken";
+import { fakeDatabase } from "./helpers/fakeDatabase.js";
+import bookRoutes from "../routes/bookRoutes.js";
+import { negotiateLocale } from "../middleware/localeMiddleware.js";
+
+process.env.JWT_SECRET = "test-jwt-secret";
+
+const userId = crypto.randomUUID();
+const sessionId = crypto.randomUUID();
+const bookId = crypto.randomUUID();
+
+let database;
+let server;
+let baseUrl;
+
+before(async () => {
+    database = fakeDatabase([
+        { match: /FROM UserSessions/, rows: [{ session_id: sessionId, user_id: userId, impersonator_id: null, revoked_at: null }] },
+        {
+            match: /FROM Users u/,
+            rows: [{ user_id: userId, is_active: true, email_verified: true, totp_enabled: false, role_id: crypto.randomUUID(), role_name: "client" }],
+        },
+        { match: /FROM RolePermissions/, rows: [] },
+        { match: /UPDATE UserSessions/, rows: [] },
+    ]);
+
+    const app = express();
+    app.use(express.json());
+    app.use(negotiateLocale);
+    app.use("/api/books", bookRoutes);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    database.restore();
+});
+
+const writeRequests = [
+    ["POST", "/api/books"],
+    ["PUT", `/api/books/${bookId}`],
+    ["DELETE", `/api/books/${bookId}`],
+];
+
+test("créer, modifier ou supprimer un livre exige d'être authentifié", async () => {
+    for (const [method, pathname] of writeRequests) {
+        const response = await fetch(`${baseUrl}${pathname}`, {
+            method,
+            headers: { "Content-Type": "application/json" },
+            body: method === "DELETE" ? undefined : JSON.stringify({ book_file_url: "/uploads/ebooks/2026/autre-livre.pdf" }),
+        });
+        assert.equal(response.status, 401, `${method} ${pathname}`);
+    }
+});
+
+test("créer, modifier ou supprimer un livre exige la permission catalog:write", async () => {
+    const token = jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, { expiresIn: "5m" });
+    for (const [method, pathname] of writeRequests) {
+        const response = await fetch(`${baseUrl}${pathname}`, {
+            method,
+            headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+            body: method === "DELETE" ? undefined : JSON.stringify({ book_file_url: "/uploads/ebooks/2026/autre-livre.pdf" }),
+        });
+        const body = await response.json();
+        assert.equal(response.status, 403, `${method} ${pathname}`);
+        assert.deepEqual(body.missingPermissions, ["catalog:write"]);
+    }
+    assert.ok(!database.queries.some(({ sql }) => /(INSERT INTO|UPDATE|DELETE FROM) Books/.test(sql)));
+});
@@ -0,0 +1,100 @@
+// tests/coverImages.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fsPromises from "fs/promises";
+import os from "os";
+import path from "path";
+import sharp from "sharp";
+import { isBlurhashValid } from "blurhash";
+import { COVER_SIZES, processCoverImage, storeCoverVariants } from "../storage/coverImages.js";
+import { createLocalDriver } from "../storage/drivers/localDriver.js";
+
+/**
+ * Génère une couverture unie de 600 x 900 pixels.
+ * @param {object} [options]
+ * @param {number} [options.alpha=1] - L'opacité du fond (PNG).
+ * @returns {Promise<Buffer>}
+ */
+const generateCover = ({ alpha = 1 } = {}) => sharp({
+    create: { width: 600, height: 900, channels: 4, background: { r: 200, g: 30, b: 30, alpha } },
+}).png().toBuffer();
+
+test("processCoverImage décline la couverture en WebP et JPEG pour chaque taille, sans l'agrandir", async () => {
+    const cover = await processCoverImage(await generateCover({ alpha: 0.5 }));
+
+    assert.equal(cover.width, 600);
+    assert.equal(cover.height, 900);
+    assert.deepEqual(
+        cover.renditions.map(({ size, format, width, height }) => [size, format, width, height]),
+        [
+            ["thumbnail", "webp", 160, 240], ["thumbnail", "jpeg", 160, 240],
+            ["card", "webp", 400, 600], ["card", "jpeg", 400, 600],
+            ["detail", "webp", 600, 900], ["detail", "jpeg", 600, 900], // 1000 px demandés : pas d'agrandissement
+        ]
+    );
+    for (const rendition of cover.renditions) {
+        const metadata = await sharp(rendition.buffer).metadata();
+        assert.equal(metadata.format, rendition.format);
+        assert.equal(metadata.width, rendition.width);
+        // Le JPEG n'a pas de transparence : elle est aplatie sur fond blanc
+        assert.equal(metadata.hasAlpha, rendition.format === "webp");
+    }
+    assert.equal(cover.renditions.find(({ format }) => format === "webp").mimeType, "image/webp");
+    assert.equal(cover.renditions.find(({ format }) => format === "jpeg").extension, "jpg");
+});
+
+test("processCoverImage calcule la couleur dominante et un blurhash 4 x 3", async () => {
+    const cover = await processCoverImage(await generateCover());
+
+    assert.match(cover.dominantColor, /^#[0-9a-f]{6}$/);
+    const [red, green, blue] = [1, 3, 5].map((index) => parseInt(cover.dominantColor.slice(index, index + 2), 16));
+    assert.ok(red > 150 && green < 80 && blue < 80, cover.dominantColor);
+    assert.equal(cover.blurhash.length, 4 + 2 * 4 * 3);
+    assert.deepEqual(isBlurhashValid(cover.blurhash), { result: true });
+});
+
+test("processCoverImage applique l'orientation EXIF et refuse une image illisible", async () => {
+    const rotated = await sharp(await generateCover()).jpeg().withMetadata({ orientation: 6 }).toBuffer();
+    const cover = await processCoverImage(rotated);
+    assert.deepEqual([cover.width, cover.height], [900, 600]);
+    const { width, height } = cover.renditions[0];
+    assert.deepEqual([width, height], [COVER_SIZES.thumbnail, 107]); // Vignette en paysage
+
+    await assert.rejects(processCoverImage(Buffer.from("pas une image")));
+});
+
+test("storeCoverVariants range les déclinaisons à côté de l'original et renvoie leurs URLs", async (t) => {
+    const root = await fsPromises.mkdtemp(path.join(os.tmpdir(), "book-tech-covers-"));
+    t.after(() => fsPromises.rm(root, { recursive: true, force: true }));
+    const storage = createLocalDriver({ root, publicUrl: "/uploads" });
+    const { renditions } = await processCoverImage(await generateCover());
+
+    const { variants, storageKeys } = await storeCoverVariants(storage, "covers/2026/abc.png", renditions);
+
+    assert.equal(storageKeys.length, 6);
+    assert.ok(storageKeys.includes("covers/2026/abc-card.webp"));
+    assert.deepEqual(variants.card, {
+        width: 400,
+        height: 600,
+        webp: "/uploads/covers/2026/abc-card.webp",
+        jpeg: "/uploads/covers/2026/abc-card.jpg",
+    });
+    for (const key of storageKeys) {
+        assert.ok(await storage.stat(key), key);
+    }
+});
+
+test("storeCoverVariants signale les déclinaisons déjà écrites quand le stockage échoue", async () => {
+    const { renditions } = await processCoverImage(await generateCover());
+    let puts = 0;
+    const storage = {
+        put: async () => {
+            if (++puts === 3) throw new Error("stockage plein");
+        },
+        url: (key) => `/uploads/${key}`,
+    };
+
+    const error = await storeCoverVariants(storage, "covers/2026/abc.png", renditions).catch((storeError) => storeError);
+    assert.equal(error.message, "stockage plein");
+    assert.deepEqual(error.storageKeys, ["covers/2026/abc-thumbnail.webp", "covers/2026/abc-thumbnail.jpg"]);
+});
@@ -0,0 +1,50 @@
+// tests/downloadLinks.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { signDownload, verifyDownloadSignature, parseRangeHeader } from "../utils/downloadLinks.js";
+
+process.env.JWT_SECRET = "test-jwt-secret";
+
+test("parseRangeHeader lit les plages simples, ouvertes et suffixes", () => {
+    assert.deepEqual(parseRangeHeader("bytes=0-499", 1000), { start: 0, end: 499 });
+    assert.deepEqual(parseRangeHeader("bytes=500-", 1000), { start: 500, end: 999 });
+    assert.deepEqual(parseRangeHeader("bytes=-200", 1000), { start: 800, end: 999 });
+    assert.deepEqual(parseRangeHeader("bytes=900-5000", 1000), { start: 900, end: 999 }); // Fin ramenée à la taille
+    assert.deepEqual(parseRangeHeader("bytes=-5000", 1000), { start: 0, end: 999 });
+});
+
+test("parseRangeHeader ignore les en-têtes absents, mal formés ou multi-plages", () => {
+    assert.equal(parseRangeHeader(undefined, 1000), null);
+    assert.equal(parseRangeHeader("bytes=-", 1000), null);
+    assert.equal(parseRangeHeader("bytes=500-100", 1000), null);
+    assert.equal(parseRangeHeader("bytes=0-1,5-9", 1000), null);
+    assert.equal(parseRangeHeader("items=0-9", 1000), null);
+});
+
+test("parseRangeHeader refuse une plage qui commence après la fin du fichier", () => {
+    assert.equal(parseRangeHeader("bytes=1000-", 1000), "unsatisfiable");
+    assert.equal(parseRangeHeader("bytes=-0", 1000), "unsatisfiable");
+    assert.equal(parseRangeHeader("bytes=0-", 0), "unsatisfiable");
+});
+
+test("un lien signé est valide jusqu'à son expiration, puis expiré", () => {
+    const downloadId = crypto.randomUUID();
+    const { expires, signature } = signDownload(downloadId);
+    assert.equal(verifyDownloadSignature(downloadId, String(expires), signature), "valid");
+
+    const past = signDownload(downloadId, -60);
+    assert.equal(verifyDownloadSignature(downloadId, String(past.expires), past.signature), "expired");
+});
+
+test("une signature est liée au téléchargement et à l'expiration qu'elle couvre", () => {
+    const downloadId = crypto.randomUUID();
+    const { expires, signature } = signDownload(downloadId);
+
+    assert.equal(verifyDownloadSignature(crypto.randomUUID(), String(expires), signature), "invalid");
+    assert.equal(verifyDownloadSignature(downloadId, String(expires + 3600), signature), "invalid");
+    const tampered = `${signature[0] === "A" ? "B" : "A"}${signature.slice(1)}`;
+    assert.equal(verifyDownloadSignature(downloadId, String(expires), tampered), "invalid");
+    assert.equal(verifyDownloadSignature(downloadId, undefined, signature), "invalid");
+    assert.equal(verifyDownloadSignature(downloadId, "12abc", signature), "invalid");
+});
@@ -0,0 +1,165 @@
+// tests/ebookMetadata.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import JSZip from "jszip";
+import { PDFDocument, PDFHexString, PDFName } from "pdf-lib";
+import { extractEbookMetadata } from "../storage/ebookMetadata.js";
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Construit un EPUB en mémoire (mimetype en premier, non compressé).
+ * @param {Object<string, string | Buffer>} files - Les fichiers de l'archive, hors mimetype et container.xml.
+ * @param {string} opfPath - Le chemin du fichier OPF dans l'archive.
+ * @returns {Promise<Buffer>}
+ */
+const buildEpub = async (files, opfPath) => {
+    const zip = new JSZip();
+    zip.file("mimetype", "application/epub+zip", { compression: "STORE" });
+    zip.file("META-INF/container.xml", `<?xml version="1.0"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles><rootfile full-path="${opfPath}" media-type="application/oebps-package+xml"/></rootfiles>
+</container>`);
+    for (const [filePath, content] of Object.entries(files)) {
+        zip.file(filePath, content);
+    }
+    return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+};
+
+test("un EPUB 3 livre ses métadonnées, sa table des matières imbriquée, son nombre de mots et sa couverture", async () => {
+    const epub = await buildEpub({
+        "OEBPS/content.opf": `<?xml version="1.0"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="uid">urn:uuid:5e1c3d0a-6f43-4c8e-8d5b-0b1f2b9a7c11</dc:identifier>
+    <dc:identifier>urn:isbn:978-2-07-036822-8</dc:identifier>
+    <dc:title>L&apos;Étranger</dc:title>
+    <dc:creator>Albert Camus</dc:creator>
+    <dc:language>fr</dc:language>
+    <dc:description>&lt;p&gt;Un roman &lt;em&gt;court&lt;/em&gt;.&lt;/p&gt;</dc:description>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="cover" href="images/cover.png" media-type="image/png" properties="cover-image"/>
+    <item id="c1" href="text/chapitre%201.xhtml" media-type="application/xhtml+xml"/>
+    <item id="c2" href="text/chapitre2.xhtml" media-type="application/xhtml+xml"/>
+  </manifest>
+  <spine><itemref idref="c1"/><itemref idref="c2"/></spine>
+</package>`,
+        "OEBPS/nav.xhtml": `<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops"><body>
+  <nav epub:type="toc"><ol>
+    <li><a href="text/chapitre%201.xhtml">Première partie</a>
+      <ol><li><a href="text/chapitre%201.xhtml#s1">Chapitre 1</a></li></ol>
+    </li>
+    <li><a href="text/chapitre2.xhtml">Deuxième partie</a></li>
+  </ol></nav>
+  <nav epub:type="landmarks"><ol><li><a href="text/chapitre2.xhtml">Ignoré</a></li></ol></nav>
+</body></html>`,
+        "OEBPS/text/chapitre 1.xhtml": "<html><head><title>Titre ignoré</title></head><body><p>Aujourd'hui, maman est morte.</p></body></html>",
+        "OEBPS/text/chapitre2.xhtml": "<html><body><style>p { color: red }</style><p>Ou peut-être hier.</p></body></html>",
+        "OEBPS/images/cover.png": Buffer.concat([PNG_SIGNATURE, Buffer.alloc(64)]),
+    }, "OEBPS/content.opf");
+
+    const metadata = await extractEbookMetadata(epub, "application/epub+zip");
+
+    assert.equal(metadata.format, "EPUB");
+    assert.equal(metadata.title, "L'Étranger");
+    assert.deepEqual(metadata.creators, ["Albert Camus"]);
+    assert.equal(metadata.language, "fr");
+    assert.equal(metadata.isbn, "9782070368228");
+    assert.equal(metadata.description, "Un roman court .");
+    assert.equal(metadata.pageCount, null);
+    assert.equal(metadata.wordCount, 7);
+    assert.deepEqual(metadata.toc, [
+        {
+            title: "Première partie",
+            href: "OEBPS/text/chapitre 1.xhtml",
+            children: [{ title: "Chapitre 1", href: "OEBPS/text/chapitre 1.xhtml#s1", children: [] }],
+        },
+        { title: "Deuxième partie", href: "OEBPS/text/chapitre2.xhtml", children: [] },
+    ]);
+    assert.equal(metadata.cover.mimeType, "image/png");
+    assert.equal(metadata.cover.extension, "png");
+});
+
+test("un EPUB 2 livre sa table des matières NCX et sa couverture déclarée par <meta name=\"cover\">", async () => {
+    const epub = await buildEpub({
+        "content.opf": `<?xml version="1.0"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="2.0">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:opf="http://www.idpf.org/2007/opf">
+    <dc:identifier opf:scheme="ISBN">2-07-036822-3</dc:identifier>
+    <dc:identifier opf:scheme="ISBN">0-306-40615-2</dc:identifier>
+    <dc:title>Notre-Dame de Paris</dc:title>
+    <dc:creator opf:role="aut">Victor Hugo</dc:creator>
+    <meta name="cover" content="cover-img"/>
+  </metadata>
+  <manifest>
+    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+    <item id="cover-img" href="cover.png" media-type="image/png"/>
+    <item id="c1" href="c1.xhtml" media-type="application/xhtml+xml"/>
+  </manifest>
+  <spine toc="ncx"><itemref idref="c1"/></spine>
+</package>`,
+        "toc.ncx": `<?xml version="1.0"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/"><navMap>
+  <navPoint id="p1"><navLabel><text>Livre premier</text></navLabel><content src="c1.xhtml"/>
+    <navPoint id="p2"><navLabel><text>Chapitre &amp; I</text></navLabel><content src="c1.xhtml#ch1"/></navPoint>
+  </navPoint>
+</navMap></ncx>`,
+        "c1.xhtml": "<html><body><p>Il y a aujourd'hui trois cent quarante-huit ans.</p></body></html>",
+        "cover.png": Buffer.concat([PNG_SIGNATURE, Buffer.alloc(64)]),
+    }, "content.opf");
+
+    const metadata = await extractEbookMetadata(epub, "application/epub+zip");
+
+    assert.equal(metadata.title, "Notre-Dame de Paris");
+    assert.deepEqual(metadata.creators, ["Victor Hugo"]);
+    assert.equal(metadata.isbn, "0306406152"); // Le premier identifiant a une clé de contrôle invalide
+    assert.equal(metadata.wordCount, 8);
+    assert.deepEqual(metadata.toc, [{
+        title: "Livre premier",
+        href: "c1.xhtml",
+        children: [{ title: "Chapitre & I", href: "c1.xhtml#ch1", children: [] }],
+    }]);
+    assert.equal(metadata.cover.mimeType, "image/png");
+});
+
+test("un EPUB sans fichier OPF est refusé", async () => {
+    const zip = new JSZip();
+    zip.file("mimetype", "application/epub+zip", { compression: "STORE" });
+    const epub = await zip.generateAsync({ type: "nodebuffer" });
+
+    await assert.rejects(extractEbookMetadata(epub, "application/epub+zip"), /OPF introuvable/);
+});
+
+test("un PDF livre son dictionnaire d'informations, son nombre de pages et ses signets", async () => {
+    const pdf = await PDFDocument.create();
+    pdf.setTitle("Les Misérables");
+    pdf.setAuthor("Victor Hugo et Gustave Brion");
+    pdf.setSubject("Roman. ISBN 978-2-253-09681-8");
+    pdf.catalog.set(PDFName.of("Lang"), PDFHexString.fromText("fr"));
+    pdf.addPage();
+    const secondPage = pdf.addPage();
+
+    const outlinesRef = pdf.context.nextRef();
+    const entryRef = pdf.context.nextRef();
+    pdf.context.assign(entryRef, pdf.context.obj({
+        Title: PDFHexString.fromText("Fantine"),
+        Parent: outlinesRef,
+        Dest: [secondPage.ref, PDFName.of("Fit")],
+    }));
+    pdf.context.assign(outlinesRef, pdf.context.obj({ Type: "Outlines", First: entryRef, Last: entryRef, Count: 1 }));
+    pdf.catalog.set(PDFName.of("Outlines"), outlinesRef);
+
+    const metadata = await extractEbookMetadata(Buffer.from(await pdf.save()), "application/pdf");
+
+    assert.equal(metadata.format, "PDF");
+    assert.equal(metadata.title, "Les Misérables");
+    assert.deepEqual(metadata.creators, ["Victor Hugo", "Gustave Brion"]);
+    assert.equal(metadata.language, "fr");
+    assert.equal(metadata.isbn, "9782253096818");
+    assert.equal(metadata.pageCount, 2);
+    assert.equal(metadata.wordCount, null);
+    assert.deepEqual(metadata.toc, [{ title: "Fantine", page: 2, children: [] }]);
+    assert.equal(metadata.cover, null);
+});
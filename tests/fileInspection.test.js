@@ -0,0 +1,49 @@
+// tests/fileInspection.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fsPromises from "fs/promises";
+import os from "os";
+import path from "path";
+import JSZip from "jszip";
+import { detectFileType, inspectFile } from "../storage/fileInspection.js";
+
+test("detectFileType reconnaît les images et les ebooks à leurs premiers octets", async () => {
+    const epub = await new JSZip()
+        .file("mimetype", "application/epub+zip", { compression: "STORE" })
+        .file("OEBPS/content.opf", "<package/>")
+        .generateAsync({ type: "nodebuffer" });
+    const headers = {
+        "image/jpeg": Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]),
+        "image/png": Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]),
+        "image/webp": Buffer.from("RIFF\x24\x00\x00\x00WEBPVP8 ", "latin1"),
+        "application/pdf": Buffer.from("%PDF-1.7\n"),
+        "application/epub+zip": epub.subarray(0, 64),
+    };
+    for (const [mimeType, header] of Object.entries(headers)) {
+        assert.equal(detectFileType(header)?.mimeType, mimeType);
+    }
+    assert.deepEqual(detectFileType(headers["application/pdf"]), { mimeType: "application/pdf", extension: "pdf" });
+});
+
+test("detectFileType ne reconnaît ni un ZIP quelconque ni un fichier texte", async () => {
+    const zip = await new JSZip().file("readme.txt", "bonjour").generateAsync({ type: "nodebuffer" });
+    assert.equal(detectFileType(zip.subarray(0, 64)), null);
+    assert.equal(detectFileType(Buffer.from("<html><body>%PDF-</body></html>")), null);
+    assert.equal(detectFileType(Buffer.alloc(0)), null);
+});
+
+test("inspectFile renvoie le type réel, la taille et l'empreinte SHA-256 du fichier", async (t) => {
+    const directory = await fsPromises.mkdtemp(path.join(os.tmpdir(), "book-tech-inspect-"));
+    t.after(() => fsPromises.rm(directory, { recursive: true, force: true }));
+    const content = Buffer.concat([Buffer.from("%PDF-1.4\n"), crypto.randomBytes(100000)]);
+    const filePath = path.join(directory, "upload.bin");
+    await fsPromises.writeFile(filePath, content);
+
+    assert.deepEqual(await inspectFile(filePath), {
+        mimeType: "application/pdf",
+        extension: "pdf",
+        size: content.length,
+        checksum: crypto.createHash("sha256").update(content).digest("hex"),
+    });
+});
@@ -0,0 +1,40 @@
+// tests/helpers/fakeDatabase.js
+import pool from "../../db/db.js";
+
+/**
+ * Remplace pool.query (et les clients de pool.connect) par des réponses préparées, sans base PostgreSQL.
+ * Chaque requête est associée au premier gestionnaire dont l'expression régulière correspond à son SQL ;
+ * une requête non prévue, ou un texte SQL qui n'est pas une chaîne, fait échouer le test.
+ * @param {Array<{ match: RegExp, rows: Array | function(Array, string): (Array | Promise<Array>) }>} handlers - Les réponses, de la plus précise à la plus générale.
+ * @returns {{ queries: Array<{ sql: string, values: Array }>, restore: function(): void }} Les requêtes reçues, et la remise en état du pool.
+ */
+export const fakeDatabase = (handlers) => {
+    const queries = [];
+    const { query, connect } = pool;
+
+    const fakeQuery = async (sql, values = []) => {
+        if (typeof sql !== "string") {
+            throw new TypeError(`Requête SQL invalide : ${typeof sql}`);
+        }
+        queries.push({ sql, values });
+        if (/^\s*(BEGIN|COMMIT|ROLLBACK)\b/i.test(sql)) {
+            return { rows: [], rowCount: 0 };
+        }
+        const handler = handlers.find(({ match }) => match.test(sql));
+        if (!handler) {
+            throw new Error(`Requête non prévue par le test : ${sql.replace(/\s+/g, " ").slice(0, 120)}`);
+        }
+        const rows = typeof handler.rows === "function" ? await handler.rows(values, sql) : handler.rows;
+        return { rows, rowCount: rows.length };
+    };
+
+    pool.query = fakeQuery;
+    pool.connect = async () => ({ query: fakeQuery, release: () => {} });
+    return {
+        queries,
+        restore: () => {
+            pool.query = query;
+            pool.connect = connect;
+        },
+    };
+};
@@ -0,0 +1,49 @@
+// tests/helpers/fakeExpress.js
+import { translate } from "../../utils/i18n.js";
+
+/**
+ * Construit une requête Express minimale pour appeler un contrôleur directement.
+ * @param {object} [overrides] - Champs de la requête (body, params, query, user, headers...).
+ * @returns {object} La requête, avec req.t et req.locale en français.
+ */
+export const createRequest = (overrides = {}) => {
+    const headers = Object.fromEntries(Object.entries(overrides.headers || {}).map(([name, value]) => [name.toLowerCase(), value]));
+    return {
+        body: {},
+        params: {},
+        query: {},
+        ip: "127.0.0.1",
+        method: "GET",
+        originalUrl: "/",
+        locale: "fr",
+        t: (key, params) => translate("fr", key, params),
+        get: (name) => headers[name.toLowerCase()],
+        ...overrides,
+        headers,
+    };
+};
+
+/**
+ * Construit une réponse Express minimale qui mémorise le statut et le corps JSON renvoyés.
+ * @returns {object} La réponse ; res.statusCode et res.body après l'appel du contrôleur.
+ */
+export const createResponse = () => {
+    const res = {
+        statusCode: 200,
+        body: undefined,
+        headers: {},
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            return res;
+        },
+        set(name, value) {
+            Object.assign(res.headers, typeof name === "object" ? name : { [name]: value });
+            return res;
+        },
+    };
+    return res;
+};
@@ -0,0 +1,71 @@
+// tests/i18n.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fr from "../locales/fr.js";
+import en from "../locales/en.js";
+import {
+    resolveLocale,
+    translate,
+    localizeValue,
+    localizeRecord,
+    normalizeLocalizedInput,
+} from "../utils/i18n.js";
+
+/**
+ * Liste les clés (chemins pointés) d'un catalogue de messages.
+ * @param {object} catalog - Le catalogue.
+ * @param {string} [prefix] - Le chemin du nœud courant.
+ * @returns {string[]}
+ */
+const catalogKeys = (catalog, prefix = "") => Object.entries(catalog).flatMap(([key, value]) => (
+    typeof value === "string" ? [`${prefix}${key}`] : catalogKeys(value, `${prefix}${key}.`)
+));
+
+test("les catalogues français et anglais contiennent les mêmes clés", () => {
+    assert.deepEqual(catalogKeys(en).sort(), catalogKeys(fr).sort());
+});
+
+test("resolveLocale privilégie ?lang=, puis Accept-Language, puis le français", () => {
+    const request = (query, accepted) => ({ query, acceptsLanguages: () => accepted });
+    assert.equal(resolveLocale(request({ lang: "EN" }, "fr")), "en");
+    assert.equal(resolveLocale(request({ lang: "de" }, "en")), "en");
+    assert.equal(resolveLocale(request({}, false)), "fr");
+});
+
+test("translate remplace les paramètres connus et laisse les autres en place", () => {
+    assert.equal(translate("en", "pagination.invalidLimit", { max: 100 }), "The limit parameter must be an integer between 1 and 100.");
+    assert.match(translate("fr", "pagination.invalidLimit"), /\{max\}/);
+});
+
+test("translate renvoie la clé elle-même si elle est introuvable", (t) => {
+    t.mock.method(console, "error", () => {});
+    assert.equal(translate("en", "inexistant.cle"), "inexistant.cle");
+});
+
+test("localizeValue aplatit un champ localisé en suivant l'ordre de repli", () => {
+    assert.equal(localizeValue({ fr: "Roman", en: "Novel" }, "en"), "Novel");
+    assert.equal(localizeValue({ fr: "Roman", en: "" }, "en"), "Roman");
+    assert.equal(localizeValue({ en: "Novel" }, "fr"), "Novel");
+    assert.equal(localizeValue({ fr: null, en: null }, "fr"), null);
+    assert.equal(localizeValue("Victor Hugo", "en"), "Victor Hugo");
+    assert.deepEqual(localizeValue({ width: 10 }, "en"), { width: 10 });
+});
+
+test("localizeRecord n'aplatit que les champs localisés", () => {
+    const createdAt = new Date();
+    assert.deepEqual(
+        localizeRecord({ title: { fr: "Les Misérables", en: "The Miserables" }, price: 12, created_at: createdAt, tags: ["classique"] }, "en"),
+        { title: "The Miserables", price: 12, created_at: createdAt, tags: ["classique"] }
+    );
+    assert.equal(localizeRecord(undefined, "en"), undefined);
+});
+
+test("normalizeLocalizedInput accepte une chaîne ou un objet de langues non vides", () => {
+    assert.deepEqual(normalizeLocalizedInput("  Roman "), { fr: "Roman", en: "Roman" });
+    assert.deepEqual(normalizeLocalizedInput({ fr: " Roman ", en: "Novel" }), { fr: "Roman", en: "Novel" });
+    assert.deepEqual(normalizeLocalizedInput({ en: "Novel" }), { en: "Novel" });
+    assert.equal(normalizeLocalizedInput("   "), null);
+    assert.equal(normalizeLocalizedInput({ fr: "Roman", de: "Roman" }), null);
+    assert.equal(normalizeLocalizedInput({ fr: "Roman", en: "" }), null);
+    assert.equal(normalizeLocalizedInput(42), null);
+});
@@ -0,0 +1,91 @@
+// tests/impersonation.test.js
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { fakeDatabase } from "./helpers/fakeDatabase.js";
+import { createRequest, createResponse } from "./helpers/fakeExpress.js";
+import { impersonateUser } from "../controllers/AdminController.js";
+import { authenticateToken } from "../middleware/authMiddleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+
+process.env.JWT_SECRET = "test-jwt-secret";
+
+let database;
+afterEach(() => database?.restore());
+
+/**
+ * Simule les utilisateurs, les permissions de leurs rôles et les sessions d'impersonation.
+ * @param {Array<{ user_id: string, role_name: string, permissions: string[] }>} users - Les comptes en base.
+ * @param {Array<object>} [sessions] - Les sessions en base.
+ */
+const fakeAccounts = (users, sessions = []) => {
+    const accounts = users.map((user) => ({ ...user, role_id: crypto.randomUUID(), is_active: true, email: `${user.role_name}@example.com` }));
+    database = fakeDatabase([
+        { match: /FROM Users u/, rows: ([userId]) => accounts.filter((account) => account.user_id === userId) },
+        {
+            match: /FROM RolePermissions WHERE role_id = \$1/,
+            rows: ([roleId]) => accounts.find((account) => account.role_id === roleId).permissions.map((key) => ({ permission_key: key })),
+        },
+        { match: /INSERT INTO UserSessions/, rows: ([userId, impersonatorId]) => [{ session_id: crypto.randomUUID(), user_id: userId, impersonator_id: impersonatorId }] },
+        { match: /FROM UserSessions/, rows: ([sessionId]) => sessions.filter((session) => session.session_id === sessionId) },
+        { match: /INSERT INTO ActivityLogs/, rows: [] },
+    ]);
+};
+
+test("l'impersonation d'un compte dont le rôle porte des permissions est refusée", async () => {
+    const targetId = crypto.randomUUID();
+    fakeAccounts([{ user_id: targetId, role_name: "catalog_editor", permissions: [PERMISSIONS.CATALOG_WRITE] }]);
+    const req = createRequest({ params: { userId: targetId }, user: { userId: crypto.randomUUID() } });
+    const res = createResponse();
+
+    await impersonateUser(req, res);
+
+    assert.equal(res.statusCode, 403);
+    assert.ok(!database.queries.some(({ sql }) => /INSERT INTO UserSessions/.test(sql)));
+});
+
+test("l'impersonation d'un client sans permission délivre un jeton en lecture seule", async () => {
+    const targetId = crypto.randomUUID();
+    fakeAccounts([{ user_id: targetId, role_name: "client", permissions: [] }]);
+    const req = createRequest({ params: { userId: targetId }, user: { userId: crypto.randomUUID() } });
+    const res = createResponse();
+
+    await impersonateUser(req, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(jwt.decode(res.body.token).userId, targetId);
+});
+
+test("un jeton d'impersonation ne peut pas délivrer de lien de téléchargement", async () => {
+    const targetId = crypto.randomUUID();
+    const impersonatorId = crypto.randomUUID();
+    const sessionId = crypto.randomUUID();
+    fakeAccounts(
+        [
+            { user_id: targetId, role_name: "client", permissions: [] },
+            { user_id: impersonatorId, role_name: "support", permissions: [PERMISSIONS.USERS_IMPERSONATE] },
+        ],
+        [{ session_id: sessionId, user_id: targetId, impersonator_id: impersonatorId, revoked_at: null }]
+    );
+    const token = jwt.sign({ userId: targetId, sessionId, impersonatorId, scope: "impersonation:read" }, process.env.JWT_SECRET);
+    const req = createRequest({
+        method: "GET",
+        originalUrl: `/api/library/${crypto.randomUUID()}/download`,
+        headers: { Authorization: `Bearer ${token}` },
+    });
+    const res = createResponse();
+
+    const passed = await new Promise((resolve) => {
+        const json = res.json;
+        res.json = (body) => {
+            resolve(false);
+            return json(body);
+        };
+        authenticateToken(req, res, () => resolve(true));
+    });
+
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.message, req.t("access.impersonationReadOnly"));
+});
@@ -0,0 +1,160 @@
+// tests/libraryDownload.test.js
+// Parcours complet d'un téléchargement : lien signé délivré à l'acheteur, puis copie tatouée servie en entier et par plage.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import os from "os";
+import path from "path";
+import fsPromises from "fs/promises";
+import { Readable } from "stream";
+import express from "express";
+import jwt from "jsonwebtoken";
+import { PDFDocument } from "pdf-lib";
+import { fakeDatabase } from "./helpers/fakeDatabase.js";
+import libraryRoutes from "../routes/libraryRoutes.js";
+import { negotiateLocale } from "../middleware/localeMiddleware.js";
+import { createLocalDriver } from "../storage/drivers/localDriver.js";
+import { getStorageDriver, setStorageDriver } from "../storage/storage.js";
+
+process.env.JWT_SECRET = "test-jwt-secret";
+
+const userId = crypto.randomUUID();
+const sessionId = crypto.randomUUID();
+const bookId = crypto.randomUUID();
+const fileId = crypto.randomUUID();
+const downloadId = crypto.randomUUID();
+const orderId = crypto.randomUUID();
+const masterKey = "ebooks/2026/master.pdf";
+
+let database;
+let server;
+let baseUrl;
+let storageRoot;
+let previousDriver;
+
+before(async () => {
+    storageRoot = await fsPromises.mkdtemp(path.join(os.tmpdir(), "booktech-storage-"));
+    previousDriver = getStorageDriver();
+    const storage = createLocalDriver({ root: storageRoot, publicUrl: "/uploads" });
+    setStorageDriver(storage);
+
+    const master = await PDFDocument.create();
+    master.setTitle("Le Petit Prince");
+    master.addPage();
+    master.addPage();
+    await storage.put(masterKey, Readable.from([Buffer.from(await master.save())]));
+
+    database = fakeDatabase([
+        { match: /FROM UserSessions/, rows: [{ session_id: sessionId, user_id: userId, impersonator_id: null, revoked_at: null }] },
+        {
+            match: /FROM Users u/,
+            rows: [{ user_id: userId, is_active: true, email_verified: true, totp_enabled: false, role_id: crypto.randomUUID(), role_name: "client" }],
+        },
+        { match: /FROM RolePermissions/, rows: [] },
+        {
+            match: /FROM BookDownloads bd/,
+            rows: [{
+                download_id: downloadId,
+                user_id: userId,
+                book_id: bookId,
+                title: { fr: "Le Petit Prince", en: "The Little Prince" },
+                file_id: fileId,
+                storage_key: masterKey,
+                mime_type: "application/pdf",
+                buyer_name: "Jeanne Martin",
+                buyer_email: "jeanne@example.com",
+                order_id: orderId,
+                owned: true,
+            }],
+        },
+        { match: /FROM UserBooks/, rows: [{ owned: true }] },
+        { match: /FROM BookFiles\s+WHERE book_id = \$1 AND kind = 'ebook'/, rows: [{ file_id: fileId, book_id: bookId, kind: "ebook", storage_key: masterKey, mime_type: "application/pdf" }] },
+        { match: /INSERT INTO BookDownloads/, rows: [{ download_id: downloadId, previous_count: 0 }] },
+        { match: /UPDATE BookDownloads/, rows: [] },
+        { match: /DELETE FROM BookDownloads/, rows: [{ download_id: downloadId }] },
+    ]);
+
+    const app = express();
+    app.use(negotiateLocale);
+    app.use("/api/library", libraryRoutes);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    database.restore();
+    setStorageDriver(previousDriver);
+    await fsPromises.rm(storageRoot, { recursive: true, force: true });
+});
+
+/**
+ * Demande un lien de téléchargement comme le ferait l'acheteur connecté.
+ * @returns {Promise<URL>} Le lien signé.
+ */
+const requestLink = async () => {
+    const token = jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, { expiresIn: "5m" });
+    const response = await fetch(`${baseUrl}/api/library/${bookId}/download`, { headers: { Authorization: `Bearer ${token}` } });
+    const body = await response.json();
+    assert.equal(response.status, 200, body.message);
+    assert.equal(body.downloadsUsed, 1);
+    return new URL(body.url);
+};
+
+test("un acheteur télécharge la copie tatouée de son ebook", async () => {
+    const link = await requestLink();
+    assert.equal(link.pathname, `/api/library/downloads/${downloadId}`);
+
+    const response = await fetch(`${baseUrl}${link.pathname}${link.search}`);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("content-type"), "application/pdf");
+    assert.match(response.headers.get("content-disposition"), /le-petit-prince\.pdf/);
+    assert.equal(response.headers.get("cache-control"), "private, no-store");
+
+    const copy = Buffer.from(await response.arrayBuffer());
+    assert.equal(Number(response.headers.get("content-length")), copy.length);
+    const pdf = await PDFDocument.load(copy);
+    assert.equal(pdf.getPageCount(), 2);
+    assert.match(pdf.getSubject(), /Jeanne Martin/);
+    assert.match(pdf.getSubject(), /jeanne@example\.com/);
+    assert.ok(pdf.getSubject().includes(orderId));
+    assert.ok(database.queries.some(({ sql }) => /UPDATE BookDownloads SET last_streamed_at/.test(sql)));
+});
+
+test("une plage d'octets est servie en 206 pour reprendre un téléchargement", async () => {
+    const link = await requestLink();
+    const full = Buffer.from(await (await fetch(`${baseUrl}${link.pathname}${link.search}`)).arrayBuffer());
+
+    const response = await fetch(`${baseUrl}${link.pathname}${link.search}`, { headers: { Range: "bytes=10-49" } });
+    assert.equal(response.status, 206);
+    assert.equal(response.headers.get("content-range"), `bytes 10-49/${full.length}`);
+    assert.deepEqual(Buffer.from(await response.arrayBuffer()), full.subarray(10, 50));
+});
+
+test("un lien dont la signature est altérée est refusé", async () => {
+    const link = await requestLink();
+    link.searchParams.set("signature", "altered");
+    const response = await fetch(`${baseUrl}${link.pathname}${link.search}`);
+    assert.equal(response.status, 403);
+});
+
+test("un lien dont la copie tatouée ne peut pas être générée n'est pas décompté", async (t) => {
+    t.mock.method(console, "error", () => {});
+    const link = await requestLink();
+    const storage = getStorageDriver();
+    setStorageDriver({
+        ...storage,
+        stat: async () => null, // Pas de copie en cache
+        createReadStream: async () => { throw new Error("stockage indisponible"); },
+    });
+    t.after(() => setStorageDriver(storage));
+
+    const response = await fetch(`${baseUrl}${link.pathname}${link.search}`);
+    const body = await response.json();
+    assert.equal(response.status, 500);
+    assert.match(body.message, /pas décompté/);
+    const cancel = database.queries.find(({ sql }) => /DELETE FROM BookDownloads/.test(sql));
+    assert.deepEqual(cancel.values, [downloadId]);
+    assert.match(cancel.sql, /last_streamed_at IS NULL/);
+});
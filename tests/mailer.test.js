@@ -0,0 +1,143 @@
+// tests/mailer.test.js
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { fakeDatabase } from "./helpers/fakeDatabase.js";
+import { createRequest, createResponse } from "./helpers/fakeExpress.js";
+import { queueEmail, processOutbox, setMailTransport } from "../mail/mailer.js";
+import { resendOutboxEmail } from "../controllers/AdminController.js";
+
+let database;
+afterEach(() => database?.restore());
+
+/**
+ * Simule la table EmailOutbox. Les requêtes de réservation et d'envoi ne modifient la ligne
+ * que si leur SQL contient les clauses attendues (réservation 'sending', effacement du contenu).
+ * @param {object} [initialRow] - Une entrée déjà présente en base.
+ * @returns {{ rows: Array<object> }} Les lignes de la table.
+ */
+const fakeOutbox = (initialRow) => {
+    const rows = initialRow ? [initialRow] : [];
+    const find = (outboxId) => rows.find((row) => row.outbox_id === outboxId);
+    database = fakeDatabase([
+        {
+            match: /INSERT INTO EmailOutbox/,
+            rows: ([userId, recipient, template, locale, subject, text, html], sql) => {
+                const row = {
+                    outbox_id: crypto.randomUUID(), user_id: userId, recipient, template, locale, subject,
+                    text_body: text, html_body: html, attempts: 0,
+                    status: /'sending'/.test(sql) ? "sending" : "pending",
+                };
+                rows.push(row);
+                return [{ ...row }];
+            },
+        },
+        {
+            match: /UPDATE EmailOutbox\s+SET status = 'sending'(?![\s\S]*WHERE outbox_id = \$1)/,
+            rows: () => rows.filter((row) => row.status === "pending").map((row) => {
+                row.status = "sending";
+                return { ...row };
+            }),
+        },
+        {
+            match: /SELECT \* FROM EmailOutbox\s+WHERE status = 'pending'/, // Sélection sans réservation
+            rows: () => rows.filter((row) => row.status === "pending").map((row) => ({ ...row })),
+        },
+        {
+            match: /SET status = 'sent'/,
+            rows: ([outboxId], sql) => {
+                const row = find(outboxId);
+                Object.assign(row, { status: "sent", attempts: row.attempts + 1 });
+                if (/text_body = NULL/.test(sql)) Object.assign(row, { text_body: null, html_body: null });
+                return [{ ...row }];
+            },
+        },
+        {
+            match: /WHERE outbox_id = \$1 AND status IN \('pending', 'failed'\) AND text_body IS NOT NULL/,
+            rows: ([outboxId]) => {
+                const row = find(outboxId);
+                if (!["pending", "failed"].includes(row.status) || row.text_body === null) return [];
+                Object.assign(row, { status: "sending", attempts: 0 });
+                return [{ ...row }];
+            },
+        },
+        { match: /FROM EmailOutbox WHERE outbox_id = \$1/, rows: ([outboxId]) => (find(outboxId) ? [{ ...find(outboxId) }] : []) },
+        { match: /INSERT INTO ActivityLogs/i, rows: [] },
+    ]);
+    return { rows };
+};
+
+/**
+ * Faux transport dont chaque envoi attend `release()` avant d'aboutir.
+ * @returns {{ sent: Array<object>, release: function(): void }}
+ */
+const slowTransport = () => {
+    const sent = [];
+    let release;
+    const released = new Promise((resolve) => { release = resolve; });
+    setMailTransport({
+        send: async (message) => {
+            sent.push(message);
+            await released;
+            return { accepted: [message.to] };
+        },
+    });
+    return { sent, release };
+};
+
+test("un email en cours d'envoi immédiat n'est pas repris par le worker, et son contenu est effacé après l'envoi", async () => {
+    const { rows } = fakeOutbox();
+    const transport = slowTransport();
+
+    const queued = queueEmail({ to: "jeanne@example.com", template: "passwordReset", locale: "fr", data: { firstName: "Jeanne", resetUrl: "https://book-tech.local/reset?token=secret" } });
+    await new Promise((resolve) => setImmediate(resolve)); // L'entrée est enregistrée, l'envoi est en cours
+    assert.equal(await processOutbox(), 0);
+    transport.release();
+    const entry = await queued;
+
+    assert.equal(transport.sent.length, 1);
+    assert.equal(entry.status, "sent");
+    assert.equal(rows[0].text_body, null);
+    assert.equal(rows[0].html_body, null);
+});
+
+test("le worker envoie une seule fois une entrée en attente, même lancé deux fois en parallèle", async () => {
+    const { rows } = fakeOutbox({
+        outbox_id: crypto.randomUUID(), recipient: "jeanne@example.com", subject: "Bienvenue",
+        text_body: "Bonjour", html_body: null, status: "pending", attempts: 1,
+    });
+    const transport = slowTransport();
+
+    const runs = Promise.all([processOutbox(), processOutbox()]);
+    transport.release();
+    assert.deepEqual((await runs).sort(), [0, 1]);
+    assert.equal(transport.sent.length, 1);
+    assert.equal(rows[0].status, "sent");
+});
+
+test("un email déjà remis ne peut pas être renvoyé depuis l'administration", async () => {
+    const outboxId = crypto.randomUUID();
+    fakeOutbox({ outbox_id: outboxId, recipient: "jeanne@example.com", subject: "Bienvenue", text_body: null, html_body: null, status: "sent", attempts: 1 });
+    const transport = slowTransport();
+    const req = createRequest({ params: { outboxId }, user: { userId: crypto.randomUUID() } });
+    const res = createResponse();
+
+    await resendOutboxEmail(req, res);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(transport.sent.length, 0);
+});
+
+test("sans MAIL_TRANSPORT, le mailer refuse de démarrer en production", async () => {
+    const { NODE_ENV, MAIL_TRANSPORT } = process.env;
+    process.env.NODE_ENV = "production";
+    delete process.env.MAIL_TRANSPORT;
+    try {
+        await assert.rejects(import("../mail/mailer.js?production"), /MAIL_TRANSPORT/);
+        process.env.MAIL_TRANSPORT = "sendmail";
+        await assert.rejects(import("../mail/mailer.js?unknown"), /MAIL_TRANSPORT inconnu/);
+    } finally {
+        if (NODE_ENV === undefined) delete process.env.NODE_ENV; else process.env.NODE_ENV = NODE_ENV;
+        if (MAIL_TRANSPORT === undefined) delete process.env.MAIL_TRANSPORT; else process.env.MAIL_TRANSPORT = MAIL_TRANSPORT;
+    }
+});
@@ -0,0 +1,131 @@
+// tests/oidcLogin.test.js
+import { test, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import http from "http";
+import jwt from "jsonwebtoken";
+import { fakeDatabase } from "./helpers/fakeDatabase.js";
+import { createRequest, createResponse } from "./helpers/fakeExpress.js";
+
+// Les fournisseurs activés sont lus au chargement de utils/oidc.js : le contrôleur est importé après leur configuration
+process.env.OIDC_PROVIDERS = "mock";
+process.env.OIDC_MOCK_CLIENT_ID = "book-tech";
+process.env.OIDC_MOCK_REDIRECT_URI = "http://localhost/oidc/callback";
+const { callback, linkCallback } = await import("../controllers/oidcController.js");
+
+const NONCE = "test-nonce";
+const SUBJECT = "mock-subject-42";
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+let server;
+let database;
+
+/**
+ * Serveur OIDC local : découverte, JWKS, et un endpoint token renvoyant un ID token signé
+ * pour jeanne@example.com (email vérifié par le fournisseur).
+ */
+before(async () => {
+    server = http.createServer((req, res) => {
+        const issuer = process.env.OIDC_MOCK_ISSUER;
+        const routes = {
+            "/.well-known/openid-configuration": () => ({
+                issuer,
+                authorization_endpoint: `${issuer}/authorize`,
+                token_endpoint: `${issuer}/token`,
+                jwks_uri: `${issuer}/jwks`,
+            }),
+            "/jwks": () => ({ keys: [{ ...publicKey.export({ format: "jwk" }), kid: "test", use: "sig" }] }),
+            "/token": () => ({
+                id_token: jwt.sign(
+                    { sub: SUBJECT, email: "jeanne@example.com", email_verified: true, nonce: NONCE },
+                    privateKey,
+                    { algorithm: "RS256", keyid: "test", issuer, audience: "book-tech", expiresIn: "5m" }
+                ),
+            }),
+        };
+        const route = routes[req.url];
+        res.writeHead(route ? 200 : 404, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(route ? route() : {}));
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    process.env.OIDC_MOCK_ISSUER = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+afterEach(() => database?.restore());
+
+test("une connexion externe ne rattache pas un compte local dont l'email n'est pas vérifié", async () => {
+    database = fakeDatabase([
+        {
+            match: /DELETE FROM OidcAuthStates/,
+            rows: [{ provider: "mock", code_verifier: "verifier", nonce: NONCE, user_id: null, expires_at: new Date(Date.now() + 60000) }],
+        },
+        { match: /FROM UserIdentities WHERE provider = \$1 AND subject = \$2/, rows: [] },
+        {
+            match: /FROM Users u/,
+            rows: [{ user_id: crypto.randomUUID(), email: "jeanne@example.com", is_active: true, email_verified: false, totp_enabled: false }],
+        },
+        { match: /INSERT INTO UserIdentities/, rows: [{ identity_id: crypto.randomUUID() }] },
+        { match: /INSERT INTO ActivityLogs/, rows: [] },
+    ]);
+    const req = createRequest({ method: "POST", params: { provider: "mock" }, body: { code: "code", state: "state" } });
+    const res = createResponse();
+
+    await callback(req, res);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.message, req.t("oidc.localEmailNotVerified"));
+    assert.ok(!database.queries.some(({ sql }) => /INSERT INTO UserIdentities/.test(sql)));
+});
+
+/**
+ * Base factice d'un parcours de liaison démarré par linkingUserId.
+ * @param {string} linkingUserId - L'utilisateur pour lequel le state a été émis.
+ */
+const fakeLinkDatabase = (linkingUserId) => fakeDatabase([
+    {
+        match: /DELETE FROM OidcAuthStates/,
+        rows: [{ provider: "mock", code_verifier: "verifier", nonce: NONCE, user_id: linkingUserId, expires_at: new Date(Date.now() + 60000) }],
+    },
+    { match: /FROM UserIdentities WHERE provider = \$1 AND subject = \$2/, rows: [] },
+    { match: /INSERT INTO UserIdentities/, rows: [{ identity_id: crypto.randomUUID() }] },
+    { match: /INSERT INTO ActivityLogs/, rows: [] },
+    { match: /FROM UserIdentities\s+WHERE user_id = \$1/, rows: [] },
+]);
+
+test("une liaison ne peut être terminée que par l'utilisateur qui l'a démarrée", async () => {
+    const victimId = crypto.randomUUID();
+    database = fakeLinkDatabase(victimId);
+    const req = createRequest({ method: "POST", params: { provider: "mock" }, body: { code: "code", state: "state" }, user: { userId: crypto.randomUUID() } });
+    const res = createResponse();
+
+    await linkCallback(req, res);
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.message, req.t("oidc.linkStateMismatch"));
+    assert.ok(!database.queries.some(({ sql }) => /INSERT INTO UserIdentities/.test(sql)));
+});
+
+test("l'utilisateur qui a démarré la liaison lie son compte externe", async () => {
+    const userId = crypto.randomUUID();
+    database = fakeLinkDatabase(userId);
+    const req = createRequest({ method: "POST", params: { provider: "mock" }, body: { code: "code", state: "state" }, user: { userId } });
+    const res = createResponse();
+
+    await linkCallback(req, res);
+
+    assert.equal(res.statusCode, 200, res.body.message);
+    const insert = database.queries.find(({ sql }) => /INSERT INTO UserIdentities/.test(sql));
+    assert.deepEqual(insert.values.slice(0, 3), [userId, "mock", SUBJECT]);
+});
+
+test("un state de liaison est refusé par le callback de connexion", async () => {
+    database = fakeLinkDatabase(crypto.randomUUID());
+    const req = createRequest({ method: "POST", params: { provider: "mock" }, body: { code: "code", state: "state" } });
+    const res = createResponse();
+
+    await callback(req, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, req.t("oidc.invalidState"));
+    assert.ok(!database.queries.some(({ sql }) => /INSERT INTO UserIdentities/.test(sql)));
+});
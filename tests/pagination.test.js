@@ -0,0 +1,72 @@
+// tests/pagination.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRequest } from "./helpers/fakeExpress.js";
+import {
+    DEFAULT_PAGE_LIMIT,
+    MAX_PAGE_LIMIT,
+    encodeCursor,
+    decodeCursor,
+    parsePagination,
+    buildPaginatedResponse,
+} from "../utils/pagination.js";
+
+test("un curseur encodé se décode en la même position", () => {
+    const position = { value: 12.5, id: "0b7c6a3e-2f4d-4a8e-9a51-3c0c1f0e9d21" };
+    const cursor = encodeCursor(position);
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(decodeCursor(cursor), position);
+});
+
+test("decodeCursor refuse un curseur illisible ou sans identifiant", () => {
+    assert.equal(decodeCursor("pas-un-curseur"), null);
+    assert.equal(decodeCursor(encodeCursor({ value: 3 })), null);
+    assert.equal(decodeCursor(encodeCursor(null)), null);
+    assert.equal(decodeCursor(undefined), null);
+});
+
+test("parsePagination applique la page 1 et la taille par défaut", () => {
+    assert.deepEqual(parsePagination(createRequest()), { limit: DEFAULT_PAGE_LIMIT, page: 1, offset: 0, cursor: null });
+    assert.deepEqual(parsePagination(createRequest({ query: { page: "3", limit: "10" } })), { limit: 10, page: 3, offset: 20, cursor: null });
+});
+
+test("parsePagination passe en mode curseur et refuse de le combiner avec une page", () => {
+    const position = { value: "2024-01-01", id: "abc" };
+    assert.deepEqual(parsePagination(createRequest({ query: { cursor: encodeCursor(position) } })), {
+        limit: DEFAULT_PAGE_LIMIT,
+        page: null,
+        offset: 0,
+        cursor: position,
+    });
+
+    const req = createRequest({ query: { cursor: encodeCursor(position), page: "2" } });
+    assert.equal(parsePagination(req).error, req.t("pagination.pageAndCursor"));
+});
+
+test("parsePagination renvoie un message traduit pour chaque paramètre invalide", () => {
+    const req = createRequest();
+    assert.equal(parsePagination(createRequest({ query: { limit: "0" } })).error, req.t("pagination.invalidLimit", { max: MAX_PAGE_LIMIT }));
+    assert.equal(parsePagination(createRequest({ query: { limit: String(MAX_PAGE_LIMIT + 1) } })).error, req.t("pagination.invalidLimit", { max: MAX_PAGE_LIMIT }));
+    assert.equal(parsePagination(createRequest({ query: { page: "1.5" } })).error, req.t("pagination.invalidPage"));
+    assert.equal(parsePagination(createRequest({ query: { cursor: "!!" } })).error, req.t("pagination.invalidCursor"));
+});
+
+test("buildPaginatedResponse construit les liens de page en conservant les filtres", () => {
+    const req = createRequest({ baseUrl: "/api/books", path: "/", query: { page: "2", limit: "10", category: "roman" } });
+    const response = buildPaginatedResponse(req, [{}, {}], { total: 25, pagination: parsePagination(req) });
+
+    assert.deepEqual(response.pagination, { total: 25, limit: 10, count: 2, page: 2, totalPages: 3, nextCursor: null });
+    assert.equal(response.links.self, "/api/books?page=2&limit=10&category=roman");
+    assert.equal(response.links.next, "/api/books?page=3&limit=10&category=roman");
+    assert.equal(response.links.prev, "/api/books?page=1&limit=10&category=roman");
+});
+
+test("buildPaginatedResponse ne propose en mode curseur qu'un lien suivant", () => {
+    const req = createRequest({ baseUrl: "/api/books", path: "/", query: { cursor: encodeCursor({ value: 1, id: "a" }) } });
+    const nextCursor = encodeCursor({ value: 2, id: "b" });
+    const response = buildPaginatedResponse(req, [{}], { total: 40, pagination: parsePagination(req), nextCursor });
+
+    assert.deepEqual(response.pagination, { total: 40, limit: DEFAULT_PAGE_LIMIT, count: 1, nextCursor });
+    assert.equal(response.links.next, `/api/books?cursor=${nextCursor}`);
+    assert.equal(response.links.prev, null);
+});
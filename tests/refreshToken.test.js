@@ -0,0 +1,90 @@
+// tests/refreshToken.test.js
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { fakeDatabase } from "./helpers/fakeDatabase.js";
+import { createRequest, createResponse } from "./helpers/fakeExpress.js";
+import { refreshAccessToken } from "../controllers/userController.js";
+import { hashToken } from "../utils/authTokens.js";
+
+process.env.JWT_SECRET = "test-jwt-secret";
+
+let database;
+afterEach(() => database?.restore());
+
+/**
+ * Simule une session en base dont le refresh token courant est `refreshToken`.
+ * @param {string} refreshToken - Le refresh token en clair.
+ * @param {object} [options] - { concurrentReads } : nombre de requêtes simultanées à synchroniser.
+ * @returns {object} L'état de la session (refresh_token_hash, previous_refresh_token_hash, revoked_at).
+ */
+const fakeSession = (refreshToken, { concurrentReads = 1 } = {}) => {
+    // Les requêtes attendent d'avoir toutes lu l'utilisateur avant de poursuivre : elles ont alors toutes vu le même token courant
+    let reads = 0;
+    let releaseReads;
+    const allRead = new Promise((resolve) => { releaseReads = resolve; });
+    const session = {
+        session_id: crypto.randomUUID(),
+        user_id: crypto.randomUUID(),
+        refresh_token_hash: hashToken(refreshToken),
+        previous_refresh_token_hash: null,
+        revoked_at: null,
+        expires_at: new Date(Date.now() + 3600000),
+    };
+    database = fakeDatabase([
+        { match: /WHERE refresh_token_hash = \$1/, rows: ([hash]) => (hash === session.refresh_token_hash ? [{ ...session }] : []) },
+        { match: /WHERE previous_refresh_token_hash = \$1/, rows: ([hash]) => (hash === session.previous_refresh_token_hash ? [{ ...session }] : []) },
+        {
+            match: /SET previous_refresh_token_hash = refresh_token_hash/,
+            rows: ([, currentHash, newHash], sql) => {
+                // Reproduit la clause WHERE : le token présenté n'est comparé que si la requête le vérifie
+                const checksToken = /AND refresh_token_hash = \$2/.test(sql);
+                if ((checksToken && currentHash !== session.refresh_token_hash) || session.revoked_at) return [];
+                session.previous_refresh_token_hash = session.refresh_token_hash;
+                session.refresh_token_hash = newHash;
+                return [{ session_id: session.session_id, user_id: session.user_id }];
+            },
+        },
+        {
+            match: /SET revoked_at = NOW\(\)/,
+            rows: () => {
+                session.revoked_at = new Date();
+                return [{ session_id: session.session_id }];
+            },
+        },
+        {
+            match: /FROM Users u/,
+            rows: async () => {
+                if (++reads >= concurrentReads) releaseReads();
+                await allRead;
+                return [{ user_id: session.user_id, email: "jeanne@example.com", is_active: true, role_id: crypto.randomUUID(), role_name: "client" }];
+            },
+        },
+    ]);
+    return session;
+};
+
+test("un refresh token est échangé contre un nouveau, à usage unique", async () => {
+    const session = fakeSession("first-token");
+    const res = createResponse();
+    await refreshAccessToken(createRequest({ body: { refreshToken: "first-token" } }), res);
+    assert.equal(res.statusCode, 200);
+    assert.ok(res.body.token);
+    assert.notEqual(res.body.refreshToken, "first-token");
+    assert.equal(session.refresh_token_hash, hashToken(res.body.refreshToken));
+
+    // Rejouer l'ancien token révoque la session
+    const replay = createResponse();
+    await refreshAccessToken(createRequest({ body: { refreshToken: "first-token" } }), replay);
+    assert.equal(replay.statusCode, 401);
+    assert.ok(session.revoked_at);
+});
+
+test("deux rafraîchissements simultanés avec le même token : un seul aboutit et la session est révoquée", async () => {
+    const session = fakeSession("shared-token", { concurrentReads: 2 });
+    const responses = [createResponse(), createResponse()];
+    await Promise.all(responses.map((res) => refreshAccessToken(createRequest({ body: { refreshToken: "shared-token" } }), res)));
+
+    assert.deepEqual(responses.map((res) => res.statusCode).sort(), [200, 401]);
+    assert.ok(session.revoked_at);
+});
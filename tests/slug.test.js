@@ -0,0 +1,23 @@
+// tests/slug.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { slugify, SLUG_PATTERN } from "../utils/slug.js";
+
+test("slugify produit des slugs ASCII en minuscules, mots séparés par un tiret", () => {
+    assert.equal(slugify("Science-fiction & Fantasy"), "science-fiction-fantasy");
+    assert.equal(slugify("Littérature française"), "litterature-francaise");
+    assert.equal(slugify("  Ça, c'est du polar !  "), "ca-c-est-du-polar");
+    assert.equal(slugify("Tome 2 : L'Éveil"), "tome-2-l-eveil");
+    ["Science-fiction & Fantasy", "Littérature française", "Tome 2 : L'Éveil"].forEach((text) => assert.match(slugify(text), SLUG_PATTERN));
+});
+
+test("slugify renvoie une chaîne vide sans lettre ni chiffre", () => {
+    assert.equal(slugify("---"), "");
+    assert.equal(slugify(""), "");
+    assert.equal(slugify(null), "");
+    assert.equal(slugify(undefined), "");
+});
+
+test("SLUG_PATTERN refuse les slugs mal formés", () => {
+    ["Roman", "roman-", "-roman", "roman--noir", "roman noir", "récit"].forEach((slug) => assert.doesNotMatch(slug, SLUG_PATTERN));
+});
@@ -0,0 +1,65 @@
+// tests/totp.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    generateTotpSecret,
+    verifyTotp,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    normalizeRecoveryCode,
+    isTwoFactorRequiredForRole,
+} from "../utils/totp.js";
+
+// Secret des vecteurs de test de la RFC 6238 (SHA-1) : '12345678901234567890' en base32
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+test("verifyTotp accepte les codes des vecteurs de la RFC 6238 et renvoie leur pas de temps", (t) => {
+    t.mock.method(Date, "now", () => 59000);
+    assert.equal(verifyTotp(RFC_SECRET, "287082"), 1);
+    assert.equal(verifyTotp(RFC_SECRET, "287 082"), 1);
+
+    t.mock.method(Date, "now", () => 1111111109000);
+    assert.equal(verifyTotp(RFC_SECRET, "081804"), 37037036);
+});
+
+test("verifyTotp tolère un pas de décalage d'horloge, pas davantage", (t) => {
+    t.mock.method(Date, "now", () => 59000 + 30000); // Pas 2 : le code du pas 1 est encore accepté
+    assert.equal(verifyTotp(RFC_SECRET, "287082"), 1);
+    t.mock.method(Date, "now", () => 59000 + 60000); // Pas 3 : il ne l'est plus
+    assert.equal(verifyTotp(RFC_SECRET, "287082"), null);
+    assert.equal(verifyTotp(RFC_SECRET, "287082", 2), 1);
+});
+
+test("verifyTotp refuse les codes mal formés", () => {
+    assert.equal(verifyTotp(RFC_SECRET, ""), null);
+    assert.equal(verifyTotp(RFC_SECRET, "12345"), null);
+    assert.equal(verifyTotp(RFC_SECRET, "abcdef"), null);
+    assert.equal(verifyTotp(RFC_SECRET, undefined), null);
+});
+
+test("un secret généré est en base32 et sert à construire l'URI de provisionnement", () => {
+    const secret = generateTotpSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+
+    const uri = new URL(buildOtpauthUri(secret, "jeanne@example.com", "BOOK-tech"));
+    assert.equal(uri.protocol, "otpauth:");
+    assert.equal(uri.host, "totp");
+    assert.equal(decodeURIComponent(uri.pathname), "/BOOK-tech:jeanne@example.com");
+    assert.equal(uri.searchParams.get("secret"), secret);
+    assert.equal(uri.searchParams.get("digits"), "6");
+    assert.equal(uri.searchParams.get("period"), "30");
+});
+
+test("les codes de récupération sont uniques, au format xxxx-xxxx, et normalisés à la saisie", () => {
+    const codes = generateRecoveryCodes();
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(codes).size, 10);
+    codes.forEach((code) => assert.match(code, /^[0-9a-f]{4}-[0-9a-f]{4}$/));
+    assert.equal(normalizeRecoveryCode("  AB12-CD34 "), "ab12-cd34");
+});
+
+test("la 2FA est imposée par défaut au rôle Admin, sans tenir compte de la casse", () => {
+    assert.equal(isTwoFactorRequiredForRole("admin"), true);
+    assert.equal(isTwoFactorRequiredForRole("Utilisateur"), false);
+    assert.equal(isTwoFactorRequiredForRole(undefined), false);
+});
@@ -0,0 +1,64 @@
+// tests/userStateCache.test.js
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { fakeDatabase } from "./helpers/fakeDatabase.js";
+
+// La taille et la durée de vie du cache sont lues au chargement du module
+process.env.USER_STATE_CACHE_MAX_ENTRIES = "3";
+process.env.USER_STATE_CACHE_TTL_MS = "1000";
+const { getUserState, invalidateAllUserStates } = await import("../utils/userStateCache.js");
+
+let database;
+afterEach(() => {
+    database?.restore();
+    invalidateAllUserStates();
+});
+
+/**
+ * Base factice : chaque utilisateur demandé existe, avec le rôle client sans permission.
+ */
+const fakeUsers = () => fakeDatabase([
+    {
+        match: /FROM Users u/,
+        rows: ([userId]) => [{ user_id: userId, is_active: true, email_verified: true, totp_enabled: false, role_id: "client", role_name: "client" }],
+    },
+    { match: /FROM RolePermissions/, rows: [] },
+]);
+
+// Utilisateurs lus en base (et non dans le cache) par les requêtes reçues.
+const usersReadFromDatabase = () => database.queries
+    .filter(({ sql }) => /FROM Users u/.test(sql))
+    .map(({ values }) => values[0]);
+
+test("une entrée expirée est relue en base", async (t) => {
+    database = fakeUsers();
+    const userId = crypto.randomUUID();
+    const now = Date.now();
+    t.mock.method(Date, "now", () => now);
+
+    await getUserState(userId);
+    await getUserState(userId);
+    assert.deepEqual(usersReadFromDatabase(), [userId]);
+
+    Date.now.mock.mockImplementation(() => now + 1001);
+    assert.equal((await getUserState(userId)).is_active, true);
+    assert.deepEqual(usersReadFromDatabase(), [userId, userId]);
+});
+
+test("au-delà de la taille maximale, l'utilisateur le moins récemment utilisé est retiré du cache", async () => {
+    database = fakeUsers();
+    const [first, second, third, fourth] = [1, 2, 3, 4].map(() => crypto.randomUUID());
+
+    for (const userId of [first, second, third]) {
+        await getUserState(userId);
+    }
+    await getUserState(first); // Lu dans le cache : devient le plus récemment utilisé
+    await getUserState(fourth); // Retire second
+    assert.deepEqual(usersReadFromDatabase(), [first, second, third, fourth]);
+
+    await getUserState(first);
+    await getUserState(third);
+    await getUserState(second);
+    assert.deepEqual(usersReadFromDatabase(), [first, second, third, fourth, second]);
+});
@@ -0,0 +1,165 @@
+// tests/watermark.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import os from "os";
+import path from "path";
+import fsPromises from "fs/promises";
+import { Readable } from "stream";
+import JSZip from "jszip";
+import { PDFDocument } from "pdf-lib";
+import { createLocalDriver } from "../storage/drivers/localDriver.js";
+import { getStorageDriver, setStorageDriver } from "../storage/storage.js";
+import { canWatermark, deleteWatermarkedCopies, getWatermarkedCopy, WATERMARK_INLINE_MAX_BYTES } from "../storage/watermark.js";
+
+let storageRoot;
+let previousDriver;
+let puts = 0;
+
+const readObject = async (key) => {
+    const chunks = [];
+    for await (const chunk of await getStorageDriver().createReadStream(key)) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+};
+
+const buyerDownload = (overrides) => ({
+    user_id: crypto.randomUUID(),
+    file_id: crypto.randomUUID(),
+    buyer_name: "Jeanne Martin",
+    buyer_email: "jeanne@example.com",
+    order_id: "ORDER-42",
+    ...overrides,
+});
+
+before(async () => {
+    storageRoot = await fsPromises.mkdtemp(path.join(os.tmpdir(), "booktech-watermark-"));
+    previousDriver = getStorageDriver();
+    const driver = createLocalDriver({ root: storageRoot, publicUrl: "/uploads" });
+    setStorageDriver({
+        ...driver,
+        put: async (key, body, metadata) => {
+            puts++;
+            return driver.put(key, body, metadata);
+        },
+    });
+
+    const pdf = await PDFDocument.create();
+    pdf.addPage();
+    await driver.put("ebooks/master.pdf", Readable.from([Buffer.from(await pdf.save())]));
+
+    const epub = new JSZip();
+    epub.file("mimetype", "application/epub+zip", { compression: "STORE" });
+    epub.file("META-INF/container.xml", `<container><rootfiles><rootfile full-path="OEBPS/content.opf"/></rootfiles></container>`);
+    epub.file("OEBPS/content.opf", `<package><metadata><dc:title>Titre</dc:title></metadata><manifest></manifest><spine></spine></package>`);
+    await driver.put("ebooks/master.epub", Readable.from([await epub.generateAsync({ type: "nodebuffer" })]));
+});
+
+after(async () => {
+    setStorageDriver(previousDriver);
+    await fsPromises.rm(storageRoot, { recursive: true, force: true });
+});
+
+test("un PDF reçoit la mention de l'acheteur, et la copie est réutilisée", async () => {
+    const download = buyerDownload({ storage_key: "ebooks/master.pdf", mime_type: "application/pdf", size_bytes: 1000 });
+    const putsBefore = puts;
+    const copy = await getWatermarkedCopy(download, "fr");
+    const pdf = await PDFDocument.load(await readObject(copy.storageKey));
+    assert.match(pdf.getSubject(), /Jeanne Martin/);
+    assert.match(pdf.getSubject(), /ORDER-42/);
+
+    assert.deepEqual(await getWatermarkedCopy(download, "fr"), copy);
+    assert.equal(puts - putsBefore, 1);
+});
+
+test("un EPUB garde 'mimetype' en première entrée et reçoit la page d'avertissement", async () => {
+    const download = buyerDownload({ storage_key: "ebooks/master.epub", mime_type: "application/epub+zip", size_bytes: 1000 });
+    const copy = await getWatermarkedCopy(download, "en");
+    const buffer = await readObject(copy.storageKey);
+    assert.equal(buffer.toString("latin1", 30, 58), "mimetypeapplication/epub+zip");
+
+    const opf = await (await JSZip.loadAsync(buffer)).file("OEBPS/content.opf").async("string");
+    assert.match(opf, /<dc:rights>[^<]*jeanne@example\.com/);
+    assert.match(opf, /<spine><itemref idref="booktech-watermark"\/>/);
+});
+
+test("des demandes simultanées pour la même copie ne la génèrent qu'une fois", async () => {
+    const download = buyerDownload({ storage_key: "ebooks/master.pdf", mime_type: "application/pdf", size_bytes: 1000 });
+    const putsBefore = puts;
+    const copies = await Promise.all([1, 2, 3].map(() => getWatermarkedCopy(download, "fr")));
+    assert.equal(puts - putsBefore, 1);
+    assert.ok(copies.every((copy) => copy.storageKey === copies[0].storageKey));
+});
+
+test("un gros fichier est tatoué en arrière-plan", async () => {
+    const download = buyerDownload({ storage_key: "ebooks/master.pdf", mime_type: "application/pdf", size_bytes: WATERMARK_INLINE_MAX_BYTES + 1 });
+    assert.equal(await getWatermarkedCopy(download, "fr"), null);
+
+    let copy = null;
+    for (let attempt = 0; attempt < 50 && !copy; attempt++) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        copy = await getWatermarkedCopy(download, "fr");
+    }
+    assert.ok(copy, "la copie devrait être prête");
+    assert.ok(copy.size > 0);
+});
+
+test("les copies sont rangées par acheteur, et un changement de nom remplace la copie précédente", async (t) => {
+    t.mock.method(console, "error", () => {});
+    const download = buyerDownload({ storage_key: "ebooks/master.pdf", mime_type: "application/pdf", size_bytes: 1000 });
+    const copy = await getWatermarkedCopy(download, "fr");
+    assert.ok(copy.storageKey.startsWith(`watermarked/${download.user_id}/${download.file_id}/`));
+    assert.deepEqual(await getWatermarkedCopy(download, "en"), copy); // La langue ne crée pas de nouvelle copie
+
+    const renamed = await getWatermarkedCopy({ ...download, buyer_name: "Jeanne Dupont" }, "fr");
+    assert.notEqual(renamed.storageKey, copy.storageKey);
+    assert.equal(await getStorageDriver().stat(copy.storageKey), null);
+    const files = await fsPromises.readdir(path.join(storageRoot, "watermarked", download.user_id, download.file_id));
+    assert.equal(files.length, 1);
+});
+
+test("deleteWatermarkedCopies supprime toutes les copies d'un acheteur, et seulement les siennes", async () => {
+    const download = buyerDownload({ storage_key: "ebooks/master.pdf", mime_type: "application/pdf", size_bytes: 1000 });
+    const epubDownload = buyerDownload({ user_id: download.user_id, storage_key: "ebooks/master.epub", mime_type: "application/epub+zip", size_bytes: 1000 });
+    const otherBuyer = buyerDownload({ storage_key: "ebooks/master.pdf", mime_type: "application/pdf", size_bytes: 1000 });
+    const copies = [await getWatermarkedCopy(download, "fr"), await getWatermarkedCopy(epubDownload, "fr")];
+    const otherCopy = await getWatermarkedCopy(otherBuyer, "fr");
+
+    await deleteWatermarkedCopies(download.user_id);
+
+    for (const copy of copies) {
+        assert.equal(await getStorageDriver().stat(copy.storageKey), null);
+    }
+    assert.ok(await getStorageDriver().stat(otherCopy.storageKey));
+    await deleteWatermarkedCopies(download.user_id); // Sans erreur s'il n'y a plus rien
+});
+
+test("canWatermark refuse un PDF chiffré et un EPUB incomplet", async (t) => {
+    t.mock.method(console, "error", () => {});
+    const encrypted = await PDFDocument.create();
+    encrypted.addPage();
+    encrypted.context.trailerInfo.Encrypt = encrypted.context.obj({ Filter: "Standard", V: 2, R: 3 });
+    assert.equal(await canWatermark(Buffer.from(await encrypted.save()), "application/pdf"), false);
+    assert.equal(await canWatermark(await readObject("ebooks/master.pdf"), "application/pdf"), true);
+
+    const epub = new JSZip();
+    epub.file("mimetype", "application/epub+zip", { compression: "STORE" });
+    epub.file("META-INF/container.xml", `<container><rootfiles><rootfile full-path="content.opf"/></rootfiles></container>`);
+    epub.file("content.opf", `<package><metadata></metadata></package>`);
+    assert.equal(await canWatermark(await epub.generateAsync({ type: "nodebuffer" }), "application/epub+zip"), false);
+    assert.equal(await canWatermark(await readObject("ebooks/master.epub"), "application/epub+zip"), true);
+});
+
+test("l'échec d'une génération en arrière-plan est renvoyé à la demande suivante", async (t) => {
+    t.mock.method(console, "error", () => {});
+    const download = buyerDownload({ storage_key: "ebooks/introuvable.pdf", mime_type: "application/pdf", size_bytes: WATERMARK_INLINE_MAX_BYTES + 1 });
+    assert.equal(await getWatermarkedCopy(download, "fr"), null);
+
+    let failure = null;
+    for (let attempt = 0; attempt < 50 && !failure; attempt++) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        failure = await getWatermarkedCopy(download, "fr").then(() => null, (error) => error);
+    }
+    assert.equal(failure?.code, "ENOENT");
+});
@@ -0,0 +1,73 @@
+// utils/apiKeys.js
+import crypto from "crypto";
+import net from "net";
+import { hashToken } from "./authTokens.js";
+
+// Préfixe des clés API : permet de les distinguer d'un JWT dans l'en-tête Authorization.
+export const API_KEY_PREFIX = "btk_";
+
+/**
+ * Génère une nouvelle clé API.
+ * @returns {{ apiKey: string, keyPrefix: string, keyHash: string }} La clé en clair (à communiquer une seule fois),
+ * son préfixe affichable et son hachage à stocker.
+ */
+export const generateApiKey = () => {
+    const apiKey = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+    return {
+        apiKey,
+        keyPrefix: apiKey.slice(0, API_KEY_PREFIX.length + 8),
+        keyHash: hashToken(apiKey),
+    };
+};
+
+/**
+ * Indique si une entrée de liste d'autorisation est une adresse IP ou un sous-réseau CIDR valide.
+ * @param {string} entry - L'entrée (ex: '203.0.113.7' ou '10.0.0.0/8').
+ * @returns {boolean}
+ */
+export const isValidIpAllowListEntry = (entry) => {
+    if (typeof entry !== "string") {
+        return false;
+    }
+    const [address, prefix] = entry.split("/");
+    const version = net.isIP(address);
+    if (!version) {
+        return false;
+    }
+    if (prefix === undefined) {
+        return true;
+    }
+    const prefixLength = Number(prefix);
+    return Number.isInteger(prefixLength) && prefixLength >= 0 && prefixLength <= (version === 4 ? 32 : 128);
+};
+
+/**
+ * Vérifie qu'une adresse IP figure dans une liste d'autorisation (adresses et sous-réseaux CIDR).
+ * Une liste vide ou absente autorise toutes les adresses.
+ * @param {string | null} ipAddress - L'adresse de l'appelant (req.ip).
+ * @param {string[] | null} allowedIps - La liste d'autorisation de la clé.
+ * @returns {boolean}
+ */
+export const isIpAllowed = (ipAddress, allowedIps) => {
+    if (!allowedIps || allowedIps.length === 0) {
+        return true;
+    }
+    if (!ipAddress) {
+        return false;
+    }
+    // Les adresses IPv4 peuvent arriver sous forme IPv6 mappée (::ffff:203.0.113.7)
+    const address = ipAddress.startsWith("::ffff:") && net.isIPv4(ipAddress.slice(7)) ? ipAddress.slice(7) : ipAddress;
+    const type = net.isIPv4(address) ? "ipv4" : "ipv6";
+
+    const blockList = new net.BlockList();
+    for (const entry of allowedIps) {
+        const [subnet, prefix] = entry.split("/");
+        const entryType = net.isIPv4(subnet) ? "ipv4" : "ipv6";
+        if (prefix === undefined) {
+            blockList.addAddress(subnet, entryType);
+        } else {
+            blockList.addSubnet(subnet, Number(prefix), entryType);
+        }
+    }
+    return blockList.check(address, type);
+};
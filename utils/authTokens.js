@@ -0,0 +1,205 @@
+// utils/authTokens.js
+import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import * as sessionModel from "../models/sessionModel.js";
+import * as roleModel from "../models/roleModel.js";
+import { isTwoFactorRequiredForRole } from "./totp.js";
+
+// Durée de vie du JWT d'accès (format accepté par jsonwebtoken, ex: '15m', '1h').
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+// Durée de vie d'un refresh token, en jours. Chaque rotation repart de zéro.
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+/**
+ * Calcule le hachage SHA-256 (hex) d'un jeton opaque, pour le stocker sans le garder en clair.
+ * @param {string} token - Le jeton en clair.
+ * @returns {string} Le hachage hexadécimal.
+ */
+export const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Génère un nouveau refresh token opaque et sa date d'expiration.
+ * @returns {{ refreshToken: string, refreshTokenHash: string, expiresAt: Date }}
+ */
+export const generateRefreshToken = () => {
+    const refreshToken = crypto.randomBytes(48).toString("hex");
+    return {
+        refreshToken,
+        refreshTokenHash: hashToken(refreshToken),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 3600000),
+    };
+};
+
+/**
+ * Signe un JWT d'accès rattaché à une session serveur.
+ * @param {object} user - L'utilisateur (user_id, role_id, role_name).
+ * @param {string} sessionId - L'ID de la session associée.
+ * @returns {string} Le JWT signé.
+ */
+export const signAccessToken = (user, sessionId) => jwt.sign(
+    {
+        userId: user.user_id,
+        roleId: user.role_id,
+        roleName: user.role_name,
+        sessionId,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+/**
+ * Extrait les informations du client (appareil) à enregistrer avec la session.
+ * @param {object} req - L'objet requête Express.
+ * @returns {{ userAgent: string | null, ipAddress: string | null }}
+ */
+export const getClientInfo = (req) => ({
+    userAgent: req.headers["user-agent"] || null,
+    ipAddress: req.ip || null,
+});
+
+/**
+ * Ouvre une nouvelle session pour l'utilisateur et renvoie la paire de jetons (accès + refresh).
+ * @param {object} user - L'utilisateur authentifié (user_id, role_id, role_name).
+ * @param {object} req - L'objet requête Express (pour l'appareil et l'IP).
+ * @returns {Promise<object>} { token, refreshToken, expiresIn, sessionId }.
+ */
+export const issueSessionTokens = async (user, req) => {
+    const { refreshToken, refreshTokenHash, expiresAt } = generateRefreshToken();
+    const session = await sessionModel.createSession(user.user_id, refreshTokenHash, expiresAt, getClientInfo(req));
+    return {
+        token: signAccessToken(user, session.session_id),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+        sessionId: session.session_id,
+    };
+};
+
+// Durée de vie d'une session d'impersonation, en minutes. Non renouvelable.
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES, 10) || 15;
+
+/**
+ * Ouvre une session d'impersonation et signe son jeton d'accès.
+ * Le jeton porte à la fois l'utilisateur impersonné (userId) et l'auteur (impersonatorId) ;
+ * son périmètre (lecture seule) est appliqué par authenticateToken. Aucun refresh token n'est émis.
+ * @param {object} targetUser - L'utilisateur impersonné (user_id, role_id, role_name).
+ * @param {string} impersonatorId - L'ID du membre du support.
+ * @param {object} req - L'objet requête Express.
+ * @returns {Promise<object>} { token, expiresAt, sessionId }.
+ */
+export const issueImpersonationToken = async (targetUser, impersonatorId, req) => {
+    const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60000);
+    const { refreshTokenHash } = generateRefreshToken();
+    const session = await sessionModel.createImpersonationSession(
+        targetUser.user_id,
+        impersonatorId,
+        refreshTokenHash,
+        expiresAt,
+        getClientInfo(req)
+    );
+    const token = jwt.sign(
+        {
+            userId: targetUser.user_id,
+            roleId: targetUser.role_id,
+            roleName: targetUser.role_name,
+            sessionId: session.session_id,
+            impersonatorId,
+            scope: "impersonation:read",
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: `${IMPERSONATION_TTL_MINUTES}m` }
+    );
+    return { token, expiresAt, sessionId: session.session_id };
+};
+
+// Durée de validité d'un lien de vérification d'email, en heures.
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24;
+
+/**
+ * Génère un jeton signé de vérification d'email.
+ * Le jeton est un JWT dédié (purpose 'email_verification') ; seul son hachage est stocké en base,
+ * ce qui le rend à usage unique et révocable par l'envoi d'un nouveau lien.
+ * @param {string} userId - L'ID de l'utilisateur à vérifier.
+ * @returns {{ token: string, tokenHash: string, expires: number }}
+ */
+export const createEmailVerificationToken = (userId) => {
+    const token = jwt.sign(
+        { userId, purpose: "email_verification", nonce: crypto.randomBytes(8).toString("hex") },
+        process.env.JWT_SECRET,
+        { expiresIn: `${EMAIL_VERIFICATION_TTL_HOURS}h` }
+    );
+    return {
+        token,
+        tokenHash: hashToken(token),
+        expires: Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 3600000,
+    };
+};
+
+/**
+ * Vérifie la signature et l'usage d'un jeton de vérification d'email.
+ * @param {string} token - Le jeton reçu.
+ * @returns {object | null} Le payload décodé, ou null si le jeton est invalide ou expiré.
+ */
+export const verifyEmailVerificationToken = (token) => {
+    try {
+        const payload = jwt.verify(token, process.env.JWT_SECRET);
+        return payload.purpose === "email_verification" ? payload : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Durée de validité d'un jeton de challenge 2FA (étape intermédiaire du login).
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || "5m";
+
+/**
+ * Génère le jeton de challenge renvoyé par /login quand la 2FA est activée.
+ * Il ne donne accès à aucune ressource : il sert uniquement à appeler /login/2fa.
+ * @param {string} userId - L'ID de l'utilisateur dont le mot de passe a été vérifié.
+ * @returns {string} Le JWT de challenge.
+ */
+export const createTwoFactorChallengeToken = (userId) => jwt.sign(
+    { userId, purpose: "two_factor_challenge" },
+    process.env.JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN }
+);
+
+/**
+ * Vérifie un jeton de challenge 2FA.
+ * @param {string} token - Le jeton reçu.
+ * @returns {object | null} Le payload décodé, ou null si invalide ou expiré.
+ */
+export const verifyTwoFactorChallengeToken = (token) => {
+    try {
+        const payload = jwt.verify(token, process.env.JWT_SECRET);
+        return payload.purpose === "two_factor_challenge" ? payload : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Ouvre une session et construit la réponse de connexion commune à toutes les méthodes d'authentification.
+ * @param {object} user - L'utilisateur authentifié (user_id, first_name, last_name, email, email_verified, role_id, role_name, totp_enabled).
+ * @param {object} req - L'objet requête Express.
+ * @returns {Promise<object>} { token, refreshToken, expiresIn, twoFactorSetupRequired, user }.
+ */
+export const buildLoginPayload = async (user, req) => {
+    const { token, refreshToken, expiresIn } = await issueSessionTokens(user, req);
+    return {
+        token,
+        refreshToken,
+        expiresIn,
+        // Le rôle impose la 2FA mais l'utilisateur ne l'a pas encore activée : il doit s'enrôler
+        twoFactorSetupRequired: isTwoFactorRequiredForRole(user.role_name) && !user.totp_enabled,
+        user: { // Infos utilisateur de base (sans le mot de passe haché)
+            user_id: user.user_id,
+            first_name: user.first_name,
+            last_name: user.last_name,
+            email: user.email,
+            email_verified: user.email_verified,
+            role_id: user.role_id,
+            role_name: user.role_name,
+            permissions: await roleModel.findPermissionKeysByRoleId(user.role_id),
+        },
+    };
+};
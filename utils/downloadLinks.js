@@ -0,0 +1,74 @@
+// utils/downloadLinks.js
+import crypto from "crypto";
+
+// Durée de validité d'un lien de téléchargement, et nombre de téléchargements autorisés par livre et par utilisateur (0 : illimité).
+export const DOWNLOAD_LINK_TTL_SECONDS = parseInt(process.env.DOWNLOAD_LINK_TTL_SECONDS, 10) || 300;
+export const DOWNLOAD_LIMIT_PER_BOOK = Number.isInteger(parseInt(process.env.DOWNLOAD_LIMIT_PER_BOOK, 10))
+    ? parseInt(process.env.DOWNLOAD_LIMIT_PER_BOOK, 10)
+    : 10;
+
+// Secret dédié si défini, sinon celui des JWT.
+const signingSecret = () => process.env.DOWNLOAD_URL_SECRET || process.env.JWT_SECRET;
+
+const computeSignature = (downloadId, expires) =>
+    crypto.createHmac("sha256", signingSecret()).update(`${downloadId}.${expires}`).digest("base64url");
+
+/**
+ * Signe un téléchargement enregistré (BookDownloads) pour une durée limitée.
+ * @param {string} downloadId - L'ID du téléchargement.
+ * @param {number} [ttlSeconds=DOWNLOAD_LINK_TTL_SECONDS] - La durée de validité, en secondes.
+ * @returns {{ expires: number, signature: string }} L'expiration (timestamp Unix en secondes) et la signature HMAC-SHA256.
+ */
+export const signDownload = (downloadId, ttlSeconds = DOWNLOAD_LINK_TTL_SECONDS) => {
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    return { expires, signature: computeSignature(downloadId, expires) };
+};
+
+/**
+ * Vérifie la signature et l'expiration d'un lien de téléchargement.
+ * @param {string} downloadId - L'ID du téléchargement.
+ * @param {string} expires - L'expiration reçue dans l'URL.
+ * @param {string} signature - La signature reçue dans l'URL.
+ * @returns {'valid' | 'expired' | 'invalid'}
+ */
+export const verifyDownloadSignature = (downloadId, expires, signature) => {
+    if (typeof expires !== "string" || !/^\d+$/.test(expires) || typeof signature !== "string") {
+        return "invalid";
+    }
+    const expected = Buffer.from(computeSignature(downloadId, Number(expires)));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return "invalid";
+    }
+    return Number(expires) < Date.now() / 1000 ? "expired" : "valid";
+};
+
+/**
+ * Lit un en-tête Range à plage unique (bytes=0-499, bytes=500-, bytes=-500).
+ * @param {string | undefined} header - L'en-tête Range reçu.
+ * @param {number} size - La taille du fichier, en octets.
+ * @returns {{ start: number, end: number } | null | 'unsatisfiable'} La plage (bornes incluses), null pour le fichier
+ * entier (pas d'en-tête, ou en-tête non pris en charge), 'unsatisfiable' si la plage est hors du fichier.
+ */
+export const parseRangeHeader = (header, size) => {
+    const match = typeof header === "string" ? /^bytes=(\d*)-(\d*)$/.exec(header.trim()) : null;
+    if (!match || (match[1] === "" && match[2] === "")) {
+        return null;
+    }
+    let start;
+    let end;
+    if (match[1] === "") {
+        // Suffixe : les N derniers octets
+        start = Math.max(size - Number(match[2]), 0);
+        end = size - 1;
+    } else if (match[2] !== "" && Number(match[2]) < Number(match[1])) {
+        return null; // Plage mal formée : ignorée, comme le prévoit la RFC 9110
+    } else {
+        start = Number(match[1]);
+        end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+    if (start >= size) {
+        return "unsatisfiable";
+    }
+    return { start, end };
+};
@@ -0,0 +1,118 @@
+// utils/i18n.js
+import fr from "../locales/fr.js";
+import en from "../locales/en.js";
+
+export const SUPPORTED_LOCALES = ["fr", "en"];
+export const DEFAULT_LOCALE = "fr";
+
+const catalogs = { fr, en };
+
+/**
+ * Négocie la langue d'une requête : paramètre ?lang=, sinon en-tête Accept-Language, sinon la langue par défaut.
+ * @param {object} req - L'objet requête Express.
+ * @returns {string} 'fr' ou 'en'.
+ */
+export const resolveLocale = (req) => {
+    const lang = typeof req.query?.lang === "string" ? req.query.lang.toLowerCase() : null;
+    if (lang && SUPPORTED_LOCALES.includes(lang)) {
+        return lang;
+    }
+    return req.acceptsLanguages(...SUPPORTED_LOCALES) || DEFAULT_LOCALE;
+};
+
+/**
+ * Ordre de repli des langues : la langue demandée, puis la langue par défaut, puis les autres langues prises en charge.
+ * @param {string} locale - La langue demandée.
+ * @returns {string[]}
+ */
+export const getFallbackLocales = (locale) => [...new Set([locale, DEFAULT_LOCALE, ...SUPPORTED_LOCALES])];
+
+/**
+ * Traduit un message du catalogue (locales/<langue>.js), en remplaçant les paramètres {nom}.
+ * Une clé absente dans la langue demandée est cherchée dans les langues de repli.
+ * @param {string} locale - La langue souhaitée.
+ * @param {string} key - La clé du message, ex: 'books.notFound'.
+ * @param {object} [params] - Les valeurs des paramètres, ex: { category: 'Fantasy' }.
+ * @returns {string} Le message traduit (ou la clé elle-même si elle est introuvable).
+ */
+export const translate = (locale, key, params = {}) => {
+    for (const candidate of getFallbackLocales(locale)) {
+        const message = key.split(".").reduce((node, part) => node?.[part], catalogs[candidate]);
+        if (typeof message === "string") {
+            return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+        }
+    }
+    console.error(`Clé de traduction introuvable : ${key}`);
+    return key;
+};
+
+/**
+ * Indique si une valeur est un champ localisé, c'est-à-dire un objet JSONB dont les clés sont des langues ({ fr, en }).
+ * @param {*} value - La valeur à tester.
+ * @returns {boolean}
+ */
+const isLocalizedValue = (value) => value !== null
+    && typeof value === "object"
+    && !Array.isArray(value)
+    && !(value instanceof Date)
+    && Object.keys(value).length > 0
+    && Object.keys(value).every((key) => SUPPORTED_LOCALES.includes(key));
+
+/**
+ * Aplatit un champ localisé dans la langue demandée, en suivant l'ordre de repli si la traduction manque.
+ * Les valeurs non localisées sont renvoyées telles quelles.
+ * @param {*} value - La valeur (ex: { fr: 'Roman', en: 'Novel' }).
+ * @param {string} locale - La langue demandée.
+ * @returns {*} La valeur aplatie (ex: 'Novel').
+ */
+export const localizeValue = (value, locale) => {
+    if (!isLocalizedValue(value)) {
+        return value;
+    }
+    const found = getFallbackLocales(locale).find((candidate) => value[candidate] !== undefined && value[candidate] !== null && value[candidate] !== "");
+    return found ? value[found] : null;
+};
+
+/**
+ * Aplatit tous les champs localisés d'un enregistrement (livre, catégorie...).
+ * @param {object | undefined} record - L'enregistrement.
+ * @param {string} locale - La langue demandée.
+ * @returns {object | undefined} Une copie aplatie.
+ */
+export const localizeRecord = (record, locale) => {
+    if (!record) {
+        return record;
+    }
+    return Object.fromEntries(Object.entries(record).map(([field, value]) => [field, localizeValue(value, locale)]));
+};
+
+/**
+ * Aplatit les champs localisés d'une liste d'enregistrements.
+ * @param {Array} records - Les enregistrements.
+ * @param {string} locale - La langue demandée.
+ * @returns {Array}
+ */
+export const localizeRecords = (records, locale) => records.map((record) => localizeRecord(record, locale));
+
+/**
+ * Normalise un champ localisé reçu dans le corps d'une requête d'administration :
+ * une chaîne est utilisée pour toutes les langues, un objet ne peut contenir que des langues prises en charge.
+ * @param {*} value - La valeur reçue (ex: 'Victor Hugo' ou { fr: 'Roman', en: 'Novel' }).
+ * @returns {object | null} L'objet { fr, en } (chaînes non vides), ou null si la valeur est invalide ou vide.
+ */
+export const normalizeLocalizedInput = (value) => {
+    if (typeof value === "string") {
+        const text = value.trim();
+        return text ? Object.fromEntries(SUPPORTED_LOCALES.map((locale) => [locale, text])) : null;
+    }
+    if (!isLocalizedValue(value)) {
+        return null;
+    }
+    const entries = Object.entries(value)
+        .filter(([, text]) => typeof text === "string" && text.trim())
+        .map(([locale, text]) => [locale, text.trim()]);
+    if (entries.length !== Object.keys(value).length || entries.length === 0) {
+        return null;
+    }
+    return Object.fromEntries(entries);
+};
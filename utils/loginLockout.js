@@ -0,0 +1,80 @@
+// utils/loginLockout.js
+import * as rateLimitModel from "../models/rateLimitModel.js";
+import { logActivity } from "../models/AdminModel.js";
+
+// Nombre d'échecs consécutifs déclenchant un verrouillage.
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+// Durée du premier verrouillage ; elle double à chaque verrouillage suivant.
+const LOGIN_LOCKOUT_BASE_MS = parseInt(process.env.LOGIN_LOCKOUT_BASE_MS, 10) || 60000;
+// Durée maximale d'un verrouillage (24 h par défaut).
+const LOGIN_LOCKOUT_MAX_MS = parseInt(process.env.LOGIN_LOCKOUT_MAX_MS, 10) || 24 * 3600000;
+
+/**
+ * Normalise un email pour l'utiliser comme clé de limitation.
+ * @param {string} email - L'email saisi.
+ * @returns {string} L'email en minuscules, sans espaces autour.
+ */
+export const normalizeEmailKey = (email) => String(email || "").trim().toLowerCase();
+
+/**
+ * Construit les clés de verrouillage (IP et, si fourni, email) d'une tentative de connexion.
+ * @param {object} req - L'objet requête Express.
+ * @param {string} [email] - L'email visé par la tentative.
+ * @returns {string[]} Les clés.
+ */
+export const getLockKeys = (req, email) => {
+    const keys = [`ip:${req.ip}`];
+    if (email) {
+        keys.push(`email:${normalizeEmailKey(email)}`);
+    }
+    return keys;
+};
+
+/**
+ * Renvoie le verrouillage actif le plus long pour cette tentative, s'il existe.
+ * @param {object} req - L'objet requête Express.
+ * @param {string} [email] - L'email visé par la tentative.
+ * @returns {Promise<object | undefined>} { lock_key, locked_until }, ou undefined.
+ */
+export const getActiveLockout = async (req, email) => {
+    const lockouts = await rateLimitModel.findActiveLockouts(getLockKeys(req, email));
+    return lockouts[0];
+};
+
+/**
+ * Enregistre un échec de connexion (par IP et par email) et journalise tout nouveau verrouillage dans ActivityLogs.
+ * Les erreurs sont journalisées mais jamais propagées pour ne pas bloquer la réponse.
+ * @param {object} req - L'objet requête Express.
+ * @param {string} [email] - L'email visé par la tentative.
+ * @param {string} [userId] - L'ID de l'utilisateur visé, s'il existe.
+ */
+export const recordLoginFailure = async (req, email, userId = null) => {
+    try {
+        for (const lockKey of getLockKeys(req, email)) {
+            const entry = await rateLimitModel.recordLoginFailure(lockKey, LOGIN_LOCKOUT_THRESHOLD, LOGIN_LOCKOUT_BASE_MS, LOGIN_LOCKOUT_MAX_MS);
+            if (entry.newly_locked) {
+                await logActivity(
+                    userId,
+                    'LOGIN_LOCKOUT',
+                    `Connexions verrouillées pour ${lockKey} jusqu'à ${new Date(entry.locked_until).toISOString()} après des échecs répétés`,
+                    { lockKey, lockoutLevel: entry.lockout_level, lockedUntil: entry.locked_until, ip: req.ip, email: email ? normalizeEmailKey(email) : null, userAgent: req.headers["user-agent"] || null }
+                );
+            }
+        }
+    } catch (error) {
+        console.error("Erreur lors de l'enregistrement de l'échec de connexion:", error.message);
+    }
+};
+
+/**
+ * Réinitialise les échecs de connexion de l'email après une connexion réussie.
+ * Le compteur de l'IP n'est pas remis à zéro : une IP qui teste plusieurs comptes reste surveillée.
+ * @param {string} email - L'email de l'utilisateur connecté.
+ */
+export const clearLoginFailures = async (email) => {
+    try {
+        await rateLimitModel.clearLoginFailures(`email:${normalizeEmailKey(email)}`);
+    } catch (error) {
+        console.error("Erreur lors de la réinitialisation des échecs de connexion:", error.message);
+    }
+};
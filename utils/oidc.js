@@ -0,0 +1,201 @@
+// utils/oidc.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+// Fournisseurs activés, ex: OIDC_PROVIDERS=google,keycloak. Chaque fournisseur est configuré par
+// OIDC_<NOM>_ISSUER, OIDC_<NOM>_CLIENT_ID, OIDC_<NOM>_CLIENT_SECRET (optionnel pour un client public),
+// OIDC_<NOM>_REDIRECT_URI, OIDC_<NOM>_SCOPES (défaut 'openid email profile') et OIDC_<NOM>_LABEL.
+// L'émetteur peut être un serveur OIDC local (mock) pour les tests.
+const PROVIDER_NAMES = (process.env.OIDC_PROVIDERS || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+// Durée de mise en cache des documents de découverte et des clés publiques (JWKS).
+const METADATA_CACHE_TTL_MS = 3600000;
+// Délai maximum d'un appel HTTP vers un fournisseur.
+const PROVIDER_TIMEOUT_MS = 10000;
+
+// issuer -> { metadata, expiresAt } et jwks_uri -> { keys, expiresAt }
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Lit la configuration d'un fournisseur depuis les variables d'environnement.
+ * @param {string} name - Le nom du fournisseur (ex: 'google').
+ * @returns {object | null} La configuration, ou null si le fournisseur n'est pas activé ou incomplet.
+ */
+export const getProviderConfig = (name) => {
+    if (!PROVIDER_NAMES.includes(name)) {
+        return null;
+    }
+    const prefix = `OIDC_${name.toUpperCase()}_`;
+    const config = {
+        name,
+        label: process.env[`${prefix}LABEL`] || name,
+        issuer: (process.env[`${prefix}ISSUER`] || "").replace(/\/$/, ""),
+        clientId: process.env[`${prefix}CLIENT_ID`],
+        clientSecret: process.env[`${prefix}CLIENT_SECRET`] || null,
+        redirectUri: process.env[`${prefix}REDIRECT_URI`],
+        scopes: process.env[`${prefix}SCOPES`] || "openid email profile",
+    };
+    if (!config.issuer || !config.clientId || !config.redirectUri) {
+        console.error(`Configuration OIDC incomplète pour le fournisseur '${name}'.`);
+        return null;
+    }
+    return config;
+};
+
+/**
+ * Liste les fournisseurs configurés (sans les secrets), pour l'affichage des boutons de connexion.
+ * @returns {Array<{ name: string, label: string }>}
+ */
+export const getOidcProviders = () => PROVIDER_NAMES
+    .map(getProviderConfig)
+    .filter(Boolean)
+    .map(({ name, label }) => ({ name, label }));
+
+/**
+ * Appelle un fournisseur et renvoie la réponse JSON.
+ * @param {string} url - L'URL à appeler.
+ * @param {object} [options] - Les options de fetch.
+ * @returns {Promise<object>} Le corps JSON.
+ */
+const fetchJson = async (url, options = {}) => {
+    const response = await fetch(url, { ...options, signal: AbortSignal.timeout(PROVIDER_TIMEOUT_MS) });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(`Réponse ${response.status} de ${url} : ${body.error_description || body.error || "erreur inconnue"}`);
+    }
+    return body;
+};
+
+/**
+ * Récupère (et met en cache) le document de découverte OIDC d'un émetteur.
+ * @param {string} issuer - L'URL de l'émetteur.
+ * @returns {Promise<object>} Les métadonnées (authorization_endpoint, token_endpoint, jwks_uri, ...).
+ */
+const discover = async (issuer) => {
+    const cached = discoveryCache.get(issuer);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.metadata;
+    }
+    const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+    discoveryCache.set(issuer, { metadata, expiresAt: Date.now() + METADATA_CACHE_TTL_MS });
+    return metadata;
+};
+
+/**
+ * Récupère la clé publique d'un émetteur correspondant à un 'kid'.
+ * Le JWKS est rechargé si la clé est inconnue (rotation des clés chez le fournisseur).
+ * @param {string} jwksUri - L'URL du JWKS.
+ * @param {string} kid - L'identifiant de la clé (en-tête du jeton).
+ * @returns {Promise<crypto.KeyObject>} La clé publique.
+ */
+const getSigningKey = async (jwksUri, kid) => {
+    const findKey = (keys) => keys.find((key) => (kid ? key.kid === kid : key.use !== "enc"));
+
+    const cached = jwksCache.get(jwksUri);
+    let jwk = cached && cached.expiresAt > Date.now() ? findKey(cached.keys) : undefined;
+    if (!jwk) {
+        const { keys = [] } = await fetchJson(jwksUri);
+        jwksCache.set(jwksUri, { keys, expiresAt: Date.now() + METADATA_CACHE_TTL_MS });
+        jwk = findKey(keys);
+    }
+    if (!jwk) {
+        throw new Error(`Clé de signature introuvable (kid: ${kid}).`);
+    }
+    return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+/**
+ * Prépare une demande d'autorisation (authorization code + PKCE S256).
+ * @param {object} provider - La configuration du fournisseur (getProviderConfig).
+ * @returns {Promise<object>} { authorizationUrl, state, codeVerifier, nonce }.
+ */
+export const buildAuthorizationRequest = async (provider) => {
+    const metadata = await discover(provider.issuer);
+    const state = crypto.randomBytes(32).toString("base64url");
+    const nonce = crypto.randomBytes(16).toString("base64url");
+    const codeVerifier = crypto.randomBytes(48).toString("base64url");
+    const codeChallenge = crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.search = new URLSearchParams({
+        response_type: "code",
+        client_id: provider.clientId,
+        redirect_uri: provider.redirectUri,
+        scope: provider.scopes,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: "S256",
+    }).toString();
+
+    return { authorizationUrl: url.toString(), state, codeVerifier, nonce };
+};
+
+/**
+ * Échange le code d'autorisation contre des jetons, vérifie l'ID token (signature, émetteur, audience, nonce)
+ * et renvoie les informations d'identité. Les claims manquants sont complétés par l'endpoint userinfo.
+ * @param {object} provider - La configuration du fournisseur.
+ * @param {string} code - Le code d'autorisation reçu sur la redirect_uri.
+ * @param {string} codeVerifier - Le code_verifier PKCE de la demande.
+ * @param {string} nonce - Le nonce de la demande.
+ * @returns {Promise<object>} { subject, email, emailVerified, firstName, lastName }.
+ */
+export const exchangeCodeForIdentity = async (provider, code, codeVerifier, nonce) => {
+    const metadata = await discover(provider.issuer);
+
+    const tokenParams = new URLSearchParams({
+        grant_type: "authorization_code",
+        code,
+        redirect_uri: provider.redirectUri,
+        client_id: provider.clientId,
+        code_verifier: codeVerifier,
+    });
+    if (provider.clientSecret) {
+        tokenParams.set("client_secret", provider.clientSecret);
+    }
+    const tokens = await fetchJson(metadata.token_endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+        body: tokenParams.toString(),
+    });
+    if (!tokens.id_token) {
+        throw new Error("Le fournisseur n'a pas renvoyé d'ID token.");
+    }
+
+    const decoded = jwt.decode(tokens.id_token, { complete: true });
+    if (!decoded) {
+        throw new Error("ID token illisible.");
+    }
+    const signingKey = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+    const claims = jwt.verify(tokens.id_token, signingKey, {
+        algorithms: ["RS256", "RS384", "RS512", "PS256", "ES256", "ES384"],
+        issuer: metadata.issuer,
+        audience: provider.clientId,
+    });
+    if (claims.nonce !== nonce) {
+        throw new Error("Nonce de l'ID token invalide.");
+    }
+
+    let profile = claims;
+    if (!claims.email && metadata.userinfo_endpoint && tokens.access_token) {
+        const userinfo = await fetchJson(metadata.userinfo_endpoint, {
+            headers: { Authorization: `Bearer ${tokens.access_token}` },
+        });
+        // Le 'sub' de userinfo doit correspondre à celui de l'ID token (OIDC Core, 5.3.2)
+        if (userinfo.sub === claims.sub) {
+            profile = { ...userinfo, ...claims, email: userinfo.email, email_verified: userinfo.email_verified };
+        }
+    }
+
+    return {
+        subject: String(claims.sub),
+        email: profile.email ? String(profile.email) : null,
+        emailVerified: profile.email_verified === true || profile.email_verified === "true",
+        firstName: profile.given_name || profile.name || null,
+        lastName: profile.family_name || null,
+    };
+};
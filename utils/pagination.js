@@ -0,0 +1,112 @@
+// utils/pagination.js
+
+// Taille de page par défaut et maximale des listes publiques.
+export const DEFAULT_PAGE_LIMIT = 20;
+export const MAX_PAGE_LIMIT = 100;
+
+/**
+ * Encode une position de pagination par curseur (valeur de tri + identifiant de départage).
+ * @param {object} position - La position, ex: { value: 12.5, id: '...' }.
+ * @returns {string} Le curseur opaque (base64url).
+ */
+export const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString("base64url");
+
+/**
+ * Décode un curseur produit par encodeCursor.
+ * @param {string} cursor - Le curseur reçu dans la requête.
+ * @returns {object | null} La position, ou null si le curseur est invalide.
+ */
+export const decodeCursor = (cursor) => {
+    try {
+        const position = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+        return position && typeof position === "object" && "id" in position ? position : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Lit les paramètres de pagination d'une requête : par page (?page=&limit=) ou par curseur (?cursor=&limit=).
+ * @param {object} req - L'objet requête Express.
+ * @returns {{ limit: number, page: number, offset: number, cursor: object | null, error?: string }} error est un message traduit.
+ */
+export const parsePagination = (req) => {
+    const { query } = req;
+    const limit = query.limit === undefined ? DEFAULT_PAGE_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_LIMIT) {
+        return { error: req.t("pagination.invalidLimit", { max: MAX_PAGE_LIMIT }) };
+    }
+
+    if (query.cursor !== undefined) {
+        if (query.page !== undefined) {
+            return { error: req.t("pagination.pageAndCursor") };
+        }
+        const cursor = decodeCursor(query.cursor);
+        if (!cursor) {
+            return { error: req.t("pagination.invalidCursor") };
+        }
+        return { limit, page: null, offset: 0, cursor };
+    }
+
+    const page = query.page === undefined ? 1 : Number(query.page);
+    if (!Number.isInteger(page) || page < 1) {
+        return { error: req.t("pagination.invalidPage") };
+    }
+    return { limit, page, offset: (page - 1) * limit, cursor: null };
+};
+
+/**
+ * Construit l'URL de la requête courante en remplaçant certains paramètres (null supprime le paramètre).
+ * @param {object} req - L'objet requête Express.
+ * @param {object} overrides - Les paramètres à remplacer, ex: { page: 3 }.
+ * @returns {string} L'URL relative (chemin + query string).
+ */
+const buildUrl = (req, overrides) => {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries({ ...req.query, ...overrides })) {
+        if (value !== null && value !== undefined) {
+            params.set(key, String(value));
+        }
+    }
+    const path = `${req.baseUrl}${req.path === "/" ? "" : req.path}`;
+    const queryString = params.toString();
+    return queryString ? `${path}?${queryString}` : path;
+};
+
+/**
+ * Construit l'enveloppe standard d'une liste paginée : { data, pagination, links }.
+ * En mode page, les liens next/prev portent le numéro de page ; en mode curseur, next porte le curseur suivant.
+ * @param {object} req - L'objet requête Express.
+ * @param {Array} data - Les éléments de la page.
+ * @param {object} options
+ * @param {number} options.total - Le nombre total d'éléments correspondant aux filtres.
+ * @param {object} options.pagination - Le résultat de parsePagination.
+ * @param {string | null} [options.nextCursor] - Le curseur de la page suivante, s'il en existe une.
+ * @returns {object} L'enveloppe de réponse.
+ */
+export const buildPaginatedResponse = (req, data, { total, pagination, nextCursor = null }) => {
+    const { limit, page } = pagination;
+    const totalPages = Math.ceil(total / limit);
+
+    if (page === null) {
+        return {
+            data,
+            pagination: { total, limit, count: data.length, nextCursor },
+            links: {
+                self: buildUrl(req, {}),
+                next: nextCursor ? buildUrl(req, { cursor: nextCursor, page: null }) : null,
+                prev: null,
+            },
+        };
+    }
+
+    return {
+        data,
+        pagination: { total, limit, count: data.length, page, totalPages, nextCursor },
+        links: {
+            self: buildUrl(req, { page }),
+            next: page < totalPages ? buildUrl(req, { page: page + 1, cursor: null }) : null,
+            prev: page > 1 ? buildUrl(req, { page: page - 1, cursor: null }) : null,
+        },
+    };
+};
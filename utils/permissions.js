@@ -0,0 +1,18 @@
+// utils/permissions.js
+
+// Permissions connues de l'application (clés de la table Permissions, cf. db/migrations/008_permissions.sql).
+// À utiliser dans les routes plutôt que des chaînes littérales, pour éviter les fautes de frappe.
+export const PERMISSIONS = Object.freeze({
+    CATALOG_WRITE: "catalog:write",
+    ORDERS_MANAGE: "orders:manage",
+    REPORTS_READ: "reports:read",
+    USERS_MANAGE: "users:manage",
+    USERS_IMPERSONATE: "users:impersonate",
+    ROLES_MANAGE: "roles:manage",
+    API_KEYS_MANAGE: "api_keys:manage",
+    AUDIT_READ: "audit:read",
+});
+
+// Rôle d'administration principal : ses permissions ne sont pas modifiables via l'API (pour ne jamais perdre
+// l'accès à l'administration) et ses comptes doivent être rétrogradés avant d'être supprimés.
+export const SUPER_ADMIN_ROLE = "Admin";
@@ -0,0 +1,77 @@
+// utils/personalData.js
+import archiver from "archiver";
+import bcrypt from "bcrypt";
+import crypto from "crypto";
+import * as privacyModel from "../models/privacyModel.js";
+import { logActivity } from "../models/AdminModel.js";
+import { invalidateUserState } from "./userStateCache.js";
+import { clearLoginFailures } from "./loginLockout.js";
+import { deleteWatermarkedCopies } from "../storage/watermark.js";
+
+export const EXPORT_FORMATS = ["json", "zip"];
+
+/**
+ * Envoie l'export des données personnelles en téléchargement.
+ * 'json' : un seul fichier ; 'zip' : une archive avec un fichier JSON par catégorie de données.
+ * @param {object} res - L'objet réponse Express.
+ * @param {object} data - Les données rassemblées par privacyModel.collectUserData.
+ * @param {string} [format='json'] - Le format de l'export ('json' ou 'zip').
+ * @returns {Promise<void>}
+ */
+export const sendPersonalDataExport = async (res, data, format = "json") => {
+    const exportedAt = new Date().toISOString();
+    const baseName = `book-tech-export-${data.profile.user_id}`;
+
+    if (format !== "zip") {
+        res.set("Content-Type", "application/json; charset=utf-8");
+        res.set("Content-Disposition", `attachment; filename="${baseName}.json"`);
+        res.status(200).send(JSON.stringify({ exportedAt, ...data }, null, 2));
+        return;
+    }
+
+    res.set("Content-Type", "application/zip");
+    res.set("Content-Disposition", `attachment; filename="${baseName}.zip"`);
+    res.status(200);
+
+    const archive = archiver("zip", { zlib: { level: 9 } });
+    const finished = new Promise((resolve, reject) => {
+        archive.on("error", reject);
+        res.on("finish", resolve);
+    });
+    archive.pipe(res);
+    archive.append(JSON.stringify({ exportedAt, userId: data.profile.user_id }, null, 2), { name: "manifest.json" });
+    for (const [section, content] of Object.entries(data)) {
+        archive.append(JSON.stringify(content, null, 2), { name: `${section}.json` });
+    }
+    await archive.finalize();
+    await finished;
+};
+
+/**
+ * Supprime (anonymise) un compte et nettoie les états associés : cache, verrouillages de connexion,
+ * copies tatouées des ebooks achetés (elles portent le nom et l'email de l'acheteur).
+ * L'opération est journalisée sans donnée personnelle.
+ * @param {object} user - L'utilisateur à supprimer (user_id, email).
+ * @param {string} actorId - L'ID de l'auteur de la suppression (l'utilisateur lui-même ou un admin).
+ * @returns {Promise<object | undefined>} L'utilisateur anonymisé, ou undefined s'il était déjà supprimé.
+ */
+export const eraseUserAccount = async (user, actorId) => {
+    // Le mot de passe est remplacé par le hachage d'une valeur aléatoire jamais communiquée
+    const unusablePasswordHash = await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10);
+    const anonymizedUser = await privacyModel.anonymizeUser(user.user_id, unusablePasswordHash);
+    if (!anonymizedUser) {
+        return undefined;
+    }
+
+    invalidateUserState(user.user_id);
+    await clearLoginFailures(user.email);
+    await deleteWatermarkedCopies(user.user_id).catch((error) => {
+        // Le compte est déjà anonymisé : l'échec est journalisé pour que les copies soient supprimées à la main
+        console.error(`Erreur lors de la suppression des copies tatouées de l'utilisateur ${user.user_id}:`, error.message);
+    });
+    await logActivity(actorId, 'ACCOUNT_DELETED', "Compte utilisateur anonymisé", {
+        userId: user.user_id,
+        deletedBy: actorId === user.user_id ? "user" : "admin",
+    });
+    return anonymizedUser;
+};
@@ -0,0 +1,17 @@
+// utils/slug.js
+
+// Un slug : minuscules ASCII et chiffres, mots séparés par un tiret.
+export const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Transforme un texte en slug d'URL : 'Science-fiction & Fantasy' -> 'science-fiction-fantasy'.
+ * Même règle que la fonction SQL category_slugify (db/migrations/016_category_hierarchy.sql).
+ * @param {string} text - Le texte (ex: un nom de catégorie).
+ * @returns {string} Le slug, éventuellement vide si le texte ne contient ni lettre ni chiffre.
+ */
+export const slugify = (text) => String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "") // Accents séparés par la normalisation NFD
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
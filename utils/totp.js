@@ -0,0 +1,147 @@
+// utils/totp.js
+import crypto from "crypto";
+
+// Paramètres standards compatibles avec Google Authenticator, Authy, etc. (RFC 6238).
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Encode un buffer en base32 (RFC 4648, sans padding).
+ * @param {Buffer} buffer - Les octets à encoder.
+ * @returns {string} La chaîne base32.
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+/**
+ * Décode une chaîne base32 (insensible à la casse, espaces et padding ignorés).
+ * @param {string} input - La chaîne base32.
+ * @returns {Buffer} Les octets décodés.
+ */
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/[\s=]/g, "");
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error("Secret TOTP invalide (base32).");
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Génère un nouveau secret TOTP aléatoire (160 bits, encodé en base32).
+ * @returns {string} Le secret base32.
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Calcule le code TOTP pour un pas de temps donné.
+ * @param {string} secret - Le secret base32.
+ * @param {number} step - Le numéro du pas de temps (secondes Unix / 30).
+ * @returns {string} Le code à 6 chiffres.
+ */
+const generateTotpForStep = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Vérifie un code TOTP en tolérant un décalage d'horloge de ±window pas.
+ * @param {string} secret - Le secret base32.
+ * @param {string} code - Le code saisi par l'utilisateur.
+ * @param {number} [window=1] - Le nombre de pas tolérés avant et après l'instant courant.
+ * @returns {number | null} Le pas de temps correspondant (pour empêcher la réutilisation), ou null si invalide.
+ */
+export const verifyTotp = (secret, code, window = 1) => {
+    const normalized = String(code || "").replace(/\s/g, "");
+    if (!/^\d{6}$/.test(normalized)) {
+        return null;
+    }
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+    for (let delta = -window; delta <= window; delta++) {
+        const expected = generateTotpForStep(secret, currentStep + delta);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return currentStep + delta;
+        }
+    }
+    return null;
+};
+
+/**
+ * Construit l'URI otpauth:// à encoder dans un QR code pour l'application d'authentification.
+ * @param {string} secret - Le secret base32.
+ * @param {string} accountName - Le nom du compte (généralement l'email).
+ * @param {string} [issuer='BOOK-tech'] - Le nom du service affiché dans l'application.
+ * @returns {string} L'URI de provisionnement.
+ */
+export const buildOtpauthUri = (secret, accountName, issuer = process.env.TOTP_ISSUER || "BOOK-tech") => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Génère un lot de codes de récupération à usage unique (format xxxx-xxxx).
+ * @param {number} [count=10] - Le nombre de codes.
+ * @returns {string[]} Les codes en clair (à n'afficher qu'une seule fois).
+ */
+export const generateRecoveryCodes = (count = 10) => Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(4).toString("hex");
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+});
+
+/**
+ * Normalise un code de récupération saisi (minuscules, sans espaces).
+ * @param {string} code - Le code saisi.
+ * @returns {string} Le code normalisé.
+ */
+export const normalizeRecoveryCode = (code) => String(code || "").trim().toLowerCase().replace(/\s/g, "");
+
+// Rôles pour lesquels la 2FA est obligatoire, ex: TWO_FACTOR_REQUIRED_ROLES=Admin,Support (par défaut : Admin).
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES ?? "Admin")
+    .split(",")
+    .map((role) => role.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Indique si la politique de sécurité impose la 2FA pour un rôle donné.
+ * @param {string} roleName - Le nom du rôle.
+ * @returns {boolean} True si la 2FA est obligatoire.
+ */
+export const isTwoFactorRequiredForRole = (roleName) => TWO_FACTOR_REQUIRED_ROLES.includes(String(roleName || "").toLowerCase());
@@ -0,0 +1,66 @@
+// utils/userStateCache.js
+import * as userModel from "../models/userModel.js";
+import * as roleModel from "../models/roleModel.js";
+
+// Durée de vie d'une entrée du cache, en millisecondes.
+// Borne le délai de propagation d'un changement fait par un autre processus ;
+// dans ce processus, invalidateUserState rend le changement immédiat.
+const USER_STATE_CACHE_TTL_MS = parseInt(process.env.USER_STATE_CACHE_TTL_MS, 10) || 30000;
+
+// Nombre maximum d'utilisateurs gardés en cache : au-delà, le moins récemment utilisé est retiré.
+const USER_STATE_CACHE_MAX_ENTRIES = parseInt(process.env.USER_STATE_CACHE_MAX_ENTRIES, 10) || 10000;
+
+// userId -> { state: { is_active, email_verified, totp_enabled, role_id, role_name, permissions } | null, expiresAt }
+// L'ordre d'insertion de la Map sert d'ordre d'utilisation : une entrée lue est replacée en fin de Map.
+const cache = new Map();
+
+/**
+ * Récupère l'état courant d'un utilisateur (actif, rôle, permissions), depuis le cache ou la base de données.
+ * @param {string} userId - L'ID UUID de l'utilisateur.
+ * @returns {Promise<object | null>} { is_active, email_verified, totp_enabled, role_id, role_name, permissions }, ou null si l'utilisateur n'existe plus.
+ */
+export const getUserState = async (userId) => {
+    const cached = cache.get(userId);
+    if (cached) {
+        cache.delete(userId);
+        if (cached.expiresAt > Date.now()) {
+            cache.set(userId, cached);
+            return cached.state;
+        }
+    }
+
+    const user = await userModel.findUserById(userId);
+    const state = user
+        ? {
+            is_active: user.is_active,
+            email_verified: user.email_verified,
+            totp_enabled: user.totp_enabled,
+            role_id: user.role_id,
+            role_name: user.role_name,
+            permissions: await roleModel.findPermissionKeysByRoleId(user.role_id),
+        }
+        : null;
+    cache.delete(userId); // Une lecture concurrente a pu l'ajouter entre-temps
+    cache.set(userId, { state, expiresAt: Date.now() + USER_STATE_CACHE_TTL_MS });
+    if (cache.size > USER_STATE_CACHE_MAX_ENTRIES) {
+        cache.delete(cache.keys().next().value);
+    }
+    return state;
+};
+
+/**
+ * Retire un utilisateur du cache. À appeler après toute modification de son rôle, de son statut
+ * de la vérification de son email ou de sa 2FA.
+ * @param {string} userId - L'ID UUID de l'utilisateur.
+ */
+export const invalidateUserState = (userId) => {
+    cache.delete(userId);
+};
+
+/**
+ * Vide tout le cache. À appeler après une modification des permissions d'un rôle,
+ * qui concerne tous les utilisateurs ayant ce rôle.
+ */
+export const invalidateAllUserStates = () => {
+    cache.clear();
+};